@@ -1,5 +1,5 @@
 -- Cleanup script to remove problematic RLS policies
--- Run this first if you're getting infinite recursion errors
+-- Not a migration: run it by hand (Supabase SQL editor) if you are getting infinite recursion errors
 
 -- Drop all existing policies on users table
 DROP POLICY IF EXISTS "Admins can view all users" ON users;
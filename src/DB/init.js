@@ -21,7 +21,7 @@ async function initializeDatabase() {
 
     // Run migrations
     const migrationRunner = new MigrationRunner();
-    await migrationRunner.runMigrations();
+    await migrationRunner.up();
 
     // Verify database health
     const healthCheck = await DatabaseUtils.healthCheck();
@@ -139,7 +139,7 @@ if (require.main === module) {
     
     case 'migrate':
       const migrationRunner = new MigrationRunner();
-      migrationRunner.runMigrations()
+      migrationRunner.up()
         .then(() => process.exit(0))
         .catch(() => process.exit(1));
       break;
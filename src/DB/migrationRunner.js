@@ -3,159 +3,304 @@ require('dotenv').config();
 
 const fs = require('fs').promises;
 const path = require('path');
-const { supabase } = require('../config/database');
+const crypto = require('crypto');
+const DatabaseUtils = require('../utils/database');
+
+// Migration files are NNN_description.sql; everything after a "-- migrate:down" line reverts the migration
+const FILENAME_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+// Only one runner at a time (several app instances or a deploy racing a developer)
+const LOCK_NAME = 'mati_schema_migrations';
 
 class MigrationRunner {
-  constructor() {
+  constructor(db = null) {
     this.migrationsPath = path.join(__dirname, 'migrations');
+    this.db = db || DatabaseUtils.getPool();
   }
 
-  async createMigrationsTable() {
-    // For now, we'll create a simple approach since Supabase doesn't support raw SQL execution
-    // In a real implementation, you would create this table manually in Supabase dashboard
-    // or use Supabase's migration system
-    
-    console.log('⚠️  Note: Please create the migrations table manually in your Supabase dashboard:');
-    console.log(`
-      CREATE TABLE IF NOT EXISTS migrations (
-        id SERIAL PRIMARY KEY,
-        filename VARCHAR(255) NOT NULL UNIQUE,
-        executed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `);
-    
-    // Try to check if table exists by querying it
-    const { error } = await supabase.from('migrations').select('id').limit(1);
-    
-    if (error && error.code === 'PGRST116') {
-      throw new Error('Migrations table does not exist. Please create it manually in Supabase dashboard first.');
+  /**
+   * Read and parse all migration files, ordered by version
+   */
+  async getMigrationFiles() {
+    let files;
+    try {
+      files = await fs.readdir(this.migrationsPath);
+    } catch (error) {
+      throw new Error(`Failed to read migrations directory: ${error.message}`);
     }
-    
-    if (error && error.code !== 'PGRST204') { // PGRST204 = empty result
-      throw new Error(`Failed to access migrations table: ${error.message}`);
+
+    const migrations = [];
+    const versions = new Map();
+
+    for (const filename of files.filter(file => file.endsWith('.sql')).sort()) {
+      const match = filename.match(FILENAME_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid migration filename: ${filename}. Expected NNN_description.sql`);
+      }
+
+      const [, version, name] = match;
+      if (versions.has(version)) {
+        throw new Error(`Duplicate migration version ${version}: ${versions.get(version)} and ${filename}`);
+      }
+      versions.set(version, filename);
+
+      const sql = (await fs.readFile(path.join(this.migrationsPath, filename), 'utf8')).replace(/\r\n/g, '\n');
+      const [up, down] = sql.split(DOWN_MARKER);
+
+      migrations.push({
+        version,
+        name,
+        filename,
+        up: up.trim(),
+        down: down ? down.trim() : null,
+        // Only the up part counts - fixing a down section does not change what was applied
+        checksum: crypto.createHash('sha256').update(up.trim()).digest('hex')
+      });
     }
+
+    return migrations;
   }
 
-  async getExecutedMigrations() {
-    const { data, error } = await supabase
-      .from('migrations')
-      .select('filename')
-      .order('id');
+  /**
+   * Create the schema_migrations bookkeeping table
+   */
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(3) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        execution_ms INTEGER,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+  }
 
-    if (error) {
-      throw new Error(`Failed to get executed migrations: ${error.message}`);
+  /**
+   * The RLS policies call auth.uid(), which only exists on Supabase
+   * On plain Postgres create the same function (reads the JWT subject setting, NULL when unset)
+   */
+  async ensureAuthFunctions(client) {
+    const { rows } = await client.query(`SELECT to_regprocedure('auth.uid()') AS uid`);
+    if (rows[0].uid) {
+      return;
     }
 
-    return data.map(row => row.filename);
+    await client.query(`
+      CREATE SCHEMA IF NOT EXISTS auth;
+      CREATE OR REPLACE FUNCTION auth.uid() RETURNS UUID AS $$
+        SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID
+      $$ LANGUAGE sql STABLE;
+    `);
+    console.log('🔑 Created auth.uid() for plain Postgres');
   }
 
-  async getMigrationFiles() {
+  /**
+   * Applied migrations, ordered by version
+   */
+  async getAppliedMigrations(client) {
+    const { rows } = await client.query(
+      'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return rows;
+  }
+
+  /**
+   * Run callback(client) on a dedicated connection holding the migrations advisory lock
+   */
+  async withLock(callback) {
+    const client = await this.db.connect();
+
     try {
-      const files = await fs.readdir(this.migrationsPath);
-      return files
-        .filter(file => file.endsWith('.sql'))
-        .sort(); // Ensure migrations run in order
-    } catch (error) {
-      throw new Error(`Failed to read migrations directory: ${error.message}`);
+      const { rows } = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [LOCK_NAME]);
+      if (!rows[0].locked) {
+        console.log('⏳ Another migration run is in progress, waiting for it to finish...');
+        await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_NAME]);
+      }
+
+      try {
+        await this.ensureMigrationsTable(client);
+        return await callback(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_NAME]);
+      }
+    } finally {
+      client.release();
     }
   }
 
-  async executeMigration(filename) {
-    const filePath = path.join(this.migrationsPath, filename);
-    
-    try {
-      const sql = await fs.readFile(filePath, 'utf8');
-      
-      console.log(`⚠️  Please execute this SQL manually in your Supabase SQL editor:`);
-      console.log(`--- Migration: ${filename} ---`);
-      console.log(sql);
-      console.log(`--- End of ${filename} ---\n`);
-
-      // For now, we'll just record that we "executed" it
-      // In a real implementation, you'd need to use Supabase's migration system
-      // or execute the SQL manually in the dashboard
-      
-      // Record the migration as executed
-      const { error: recordError } = await supabase
-        .from('migrations')
-        .insert({ filename });
-
-      if (recordError && recordError.code !== '23505') { // 23505 = unique violation (already exists)
-        throw new Error(`Failed to record migration ${filename}: ${recordError.message}`);
+  /**
+   * Match migration files against the applied rows
+   * state: applied | pending | modified (file edited after it was applied) | missing (applied, file gone)
+   */
+  compare(files, applied) {
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const entries = files.map(file => {
+      const row = appliedByVersion.get(file.version);
+      appliedByVersion.delete(file.version);
+
+      let state = 'pending';
+      if (row) {
+        state = row.checksum === file.checksum ? 'applied' : 'modified';
       }
 
-      console.log(`📝 Recorded migration: ${filename}`);
-    } catch (error) {
-      throw new Error(`Migration ${filename} failed: ${error.message}`);
+      return { ...file, state, applied_at: row?.applied_at || null, execution_ms: row?.execution_ms ?? null };
+    });
+
+    for (const row of appliedByVersion.values()) {
+      entries.push({ version: row.version, name: row.name, filename: `${row.version}_${row.name}.sql`, state: 'missing', applied_at: row.applied_at });
     }
+
+    return entries.sort((a, b) => a.version.localeCompare(b.version));
   }
 
-  async runMigrations() {
-    try {
-      console.log('🚀 Starting database migrations...');
+  /**
+   * Refuse to continue when applied migrations were edited or deleted
+   */
+  assertConsistent(entries) {
+    const problems = entries.filter(entry => ['modified', 'missing'].includes(entry.state));
+    if (problems.length > 0) {
+      const details = problems.map(entry => `${entry.filename} (${entry.state})`).join(', ');
+      throw new Error(`Applied migrations do not match the files: ${details}. Restore the original files and put changes in a new migration`);
+    }
+  }
+
+  /**
+   * Migration status for every file
+   */
+  async status() {
+    const files = await this.getMigrationFiles();
+    const entries = await this.withLock(async (client) => this.compare(files, await this.getAppliedMigrations(client)));
 
-      // Create migrations table if it doesn't exist
-      await this.createMigrationsTable();
+    const icons = { applied: '✅', pending: '⏳', modified: '⚠️ ', missing: '❓' };
+    console.log('📋 Migration status:');
+    for (const entry of entries) {
+      const appliedAt = entry.applied_at ? ` (${new Date(entry.applied_at).toISOString()})` : '';
+      console.log(`${icons[entry.state]} ${entry.filename} - ${entry.state}${appliedAt}`);
+    }
 
-      // Get list of executed migrations
-      const executedMigrations = await this.getExecutedMigrations();
-      console.log(`📋 Found ${executedMigrations.length} executed migrations`);
+    return entries;
+  }
 
-      // Get all migration files
-      const migrationFiles = await this.getMigrationFiles();
-      console.log(`📁 Found ${migrationFiles.length} migration files`);
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   * @param {Object} options - { to: last version to apply (default: all) }
+   * @returns {Array} Applied filenames
+   */
+  async up({ to = null } = {}) {
+    console.log('🚀 Starting database migrations...');
+    const files = await this.getMigrationFiles();
 
-      // Filter out already executed migrations
-      const pendingMigrations = migrationFiles.filter(
-        file => !executedMigrations.includes(file)
-      );
+    return this.withLock(async (client) => {
+      const entries = this.compare(files, await this.getAppliedMigrations(client));
+      this.assertConsistent(entries);
 
-      if (pendingMigrations.length === 0) {
+      const pending = entries.filter(entry => entry.state === 'pending' && (!to || entry.version <= to));
+      if (pending.length === 0) {
         console.log('✅ All migrations are up to date');
-        return;
+        return [];
       }
 
-      console.log(`⏳ Running ${pendingMigrations.length} pending migrations...`);
+      await this.ensureAuthFunctions(client);
+      console.log(`⏳ Running ${pending.length} pending migrations...`);
 
-      // Execute pending migrations
-      for (const migration of pendingMigrations) {
-        await this.executeMigration(migration);
+      const applied = [];
+      for (const migration of pending) {
+        const startedAt = Date.now();
+
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.up);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+            [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migration.filename} failed: ${error.message}`);
+        }
+
+        console.log(`✅ Applied ${migration.filename} (${Date.now() - startedAt}ms)`);
+        applied.push(migration.filename);
       }
 
       console.log('🎉 All migrations completed successfully');
-    } catch (error) {
-      console.error('❌ Migration failed:', error.message);
-      throw error;
-    }
+      return applied;
+    });
   }
 
-  async rollbackLastMigration() {
-    try {
-      const executedMigrations = await this.getExecutedMigrations();
-      
-      if (executedMigrations.length === 0) {
-        console.log('No migrations to rollback');
-        return;
+  /**
+   * Revert the most recently applied migrations, each in its own transaction
+   * @param {Object} options - { steps: number of migrations to revert (default 1) }
+   * @returns {Array} Reverted filenames
+   */
+  async down({ steps = 1 } = {}) {
+    const files = await this.getMigrationFiles();
+
+    return this.withLock(async (client) => {
+      const entries = this.compare(files, await this.getAppliedMigrations(client));
+      this.assertConsistent(entries);
+
+      const toRevert = entries.filter(entry => entry.state === 'applied').reverse().slice(0, steps);
+      if (toRevert.length === 0) {
+        console.log('No migrations to roll back');
+        return [];
       }
 
-      const lastMigration = executedMigrations[executedMigrations.length - 1];
-      
-      // Remove from migrations table
-      const { error } = await supabase
-        .from('migrations')
-        .delete()
-        .eq('filename', lastMigration);
+      const withoutDown = toRevert.filter(migration => !migration.down);
+      if (withoutDown.length > 0) {
+        throw new Error(`Cannot roll back ${withoutDown.map(migration => migration.filename).join(', ')}: no "-- migrate:down" section`);
+      }
+
+      const reverted = [];
+      for (const migration of toRevert) {
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.down);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Rollback of ${migration.filename} failed: ${error.message}`);
+        }
 
-      if (error) {
-        throw new Error(`Failed to rollback migration record: ${error.message}`);
+        console.log(`⏪ Rolled back ${migration.filename}`);
+        reverted.push(migration.filename);
       }
 
-      console.log(`⏪ Rolled back migration: ${lastMigration}`);
-      console.log('⚠️  Note: You may need to manually revert database changes');
-    } catch (error) {
-      console.error('❌ Rollback failed:', error.message);
-      throw error;
+      return reverted;
+    });
+  }
+
+  /**
+   * Record migrations up to a version as applied without running them
+   * For databases that were set up by pasting the SQL files into the Supabase SQL editor
+   * @returns {Array} Recorded filenames
+   */
+  async baseline(version) {
+    if (!/^\d{3}$/.test(version || '')) {
+      throw new Error('Baseline version is required (e.g. 014)');
     }
+
+    const files = await this.getMigrationFiles();
+
+    return this.withLock(async (client) => {
+      const entries = this.compare(files, await this.getAppliedMigrations(client));
+      const toRecord = entries.filter(entry => entry.state === 'pending' && entry.version <= version);
+
+      for (const migration of toRecord) {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        console.log(`📝 Recorded ${migration.filename} as applied`);
+      }
+
+      return toRecord.map(migration => migration.filename);
+    });
   }
 }
 
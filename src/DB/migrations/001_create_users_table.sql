@@ -52,3 +52,7 @@ CREATE POLICY "Users can update own record" ON users
 -- Note: For admin operations (viewing all users, creating users, etc.)
 -- we'll use the service role key which bypasses RLS entirely
 -- This avoids the infinite recursion problem
+
+-- migrate:down
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -41,3 +41,6 @@ CREATE POLICY "Advisers can update own clients" ON clients
 
 -- Note: Admin operations (viewing all clients, deleting clients, etc.)
 -- will use the service role key which bypasses RLS entirely
+
+-- migrate:down
+DROP TABLE IF EXISTS clients;
@@ -46,3 +46,6 @@ CREATE POLICY "Advisers can update own sessions" ON sessions
     FOR UPDATE USING (adviser_id = auth.uid()::uuid);
 
 -- Note: Admin operations will use the service role key which bypasses RLS
+
+-- migrate:down
+DROP TABLE IF EXISTS sessions;
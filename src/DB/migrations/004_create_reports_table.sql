@@ -112,3 +112,7 @@ CREATE POLICY "Advisers can update reports for own sessions" ON reports
     );
 
 -- Note: Admin operations will use the service role key which bypasses RLS
+
+-- migrate:down
+DROP TABLE IF EXISTS reports;
+DROP FUNCTION IF EXISTS ensure_single_current_version();
@@ -82,3 +82,8 @@ BEGIN
     ORDER BY r.version_number DESC;
 END;
 $$ LANGUAGE plpgsql;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS get_report_version_history(UUID, VARCHAR);
+DROP VIEW IF EXISTS current_reports;
+DROP VIEW IF EXISTS report_versions_summary;
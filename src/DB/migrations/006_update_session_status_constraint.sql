@@ -11,3 +11,9 @@ CHECK (status IN (
     'completed', 
     'failed'
 ));
+
+-- migrate:down
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_status_check;
+
+ALTER TABLE sessions ADD CONSTRAINT sessions_status_check 
+CHECK (status IN ('uploaded', 'processing', 'transcribed', 'reports_generated', 'completed', 'failed'));
@@ -81,3 +81,7 @@ CREATE POLICY "Advisers can view own session jobs" ON jobs
 -- This will be handled by our backend API with proper authorization
 
 -- Note: Job creation, updates, and processing will use the service role key
+
+-- migrate:down
+DROP FUNCTION IF EXISTS get_next_job();
+DROP TABLE IF EXISTS jobs;
@@ -2,3 +2,6 @@
 -- This improves performance for searches like metadata->>'business_domain'
 
 CREATE INDEX IF NOT EXISTS idx_clients_metadata_gin ON clients USING GIN (metadata);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_clients_metadata_gin;
@@ -14,3 +14,8 @@ ALTER TABLE users ALTER COLUMN status SET DEFAULT 'inactive';
 -- Add comment to document the change
 COMMENT ON COLUMN users.phone IS 'Phone number for user contact information, required for new adviser registrations';
 COMMENT ON COLUMN users.status IS 'User status: active, inactive, suspended. New advisers default to inactive until approved by admin';
+
+-- migrate:down
+ALTER TABLE users ALTER COLUMN status SET DEFAULT 'active';
+DROP INDEX IF EXISTS idx_users_phone;
+ALTER TABLE users DROP COLUMN IF EXISTS phone;
@@ -67,3 +67,7 @@ END;
 $$;
 
 COMMENT ON FUNCTION cleanup_expired_password_reset_tokens() IS 'Utility function to clean up old password reset tokens. Can be called periodically for maintenance.';
+
+-- migrate:down
+DROP FUNCTION IF EXISTS cleanup_expired_password_reset_tokens();
+DROP TABLE IF EXISTS password_reset_tokens;
@@ -0,0 +1,66 @@
+-- Create prompt templates table for versioned report prompts
+-- Built-in versions ship as files in src/prompts/templates/<name>/v<N>.txt;
+-- this table holds admin-created versions and records which version of each prompt is active
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    source VARCHAR(10) NOT NULL DEFAULT 'db' CHECK (source IN ('file', 'db')),
+    content TEXT, -- NULL for file versions (content is read from the template file)
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    activated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    activated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (name, version),
+    CHECK (source = 'file' OR content IS NOT NULL)
+);
+
+-- Only one active version per prompt
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_one_active 
+    ON prompt_templates(name) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_name ON prompt_templates(name);
+
+-- Create trigger to automatically update updated_at timestamp
+CREATE TRIGGER update_prompt_templates_updated_at 
+    BEFORE UPDATE ON prompt_templates 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (all access goes through the backend service role)
+ALTER TABLE prompt_templates ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE prompt_templates IS 'Versioned prompt templates used for report generation';
+COMMENT ON COLUMN prompt_templates.name IS 'Prompt name, e.g. advisor_report, client_system';
+COMMENT ON COLUMN prompt_templates.version IS 'Version number, unique per prompt name across files and database';
+COMMENT ON COLUMN prompt_templates.source IS 'file = built-in template file, db = created through the admin API';
+COMMENT ON COLUMN prompt_templates.is_active IS 'The active version is used for new reports; without one the latest file version is used';
+
+-- Activate a prompt version atomically (file versions get a row the first time they are activated)
+CREATE OR REPLACE FUNCTION activate_prompt_template(p_name VARCHAR, p_version INTEGER, p_user_id UUID)
+RETURNS SETOF prompt_templates AS $$
+BEGIN
+    UPDATE prompt_templates 
+    SET is_active = false 
+    WHERE name = p_name AND is_active AND version <> p_version;
+
+    INSERT INTO prompt_templates (name, version, source, is_active, activated_by, activated_at)
+    VALUES (p_name, p_version, 'file', true, p_user_id, NOW())
+    ON CONFLICT (name, version) DO UPDATE 
+    SET is_active = true, 
+        activated_by = EXCLUDED.activated_by, 
+        activated_at = EXCLUDED.activated_at;
+
+    RETURN QUERY SELECT * FROM prompt_templates WHERE name = p_name AND version = p_version;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION activate_prompt_template(VARCHAR, INTEGER, UUID) IS 'Makes one version of a prompt active and deactivates the others in a single transaction';
+
+-- migrate:down
+DROP FUNCTION IF EXISTS activate_prompt_template(VARCHAR, INTEGER, UUID);
+DROP TABLE IF EXISTS prompt_templates;
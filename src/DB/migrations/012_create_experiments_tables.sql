@@ -0,0 +1,68 @@
+-- Create tables for prompt/model A/B experiments on report generation
+-- A running experiment assigns each new session to one of its variants; the AI draft of every
+-- report generated for an assigned session is kept so it can be compared with the approved version
+-- (report content is edited in place, so the draft is otherwise lost)
+
+CREATE TABLE IF NOT EXISTS experiments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+    variants JSONB NOT NULL, -- [{ key, weight, model, llm_provider, prompt_versions: { advisor_report: 2 } }]
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    stopped_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (jsonb_typeof(variants) = 'array' AND jsonb_array_length(variants) >= 2)
+);
+
+-- Only one experiment can run at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_experiments_one_running
+    ON experiments(status) WHERE status = 'running';
+
+CREATE TABLE IF NOT EXISTS experiment_assignments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    variant_key VARCHAR(50) NOT NULL,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (session_id) -- a session belongs to at most one experiment
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_assignments_experiment ON experiment_assignments(experiment_id, variant_key);
+
+CREATE TABLE IF NOT EXISTS experiment_report_drafts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    assignment_id UUID NOT NULL REFERENCES experiment_assignments(id) ON DELETE CASCADE,
+    report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    report_type VARCHAR(50) NOT NULL,
+    content TEXT NOT NULL, -- The report content exactly as generated, before any edits
+    generation_method VARCHAR(50) NOT NULL CHECK (generation_method IN ('ai_generated', 'ai_regenerated')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (report_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_report_drafts_assignment ON experiment_report_drafts(assignment_id);
+
+-- Create trigger to automatically update updated_at timestamp
+CREATE TRIGGER update_experiments_updated_at
+    BEFORE UPDATE ON experiments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (all access goes through the backend service role)
+ALTER TABLE experiments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE experiment_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE experiment_report_drafts ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE experiments IS 'Prompt/model A/B experiments for report generation';
+COMMENT ON COLUMN experiments.variants IS 'Variant definitions: key, weight and the model / prompt versions the variant pins';
+COMMENT ON TABLE experiment_assignments IS 'Which experiment variant each session was assigned to';
+COMMENT ON TABLE experiment_report_drafts IS 'Unedited AI drafts of reports generated for experiment sessions';
+
+-- migrate:down
+DROP TABLE IF EXISTS experiment_report_drafts;
+DROP TABLE IF EXISTS experiment_assignments;
+DROP TABLE IF EXISTS experiments;
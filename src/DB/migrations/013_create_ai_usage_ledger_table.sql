@@ -0,0 +1,89 @@
+-- Create AI usage ledger
+-- One row per AI call (transcription, diarization, report generation, chunk summaries)
+-- with the tokens / audio seconds used and the cost computed from src/config/pricing.js
+
+CREATE TABLE IF NOT EXISTS ai_usage_ledger (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+    adviser_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+    job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+    operation VARCHAR(50) NOT NULL, -- transcription, diarization, advisor, client, chunk_summary
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    audio_seconds NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    priced BOOLEAN NOT NULL DEFAULT true, -- false when the model had no price entry (cost recorded as 0)
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the aggregation queries
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_created_at ON ai_usage_ledger(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_adviser ON ai_usage_ledger(adviser_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_client ON ai_usage_ledger(client_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_session ON ai_usage_ledger(session_id);
+
+-- Enable Row Level Security (all access goes through the backend service role)
+ALTER TABLE ai_usage_ledger ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE ai_usage_ledger IS 'Every AI call with its token / audio usage and computed cost';
+COMMENT ON COLUMN ai_usage_ledger.operation IS 'What the call was for: transcription, diarization, advisor, client, chunk_summary';
+COMMENT ON COLUMN ai_usage_ledger.cost_usd IS 'Cost at the price in effect when the call was made';
+
+-- Aggregate usage per month, optionally split by adviser, client or model
+CREATE OR REPLACE FUNCTION get_ai_usage_summary(
+    p_group_by VARCHAR,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+    month DATE,
+    group_id UUID,
+    group_name VARCHAR,
+    calls BIGINT,
+    prompt_tokens BIGINT,
+    completion_tokens BIGINT,
+    total_tokens BIGINT,
+    audio_seconds NUMERIC,
+    cost_usd NUMERIC,
+    unpriced_calls BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        DATE_TRUNC('month', l.created_at)::DATE,
+        CASE p_group_by
+            WHEN 'adviser' THEN l.adviser_id
+            WHEN 'client' THEN l.client_id
+        END,
+        CASE p_group_by
+            WHEN 'adviser' THEN u.name
+            WHEN 'client' THEN c.name
+            WHEN 'model' THEN l.model
+        END,
+        COUNT(*),
+        SUM(l.prompt_tokens)::BIGINT,
+        SUM(l.completion_tokens)::BIGINT,
+        SUM(l.total_tokens)::BIGINT,
+        SUM(l.audio_seconds),
+        SUM(l.cost_usd),
+        COUNT(*) FILTER (WHERE NOT l.priced)
+    FROM ai_usage_ledger l
+    LEFT JOIN users u ON l.adviser_id = u.id
+    LEFT JOIN clients c ON l.client_id = c.id
+    WHERE l.created_at >= p_from AND l.created_at < p_to
+    GROUP BY 1, 2, 3
+    ORDER BY 1 DESC, 9 DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION get_ai_usage_summary(VARCHAR, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE) IS 'Monthly AI usage and cost, grouped by adviser, client, model or month only';
+
+-- migrate:down
+DROP FUNCTION IF EXISTS get_ai_usage_summary(VARCHAR, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE);
+DROP TABLE IF EXISTS ai_usage_ledger;
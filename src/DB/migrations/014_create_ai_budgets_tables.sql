@@ -0,0 +1,79 @@
+-- Create monthly AI budget tables
+-- Defaults come from src/config/budgets.js; rows here override them organisation-wide,
+-- for all advisers (adviser scope, adviser_id NULL) or for one adviser
+
+CREATE TABLE IF NOT EXISTS ai_budgets (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('organization', 'adviser')),
+    adviser_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    audio_minutes_limit NUMERIC(10, 2), -- NULL = unlimited
+    tokens_limit BIGINT, -- NULL = unlimited
+    on_exhausted VARCHAR(10) NOT NULL DEFAULT 'refuse' CHECK (on_exhausted IN ('refuse', 'defer')),
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (scope = 'adviser' OR adviser_id IS NULL)
+);
+
+-- One budget per scope/adviser (NULL adviser_id counts as a value)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_budgets_scope_adviser
+    ON ai_budgets(scope, COALESCE(adviser_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+-- Alerts already sent, so each threshold is only announced once per month
+CREATE TABLE IF NOT EXISTS ai_budget_alerts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('organization', 'adviser')),
+    adviser_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    period DATE NOT NULL, -- First day of the budget month
+    metric VARCHAR(20) NOT NULL CHECK (metric IN ('audio_minutes', 'tokens')),
+    threshold INTEGER NOT NULL,
+    usage_value NUMERIC NOT NULL,
+    limit_value NUMERIC NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_budget_alerts_once
+    ON ai_budget_alerts(scope, COALESCE(adviser_id, '00000000-0000-0000-0000-000000000000'::uuid), period, metric, threshold);
+
+-- Create trigger to automatically update updated_at timestamp
+CREATE TRIGGER update_ai_budgets_updated_at
+    BEFORE UPDATE ON ai_budgets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (all access goes through the backend service role)
+ALTER TABLE ai_budgets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_budget_alerts ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE ai_budgets IS 'Monthly audio-minute and token budgets, organisation-wide or per adviser';
+COMMENT ON COLUMN ai_budgets.on_exhausted IS 'refuse = reject new sessions/jobs, defer = schedule AI jobs for next month';
+COMMENT ON TABLE ai_budget_alerts IS 'Budget threshold alerts sent to admins';
+
+-- Usage totals for a period, organisation-wide or for one adviser
+CREATE OR REPLACE FUNCTION get_ai_usage_totals(
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_adviser_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    audio_seconds NUMERIC,
+    total_tokens BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        COALESCE(SUM(l.audio_seconds), 0),
+        COALESCE(SUM(l.total_tokens), 0)::BIGINT
+    FROM ai_usage_ledger l
+    WHERE l.created_at >= p_from AND l.created_at < p_to
+    AND (p_adviser_id IS NULL OR l.adviser_id = p_adviser_id);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION get_ai_usage_totals(TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, UUID) IS 'Audio seconds and tokens used in a period, optionally for one adviser';
+
+-- migrate:down
+DROP FUNCTION IF EXISTS get_ai_usage_totals(TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, UUID);
+DROP TABLE IF EXISTS ai_budget_alerts;
+DROP TABLE IF EXISTS ai_budgets;
@@ -0,0 +1,44 @@
+-- Create outbox table for messages sent out of the system (client report emails via Make.com)
+-- A message is written in the same transaction as the status changes that trigger it, together with
+-- the send_email job that delivers it; the job queue retries delivery until it is confirmed
+
+CREATE TABLE IF NOT EXISTS outbox (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    type VARCHAR(50) NOT NULL CHECK (type IN ('client_report_email')),
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+    job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    response JSONB,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox(status);
+CREATE INDEX IF NOT EXISTS idx_outbox_report_id ON outbox(report_id);
+
+-- At most one undelivered message per report and type, so a repeated export doesn't send twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_outbox_one_pending
+    ON outbox(report_id, type) WHERE status = 'pending';
+
+-- Create trigger to automatically update updated_at timestamp
+CREATE TRIGGER update_outbox_updated_at
+    BEFORE UPDATE ON outbox
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (all access goes through the backend service role)
+ALTER TABLE outbox ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE outbox IS 'Outgoing messages, written atomically with the change that triggers them and delivered by send_email jobs';
+COMMENT ON COLUMN outbox.status IS 'pending = waiting for (re)delivery, sent = delivery confirmed, failed = gave up after the last attempt';
+COMMENT ON COLUMN outbox.response IS 'Delivery confirmation from the provider (e.g. Make.com email_id)';
+
+-- migrate:down
+DROP TABLE IF EXISTS outbox;
@@ -0,0 +1,49 @@
+-- Create deliveries table: one row per attempt to send a client report email
+-- A row starts queued, becomes sent (or failed) when the send_email job hands it to the email transport,
+-- and then follows the status callbacks from the provider (delivered, opened, bounced)
+
+CREATE TABLE IF NOT EXISTS deliveries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    outbox_id UUID REFERENCES outbox(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    recipient VARCHAR(255),
+    transport VARCHAR(20),
+    message_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed', 'delivered', 'bounced', 'opened')),
+    error TEXT,
+    events JSONB NOT NULL DEFAULT '[]',
+    queued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    bounced_at TIMESTAMP WITH TIME ZONE,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_report_id ON deliveries(report_id);
+CREATE INDEX IF NOT EXISTS idx_deliveries_outbox_id ON deliveries(outbox_id);
+
+-- Status callbacks identify the email by the transport's message ID
+CREATE INDEX IF NOT EXISTS idx_deliveries_message_id ON deliveries(message_id) WHERE message_id IS NOT NULL;
+
+-- Create trigger to automatically update updated_at timestamp
+CREATE TRIGGER update_deliveries_updated_at
+    BEFORE UPDATE ON deliveries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (all access goes through the backend service role)
+ALTER TABLE deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE deliveries IS 'Client report email send attempts and their delivery status';
+COMMENT ON COLUMN deliveries.message_id IS 'Message ID returned by the email transport (SMTP Message-ID, Make.com email_id), used to match status callbacks';
+COMMENT ON COLUMN deliveries.status IS 'queued -> sent | failed, then delivered -> opened, or bounced';
+COMMENT ON COLUMN deliveries.events IS 'Status callbacks received for this email, oldest first';
+
+-- migrate:down
+DROP TABLE IF EXISTS deliveries;
@@ -0,0 +1,14 @@
+-- Client report emails can go to several recipients (to / cc / bcc) and be resent after the export
+-- Each send attempt now has one deliveries row per recipient, and records who asked for the send
+
+ALTER TABLE deliveries
+    ADD COLUMN IF NOT EXISTS recipient_type VARCHAR(3) NOT NULL DEFAULT 'to' CHECK (recipient_type IN ('to', 'cc', 'bcc')),
+    ADD COLUMN IF NOT EXISTS requested_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN deliveries.recipient_type IS 'How the recipient was addressed: to, cc or bcc';
+COMMENT ON COLUMN deliveries.requested_by IS 'User who exported or resent the report';
+
+-- migrate:down
+ALTER TABLE deliveries
+    DROP COLUMN IF EXISTS requested_by,
+    DROP COLUMN IF EXISTS recipient_type;
@@ -0,0 +1,16 @@
+-- Server-rendered PDF of a client report (headless Chrome, stored on Cloudinary)
+-- Each report version gets its own PDF; editing the content in place clears it so it is rendered again
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS pdf_url TEXT,
+    ADD COLUMN IF NOT EXISTS pdf_public_id VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS pdf_generated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN reports.pdf_url IS 'Cloudinary URL of the PDF rendered from this version when it was first sent';
+COMMENT ON COLUMN reports.pdf_public_id IS 'Cloudinary public_id of the PDF (raw resource)';
+
+-- migrate:down
+ALTER TABLE reports
+    DROP COLUMN IF EXISTS pdf_generated_at,
+    DROP COLUMN IF EXISTS pdf_public_id,
+    DROP COLUMN IF EXISTS pdf_url;
@@ -0,0 +1,74 @@
+-- Create report themes table for branded report documents (logo, colours, fonts, header/footer, disclaimer)
+-- One theme is the default; a client can use another one through clients.metadata.report_theme_id
+-- (e.g. clients of a partner programme). Exporting a report records the theme it was rendered with
+
+CREATE TABLE IF NOT EXISTS report_themes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    logo_url TEXT,
+    primary_color VARCHAR(7) NOT NULL DEFAULT '#000000' CHECK (primary_color ~ '^#[0-9a-fA-F]{6}$'),
+    accent_color VARCHAR(7) NOT NULL DEFAULT '#3b82f6' CHECK (accent_color ~ '^#[0-9a-fA-F]{6}$'),
+    text_color VARCHAR(7) NOT NULL DEFAULT '#333333' CHECK (text_color ~ '^#[0-9a-fA-F]{6}$'),
+    font_family VARCHAR(255),
+    header_text TEXT,
+    footer_text TEXT,
+    disclaimer TEXT,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_archived BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (NOT (is_default AND is_archived))
+);
+
+-- Only one default theme
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_themes_one_default
+    ON report_themes(is_default) WHERE is_default;
+
+-- Create trigger to automatically update updated_at timestamp
+CREATE TRIGGER update_report_themes_updated_at
+    BEFORE UPDATE ON report_themes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (all access goes through the backend service role)
+ALTER TABLE report_themes ENABLE ROW LEVEL SECURITY;
+
+-- Theme a report was exported with (NULL: not exported yet, or exported with the built-in look)
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS theme_id UUID REFERENCES report_themes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_theme_id ON reports(theme_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE report_themes IS 'Branding for rendered reports (HTML, PDF and email attachment)';
+COMMENT ON COLUMN report_themes.font_family IS 'CSS font stack; the PDF renderer falls back to the embedded Heebo font';
+COMMENT ON COLUMN report_themes.is_default IS 'Used for clients without their own theme';
+COMMENT ON COLUMN report_themes.is_archived IS 'Archived themes cannot be picked for new exports; reports already exported with them keep rendering with them';
+COMMENT ON COLUMN reports.theme_id IS 'Theme active for the client when the report was exported';
+
+-- Make one theme the default atomically
+CREATE OR REPLACE FUNCTION set_default_report_theme(p_theme_id UUID, p_user_id UUID)
+RETURNS SETOF report_themes AS $$
+BEGIN
+    UPDATE report_themes
+    SET is_default = false
+    WHERE is_default AND id <> p_theme_id;
+
+    UPDATE report_themes
+    SET is_default = true,
+        updated_by = p_user_id
+    WHERE id = p_theme_id AND NOT is_archived;
+
+    RETURN QUERY SELECT * FROM report_themes WHERE id = p_theme_id;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION set_default_report_theme(UUID, UUID) IS 'Makes one theme the default and clears the flag on the others in a single transaction';
+
+-- migrate:down
+DROP FUNCTION IF EXISTS set_default_report_theme(UUID, UUID);
+DROP INDEX IF EXISTS idx_reports_theme_id;
+ALTER TABLE reports DROP COLUMN IF EXISTS theme_id;
+DROP TABLE IF EXISTS report_themes;
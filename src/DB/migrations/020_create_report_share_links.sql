@@ -0,0 +1,49 @@
+-- Public share links for client report versions, and a log of every time one was opened
+-- Tokens are not stored: they are the link ID and expiry signed with SHARE_LINK_SECRET
+
+CREATE TABLE IF NOT EXISTS report_share_links (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    first_viewed_at TIMESTAMP WITH TIME ZONE,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_share_links_report_id ON report_share_links(report_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS report_share_views (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    share_link_id UUID NOT NULL REFERENCES report_share_links(id) ON DELETE CASCADE,
+    report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    viewed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ip_address VARCHAR(45),
+    user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_share_views_link ON report_share_views(share_link_id, viewed_at DESC);
+
+-- Create trigger to automatically update updated_at timestamp
+CREATE TRIGGER update_report_share_links_updated_at
+    BEFORE UPDATE ON report_share_links
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (all access goes through the backend service role)
+ALTER TABLE report_share_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_share_views ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE report_share_links IS 'Expiring, revocable public links to one client report version';
+COMMENT ON COLUMN report_share_links.view_count IS 'Times the link was opened (one report_share_views row each)';
+COMMENT ON TABLE report_share_views IS 'Access log of public report links';
+
+-- migrate:down
+DROP TABLE IF EXISTS report_share_views;
+DROP TABLE IF EXISTS report_share_links;
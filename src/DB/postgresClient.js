@@ -0,0 +1,724 @@
+// Supabase-compatible client over a plain pg pool
+// Implements the subset of the supabase-js query builder the services use (from/select/filters/
+// order/range/single/insert/update/upsert/delete/rpc, embedded resources via foreign keys), with
+// the same { data, error, count } results and PostgREST error codes, so the app can run against
+// a local Postgres without Supabase (DATABASE_PROVIDER=postgres)
+
+const JSON_TYPES = ['json', 'jsonb'];
+const FILTER_OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE'
+};
+
+/**
+ * Error in the shape supabase-js returns
+ */
+function createError(message, code = null, details = null, hint = null) {
+  return { message, code, details, hint };
+}
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Split on commas that are not inside parentheses or double quotes
+ * Inside quotes a backslash escapes the next character (PostgREST: "a\"b")
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let escaped = false;
+  let current = '';
+
+  for (const char of text) {
+    if (escaped) {
+      escaped = false;
+    } else if (quoted && char === '\\') {
+      escaped = true;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char === '(') {
+      depth++;
+    } else if (!quoted && char === ')') {
+      depth--;
+    }
+
+    if (depth < 0) break;
+
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (depth !== 0 || quoted) {
+    throw createError(`Failed to parse (${text}): unbalanced parentheses or quotes`, 'PGRST100');
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function unquote(value) {
+  return value.length >= 2 && value.startsWith('"') && value.endsWith('"')
+    ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+    : value;
+}
+
+/**
+ * Parse a PostgREST select string into columns and embedded resources
+ */
+function parseSelect(text) {
+  return splitTopLevel(text.replace(/\s+/g, ' ').trim() || '*').map(item => {
+    const embed = item.match(/^(?:(\w+)\s*:\s*)?(\w+)((?:!\w+)*)\s*\(([\s\S]*)\)$/);
+    if (embed) {
+      const modifiers = embed[3].split('!').filter(Boolean);
+      return {
+        type: 'embed',
+        alias: embed[1] || embed[2],
+        table: embed[2],
+        hint: modifiers.find(modifier => modifier !== 'inner' && modifier !== 'left') || null,
+        inner: modifiers.includes('inner'),
+        items: parseSelect(embed[4])
+      };
+    }
+
+    if (item === '*') return { type: 'star' };
+    if (item === 'count') return { type: 'count' };
+
+    const column = item.match(/^(?:(\w+)\s*:\s*)?([\w>-]+)(?:::(\w+))?$/);
+    if (!column) {
+      throw createError(`Failed to parse select parameter (${item})`, 'PGRST100');
+    }
+
+    const path = column[2].split(/->>?/);
+    return {
+      type: 'column',
+      alias: column[1] || path[path.length - 1],
+      path: column[2],
+      cast: column[3] || null
+    };
+  });
+}
+
+/**
+ * Serialize a value for a column of the given type
+ */
+function serializeValue(value, dataType) {
+  if (value === null || value === undefined) return null;
+  if (JSON_TYPES.includes(dataType)) return JSON.stringify(value);
+  if (value instanceof Date || Array.isArray(value)) return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Value from a filter string ("null", quoted strings, lists)
+ */
+function parseFilterValue(operator, raw) {
+  if (operator === 'in') {
+    return splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(unquote);
+  }
+  if (operator === 'like' || operator === 'ilike') {
+    return unquote(raw).replace(/\*/g, '%');
+  }
+  return unquote(raw);
+}
+
+class QueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.selectItems = null;
+    this.countOption = null;
+    this.head = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.singleMode = null;
+    this.values = null;
+    this.upsertOptions = null;
+    this.parseError = null;
+  }
+
+  // Query shape
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    try {
+      this.selectItems = parseSelect(columns);
+    } catch (error) {
+      this.parseError = error;
+    }
+    this.countOption = count;
+    this.head = head;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.upsertOptions = { onConflict, ignoreDuplicates };
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // Filters
+
+  addFilter(column, operator, value, negate = false) {
+    this.filters.push({ kind: 'filter', column, operator, value, negate });
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  like(column, pattern) { return this.addFilter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.addFilter(column, 'ilike', pattern); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+
+  not(column, operator, value) {
+    return this.addFilter(column, operator, typeof value === 'string' && operator === 'in' ? parseFilterValue(operator, value) : value, true);
+  }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(conditions) {
+    this.filters.push({ kind: 'or', conditions });
+    return this;
+  }
+
+  // Modifiers
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  // SQL building
+
+  async execute() {
+    try {
+      if (this.parseError) throw this.parseError;
+
+      const schema = await this.client.getSchema();
+      if (!schema.columns[this.table]) {
+        throw createError(`relation "public.${this.table}" does not exist`, '42P01');
+      }
+
+      const context = { schema, params: [], aliasCounter: 0 };
+      const result = this.action === 'select'
+        ? await this.executeSelect(context)
+        : await this.executeMutation(context);
+
+      return this.applySingle(result);
+
+    } catch (error) {
+      return {
+        data: null,
+        error: error instanceof Error
+          ? createError(error.message, error.code || null, error.detail || null, error.hint || null)
+          : error,
+        count: null,
+        status: 400,
+        statusText: 'Bad Request'
+      };
+    }
+  }
+
+  async executeSelect(context) {
+    const items = this.selectItems || parseSelect('*');
+    const { list, conditions } = this.buildSelectList(context, this.table, 't0', items);
+    const where = this.buildWhere(context, this.table, 't0', conditions);
+
+    let count = null;
+    if (this.countOption) {
+      const countResult = await this.client.query(
+        `SELECT COUNT(*)::int AS count FROM ${quoteIdent(this.table)} t0${where}`,
+        context.params
+      );
+      count = countResult.rows[0].count;
+    }
+
+    if (this.head) {
+      return { data: null, count };
+    }
+
+    const orderBy = this.orders.length > 0
+      ? ` ORDER BY ${this.orders.map(order => `${this.columnExpression(context, this.table, 't0', order.column)} ${order.ascending ? 'ASC' : 'DESC'}${order.nullsFirst === undefined ? '' : order.nullsFirst ? ' NULLS FIRST' : ' NULLS LAST'}`).join(', ')}`
+      : '';
+    const limit = this.limitCount !== null ? ` LIMIT ${parseInt(this.limitCount)}` : '';
+    const offset = this.offsetCount !== null ? ` OFFSET ${parseInt(this.offsetCount)}` : '';
+
+    const sql = `SELECT row_to_json(_r) AS row FROM (SELECT ${list} FROM ${quoteIdent(this.table)} t0${where}${orderBy}${limit}${offset}) _r`;
+    const { rows } = await this.client.query(sql, context.params);
+
+    return { data: rows.map(row => row.row), count };
+  }
+
+  async executeMutation(context) {
+    const columns = context.schema.columns[this.table];
+    let statement;
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      if (this.values.length === 0) {
+        return { data: [], count: null };
+      }
+
+      const insertColumns = [...new Set(this.values.flatMap(row => Object.keys(row).filter(key => row[key] !== undefined)))];
+      this.assertColumns(insertColumns, columns);
+
+      const rows = this.values.map(row => `(${insertColumns.map(column => {
+        if (row[column] === undefined) return 'DEFAULT';
+        context.params.push(serializeValue(row[column], columns[column]));
+        return `$${context.params.length}`;
+      }).join(', ')})`);
+
+      statement = `INSERT INTO ${quoteIdent(this.table)} AS t0 (${insertColumns.map(quoteIdent).join(', ')}) VALUES ${rows.join(', ')}`;
+
+      if (this.action === 'upsert') {
+        const conflictColumns = this.upsertOptions.onConflict
+          ? this.upsertOptions.onConflict.split(',').map(column => column.trim())
+          : context.schema.primaryKeys[this.table] || ['id'];
+        const updates = insertColumns.filter(column => !conflictColumns.includes(column));
+
+        statement += ` ON CONFLICT (${conflictColumns.map(quoteIdent).join(', ')}) ` + (this.upsertOptions.ignoreDuplicates || updates.length === 0
+          ? 'DO NOTHING'
+          : `DO UPDATE SET ${updates.map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`).join(', ')}`);
+      }
+
+    } else if (this.action === 'update') {
+      const updateColumns = Object.keys(this.values).filter(key => this.values[key] !== undefined);
+      this.assertColumns(updateColumns, columns);
+
+      const assignments = updateColumns.map(column => {
+        context.params.push(serializeValue(this.values[column], columns[column]));
+        return `${quoteIdent(column)} = $${context.params.length}`;
+      });
+
+      statement = `UPDATE ${quoteIdent(this.table)} AS t0 SET ${assignments.join(', ')}${this.buildWhere(context, this.table, 't0', [])}`;
+
+    } else {
+      statement = `DELETE FROM ${quoteIdent(this.table)} AS t0${this.buildWhere(context, this.table, 't0', [])}`;
+    }
+
+    if (!this.selectItems) {
+      const result = await this.client.query(statement, context.params);
+      return { data: null, count: this.countOption ? result.rowCount : null };
+    }
+
+    const { list } = this.buildSelectList(context, this.table, 't0', this.selectItems);
+    const sql = `WITH _w AS (${statement} RETURNING t0.*) SELECT row_to_json(_r) AS row FROM (SELECT ${list} FROM _w t0) _r`;
+    const { rows } = await this.client.query(sql, context.params);
+
+    return { data: rows.map(row => row.row), count: this.countOption ? rows.length : null };
+  }
+
+  applySingle({ data, count }) {
+    if (this.singleMode && Array.isArray(data)) {
+      if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+        return {
+          data: null,
+          error: createError(
+            'JSON object requested, multiple (or no) rows returned',
+            'PGRST116',
+            `The result contains ${data.length} rows`
+          ),
+          count,
+          status: 406,
+          statusText: 'Not Acceptable'
+        };
+      }
+      data = data[0] || null;
+    }
+
+    return { data, error: null, count, status: 200, statusText: 'OK' };
+  }
+
+  assertColumns(names, columns) {
+    const unknown = names.find(name => !columns[name]);
+    if (unknown) {
+      throw createError(`Could not find the '${unknown}' column of '${this.table}' in the schema cache`, 'PGRST204');
+    }
+  }
+
+  /**
+   * Column reference, including json paths (metadata->>business_domain)
+   */
+  columnExpression(context, table, alias, path) {
+    const [column, ...keys] = path.split(/(->>?)/);
+    if (!context.schema.columns[table][column]) {
+      throw createError(`column ${table}.${column} does not exist`, '42703');
+    }
+
+    let expression = `${alias}.${quoteIdent(column)}`;
+    for (let i = 0; i < keys.length; i += 2) {
+      expression += `${keys[i]}${quoteLiteral(keys[i + 1])}`;
+    }
+    return expression;
+  }
+
+  /**
+   * Select list for a table; embedded resources become correlated json subqueries
+   * @returns {Object} { list, conditions } - conditions are EXISTS checks for !inner embeds
+   */
+  buildSelectList(context, table, alias, items) {
+    const conditions = [];
+
+    const list = items.map(item => {
+      if (item.type === 'star') return `${alias}.*`;
+      if (item.type === 'count') return 'COUNT(*)::int AS count';
+
+      if (item.type === 'column') {
+        const expression = this.columnExpression(context, table, alias, item.path);
+        return `${item.cast ? `${expression}::${item.cast}` : expression} AS ${quoteIdent(item.alias)}`;
+      }
+
+      const relation = this.client.findRelation(context.schema, table, item.table, item.hint);
+      const embedAlias = `t${++context.aliasCounter}`;
+      const join = relation.direction === 'to-one'
+        ? `${embedAlias}.${quoteIdent(relation.foreignColumn)} = ${alias}.${quoteIdent(relation.column)}`
+        : `${embedAlias}.${quoteIdent(relation.column)} = ${alias}.${quoteIdent(relation.foreignColumn)}`;
+      const nested = this.buildSelectList(context, item.table, embedAlias, item.items);
+      const nestedWhere = [join, ...nested.conditions].join(' AND ');
+      const subquery = `SELECT ${nested.list} FROM ${quoteIdent(item.table)} ${embedAlias} WHERE ${nestedWhere}`;
+
+      if (item.inner) {
+        conditions.push(`EXISTS (SELECT 1 FROM ${quoteIdent(item.table)} ${embedAlias} WHERE ${nestedWhere})`);
+      }
+
+      return relation.direction === 'to-one'
+        ? `(SELECT row_to_json(_e) FROM (${subquery} LIMIT 1) _e) AS ${quoteIdent(item.alias)}`
+        : `COALESCE((SELECT json_agg(row_to_json(_e)) FROM (${subquery}) _e), '[]'::json) AS ${quoteIdent(item.alias)}`;
+    }).join(', ');
+
+    return { list, conditions };
+  }
+
+  buildWhere(context, table, alias, extraConditions) {
+    const conditions = [
+      ...this.filters.map(filter => filter.kind === 'or'
+        ? this.buildOrCondition(context, table, alias, filter.conditions)
+        : this.buildCondition(context, table, alias, filter)),
+      ...extraConditions
+    ];
+
+    return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  }
+
+  buildCondition(context, table, alias, { column, operator, value, negate }) {
+    const expression = this.columnExpression(context, table, alias, column);
+    let condition;
+
+    if (operator === 'is') {
+      const literal = value === null || value === 'null' ? 'NULL' : value === true || value === 'true' ? 'TRUE' : 'FALSE';
+      condition = `${expression} IS ${literal}`;
+    } else if (operator === 'in') {
+      context.params.push(value.map(item => serializeValue(item)));
+      condition = `${expression} = ANY($${context.params.length})`;
+    } else if (FILTER_OPERATORS[operator]) {
+      context.params.push(value instanceof Date ? value.toISOString() : serializeValue(value));
+      condition = `${expression} ${FILTER_OPERATORS[operator]} $${context.params.length}`;
+    } else {
+      throw createError(`Unsupported filter operator: ${operator}`, 'PGRST100');
+    }
+
+    return negate ? `NOT (${condition})` : condition;
+  }
+
+  /**
+   * PostgREST logic tree: "name.ilike.%x%,and(status.eq.draft,type.eq.client)"
+   */
+  buildOrCondition(context, table, alias, conditions, joiner = 'OR') {
+    const parts = splitTopLevel(conditions).map(part => {
+      const group = part.match(/^(not\.)?(and|or)\(([\s\S]*)\)$/);
+      if (group) {
+        const nested = this.buildOrCondition(context, table, alias, group[3], group[2].toUpperCase());
+        return group[1] ? `NOT ${nested}` : nested;
+      }
+
+      const [column, ...rest] = part.split('.');
+      const negate = rest[0] === 'not';
+      const [operator, ...valueParts] = negate ? rest.slice(1) : rest;
+      if (!column || !operator) {
+        throw createError(`Failed to parse logic tree (${part})`, 'PGRST100');
+      }
+
+      const raw = valueParts.join('.');
+      const value = operator === 'is' ? raw : parseFilterValue(operator, raw);
+      return this.buildCondition(context, table, alias, { column, operator, value, negate });
+    });
+
+    return `(${parts.join(` ${joiner} `)})`;
+  }
+}
+
+class RpcRequest {
+  constructor(client, name, params) {
+    this.client = client;
+    this.name = name;
+    this.params = params || {};
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  async execute() {
+    try {
+      const fn = await this.client.getFunction(this.name);
+      const params = [];
+      const args = Object.entries(this.params).map(([name, value]) => {
+        params.push(serializeValue(value, fn.argumentTypes[name]));
+        return `${quoteIdent(name)} => $${params.length}`;
+      }).join(', ');
+      const call = `${quoteIdent(this.name)}(${args})`;
+
+      let data;
+      if (fn.returnsSet || fn.returnsComposite) {
+        const { rows } = await this.client.query(`SELECT row_to_json(_r) AS row FROM ${call} _r`, params);
+        data = rows.map(row => row.row);
+        if (!fn.returnsSet) data = data[0] || null;
+      } else if (fn.returnsVoid) {
+        await this.client.query(`SELECT ${call}`, params);
+        data = null;
+      } else {
+        const { rows } = await this.client.query(`SELECT to_json(${call}) AS value`, params);
+        data = rows[0].value;
+      }
+
+      return { data, error: null, status: 200, statusText: 'OK' };
+
+    } catch (error) {
+      return {
+        data: null,
+        error: error instanceof Error
+          ? createError(error.message, error.code || null, error.detail || null, error.hint || null)
+          : error,
+        status: 400,
+        statusText: 'Bad Request'
+      };
+    }
+  }
+}
+
+class PostgresClient {
+  /**
+   * @param {Object} db - pg Pool (or a checked-out client inside a transaction)
+   */
+  constructor(db) {
+    this.db = db;
+    this.schemaPromise = null;
+    this.functions = new Map();
+  }
+
+  from(table) {
+    return new QueryBuilder(this, table);
+  }
+
+  rpc(name, params = {}) {
+    return new RpcRequest(this, name, params);
+  }
+
+  query(sql, params) {
+    return this.db.query(sql, params);
+  }
+
+  /**
+   * Forget cached table/function metadata (call after running migrations)
+   */
+  reloadSchema() {
+    this.schemaPromise = null;
+    this.functions.clear();
+  }
+
+  /**
+   * Columns, primary keys and foreign keys of the public schema (cached)
+   */
+  getSchema() {
+    if (!this.schemaPromise) {
+      this.schemaPromise = this.loadSchema().catch(error => {
+        this.schemaPromise = null;
+        throw error;
+      });
+    }
+    return this.schemaPromise;
+  }
+
+  async loadSchema() {
+    const [columns, primaryKeys, foreignKeys] = await Promise.all([
+      this.db.query(`
+        SELECT table_name, column_name, data_type
+        FROM information_schema.columns
+        WHERE table_schema = 'public'
+      `),
+      this.db.query(`
+        SELECT tbl.relname AS table_name, att.attname AS column_name
+        FROM pg_index idx
+        JOIN pg_class tbl ON tbl.oid = idx.indrelid
+        JOIN pg_namespace ns ON ns.oid = tbl.relnamespace
+        JOIN pg_attribute att ON att.attrelid = idx.indrelid AND att.attnum = ANY(idx.indkey)
+        WHERE idx.indisprimary AND ns.nspname = 'public'
+      `),
+      this.db.query(`
+        SELECT con.conname AS name, src.relname AS table_name, src_att.attname AS column_name,
+               tgt.relname AS foreign_table, tgt_att.attname AS foreign_column
+        FROM pg_constraint con
+        JOIN pg_class src ON src.oid = con.conrelid
+        JOIN pg_class tgt ON tgt.oid = con.confrelid
+        JOIN pg_namespace ns ON ns.oid = src.relnamespace
+        JOIN pg_attribute src_att ON src_att.attrelid = con.conrelid AND src_att.attnum = con.conkey[1]
+        JOIN pg_attribute tgt_att ON tgt_att.attrelid = con.confrelid AND tgt_att.attnum = con.confkey[1]
+        WHERE con.contype = 'f' AND ns.nspname = 'public'
+      `)
+    ]);
+
+    const schema = { columns: {}, primaryKeys: {}, foreignKeys: foreignKeys.rows };
+
+    for (const row of columns.rows) {
+      schema.columns[row.table_name] = schema.columns[row.table_name] || {};
+      schema.columns[row.table_name][row.column_name] = row.data_type;
+    }
+    for (const row of primaryKeys.rows) {
+      schema.primaryKeys[row.table_name] = schema.primaryKeys[row.table_name] || [];
+      schema.primaryKeys[row.table_name].push(row.column_name);
+    }
+
+    return schema;
+  }
+
+  /**
+   * Foreign key linking two tables for an embedded resource
+   * @param {String} hint - Constraint or column name (users!ai_budgets_adviser_id_fkey)
+   */
+  findRelation(schema, table, target, hint) {
+    const candidates = schema.foreignKeys
+      .flatMap(fk => {
+        const matches = [];
+        if (fk.table_name === table && fk.foreign_table === target) {
+          matches.push({ ...fk, direction: 'to-one', column: fk.column_name, foreignColumn: fk.foreign_column });
+        }
+        if (fk.table_name === target && fk.foreign_table === table && fk.table_name !== fk.foreign_table) {
+          matches.push({ ...fk, direction: 'to-many', column: fk.column_name, foreignColumn: fk.foreign_column });
+        }
+        return matches;
+      })
+      .filter(relation => !hint || relation.name === hint || relation.column_name === hint);
+
+    if (candidates.length === 0) {
+      throw createError(`Could not find a relationship between '${table}' and '${target}' in the schema cache`, 'PGRST200');
+    }
+    if (candidates.length > 1) {
+      throw createError(
+        `Could not embed because more than one relationship was found for '${table}' and '${target}'`,
+        'PGRST201',
+        candidates.map(relation => relation.name).join(', ')
+      );
+    }
+
+    return candidates[0];
+  }
+
+  /**
+   * Return type and argument types of a database function (cached)
+   */
+  async getFunction(name) {
+    if (!this.functions.has(name)) {
+      const { rows } = await this.db.query(`
+        SELECT p.proretset AS returns_set,
+               t.typtype = 'c' AS returns_composite,
+               t.typname = 'void' AS returns_void,
+               p.proargnames AS argument_names,
+               ARRAY(SELECT format_type(unnest(p.proargtypes), NULL)) AS argument_types
+        FROM pg_proc p
+        JOIN pg_type t ON t.oid = p.prorettype
+        JOIN pg_namespace ns ON ns.oid = p.pronamespace
+        WHERE ns.nspname = 'public' AND p.proname = $1
+        LIMIT 1
+      `, [name]);
+
+      if (rows.length === 0) {
+        throw createError(`Could not find the function public.${name} in the schema cache`, 'PGRST202');
+      }
+
+      const argumentTypes = {};
+      (rows[0].argument_names || []).forEach((argument, index) => {
+        argumentTypes[argument] = rows[0].argument_types[index];
+      });
+
+      this.functions.set(name, {
+        returnsSet: rows[0].returns_set,
+        returnsComposite: rows[0].returns_composite,
+        returnsVoid: rows[0].returns_void,
+        argumentTypes
+      });
+    }
+
+    return this.functions.get(name);
+  }
+}
+
+module.exports = PostgresClient;
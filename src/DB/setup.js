@@ -3,12 +3,13 @@ require('dotenv').config();
 
 const { testConnection, supabase, supabaseAdmin } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const MigrationRunner = require('./migrationRunner');
 
 /**
- * Simple database setup for Supabase
- * This script will create sample data and test the connection
+ * Database setup: apply pending migrations, then check the core tables
+ * @param {Object} options - { migrate: false to only test the connection and tables }
  */
-async function setupDatabase() {
+async function setupDatabase({ migrate = true } = {}) {
   try {
     console.log('🔄 Setting up database...');
 
@@ -19,39 +20,46 @@ async function setupDatabase() {
       throw new Error('Database connection failed');
     }
 
-    console.log('✅ Database connection successful');
+    if (migrate) {
+      await new MigrationRunner().up();
+    }
 
     // Check if tables exist by trying to query them
     const tablesExist = await checkTablesExist();
     
     if (!tablesExist) {
-      console.log('📋 Tables not found. Please create them first.');
+      console.log('📋 Tables not found. Run "npm run db:migrate" to apply src/DB/migrations/');
       return false;
     }
 
     console.log('✅ Database setup completed successfully');
-    console.log('\n📋 Next steps:');
-    console.log('1. Go to your Supabase dashboard → SQL Editor');
-    console.log('2. Execute the SQL files in src/DB/migrations/ in order');
-    console.log('3. Run "npm run db:seed" to add sample data');
-
     return true;
 
   } catch (error) {
     console.error('❌ Database setup failed:', error.message);
-    
-    if (error.message.includes('relation') && error.message.includes('does not exist')) {
-      console.log('\n📋 Tables not found. Please:');
-      console.log('1. Go to your Supabase dashboard → SQL Editor');
-      console.log('2. Execute the SQL files in src/DB/migrations/ in order:');
-      console.log('   - 001_create_users_table.sql');
-      console.log('   - 002_create_clients_table.sql');
-      console.log('   - 003_create_sessions_table.sql');
-      console.log('   - 004_create_reports_table.sql');
-      console.log('   - 005_create_report_versions_view.sql');
-      console.log('   - 006_create_jobs_table.sql');
+    throw error;
+  }
+}
+
+/**
+ * Run a migration command (status, up, down, baseline)
+ */
+async function runMigrationCommand(command, arg) {
+  try {
+    const runner = new MigrationRunner();
+
+    switch (command) {
+      case 'status':
+        return await runner.status();
+      case 'up':
+        return await runner.up({ to: arg || null });
+      case 'down':
+        return await runner.down({ steps: parseInt(arg) || 1 });
+      case 'baseline':
+        return await runner.baseline(arg);
     }
-    
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
     throw error;
   }
 }
@@ -177,6 +185,7 @@ async function seedDatabase() {
 // CLI interface
 if (require.main === module) {
   const command = process.argv[2];
+  const arg = process.argv[3];
 
   switch (command) {
     case 'init':
@@ -193,21 +202,36 @@ if (require.main === module) {
       break;
     
     case 'check':
-      setupDatabase()
+      setupDatabase({ migrate: false })
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+      break;
+
+    case 'migrate':
+    case 'migrate:status':
+    case 'migrate:down':
+    case 'migrate:baseline':
+      runMigrationCommand(command.split(':')[1] || 'up', arg)
         .then(() => process.exit(0))
         .catch(() => process.exit(1));
       break;
     
     default:
-      console.log('Usage: node setup.js [init|seed|check]');
-      console.log('  init  - Test connection and check tables');
-      console.log('  seed  - Test connection and seed with sample data');
-      console.log('  check - Test connection only');
+      console.log('Usage: node setup.js [init|seed|check|migrate|migrate:status|migrate:down|migrate:baseline]');
+      console.log('  init                       - Apply pending migrations and check tables');
+      console.log('  seed                       - Init and seed with sample data');
+      console.log('  check                      - Test connection and check tables only');
+      console.log('  migrate [version]          - Apply pending migrations (up to version)');
+      console.log('  migrate:status             - Show applied, pending and edited migrations');
+      console.log('  migrate:down [steps]       - Roll back the last migration (or the last N)');
+      console.log('  migrate:baseline <version> - Mark migrations up to version as applied without running them');
+      console.log('                               (databases set up by hand in the Supabase SQL editor)');
       process.exit(1);
   }
 }
 
 module.exports = {
   setupDatabase,
-  seedDatabase
+  seedDatabase,
+  runMigrationCommand
 };
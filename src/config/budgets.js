@@ -0,0 +1,30 @@
+const parseLimit = (value) => {
+  const limit = parseFloat(value);
+  return Number.isFinite(limit) && limit > 0 ? limit : null; // null = unlimited
+};
+
+// Monthly AI budgets (calendar month, UTC)
+// These are the defaults; admins can override them per adviser or organisation-wide through /api/budgets
+const budgetConfig = {
+  organization: {
+    audioMinutes: parseLimit(process.env.BUDGET_ORG_AUDIO_MINUTES),
+    tokens: parseLimit(process.env.BUDGET_ORG_TOKENS)
+  },
+
+  adviser: {
+    audioMinutes: parseLimit(process.env.BUDGET_ADVISER_AUDIO_MINUTES),
+    tokens: parseLimit(process.env.BUDGET_ADVISER_TOKENS)
+  },
+
+  // 'refuse' rejects new sessions and jobs; 'defer' schedules jobs for the start of next month
+  onExhausted: process.env.BUDGET_ON_EXHAUSTED === 'defer' ? 'defer' : 'refuse',
+
+  // Usage percentages that trigger an admin alert (once per budget, metric and month)
+  alertThresholds: (process.env.BUDGET_ALERT_THRESHOLDS || '80,100')
+    .split(',')
+    .map(value => parseInt(value.trim()))
+    .filter(value => value > 0)
+    .sort((a, b) => a - b)
+};
+
+module.exports = budgetConfig;
@@ -0,0 +1,36 @@
+const path = require('path');
+
+// Email delivery configuration
+// EMAIL_TRANSPORT picks how mail leaves the system:
+//   make    - the Make.com webhooks compose and send the email (default, the original setup)
+//   smtp    - rendered here from our templates and sent through an SMTP server
+//   capture - rendered and written to disk instead of being sent (development and tests)
+const emailConfig = {
+  transport: process.env.EMAIL_TRANSPORT || 'make',
+
+  from: process.env.EMAIL_FROM || 'MATI JLM <no-reply@mati-jlm.org.il>',
+  replyTo: process.env.EMAIL_REPLY_TO || null,
+
+  // Templates exist in 'he' and 'en'; client reports follow the session language
+  defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || 'he',
+
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5000',
+
+  smtp: {
+    host: process.env.SMTP_HOST || null,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465, false uses STARTTLS when offered
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    timeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS) || 30000
+  },
+
+  // Shared secret the provider sends in x-webhook-secret with delivery status callbacks
+  webhookSecret: process.env.EMAIL_WEBHOOK_SECRET || null,
+
+  capture: {
+    dir: process.env.EMAIL_CAPTURE_DIR || path.join(process.cwd(), 'temp', 'emails')
+  }
+};
+
+module.exports = emailConfig;
@@ -0,0 +1,51 @@
+const path = require('path');
+
+const defaultModel = process.env.LLM_MODEL || 'gpt-4o-mini';
+
+// Chat-completion provider configuration for report generation
+// LLM_PROVIDER picks the provider; models are set per purpose so report types can be compared without code changes
+const llmConfig = {
+  defaultProvider: process.env.LLM_PROVIDER || 'openai',
+
+  // Generate reports in structured-output (json_schema) mode - disable for servers that only support json_object
+  structuredOutputs: process.env.LLM_STRUCTURED_OUTPUTS !== 'false',
+  reportRepairAttempts: parseInt(process.env.LLM_REPORT_REPAIR_ATTEMPTS) || 2,
+
+  // Model per purpose (on Azure these are deployment names)
+  models: {
+    advisor: process.env.LLM_MODEL_ADVISOR || defaultModel,
+    client: process.env.LLM_MODEL_CLIENT || defaultModel,
+    chunk_summary: process.env.LLM_MODEL_CHUNK_SUMMARY || defaultModel,
+    diarization: process.env.LLM_MODEL_DIARIZATION || defaultModel
+  },
+
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined // e.g. the local stub server (npm run stub:openai)
+  },
+
+  azure: {
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+  },
+
+  // Any server exposing the OpenAI chat completions API (Ollama, vLLM, LM Studio...)
+  openaiCompatible: {
+    baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY || 'not-needed'
+  },
+
+  // Replays recorded responses; set LLM_FIXTURE_RECORD_FROM to record missing ones from a real provider
+  fixture: {
+    fixturesDir: process.env.LLM_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'llm'),
+    recordFrom: process.env.LLM_FIXTURE_RECORD_FROM || null
+  }
+};
+
+/**
+ * Get the configured model for a purpose (advisor, client, chunk_summary, diarization)
+ */
+llmConfig.getModel = (purpose) => llmConfig.models[purpose] || defaultModel;
+
+module.exports = llmConfig;
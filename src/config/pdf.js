@@ -0,0 +1,16 @@
+// PDF rendering of client reports with a local headless Chrome / Chromium
+// Disabled (reports use the PDF uploaded by the browser on export) until CHROME_PATH points to a browser binary,
+// e.g. /usr/bin/chromium or a chrome-headless-shell download
+const pdfConfig = {
+  chromePath: process.env.CHROME_PATH || null,
+  // Chrome's sandbox does not work when running as root (most containers)
+  noSandbox: process.env.CHROME_NO_SANDBOX === 'true',
+  timeoutMs: parseInt(process.env.PDF_RENDER_TIMEOUT_MS) || 60000,
+  // Browsers running at once in this process, and renders allowed to wait for one (more are refused as busy)
+  maxConcurrentRenders: parseInt(process.env.PDF_MAX_CONCURRENT_RENDERS) || 1,
+  maxQueuedRenders: parseInt(process.env.PDF_MAX_QUEUED_RENDERS) || 4,
+  pageSize: process.env.PDF_PAGE_SIZE || 'A4',
+  pageMargin: '15mm'
+};
+
+module.exports = pdfConfig;
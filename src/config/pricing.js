@@ -0,0 +1,58 @@
+// AI pricing used to cost the usage ledger (USD)
+// Chat models are priced per 1M tokens, transcription models per audio minute.
+// Costs are computed when a call is recorded, so price changes only affect new ledger rows.
+// AI_PRICING_JSON overrides or extends the table, e.g. {"chat":{"my-model":{"input":1,"output":2}}}
+const defaultPricing = {
+  chat: {
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+    'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+    'gpt-4.1': { input: 2.00, output: 8.00 },
+    'gpt-4-turbo': { input: 10.00, output: 30.00 },
+    'gpt-3.5-turbo': { input: 0.50, output: 1.50 }
+  },
+  transcription: {
+    'whisper-1': { perMinute: 0.006 },
+    'gpt-4o-transcribe': { perMinute: 0.006 },
+    'gpt-4o-mini-transcribe': { perMinute: 0.003 }
+  },
+  // Providers that run on our own hardware cost nothing per call
+  freeProviders: ['local', 'fixture']
+};
+
+const parseOverrides = () => {
+  if (!process.env.AI_PRICING_JSON) return {};
+
+  try {
+    return JSON.parse(process.env.AI_PRICING_JSON);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring invalid AI_PRICING_JSON: ${error.message}`);
+    return {};
+  }
+};
+
+const overrides = parseOverrides();
+
+const pricingConfig = {
+  chat: { ...defaultPricing.chat, ...overrides.chat },
+  transcription: { ...defaultPricing.transcription, ...overrides.transcription },
+  freeProviders: overrides.freeProviders || defaultPricing.freeProviders
+};
+
+/**
+ * Find the price entry for a model
+ * Dated snapshots (gpt-4o-2024-08-06) use the price of their base model - longest matching prefix wins
+ */
+pricingConfig.findPrice = (table, model) => {
+  if (!model) return null;
+  if (table[model]) return table[model];
+
+  const base = Object.keys(table)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return base ? table[base] : null;
+};
+
+module.exports = pricingConfig;
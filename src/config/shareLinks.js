@@ -0,0 +1,23 @@
+const authConfig = require('./auth');
+
+// Public share links for client reports (GET /share/:token)
+// A token is the link ID and expiry signed with HMAC-SHA256; the database row makes it revocable
+const shareLinkConfig = {
+  // Signing key, separate from the JWT secret; rotating it invalidates every link
+  secret: process.env.SHARE_LINK_SECRET || null,
+
+  // Origin the links point at (the backend also serves the frontend)
+  baseUrl: process.env.SHARE_LINK_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:5000',
+
+  defaultExpiryDays: parseInt(process.env.SHARE_LINK_EXPIRY_DAYS) || 30,
+  maxExpiryDays: parseInt(process.env.SHARE_LINK_MAX_EXPIRY_DAYS) || 90
+};
+
+if (!shareLinkConfig.secret) {
+  console.warn('⚠️ SHARE_LINK_SECRET not set - public report share links are disabled');
+} else if (shareLinkConfig.secret === authConfig.jwt.secret) {
+  console.warn('⚠️ SHARE_LINK_SECRET must differ from JWT_SECRET - public report share links are disabled');
+  shareLinkConfig.secret = null;
+}
+
+module.exports = shareLinkConfig;
@@ -0,0 +1,31 @@
+const path = require('path');
+
+// Transcription provider configuration
+// TRANSCRIPTION_PROVIDER picks the deployment default; a client can override it (metadata.transcription_provider)
+// and a session can override both (transcription_provider on upload, copied into the transcribe job)
+const transcriptionConfig = {
+  defaultProvider: process.env.TRANSCRIPTION_PROVIDER || 'openai',
+
+  openai: {
+    model: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+    baseURL: process.env.OPENAI_BASE_URL || undefined, // e.g. the local stub server (npm run stub:openai)
+    chunkThresholdMB: 5, // Chunk anything bigger to prevent OOM crashes
+    maxFileSizeMB: 25 // OpenAI's upload limit
+  },
+
+  // Local engine - audio never leaves this server
+  local: {
+    engine: process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp', // 'whisper.cpp' or 'faster-whisper'
+    binaryPath: process.env.LOCAL_WHISPER_BIN || null, // Defaults per engine (whisper-cli / whisper-ctranslate2)
+    model: process.env.LOCAL_WHISPER_MODEL || null, // whisper.cpp: path to ggml model, faster-whisper: model name
+    threads: parseInt(process.env.LOCAL_WHISPER_THREADS) || 4,
+    timeoutMs: parseInt(process.env.LOCAL_WHISPER_TIMEOUT_MS) || 60 * 60 * 1000
+  },
+
+  // Deterministic output for development and tests
+  fixture: {
+    fixturesDir: process.env.TRANSCRIPTION_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'transcription')
+  }
+};
+
+module.exports = transcriptionConfig;
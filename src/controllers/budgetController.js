@@ -0,0 +1,113 @@
+const BudgetService = require('../services/budgetService');
+const budgetConfig = require('../config/budgets');
+
+/**
+ * Map budget service errors onto HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('Invalid')) return 400;
+  return 500;
+};
+
+class BudgetController {
+  /**
+   * List budget overrides with the defaults they override
+   */
+  static async listBudgets(req, res) {
+    try {
+      const [budgets, status] = await Promise.all([
+        BudgetService.listBudgets(),
+        BudgetService.getBudgetStatus()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          budgets,
+          defaults: budgetConfig,
+          organization: status.organization
+        }
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Budget usage this month for the organisation and an adviser
+   */
+  static async getBudgetStatus(req, res) {
+    try {
+      const adviserId = req.user.role === 'admin' ? req.query.adviser_id || null : req.user.id;
+
+      const status = await BudgetService.getBudgetStatus(adviserId);
+
+      res.json({
+        success: true,
+        data: status
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create or replace a budget
+   */
+  static async setBudget(req, res) {
+    try {
+      const { scope, adviser_id, audio_minutes_limit, tokens_limit, on_exhausted } = req.body;
+
+      const budget = await BudgetService.setBudget({
+        scope,
+        adviser_id: adviser_id || null,
+        audio_minutes_limit: audio_minutes_limit ?? null,
+        tokens_limit: tokens_limit ?? null,
+        on_exhausted: on_exhausted || 'refuse'
+      }, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Budget saved',
+        data: { budget }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a budget override
+   */
+  static async deleteBudget(req, res) {
+    try {
+      await BudgetService.deleteBudget(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Budget removed'
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = BudgetController;
@@ -118,6 +118,66 @@ class ClientController {
     }
   }
 
+  /**
+   * Set the default CC/BCC recipients for the client's report emails
+   */
+  static async updateReportRecipients(req, res) {
+    try {
+      const { id } = req.params;
+      const { cc, bcc } = req.body;
+
+      const client = await ClientService.updateReportRecipients(id, { cc, bcc }, req.user.id, req.user.role);
+
+      res.json({
+        success: true,
+        message: 'Report recipients updated successfully',
+        data: {
+          client,
+          report_recipients: client.metadata.report_recipients
+        }
+      });
+
+    } catch (error) {
+      let statusCode = 500;
+      if (error.message.startsWith('Invalid')) statusCode = 400;
+      if (error.message.includes('not found')) statusCode = 404;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Set the theme the client's reports are exported with (body: theme_id, null for the default)
+   */
+  static async updateReportTheme(req, res) {
+    try {
+      const { id } = req.params;
+      const { theme_id: themeId = null } = req.body;
+
+      const client = await ClientService.updateReportTheme(id, themeId, req.user.id, req.user.role);
+
+      res.json({
+        success: true,
+        message: 'Report theme updated successfully',
+        data: {
+          client,
+          report_theme_id: client.metadata?.report_theme_id || null
+        }
+      });
+
+    } catch (error) {
+      let statusCode = 500;
+      if (error.message.startsWith('Invalid')) statusCode = 400;
+      if (error.message.includes('not found')) statusCode = 404;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Create new client
    */
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const emailConfig = require('../config/email');
+const DeliveryService = require('../services/deliveryService');
+
+/**
+ * Constant-time comparison of the callback secret
+ */
+const isValidSecret = (provided) => {
+  const expected = Buffer.from(emailConfig.webhookSecret);
+  const actual = Buffer.from(String(provided || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+class DeliveryController {
+  /**
+   * Receive delivery status callbacks (delivered / opened / bounced) from the email provider
+   * Body is one event { message_id, status, timestamp, reason, recipient } or { events: [...] }
+   * Invalid events are listed in data.rejected; the request fails (400) only when none of its events are valid
+   */
+  static async receiveStatus(req, res) {
+    try {
+      if (!emailConfig.webhookSecret) {
+        return res.status(503).json({
+          success: false,
+          message: 'Email status webhook not configured'
+        });
+      }
+
+      if (!isValidSecret(req.get('x-webhook-secret'))) {
+        console.warn(`❌ Unauthorized email status callback from ${req.ip}`);
+        return res.status(401).json({
+          success: false,
+          message: 'Unauthorized'
+        });
+      }
+
+      const events = Array.isArray(req.body?.events) ? req.body.events : [req.body];
+      const result = await DeliveryService.recordStatusEvents(events);
+
+      // Nothing usable in the request: the provider should not retry it as it is
+      if (result.processed === 0 && result.rejected.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: result.rejected[0].error,
+          data: {
+            processed: 0,
+            updated: 0,
+            unmatched: [],
+            rejected: result.rejected
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.rejected.length > 0 ? 'Delivery status recorded, some events were rejected' : 'Delivery status recorded',
+        data: {
+          processed: result.processed,
+          updated: result.deliveries.length,
+          unmatched: result.unmatched,
+          rejected: result.rejected
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Email status webhook error:', error);
+      const statusCode = error.message.includes('not configured') ? 503 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: statusCode === 503 ? error.message : 'Failed to record delivery status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = DeliveryController;
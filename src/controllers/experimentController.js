@@ -0,0 +1,129 @@
+const ExperimentService = require('../services/experimentService');
+
+/**
+ * Map experiment service errors onto HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already running')) return 409;
+  if (error.message.includes('required') || error.message.includes('invalid') ||
+      error.message.includes('Invalid') || error.message.includes('Duplicate')) return 400;
+  return 500;
+};
+
+class ExperimentController {
+  /**
+   * List experiments
+   */
+  static async listExperiments(req, res) {
+    try {
+      const experiments = await ExperimentService.listExperiments();
+
+      res.json({
+        success: true,
+        data: { experiments }
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one experiment
+   */
+  static async getExperiment(req, res) {
+    try {
+      const experiment = await ExperimentService.getExperimentById(req.params.id);
+
+      res.json({
+        success: true,
+        data: { experiment }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create an experiment (starts in draft status)
+   */
+  static async createExperiment(req, res) {
+    try {
+      const { name, description, variants } = req.body;
+
+      const experiment = await ExperimentService.createExperiment({ name, description, variants }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: `Experiment ${experiment.name} created`,
+        data: { experiment }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Start or stop an experiment
+   */
+  static async updateExperimentStatus(req, res) {
+    try {
+      const { status } = req.body;
+
+      if (!['running', 'stopped'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be running or stopped'
+        });
+      }
+
+      const experiment = await ExperimentService.updateExperimentStatus(req.params.id, status);
+
+      res.json({
+        success: true,
+        message: `Experiment ${experiment.name} is now ${status}`,
+        data: { experiment }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get variant comparison stats
+   */
+  static async getExperimentStats(req, res) {
+    try {
+      const stats = await ExperimentService.getExperimentStats(req.params.id);
+
+      res.json({
+        success: true,
+        data: stats
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ExperimentController;
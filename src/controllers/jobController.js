@@ -0,0 +1,87 @@
+const JobService = require('../services/jobService');
+
+/**
+ * Map job service errors onto HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('Invalid')) return 400;
+  if (error.message.startsWith('Only failed or cancelled')) return 409;
+  return 500;
+};
+
+class JobController {
+  /**
+   * List jobs with queue statistics
+   */
+  static async listJobs(req, res) {
+    try {
+      const { type, status, session_id } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const [{ jobs, total }, stats] = await Promise.all([
+        JobService.listJobs({ type, status, session_id, limit, offset }),
+        JobService.getJobStats()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          jobs,
+          stats,
+          pagination: { total, limit, offset }
+        }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one job with its payload, result and error log
+   */
+  static async getJob(req, res) {
+    try {
+      const job = await JobService.getJobById(req.params.id);
+
+      res.json({
+        success: true,
+        data: { job }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   */
+  static async retryJob(req, res) {
+    try {
+      const job = await JobService.retryJob(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Job queued for retry',
+        data: { job }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = JobController;
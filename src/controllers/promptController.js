@@ -0,0 +1,139 @@
+const PromptService = require('../services/promptService');
+
+/**
+ * Map prompt service errors onto HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('required') || error.message.includes('Unknown template variables')) return 400;
+  return 500;
+};
+
+class PromptController {
+  /**
+   * List prompt templates with their versions
+   */
+  static async listTemplates(req, res) {
+    try {
+      const templates = await PromptService.listTemplates();
+
+      res.json({
+        success: true,
+        data: { templates }
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the content of one prompt version
+   */
+  static async getTemplateVersion(req, res) {
+    try {
+      const { name, version } = req.params;
+
+      const template = await PromptService.getTemplate(name, version);
+
+      res.json({
+        success: true,
+        data: {
+          template: {
+            ...template,
+            variables: PromptService.extractVariables(template.content)
+          }
+        }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Render a prompt version with sample variables
+   */
+  static async previewTemplate(req, res) {
+    try {
+      const { name } = req.params;
+      const { version, variables = {} } = req.body;
+
+      const preview = await PromptService.previewTemplate(name, version, variables);
+
+      res.json({
+        success: true,
+        data: { preview }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a new prompt version
+   */
+  static async createVersion(req, res) {
+    try {
+      const { name } = req.params;
+      const { content, description } = req.body;
+
+      const template = await PromptService.createVersion(name, content, description, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: `Prompt ${name} v${template.version} created`,
+        data: { template }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Activate a prompt version for new reports
+   */
+  static async activateVersion(req, res) {
+    try {
+      const { name } = req.params;
+      const { version } = req.body;
+
+      if (!version) {
+        return res.status(400).json({
+          success: false,
+          message: 'Version is required'
+        });
+      }
+
+      const template = await PromptService.activateVersion(name, version, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Prompt ${name} v${template.version} is now active`,
+        data: { template }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = PromptController;
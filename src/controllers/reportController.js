@@ -1,4 +1,35 @@
 const ReportService = require('../services/reportService');
+const SessionService = require('../services/sessionService');
+const DeliveryService = require('../services/deliveryService');
+const PdfService = require('../services/pdfService');
+const { availableFormats } = require('../services/reportFormats');
+const { validateReportContent } = require('../schemas');
+
+/**
+ * Recipient lists given with an export or resend ({ to, cc, bcc }); omitted lists use the client's defaults
+ */
+const getRecipientOverrides = (body = {}) => {
+  const overrides = {};
+  for (const type of ['to', 'cc', 'bcc']) {
+    if (body[type] !== undefined) {
+      overrides[type] = body[type];
+    }
+  }
+  return overrides;
+};
+
+/**
+ * Map export / resend errors onto HTTP status codes
+ */
+const getDeliveryErrorStatus = (error) => {
+  if (error.message.startsWith('Invalid')) return 400;
+  if (error.message.startsWith('Only client reports')) return 400;
+  if (error.message.includes('already in progress')) return 409;
+  if (error.message.includes('must be exported')) return 409;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('not configured')) return 503;
+  return 500;
+};
 
 class ReportController {
   /**
@@ -149,17 +180,30 @@ class ReportController {
       
       // Validate content if provided
       if (updateData.content) {
+        let parsedContent;
         try {
           // Ensure content is valid JSON if it's a string
-          if (typeof updateData.content === 'string') {
-            JSON.parse(updateData.content);
-          }
+          parsedContent = typeof updateData.content === 'string' 
+            ? JSON.parse(updateData.content) 
+            : updateData.content;
         } catch (parseError) {
           return res.status(400).json({
             success: false,
             message: 'Invalid JSON content provided'
           });
         }
+
+        // Reports generated before the schemas existed keep their legacy structure - only validate versioned ones
+        if (report.generation_metadata?.schema_version) {
+          const validation = validateReportContent(report.type, parsedContent);
+          if (!validation.valid) {
+            return res.status(400).json({
+              success: false,
+              message: 'Report content does not match the report structure',
+              errors: validation.errors
+            });
+          }
+        }
       }
 
       // Update the report using ReportService
@@ -295,6 +339,21 @@ class ReportController {
 
     } catch (error) {
       console.error('Error regenerating report:', error);
+
+      if (error.message.includes('budget exhausted')) {
+        return res.status(429).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not configured')) {
+        return res.status(503).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to start report regeneration',
@@ -320,13 +379,6 @@ class ReportController {
         });
       }
 
-      if (!pdfFile) {
-        return res.status(400).json({
-          success: false,
-          message: 'PDF file is required'
-        });
-      }
-
       // Get the report to validate it exists and get session info
       const report = await ReportService.getReportById(id);
       if (!report) {
@@ -344,14 +396,29 @@ class ReportController {
         });
       }
 
-      // TODO: Add authorization check - user should own the session or be admin
-      
-      // Start the export process with PDF file
-      const exportResult = await ReportService.exportClientReport(id, user.id, pdfFile);
+      // The adviser of the session (or an admin) - export can send the report to any address
+      const hasAccess = await SessionService.validateSessionAccess(report.session_id, user.id, user.role);
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      // With server-side rendering the PDF is produced by the worker; without it the browser copy becomes the report's PDF
+      if (!pdfFile && !PdfService.isEnabled()) {
+        return res.status(400).json({
+          success: false,
+          message: 'PDF file is required'
+        });
+      }
+
+      // Approve the report and queue the email to the client (sent by the worker)
+      const exportResult = await ReportService.exportClientReport(id, user.id, pdfFile, getRecipientOverrides(req.body));
       
       res.json({
         success: true,
-        message: 'Report export completed successfully',
+        message: 'Report approved and queued for sending',
         data: {
           report: exportResult.report,
           session: exportResult.session,
@@ -359,17 +426,184 @@ class ReportController {
             exported_by: user.id,
             exported_at: new Date().toISOString(),
             html_generated: exportResult.html_generated,
-            email_sent: exportResult.email_sent,
-            crm_updated: exportResult.salesforce_updated
+            // Kept for existing clients: the worker sends the email and updates the CRM after this response,
+            // so both are false here - delivery tracks the outcome
+            email_sent: false,
+            crm_updated: false,
+            delivery: exportResult.delivery
           }
         }
       });
 
     } catch (error) {
       console.error('Error exporting report:', error);
+      const statusCode = getDeliveryErrorStatus(error);
+      res.status(statusCode).json({
+        success: false,
+        message: statusCode !== 500 ? error.message : 'Failed to export report',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Send an exported client report again, optionally to other recipients
+   */
+  static async resendReport(req, res) {
+    try {
+      const { id } = req.params;
+      const user = req.user;
+
+      const report = await ReportService.getReportById(id);
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        });
+      }
+
+      const hasAccess = await SessionService.validateSessionAccess(report.session_id, user.id, user.role);
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const result = await ReportService.resendClientReport(id, user.id, getRecipientOverrides(req.body));
+
+      res.status(202).json({
+        success: true,
+        message: 'Report queued for resending',
+        data: {
+          report_id: id,
+          delivery: result.delivery
+        }
+      });
+
+    } catch (error) {
+      console.error('Error resending report:', error);
+      const statusCode = getDeliveryErrorStatus(error);
+      res.status(statusCode).json({
+        success: false,
+        message: statusCode !== 500 ? error.message : 'Failed to resend report',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get every send attempt of a client report with its delivery status
+   */
+  static async getReportDeliveries(req, res) {
+    try {
+      const { id } = req.params;
+      const user = req.user;
+
+      const report = await ReportService.getReportById(id);
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        });
+      }
+
+      const hasAccess = await SessionService.validateSessionAccess(report.session_id, user.id, user.role);
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const deliveries = await DeliveryService.getDeliveriesForReport(id);
+
+      res.json({
+        success: true,
+        message: 'Report deliveries retrieved successfully',
+        data: {
+          report_id: id,
+          latest: deliveries[0] || null,
+          deliveries
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting report deliveries:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve report deliveries',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Download a report as a file (?format=docx|md|html|pdf, default html)
+   */
+  static async downloadReport(req, res) {
+    try {
+      const { id } = req.params;
+      const user = req.user;
+      const format = String(req.query.format || 'html').toLowerCase();
+
+      if (!availableFormats.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format: ${format}. Available: ${availableFormats.join(', ')}`
+        });
+      }
+
+      // Earlier versions can be downloaded too
+      const report = await ReportService.getReportById(id, { currentVersion: false });
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        });
+      }
+
+      const hasAccess = await SessionService.validateSessionAccess(report.session_id, user.id, user.role);
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (format === 'pdf' && report.pdf_url) {
+        // The PDF stored for this version (the one the client received) - no need to start a browser
+        return res.redirect(report.pdf_url);
+      }
+
+      if (format === 'pdf' && !PdfService.isEnabled()) {
+        return res.status(503).json({
+          success: false,
+          message: 'PDF rendering is not configured on this server'
+        });
+      }
+
+      const file = await ReportService.renderReportDownload(id, format);
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`
+      });
+      res.send(file.body);
+
+    } catch (error) {
+      if (error.message.includes('PDF renderer is busy')) {
+        res.set('Retry-After', '30');
+        return res.status(503).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error downloading report:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to export report',
+        message: 'Failed to download report',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
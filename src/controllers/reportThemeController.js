@@ -0,0 +1,147 @@
+const ReportThemeService = require('../services/reportThemeService');
+
+/**
+ * Map report theme service errors onto HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already exists') || error.message.includes('Cannot')) return 409;
+  if (error.message.includes('required') || error.message.includes('Invalid')) return 400;
+  return 500;
+};
+
+class ReportThemeController {
+  /**
+   * List report themes (?include_archived=true for archived ones too)
+   */
+  static async listThemes(req, res) {
+    try {
+      const themes = await ReportThemeService.listThemes({
+        includeArchived: req.query.include_archived === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: { themes }
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one report theme
+   */
+  static async getTheme(req, res) {
+    try {
+      const theme = await ReportThemeService.getThemeById(req.params.id);
+      if (!theme) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report theme not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { theme }
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a report theme
+   */
+  static async createTheme(req, res) {
+    try {
+      const theme = await ReportThemeService.createTheme(req.body || {}, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: `Report theme ${theme.name} created`,
+        data: { theme }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a report theme (reports exported with it render with the new values)
+   */
+  static async updateTheme(req, res) {
+    try {
+      const theme = await ReportThemeService.updateTheme(req.params.id, req.body || {}, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Report theme ${theme.name} updated`,
+        data: { theme }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Archive a report theme
+   */
+  static async archiveTheme(req, res) {
+    try {
+      const theme = await ReportThemeService.archiveTheme(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Report theme ${theme.name} archived`,
+        data: { theme }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Make a report theme the default
+   */
+  static async setDefaultTheme(req, res) {
+    try {
+      const theme = await ReportThemeService.setDefaultTheme(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Report theme ${theme.name} is now the default`,
+        data: { theme }
+      });
+
+    } catch (error) {
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ReportThemeController;
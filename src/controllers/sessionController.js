@@ -4,6 +4,8 @@ const ClientService = require('../services/clientService');
 const JobService = require('../services/jobService');
 const socketService = require('../services/socketService');
 const FFmpegService = require('../services/ffmpegService');
+const BudgetService = require('../services/budgetService');
+const { availableProviders: transcriptionProviders } = require('../services/transcriptionProviders');
 
 class SessionController {
   /**
@@ -12,7 +14,7 @@ class SessionController {
   static async createSession(req, res) {
     try {
       const userId = req.user.id;
-      const { client_id, title, newClient, fileName } = req.body;
+      const { client_id, title, newClient, fileName, transcription_provider } = req.body;
       
       // Check if files were uploaded
       if (!req.files || req.files.length === 0) {
@@ -22,6 +24,15 @@ class SessionController {
         });
       }
 
+      // Optional per-session transcription provider (overrides the client's and the deployment default)
+      if (transcription_provider && !transcriptionProviders.includes(transcription_provider)) {
+        FFmpegService.cleanupTempFiles(null, req.files.map(file => file.path));
+        return res.status(400).json({
+          success: false,
+          message: `Invalid transcription provider. Must be one of: ${transcriptionProviders.join(', ')}`
+        });
+      }
+
       // Parse newClient if it's a JSON string (from FormData)
       let parsedNewClient = null;
       if (newClient) {
@@ -86,6 +97,17 @@ class SessionController {
         }
       }
 
+      // Refuse new recordings once the adviser's or organisation's monthly AI budget is used up
+      // (with the defer policy the session is accepted and its transcription waits for next month)
+      const budgetCheck = await BudgetService.checkBudget(userId);
+      if (!budgetCheck.allowed && budgetCheck.action === 'refuse') {
+        return res.status(429).json({
+          success: false,
+          message: `Monthly AI budget exhausted: ${BudgetService.describeExhausted(budgetCheck.exhausted)}`,
+          data: { exhausted: budgetCheck.exhausted }
+        });
+      }
+
       let finalClientId = client_id;
 
       // Create new client if needed (this is fast, so we do it synchronously)
@@ -143,9 +165,10 @@ class SessionController {
       // Respond immediately to frontend
       res.status(201).json({
         success: true,
-        message: parsedNewClient 
+        message: (parsedNewClient 
           ? 'Client and session created successfully. File upload in progress...' 
-          : 'Session created successfully. File upload in progress...',
+          : 'Session created successfully. File upload in progress...') +
+          (budgetCheck.allowed ? '' : ' Monthly AI budget exhausted - processing will start next month.'),
         data: { 
           session: {
             ...session,
@@ -163,7 +186,9 @@ class SessionController {
       });
 
       // Start background file processing (concatenation + Cloudinary upload)
-      SessionController.handleBackgroundUpload(session.id, req.files, userId, primaryFileName);
+      SessionController.handleBackgroundUpload(session.id, req.files, userId, primaryFileName, {
+        transcriptionProvider: transcription_provider || null
+      });
 
     } catch (error) {
       res.status(500).json({
@@ -175,8 +200,9 @@ class SessionController {
 
   /**
    * Handle background file upload to Cloudinary with socket notifications
+   * @param {Object} options - { transcriptionProvider } copied into the transcribe job
    */
-  static async handleBackgroundUpload(sessionId, files, userId, actualFileName) {
+  static async handleBackgroundUpload(sessionId, files, userId, actualFileName, { transcriptionProvider = null } = {}) {
     try {
       // Emit progress update
       socketService.sendToUser(userId, 'upload_progress', {
@@ -305,7 +331,8 @@ class SessionController {
             original_url: uploadResult.data.secure_url, // Fallback URL if transformation fails
             file_name: actualFileName,
             file_type: finalFile.mimetype,
-            duration: updateData.duration
+            duration: updateData.duration,
+            transcription_provider: transcriptionProvider
           },
           priority: 8 // Lower priority - let reports complete first
         });
@@ -636,6 +663,40 @@ class SessionController {
     }
   }
 
+  /**
+   * Locate a quote in the session recording
+   */
+  static async locateTranscriptQuote(req, res) {
+    try {
+      const { id } = req.params;
+      const { quote } = req.query;
+      const userId = req.user.id;
+      const userRole = req.user.role;
+
+      if (!quote || !quote.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quote is required'
+        });
+      }
+
+      const location = await SessionService.locateTranscriptQuote(id, quote, userId, userRole);
+
+      res.json({
+        success: true,
+        data: { location }
+      });
+
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 
+                        error.message.includes('No transcript') ? 409 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Update session status (for AI processing pipeline)
    */
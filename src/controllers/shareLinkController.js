@@ -0,0 +1,181 @@
+const ShareLinkService = require('../services/shareLinkService');
+const ReportService = require('../services/reportService');
+const SessionService = require('../services/sessionService');
+const { escapeHtml } = require('../utils/emailTemplates');
+const { REPORT_CONTENT_SECURITY_POLICY } = require('../utils/reportHtmlGenerator');
+
+/**
+ * Map share link service errors onto HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found') || error.message === 'Invalid share link') return 404;
+  if (error.message.includes('expired') || error.message.includes('revoked')) return 410;
+  if (error.message.startsWith('Invalid') || error.message.startsWith('Only client reports')) return 400;
+  if (error.message.includes('must be exported')) return 409;
+  if (error.message.includes('not configured')) return 503;
+  return 500;
+};
+
+/**
+ * Page shown instead of the report when a public link does not work (the visitor may read either language)
+ */
+const renderUnavailablePage = (status) => {
+  const [he, en] = status === 410
+    ? ['הקישור לדוח פג תוקף או בוטל. אפשר לבקש קישור חדש מהיועץ.', 'This report link has expired or was revoked. Ask your adviser for a new one.']
+    : ['הקישור לדוח אינו תקין.', 'This report link is not valid.'];
+
+  return `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>MATI</title>
+  <style>body { font-family: Arial, sans-serif; max-width: 600px; margin: 3rem auto; padding: 0 1rem; color: #333; line-height: 1.6; }</style>
+</head>
+<body>
+  <p>${escapeHtml(he)}</p>
+  <p dir="ltr" lang="en">${escapeHtml(en)}</p>
+</body>
+</html>`;
+};
+
+/**
+ * Current report the user may manage links for - sends the error response and returns null otherwise
+ */
+const getAccessibleReport = async (req, res) => {
+  const report = await ReportService.getReportById(req.params.id);
+  if (!report) {
+    res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+    return null;
+  }
+
+  const hasAccess = await SessionService.validateSessionAccess(report.session_id, req.user.id, req.user.role);
+  if (!hasAccess) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return report;
+};
+
+class ShareLinkController {
+  /**
+   * Create a public link to a client report (body: expires_in_days)
+   */
+  static async createLink(req, res) {
+    try {
+      const report = await getAccessibleReport(req, res);
+      if (!report) return;
+
+      const link = await ShareLinkService.createLink(report.id, req.user.id, {
+        expiresInDays: req.body?.expires_in_days
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created',
+        data: { link }
+      });
+
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * A report's share links with when they were opened
+   */
+  static async listLinks(req, res) {
+    try {
+      const report = await getAccessibleReport(req, res);
+      if (!report) return;
+
+      const links = await ShareLinkService.listLinks(report.id);
+
+      res.json({
+        success: true,
+        message: 'Share links retrieved successfully',
+        data: {
+          report_id: report.id,
+          viewed: links.some(link => link.view_count > 0),
+          links
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing share links:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve share links',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Revoke a share link
+   */
+  static async revokeLink(req, res) {
+    try {
+      const report = await getAccessibleReport(req, res);
+      if (!report) return;
+
+      const link = await ShareLinkService.revokeLink(report.id, req.params.linkId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Share link revoked',
+        data: { link }
+      });
+
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Public page: the report behind a share link (no authentication, the token is the credential)
+   * Served from the app's origin, so the CSP keeps report text from running anything next to the SPA's stored token
+   */
+  static async viewSharedReport(req, res) {
+    res.set({
+      'Content-Security-Policy': REPORT_CONTENT_SECURITY_POLICY,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow',
+      'Referrer-Policy': 'no-referrer'
+    });
+
+    try {
+      const html = await ShareLinkService.openSharedReport(req.params.token, {
+        ipAddress: req.ip, // The visitor behind the hosting proxy (see TRUST_PROXY)
+        userAgent: req.get('user-agent')
+      });
+
+      res.type('html').send(html);
+
+    } catch (error) {
+      const status = getErrorStatus(error);
+      if (status === 500) {
+        console.error('Error opening shared report:', error);
+      }
+      res.status(status).type('html').send(renderUnavailablePage(status));
+    }
+  }
+}
+
+module.exports = ShareLinkController;
@@ -0,0 +1,47 @@
+const UsageService = require('../services/usageService');
+
+class UsageController {
+  /**
+   * Aggregated AI usage and cost
+   */
+  static async getUsageSummary(req, res) {
+    try {
+      const { group_by, from, to } = req.query;
+
+      const summary = await UsageService.getUsageSummary({ groupBy: group_by, from, to });
+
+      res.json({
+        success: true,
+        data: summary
+      });
+
+    } catch (error) {
+      res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Ledger entries for one session
+   */
+  static async getSessionUsage(req, res) {
+    try {
+      const usage = await UsageService.getSessionUsage(req.params.id);
+
+      res.json({
+        success: true,
+        data: usage
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = UsageController;
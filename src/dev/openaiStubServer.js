@@ -0,0 +1,298 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Local stand-in for the OpenAI API: audio transcriptions, chat completions and models
+// Point the backend at it with OPENAI_BASE_URL=http://localhost:4010/v1 to run
+// upload -> transcribe -> report without network access (see .env.example)
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const LANGUAGES = ['he', 'en'];
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.OPENAI_STUB_LANGUAGE) ? process.env.OPENAI_STUB_LANGUAGE : 'he';
+const LANGUAGE_NAMES = { he: 'hebrew', en: 'english', hebrew: 'he', english: 'en' };
+
+const fixtureCache = {};
+
+/**
+ * Load a canned response for a language
+ */
+function loadFixture(language, name) {
+  const key = `${language}/${name}`;
+  if (!fixtureCache[key]) {
+    fixtureCache[key] = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, language, `${name}.json`), 'utf8'));
+  }
+  return JSON.parse(JSON.stringify(fixtureCache[key]));
+}
+
+/**
+ * Rough token estimate for usage reporting (~4 characters per token)
+ */
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil((text || '').length / 4));
+}
+
+/**
+ * Read an audio file's duration with ffprobe (null when ffprobe is unavailable)
+ */
+function probeDuration(filePath) {
+  return new Promise(resolve => {
+    let output = '';
+    const ffprobe = spawn('ffprobe', ['-v', 'quiet', '-print_format', 'json', '-show_format', filePath]);
+
+    ffprobe.stdout.on('data', chunk => { output += chunk; });
+    ffprobe.on('error', () => resolve(null));
+    ffprobe.on('close', code => {
+      try {
+        const duration = parseFloat(JSON.parse(output).format.duration);
+        resolve(code === 0 && duration > 0 ? duration : null);
+      } catch (error) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Repeat the fixture conversation until it covers the audio duration
+ * Keeps chunked transcription realistic: every chunk gets segments inside its time range
+ */
+function buildSegments(fixtureSegments, duration) {
+  const cycleLength = fixtureSegments[fixtureSegments.length - 1].end;
+  const targetDuration = duration || cycleLength;
+  const segments = [];
+
+  for (let offset = 0; offset < targetDuration; offset += cycleLength) {
+    for (const segment of fixtureSegments) {
+      const start = offset + segment.start;
+      if (start >= targetDuration) break;
+
+      segments.push({
+        id: segments.length,
+        seek: 0,
+        start: Math.round(start * 100) / 100,
+        end: Math.round(Math.min(offset + segment.end, targetDuration) * 100) / 100,
+        text: ` ${segment.text}`,
+        tokens: [],
+        temperature: 0,
+        avg_logprob: -0.2,
+        compression_ratio: 1.4,
+        no_speech_prob: 0.01
+      });
+    }
+  }
+
+  return { segments, duration: targetDuration };
+}
+
+/**
+ * Pick the fixture language: explicit language, then a language hint in the file name, then the default
+ */
+function pickTranscriptionLanguage(requestedLanguage, fileName) {
+  if (LANGUAGES.includes(requestedLanguage)) return requestedLanguage;
+  if (LANGUAGE_NAMES[requestedLanguage]) return LANGUAGE_NAMES[requestedLanguage];
+
+  const hint = (fileName || '').toLowerCase().match(/(?:^|[^a-z])(he|en)(?:[^a-z]|$)/);
+  return hint ? hint[1] : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Conversation language - Hebrew letters anywhere outside the system prompt mean Hebrew
+ */
+function detectChatLanguage(messages) {
+  const text = messages
+    .filter(message => message.role !== 'system')
+    .map(message => typeof message.content === 'string' ? message.content : JSON.stringify(message.content))
+    .join('\n');
+
+  return /[א-ת]/.test(text) ? 'he' : 'en';
+}
+
+/**
+ * Work out what a chat request is for from its response format and system prompt
+ */
+function detectChatPurpose(body) {
+  const schemaName = body.response_format?.json_schema?.name;
+  if (schemaName === 'advisor_report' || schemaName === 'client_report') {
+    return schemaName;
+  }
+
+  const systemPrompt = (body.messages || [])
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n');
+
+  if (systemPrompt.includes('attribute transcript segments to speakers')) return 'diarization';
+  if (systemPrompt.includes('Provide structured summaries')) return 'chunk_summary';
+  if (systemPrompt.includes('Generate advisor reports')) return 'advisor_report';
+  if (systemPrompt.includes('Generate client reports')) return 'client_report';
+
+  return 'text';
+}
+
+/**
+ * Label diarization segments with the speakers recorded in the transcript fixtures
+ * Unknown text alternates speakers so any transcript still gets a plausible split
+ */
+function buildSpeakerLabels(messages) {
+  const prompt = messages.map(message => message.content).join('\n');
+  const match = prompt.match(/SEGMENTS TO LABEL:\n(\[[\s\S]*?\])\n/);
+  let segments = [];
+
+  try {
+    segments = match ? JSON.parse(match[1]) : [];
+  } catch (error) {
+    segments = [];
+  }
+
+  const speakersByText = new Map(LANGUAGES.flatMap(language =>
+    loadFixture(language, 'transcript').segments.map(segment => [segment.text.trim(), segment.speaker])
+  ));
+
+  return {
+    labels: segments.map(segment => ({
+      i: segment.i,
+      speaker: speakersByText.get((segment.text || '').trim()) || (segment.i % 2 === 0 ? 'adviser' : 'client')
+    }))
+  };
+}
+
+/**
+ * Build the assistant message content for a chat request
+ */
+function buildChatContent(body) {
+  const messages = body.messages || [];
+  const language = detectChatLanguage(messages);
+
+  switch (detectChatPurpose(body)) {
+    case 'advisor_report':
+      return JSON.stringify(loadFixture(language, 'advisor_report'));
+    case 'client_report':
+      return JSON.stringify(loadFixture(language, 'client_report'));
+    case 'chunk_summary':
+      return JSON.stringify(loadFixture(language, 'chunk_summary'));
+    case 'diarization':
+      return JSON.stringify(buildSpeakerLabels(messages));
+    default:
+      return body.response_format?.type === 'json_object'
+        ? JSON.stringify({ message: 'OpenAI stub response' })
+        : 'OpenAI stub response';
+  }
+}
+
+/**
+ * Create the stub Express app
+ */
+function createStubApp() {
+  const app = express();
+  const upload = multer({ dest: path.join(os.tmpdir(), 'openai-stub-uploads') });
+
+  app.use(express.json({ limit: '20mb' }));
+
+  app.get('/v1/models', (req, res) => {
+    res.json({
+      object: 'list',
+      data: ['whisper-1', 'gpt-4o-mini', 'gpt-4o'].map(id => ({ id, object: 'model', created: 0, owned_by: 'stub' }))
+    });
+  });
+
+  app.post('/v1/audio/transcriptions', upload.single('file'), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: { message: 'file is required', type: 'invalid_request_error' } });
+      }
+
+      const language = pickTranscriptionLanguage(req.body.language, req.file.originalname);
+      const fixture = loadFixture(language, 'transcript');
+      const { segments, duration } = buildSegments(fixture.segments, await probeDuration(req.file.path));
+      const text = segments.map(segment => segment.text.trim()).join(' ');
+
+      console.log(`🧪 Stub transcription: ${req.file.originalname} (${language}, ${duration.toFixed(1)}s, ${segments.length} segments)`);
+
+      switch (req.body.response_format) {
+        case 'verbose_json':
+          return res.json({ task: 'transcribe', language: fixture.language, duration, text, segments });
+        case 'text':
+          return res.type('text/plain').send(text);
+        default:
+          return res.json({ text });
+      }
+
+    } catch (error) {
+      res.status(500).json({ error: { message: error.message, type: 'server_error' } });
+    } finally {
+      if (req.file) {
+        fs.unlink(req.file.path, () => {});
+      }
+    }
+  });
+
+  app.post('/v1/chat/completions', (req, res) => {
+    try {
+      const body = req.body || {};
+      if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        return res.status(400).json({ error: { message: 'messages is required', type: 'invalid_request_error' } });
+      }
+
+      const content = buildChatContent(body);
+      const promptTokens = body.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+      const completionTokens = estimateTokens(content);
+
+      console.log(`🧪 Stub chat completion: ${detectChatPurpose(body)} (${detectChatLanguage(body.messages)})`);
+
+      res.json({
+        id: `chatcmpl-stub-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: body.model || 'gpt-4o-mini',
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content },
+          finish_reason: 'stop'
+        }],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      });
+
+    } catch (error) {
+      res.status(500).json({ error: { message: error.message, type: 'server_error' } });
+    }
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: { message: `Stub does not implement ${req.method} ${req.path}`, type: 'invalid_request_error' } });
+  });
+
+  return app;
+}
+
+/**
+ * Start the stub server
+ * @returns {Promise<http.Server>}
+ */
+function startStubServer(port = parseInt(process.env.OPENAI_STUB_PORT) || 4010) {
+  return new Promise((resolve, reject) => {
+    const server = createStubApp().listen(port, () => {
+      console.log(`🧪 OpenAI stub server listening on http://localhost:${server.address().port}/v1`);
+      resolve(server);
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startStubServer().catch(error => {
+    console.error('❌ Failed to start OpenAI stub server:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createStubApp,
+  startStubServer
+};
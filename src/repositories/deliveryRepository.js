@@ -0,0 +1,123 @@
+// Delivery rows over a direct Postgres connection
+// Every method takes the connection to use (pool or transaction client) as its first argument
+
+// Timestamp column set when a delivery reaches each status
+const STATUS_TIMESTAMPS = {
+  sent: 'sent_at',
+  failed: 'failed_at',
+  delivered: 'delivered_at',
+  bounced: 'bounced_at',
+  opened: 'opened_at'
+};
+
+class DeliveryRepository {
+  /**
+   * Insert a send attempt for each recipient (status queued)
+   * @param {Object} attempt - { outbox_id, report_id, session_id, attempt, transport, requested_by }
+   * @param {Array} recipients - [{ email, type }]
+   */
+  static async createForRecipients(db, attempt, recipients) {
+    const { rows } = await db.query(
+      `INSERT INTO deliveries (outbox_id, report_id, session_id, attempt, transport, requested_by, recipient, recipient_type)
+      SELECT $1, $2, $3, $4, $5, $6, recipient.email, recipient.type
+      FROM jsonb_to_recordset($7::jsonb) AS recipient(email TEXT, type TEXT)
+      RETURNING *`,
+      [
+        attempt.outbox_id || null,
+        attempt.report_id || null,
+        attempt.session_id || null,
+        attempt.attempt || 1,
+        attempt.transport || null,
+        attempt.requested_by || null,
+        JSON.stringify(recipients)
+      ]
+    );
+    return rows;
+  }
+
+  /**
+   * Rows of the latest attempt for an outbox message that has not been handed to the transport yet
+   */
+  static async findQueuedForOutbox(db, outboxId) {
+    const { rows } = await db.query(
+      `SELECT * FROM deliveries
+      WHERE outbox_id = $1 AND status = 'queued'
+        AND attempt = (SELECT MAX(attempt) FROM deliveries WHERE outbox_id = $1)
+      ORDER BY created_at`,
+      [outboxId]
+    );
+    return rows;
+  }
+
+  /**
+   * Deliveries matching a transport message ID, locked until the transaction ends
+   * @param {String} recipient - Only this recipient's row (all recipients of the message when null)
+   */
+  static async findByMessageIdForUpdate(db, messageId, recipient = null) {
+    const { rows } = await db.query(
+      `SELECT * FROM deliveries WHERE message_id = $1 AND ($2::text IS NULL OR recipient = $2)
+      ORDER BY created_at FOR UPDATE`,
+      [messageId, recipient]
+    );
+    return rows;
+  }
+
+  /**
+   * All attempts for a report, newest first
+   */
+  static async findByReport(db, reportId) {
+    const { rows } = await db.query(
+      `SELECT * FROM deliveries WHERE report_id = $1
+      ORDER BY queued_at DESC, attempt DESC, CASE recipient_type WHEN 'to' THEN 0 WHEN 'cc' THEN 1 ELSE 2 END, recipient`,
+      [reportId]
+    );
+    return rows;
+  }
+
+  /**
+   * Record that the transport accepted the email (one message for all recipients of an attempt)
+   */
+  static async markSent(db, ids, { transport, messageId }) {
+    const { rows } = await db.query(
+      `UPDATE deliveries SET status = 'sent', transport = COALESCE($2, transport), message_id = $3, error = NULL, sent_at = NOW()
+      WHERE id = ANY($1::uuid[])
+      RETURNING *`,
+      [ids, transport || null, messageId || null]
+    );
+    return rows;
+  }
+
+  /**
+   * Record that the transport did not accept the email
+   */
+  static async markFailed(db, ids, errorMessage) {
+    const { rows } = await db.query(
+      `UPDATE deliveries SET status = 'failed', error = $2, failed_at = NOW()
+      WHERE id = ANY($1::uuid[])
+      RETURNING *`,
+      [ids, errorMessage]
+    );
+    return rows;
+  }
+
+  /**
+   * Apply a status callback: append the event, set the status's timestamp (first occurrence wins)
+   * and move to the new status when advance is true
+   */
+  static async applyEvent(db, id, event, { advance }) {
+    const column = STATUS_TIMESTAMPS[event.status];
+    const { rows } = await db.query(
+      `UPDATE deliveries SET
+        events = events || $2::jsonb,
+        ${column} = COALESCE(${column}, $3::timestamptz),
+        status = CASE WHEN $4::boolean THEN $5::varchar ELSE status END,
+        error = CASE WHEN $4::boolean AND $5::varchar = 'bounced' THEN $6 ELSE error END
+      WHERE id = $1
+      RETURNING *`,
+      [id, JSON.stringify([event]), event.occurred_at, advance, event.status, event.reason || null]
+    );
+    return rows[0];
+  }
+}
+
+module.exports = DeliveryRepository;
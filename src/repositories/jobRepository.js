@@ -0,0 +1,27 @@
+// Job rows over a direct Postgres connection
+// Every method takes the connection to use (pool or transaction client) as its first argument
+
+class JobRepository {
+  /**
+   * Insert a job (row prepared by JobService.prepareJob)
+   */
+  static async create(db, job) {
+    const { rows } = await db.query(
+      `INSERT INTO jobs (session_id, type, payload, priority, max_attempts, scheduled_at, status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        job.session_id,
+        job.type,
+        JSON.stringify(job.payload || {}),
+        job.priority || 0,
+        job.max_attempts || 3,
+        job.scheduled_at || new Date(),
+        job.status || 'pending'
+      ]
+    );
+    return rows[0];
+  }
+}
+
+module.exports = JobRepository;
@@ -0,0 +1,86 @@
+// Outbox rows over a direct Postgres connection
+// Every method takes the connection to use (pool or transaction client) as its first argument
+
+class OutboxRepository {
+  /**
+   * Insert an outbox message (status pending)
+   */
+  static async create(db, message) {
+    const { rows } = await db.query(
+      `INSERT INTO outbox (type, report_id, session_id, payload, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *`,
+      [
+        message.type,
+        message.report_id || null,
+        message.session_id || null,
+        JSON.stringify(message.payload || {}),
+        message.created_by || null
+      ]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Outbox message by ID
+   * @param {Boolean} forUpdate - Lock the row until the transaction ends
+   */
+  static async findById(db, id, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+      `SELECT * FROM outbox WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Undelivered message of a type for a report, if any
+   */
+  static async findPendingForReport(db, reportId, type) {
+    const { rows } = await db.query(
+      `SELECT * FROM outbox WHERE report_id = $1 AND type = $2 AND status = 'pending'`,
+      [reportId, type]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Link a message to the job that delivers it
+   */
+  static async setJob(db, id, jobId) {
+    const { rows } = await db.query(
+      'UPDATE outbox SET job_id = $2 WHERE id = $1 RETURNING *',
+      [id, jobId]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Record confirmed delivery
+   */
+  static async markSent(db, id, response) {
+    const { rows } = await db.query(
+      `UPDATE outbox SET status = 'sent', attempts = attempts + 1, response = $2, last_error = NULL, sent_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+      [id, JSON.stringify(response || {})]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Record a failed delivery attempt
+   * @param {Boolean} final - No retries left: the message is marked failed
+   */
+  static async recordFailure(db, id, errorMessage, final) {
+    const { rows } = await db.query(
+      `UPDATE outbox SET attempts = attempts + 1, last_error = $2, status = $3
+      WHERE id = $1
+      RETURNING *`,
+      [id, errorMessage, final ? 'failed' : 'pending']
+    );
+    return rows[0];
+  }
+}
+
+module.exports = OutboxRepository;
@@ -0,0 +1,128 @@
+// Report rows over a direct Postgres connection
+// Every method takes the connection to use (pool or transaction client) as its first argument
+
+class ReportRepository {
+  /**
+   * Current version of a report
+   * @param {Boolean} forUpdate - Lock the row until the transaction ends
+   */
+  static async findCurrentById(db, reportId, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+      `SELECT * FROM reports WHERE id = $1 AND is_current_version = true${forUpdate ? ' FOR UPDATE' : ''}`,
+      [reportId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Current version of a session's adviser or client report
+   */
+  static async findCurrentBySession(db, sessionId, type, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+      `SELECT * FROM reports WHERE session_id = $1 AND type = $2 AND is_current_version = true${forUpdate ? ' FOR UPDATE' : ''}`,
+      [sessionId, type]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Next version number for a session's report type (counts all versions, not just current)
+   */
+  static async getNextVersionNumber(db, sessionId, type) {
+    const { rows } = await db.query(
+      'SELECT COALESCE(MAX(version_number), 0) + 1 AS next_version FROM reports WHERE session_id = $1 AND type = $2',
+      [sessionId, type]
+    );
+    return rows[0].next_version;
+  }
+
+  /**
+   * Stop treating a report version as current
+   */
+  static async markNotCurrent(db, reportId) {
+    await db.query(
+      'UPDATE reports SET is_current_version = false, updated_at = NOW() WHERE id = $1',
+      [reportId]
+    );
+  }
+
+  /**
+   * Insert a report version (becomes the current version)
+   */
+  static async create(db, report) {
+    const { rows } = await db.query(
+      `INSERT INTO reports (
+        session_id, type, title, content, content_format, summary, key_points,
+        generation_method, generation_metadata, status, version_number, is_current_version,
+        parent_version_id, word_count, character_count
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, true, $12, $13, $14)
+      RETURNING *`,
+      [
+        report.session_id,
+        report.type,
+        report.title,
+        report.content,
+        report.content_format || 'markdown',
+        report.summary || null,
+        JSON.stringify(report.key_points || []),
+        report.generation_method || 'ai_generated',
+        JSON.stringify(report.generation_metadata || {}),
+        report.status || 'draft',
+        report.version_number || 1,
+        report.parent_version_id || null,
+        report.word_count || 0,
+        report.character_count || 0
+      ]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Link the rendered PDF to a report version
+   */
+  static async setPdf(db, reportId, { url, publicId }) {
+    const { rows } = await db.query(
+      `UPDATE reports SET pdf_url = $2, pdf_public_id = $3, pdf_generated_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+      [reportId, url, publicId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Set a report's status; approving records who approved it and when
+   */
+  static async updateStatus(db, reportId, status, approvedBy = null, approvalNotes = null) {
+    const approving = status === 'approved' && approvedBy;
+    const { rows } = await db.query(
+      `UPDATE reports SET
+        status = $2,
+        approved_by = CASE WHEN $3 THEN $4::uuid ELSE approved_by END,
+        approved_at = CASE WHEN $3 THEN NOW() ELSE approved_at END,
+        approval_notes = CASE WHEN $3 THEN $5 ELSE approval_notes END,
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+      [reportId, status, !!approving, approvedBy, approvalNotes]
+    );
+
+    if (rows.length === 0) {
+      throw new Error(`Report ${reportId} not found for status update`);
+    }
+
+    return rows[0];
+  }
+
+  /**
+   * Record the theme reports were exported with
+   */
+  static async setTheme(db, reportIds, themeId) {
+    await db.query(
+      'UPDATE reports SET theme_id = $2, updated_at = NOW() WHERE id = ANY($1::uuid[])',
+      [reportIds, themeId]
+    );
+  }
+}
+
+module.exports = ReportRepository;
@@ -0,0 +1,36 @@
+// Session rows over a direct Postgres connection
+// Every method takes the connection to use (pool or transaction client) as its first argument
+
+class SessionRepository {
+  /**
+   * Session by ID
+   * @param {Boolean} forUpdate - Lock the row until the transaction ends
+   */
+  static async findById(db, sessionId, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+      `SELECT * FROM sessions WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [sessionId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Set a session's status
+   */
+  static async updateStatus(db, sessionId, status) {
+    const { rows } = await db.query(
+      `UPDATE sessions SET status = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, title, client_id, adviser_id, status, updated_at`,
+      [sessionId, status]
+    );
+
+    if (rows.length === 0) {
+      throw new Error(`Session ${sessionId} not found for status update`);
+    }
+
+    return rows[0];
+  }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,89 @@
+// Report share link rows over a direct Postgres connection
+// Every method takes the connection to use (pool or transaction client) as its first argument
+
+class ShareLinkRepository {
+  /**
+   * Insert a share link for a report version
+   * @param {Object} link - { report_id, session_id, created_by, expires_at }
+   */
+  static async create(db, link) {
+    const { rows } = await db.query(
+      `INSERT INTO report_share_links (report_id, session_id, created_by, expires_at)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *`,
+      [link.report_id, link.session_id || null, link.created_by || null, link.expires_at]
+    );
+    return rows[0];
+  }
+
+  static async findById(db, id) {
+    const { rows } = await db.query('SELECT * FROM report_share_links WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * All links of a report, newest first
+   */
+  static async findByReport(db, reportId) {
+    const { rows } = await db.query(
+      'SELECT * FROM report_share_links WHERE report_id = $1 ORDER BY created_at DESC',
+      [reportId]
+    );
+    return rows;
+  }
+
+  /**
+   * Latest views of a report's links, newest first
+   */
+  static async findViewsByReport(db, reportId, limit = 100) {
+    const { rows } = await db.query(
+      `SELECT * FROM report_share_views WHERE report_id = $1
+      ORDER BY viewed_at DESC
+      LIMIT $2`,
+      [reportId, limit]
+    );
+    return rows;
+  }
+
+  /**
+   * Revoke a link (no-op when already revoked)
+   * @returns {Object|null} The link, null when it does not belong to the report
+   */
+  static async revoke(db, id, reportId, revokedBy) {
+    const { rows } = await db.query(
+      `UPDATE report_share_links SET
+        revoked_at = COALESCE(revoked_at, NOW()),
+        revoked_by = CASE WHEN revoked_at IS NULL THEN $3::uuid ELSE revoked_by END
+      WHERE id = $1 AND report_id = $2
+      RETURNING *`,
+      [id, reportId, revokedBy || null]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Log one opening of a link and bump its counters
+   * @returns {Object} The updated link
+   */
+  static async recordView(db, link, { ipAddress, userAgent }) {
+    const { rows: [view] } = await db.query(
+      `INSERT INTO report_share_views (share_link_id, report_id, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *`,
+      [link.id, link.report_id, ipAddress || null, userAgent || null]
+    );
+
+    const { rows } = await db.query(
+      `UPDATE report_share_links SET
+        view_count = view_count + 1,
+        first_viewed_at = COALESCE(first_viewed_at, $2),
+        last_viewed_at = $2
+      WHERE id = $1
+      RETURNING *`,
+      [link.id, view.viewed_at]
+    );
+    return rows[0];
+  }
+}
+
+module.exports = ShareLinkRepository;
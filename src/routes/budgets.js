@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const BudgetController = require('../controllers/budgetController');
+const { authenticate, requireAdmin, requireAdminOrAdviser } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/budgets
+ * @desc    List budget overrides, config defaults and organisation usage this month
+ * @access  Private (Admin)
+ */
+router.get('/', 
+  authenticate, 
+  requireAdmin, 
+  BudgetController.listBudgets
+);
+
+/**
+ * @route   GET /api/budgets/status
+ * @desc    Budget usage this month (advisers see their own; admins may pass ?adviser_id=)
+ * @access  Private (Admin, Adviser)
+ */
+router.get('/status', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  BudgetController.getBudgetStatus
+);
+
+/**
+ * @route   PUT /api/budgets
+ * @desc    Set a monthly budget ({ scope, adviser_id, audio_minutes_limit, tokens_limit, on_exhausted })
+ * @access  Private (Admin)
+ */
+router.put('/', 
+  authenticate, 
+  requireAdmin, 
+  BudgetController.setBudget
+);
+
+/**
+ * @route   DELETE /api/budgets/:id
+ * @desc    Remove a budget override
+ * @access  Private (Admin)
+ */
+router.delete('/:id', 
+  authenticate, 
+  requireAdmin, 
+  BudgetController.deleteBudget
+);
+
+module.exports = router;
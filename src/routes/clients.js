@@ -102,6 +102,30 @@ router.get('/:id/validate-access',
   ClientController.validateClientAccess
 );
 
+/**
+ * @route   PUT /api/clients/:id/report-recipients
+ * @desc    Set default CC/BCC recipients for the client's report emails (body: cc, bcc)
+ * @access  Private (Admin or own client)
+ */
+router.put('/:id/report-recipients', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  validateUUIDParam('id'), 
+  ClientController.updateReportRecipients
+);
+
+/**
+ * @route   PUT /api/clients/:id/report-theme
+ * @desc    Brand the client's reports with a report theme (body: theme_id, null for the default theme)
+ * @access  Private (Admin)
+ */
+router.put('/:id/report-theme', 
+  authenticate, 
+  requireAdmin, 
+  validateUUIDParam('id'), 
+  ClientController.updateReportTheme
+);
+
 // Update and delete routes will be added later if needed
 
 // Test route
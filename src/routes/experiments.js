@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const ExperimentController = require('../controllers/experimentController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/experiments
+ * @desc    List prompt/model experiments
+ * @access  Private (Admin)
+ */
+router.get('/', 
+  authenticate, 
+  requireAdmin, 
+  ExperimentController.listExperiments
+);
+
+/**
+ * @route   POST /api/experiments
+ * @desc    Create an experiment ({ name, description, variants: [{ key, weight, model, llm_provider, prompt_versions }] })
+ * @access  Private (Admin)
+ */
+router.post('/', 
+  authenticate, 
+  requireAdmin, 
+  ExperimentController.createExperiment
+);
+
+/**
+ * @route   GET /api/experiments/:id
+ * @desc    Get an experiment
+ * @access  Private (Admin)
+ */
+router.get('/:id', 
+  authenticate, 
+  requireAdmin, 
+  ExperimentController.getExperiment
+);
+
+/**
+ * @route   PUT /api/experiments/:id/status
+ * @desc    Start or stop an experiment ({ status: 'running' | 'stopped' })
+ * @access  Private (Admin)
+ */
+router.put('/:id/status', 
+  authenticate, 
+  requireAdmin, 
+  ExperimentController.updateExperimentStatus
+);
+
+/**
+ * @route   GET /api/experiments/:id/stats
+ * @desc    Compare variants: draft-to-approved edit distance, regeneration rate, approval latency
+ * @access  Private (Admin)
+ */
+router.get('/:id/stats', 
+  authenticate, 
+  requireAdmin, 
+  ExperimentController.getExperimentStats
+);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const JobController = require('../controllers/jobController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validateUUIDParam } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List queue jobs, newest first (?type=&status=&session_id=&limit=&offset=) with status/type counts
+ * @access  Private (Admin)
+ */
+router.get('/', 
+  authenticate, 
+  requireAdmin, 
+  JobController.listJobs
+);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get a job with its payload, result and error log
+ * @access  Private (Admin)
+ */
+router.get('/:id', 
+  authenticate, 
+  requireAdmin, 
+  validateUUIDParam('id'), 
+  JobController.getJob
+);
+
+/**
+ * @route   POST /api/jobs/:id/retry
+ * @desc    Queue a failed or cancelled job again with a fresh set of attempts
+ * @access  Private (Admin)
+ */
+router.post('/:id/retry', 
+  authenticate, 
+  requireAdmin, 
+  validateUUIDParam('id'), 
+  JobController.retryJob
+);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const PromptController = require('../controllers/promptController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/prompts
+ * @desc    List prompt templates, their versions and the active version
+ * @access  Private (Admin)
+ */
+router.get('/', 
+  authenticate, 
+  requireAdmin, 
+  PromptController.listTemplates
+);
+
+/**
+ * @route   GET /api/prompts/:name/versions/:version
+ * @desc    Get the content of a prompt version
+ * @access  Private (Admin)
+ */
+router.get('/:name/versions/:version', 
+  authenticate, 
+  requireAdmin, 
+  PromptController.getTemplateVersion
+);
+
+/**
+ * @route   POST /api/prompts/:name/preview
+ * @desc    Render a prompt version with sample variables ({ version, variables })
+ * @access  Private (Admin)
+ */
+router.post('/:name/preview', 
+  authenticate, 
+  requireAdmin, 
+  PromptController.previewTemplate
+);
+
+/**
+ * @route   POST /api/prompts/:name/versions
+ * @desc    Create a new prompt version ({ content, description }) - inactive until activated
+ * @access  Private (Admin)
+ */
+router.post('/:name/versions', 
+  authenticate, 
+  requireAdmin, 
+  PromptController.createVersion
+);
+
+/**
+ * @route   PUT /api/prompts/:name/active
+ * @desc    Activate a prompt version ({ version }) for new reports
+ * @access  Private (Admin)
+ */
+router.put('/:name/active', 
+  authenticate, 
+  requireAdmin, 
+  PromptController.activateVersion
+);
+
+module.exports = router;
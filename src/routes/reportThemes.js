@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const ReportThemeController = require('../controllers/reportThemeController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validateUUIDParam } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/report-themes
+ * @desc    List report themes, default first (?include_archived=true to include archived ones)
+ * @access  Private (Admin)
+ */
+router.get('/', 
+  authenticate, 
+  requireAdmin, 
+  ReportThemeController.listThemes
+);
+
+/**
+ * @route   GET /api/report-themes/:id
+ * @desc    Get a report theme
+ * @access  Private (Admin)
+ */
+router.get('/:id', 
+  authenticate, 
+  requireAdmin, 
+  validateUUIDParam('id'), 
+  ReportThemeController.getTheme
+);
+
+/**
+ * @route   POST /api/report-themes
+ * @desc    Create a report theme ({ name, logo_url, primary_color, accent_color, text_color, font_family,
+ *          header_text, footer_text, disclaimer, is_default })
+ * @access  Private (Admin)
+ */
+router.post('/', 
+  authenticate, 
+  requireAdmin, 
+  ReportThemeController.createTheme
+);
+
+/**
+ * @route   PUT /api/report-themes/:id
+ * @desc    Update a report theme (same fields as create; is_archived: false restores an archived theme)
+ * @access  Private (Admin)
+ */
+router.put('/:id', 
+  authenticate, 
+  requireAdmin, 
+  validateUUIDParam('id'), 
+  ReportThemeController.updateTheme
+);
+
+/**
+ * @route   PUT /api/report-themes/:id/default
+ * @desc    Make a theme the default for clients without their own (clients.metadata.report_theme_id)
+ * @access  Private (Admin)
+ */
+router.put('/:id/default', 
+  authenticate, 
+  requireAdmin, 
+  validateUUIDParam('id'), 
+  ReportThemeController.setDefaultTheme
+);
+
+/**
+ * @route   DELETE /api/report-themes/:id
+ * @desc    Archive a report theme (reports already exported with it keep it)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', 
+  authenticate, 
+  requireAdmin, 
+  validateUUIDParam('id'), 
+  ReportThemeController.archiveTheme
+);
+
+module.exports = router;
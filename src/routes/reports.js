@@ -4,6 +4,7 @@ const router = express.Router();
 
 // Import controllers and middleware
 const ReportController = require('../controllers/reportController');
+const ShareLinkController = require('../controllers/shareLinkController');
 const { authenticate, requireAdmin, requireAdminOrAdviser } = require('../middleware/auth');
 const { 
   validateUUIDParam, 
@@ -75,17 +76,95 @@ router.post('/:id/regenerate',
 
 /**
  * @route   POST /api/reports/:id/export
- * @desc    Export report as PDF and send to client
+ * @desc    Approve client report and queue it for sending to the client (session completes on delivery)
+ *          Optional form fields to, cc, bcc override the client's default recipients
+ *          The PDF is rendered on the server when CHROME_PATH is set (the uploaded pdf field is then optional);
+ *          without it the uploaded pdf is stored as the report version's PDF
+ *          export_metadata.delivery tracks the send; email_sent and crm_updated stay false (sent by the worker)
  * @access  Private (Admin or own report)
  */
 router.post('/:id/export', 
   authenticate, 
   requireAdminOrAdviser, 
   validateUUIDParam('id'),
-  upload.single('pdf'), // Handle PDF file upload
+  upload.single('pdf'), // Browser-made PDF, required (and used) only when CHROME_PATH is not set
   ReportController.exportReport
 );
 
+/**
+ * @route   POST /api/reports/:id/resend
+ * @desc    Queue an exported client report for sending again (body: to, cc, bcc - default the client's recipients)
+ * @access  Private (Admin or own report)
+ */
+router.post('/:id/resend', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  validateUUIDParam('id'), 
+  ReportController.resendReport
+);
+
+/**
+ * @route   GET /api/reports/:id/deliveries
+ * @desc    Get client report email send attempts and their delivery status
+ * @access  Private (Admin or own report)
+ */
+router.get('/:id/deliveries', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  validateUUIDParam('id'), 
+  ReportController.getReportDeliveries
+);
+
+/**
+ * @route   GET /api/reports/:id/download
+ * @desc    Download an advisor or client report, current or earlier version (?format=docx|md|html|pdf, default html)
+ *          pdf serves the version's stored PDF when it has one; renders are capped (PDF_MAX_CONCURRENT_RENDERS, 503 when busy)
+ * @access  Private (Admin or own report)
+ */
+router.get('/:id/download', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  validateUUIDParam('id'), 
+  ReportController.downloadReport
+);
+
+/**
+ * @route   POST /api/reports/:id/share-links
+ * @desc    Create a public link to an exported client report (body: expires_in_days, default 30)
+ * @access  Private (Admin or own report)
+ */
+router.post('/:id/share-links', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  validateUUIDParam('id'), 
+  ShareLinkController.createLink
+);
+
+/**
+ * @route   GET /api/reports/:id/share-links
+ * @desc    List a report's share links with their status and access log
+ * @access  Private (Admin or own report)
+ */
+router.get('/:id/share-links', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  validateUUIDParam('id'), 
+  ShareLinkController.listLinks
+);
+
+/**
+ * @route   DELETE /api/reports/:id/share-links/:linkId
+ * @desc    Revoke a share link
+ * @access  Private (Admin or own report)
+ */
+router.delete('/:id/share-links/:linkId', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  validateUUIDParam('id'), 
+  validateUUIDParam('linkId'), 
+  ShareLinkController.revokeLink
+);
+
 /**
  * @route   GET /api/reports/:id
  * @desc    Get report by ID
@@ -59,6 +59,7 @@ router.get('/stats',
 /**
  * @route   POST /api/sessions
  * @desc    Create new session (upload recording)
+ *          Optional transcription_provider (openai, local, fixture) picks the engine for this session
  * @access  Private (Admin or Adviser)
  */
 router.post('/', 
@@ -92,6 +93,18 @@ router.get('/:id/validate-access',
   SessionController.validateSessionAccess
 );
 
+/**
+ * @route   GET /api/sessions/:id/transcript/locate
+ * @desc    Find the recording timestamp of a quote (?quote=...)
+ * @access  Private (Admin or own session)
+ */
+router.get('/:id/transcript/locate', 
+  authenticate, 
+  requireAdminOrAdviser, 
+  validateUUIDParam('id'), 
+  SessionController.locateTranscriptQuote
+);
+
 /**
  * @route   PUT /api/sessions/:id
  * @desc    Update session
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const ShareLinkController = require('../controllers/shareLinkController');
+
+/**
+ * @route   GET /share/:token
+ * @desc    Public page with the client report behind a share link (each visit is logged)
+ * @access  Public (signed, expiring, revocable token)
+ */
+router.get('/:token', ShareLinkController.viewSharedReport);
+
+module.exports = router;
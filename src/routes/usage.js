@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const UsageController = require('../controllers/usageController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/usage
+ * @desc    AI usage and cost per month (?group_by=month|adviser|client|model&from=&to=, defaults to this month)
+ * @access  Private (Admin)
+ */
+router.get('/', 
+  authenticate, 
+  requireAdmin, 
+  UsageController.getUsageSummary
+);
+
+/**
+ * @route   GET /api/usage/sessions/:id
+ * @desc    Every AI call made for a session with its cost
+ * @access  Private (Admin)
+ */
+router.get('/sessions/:id', 
+  authenticate, 
+  requireAdmin, 
+  UsageController.getSessionUsage
+);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+
+const DeliveryController = require('../controllers/deliveryController');
+
+/**
+ * @route   POST /api/webhooks/email-status
+ * @desc    Delivery status callbacks for client report emails (delivered / opened / bounced)
+ * @access  Public (x-webhook-secret header must match EMAIL_WEBHOOK_SECRET)
+ */
+router.post('/email-status', DeliveryController.receiveStatus);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const Ajv = require('ajv');
+const advisorReportSchema = require('./advisorReport.schema.json');
+const clientReportSchema = require('./clientReport.schema.json');
+
+// Bump when a schema changes shape; stored in generation_metadata.schema_version
+const REPORT_SCHEMA_VERSION = 1;
+
+const ajv = new Ajv({ allErrors: true });
+
+const SCHEMAS = {
+  advisor: advisorReportSchema,
+  client: clientReportSchema
+};
+
+const validators = {
+  advisor: ajv.compile(advisorReportSchema),
+  client: ajv.compile(clientReportSchema)
+};
+
+/**
+ * Map report/db type names onto schema names ('adviser' is the db type, 'advisor' the generation type)
+ */
+function getSchemaName(reportType) {
+  if (reportType === 'adviser' || reportType === 'advisor') return 'advisor';
+  if (reportType === 'client') return 'client';
+  return null;
+}
+
+/**
+ * Validate report content against its schema
+ * @returns {Object} { valid, errors } - errors are readable strings like "/listening/score must be <= 5"
+ */
+function validateReportContent(reportType, content) {
+  const schemaName = getSchemaName(reportType);
+  if (!schemaName) {
+    throw new Error(`No report schema for report type: ${reportType}`);
+  }
+
+  const validate = validators[schemaName];
+  const valid = validate(content);
+
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`)
+  };
+}
+
+/**
+ * Convert a validation schema into the strict subset OpenAI structured outputs accept:
+ * every property required, no additional properties, no range/length keywords, $defs inlined
+ */
+function toStructuredOutputSchema(schema, defs = schema.$defs || {}) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => toStructuredOutputSchema(item, defs));
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  if (schema.$ref) {
+    return toStructuredOutputSchema(defs[schema.$ref.replace('#/$defs/', '')], defs);
+  }
+
+  const UNSUPPORTED = ['$id', '$defs', 'title', 'minimum', 'maximum', 'minLength', 'maxLength'];
+  const result = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (UNSUPPORTED.includes(key)) continue;
+
+    if (key === 'properties') {
+      result.properties = {};
+      for (const [name, propertySchema] of Object.entries(value)) {
+        result.properties[name] = toStructuredOutputSchema(propertySchema, defs);
+      }
+    } else {
+      result[key] = toStructuredOutputSchema(value, defs);
+    }
+  }
+
+  if (result.type === 'object') {
+    result.required = Object.keys(result.properties || {});
+    result.additionalProperties = false;
+  }
+
+  return result;
+}
+
+/**
+ * Build the response_format for structured-output generation of a report type
+ */
+function getStructuredOutputFormat(reportType) {
+  const schemaName = getSchemaName(reportType);
+
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: `${schemaName}_report`,
+      strict: true,
+      schema: toStructuredOutputSchema(SCHEMAS[schemaName])
+    }
+  };
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  validateReportContent,
+  toStructuredOutputSchema,
+  getStructuredOutputFormat
+};
@@ -24,6 +24,14 @@ const reportRoutes = require('./routes/reports');
 const socketRoutes = require('./routes/socket');
 const workerRoutes = require('./routes/worker');
 const salesforceRoutes = require('./routes/salesforceRoutes');
+const promptRoutes = require('./routes/prompts');
+const experimentRoutes = require('./routes/experiments');
+const usageRoutes = require('./routes/usage');
+const budgetRoutes = require('./routes/budgets');
+const jobRoutes = require('./routes/jobs');
+const webhookRoutes = require('./routes/webhooks');
+const reportThemeRoutes = require('./routes/reportThemes');
+const shareRoutes = require('./routes/share');
 
 const app = express();
 const server = createServer(app);
@@ -31,6 +39,11 @@ const server = createServer(app);
 // Initialize Socket.io with our service
 const io = socketService.initialize(server);
 
+// req.ip is the client from X-Forwarded-For when the request comes through a trusted proxy
+// TRUST_PROXY: Express trust proxy setting - hop count, true, or addresses/subnets (default: private networks)
+const trustProxy = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy === 'false' ? false : trustProxy);
+
 // Basic middleware
 app.use(morgan('combined'));
 app.use(cors(corsConfig));
@@ -62,6 +75,16 @@ app.use('/api/reports', reportRoutes);
 app.use('/api/socket', socketRoutes);
 app.use('/api/worker', workerRoutes);
 app.use('/api/salesforce', salesforceRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/experiments', experimentRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/report-themes', reportThemeRoutes);
+
+// Public report links (must come before the catch-all below)
+app.use('/share', shareRoutes);
 
 // Make socket service accessible to routes
 app.set('socketService', socketService);
@@ -0,0 +1,350 @@
+const { supabaseAdmin } = require('../config/database');
+const budgetConfig = require('../config/budgets');
+const socketService = require('./socketService');
+
+const METRICS = ['audio_minutes', 'tokens'];
+
+// Which budgets each job type draws on (send_email / update_crm make no AI calls)
+const JOB_METRICS = {
+  transcribe: ['audio_minutes', 'tokens'], // Transcription plus diarization
+  generate_reports: ['tokens'],
+  regenerate_report: ['tokens']
+};
+
+/**
+ * Start of this month and next month (UTC)
+ */
+function getCurrentPeriod() {
+  const now = new Date();
+  return {
+    from: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    to: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
+
+class BudgetService {
+  /**
+   * List budget overrides stored in the database
+   */
+  static async listBudgets() {
+    const { data, error } = await supabaseAdmin
+      .from('ai_budgets')
+      .select('*, adviser:users!ai_budgets_adviser_id_fkey(id, name, email)')
+      .order('scope', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to get budgets: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Resolve the budget that applies: adviser row, then all-advisers row, then config defaults
+   * @param {String} scope - 'organization' or 'adviser'
+   * @returns {Object} { audio_minutes_limit, tokens_limit, on_exhausted, source }
+   */
+  static async getEffectiveBudget(scope, adviserId = null) {
+    const { data, error } = await supabaseAdmin
+      .from('ai_budgets')
+      .select('*')
+      .eq('scope', scope);
+
+    if (error) {
+      throw new Error(`Failed to get budgets: ${error.message}`);
+    }
+
+    const rows = data || [];
+    const row = (scope === 'adviser' && rows.find(candidate => candidate.adviser_id === adviserId))
+      || rows.find(candidate => !candidate.adviser_id);
+
+    if (row) {
+      return {
+        audio_minutes_limit: row.audio_minutes_limit !== null ? Number(row.audio_minutes_limit) : null,
+        tokens_limit: row.tokens_limit !== null ? Number(row.tokens_limit) : null,
+        on_exhausted: row.on_exhausted,
+        source: row.adviser_id ? 'adviser' : scope === 'adviser' ? 'all_advisers' : 'organization'
+      };
+    }
+
+    const defaults = budgetConfig[scope];
+    return {
+      audio_minutes_limit: defaults.audioMinutes,
+      tokens_limit: defaults.tokens,
+      on_exhausted: budgetConfig.onExhausted,
+      source: 'config'
+    };
+  }
+
+  /**
+   * Create or replace a budget override
+   */
+  static async setBudget({ scope, adviser_id = null, audio_minutes_limit = null, tokens_limit = null, on_exhausted = 'refuse' }, updatedBy) {
+    if (!['organization', 'adviser'].includes(scope)) {
+      throw new Error('Invalid scope. Must be organization or adviser');
+    }
+    if (scope === 'organization' && adviser_id) {
+      throw new Error('Invalid budget: organization budgets cannot have an adviser');
+    }
+    if (!['refuse', 'defer'].includes(on_exhausted)) {
+      throw new Error('Invalid on_exhausted. Must be refuse or defer');
+    }
+    for (const [name, value] of Object.entries({ audio_minutes_limit, tokens_limit })) {
+      if (value !== null && !(Number(value) >= 0)) {
+        throw new Error(`Invalid ${name}: must be a non-negative number or null`);
+      }
+    }
+
+    let query = supabaseAdmin
+      .from('ai_budgets')
+      .select('id')
+      .eq('scope', scope);
+    query = adviser_id ? query.eq('adviser_id', adviser_id) : query.is('adviser_id', null);
+
+    const { data: existing, error: findError } = await query.maybeSingle();
+    if (findError) {
+      throw new Error(`Failed to get budgets: ${findError.message}`);
+    }
+
+    const budget = {
+      scope,
+      adviser_id,
+      audio_minutes_limit,
+      tokens_limit,
+      on_exhausted,
+      updated_by: updatedBy
+    };
+
+    const { data, error } = existing
+      ? await supabaseAdmin.from('ai_budgets').update(budget).eq('id', existing.id).select().single()
+      : await supabaseAdmin.from('ai_budgets').insert([budget]).select().single();
+
+    if (error) {
+      throw new Error(`Failed to save budget: ${error.message}`);
+    }
+
+    console.log(`💰 Budget saved: ${scope}${adviser_id ? ` (adviser ${adviser_id})` : ''} - ${audio_minutes_limit ?? '∞'} min, ${tokens_limit ?? '∞'} tokens`);
+    return data;
+  }
+
+  /**
+   * Remove a budget override (the next level up applies again)
+   */
+  static async deleteBudget(budgetId) {
+    const { data, error } = await supabaseAdmin
+      .from('ai_budgets')
+      .delete()
+      .eq('id', budgetId)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to delete budget: ${error.message}`);
+    }
+    if (!data || data.length === 0) {
+      throw new Error('Budget not found');
+    }
+  }
+
+  /**
+   * Audio minutes and tokens used this month, organisation-wide or for one adviser
+   */
+  static async getMonthlyUsage(adviserId = null) {
+    const { from, to } = getCurrentPeriod();
+
+    const { data, error } = await supabaseAdmin.rpc('get_ai_usage_totals', {
+      p_from: from.toISOString(),
+      p_to: to.toISOString(),
+      p_adviser_id: adviserId
+    });
+
+    if (error) {
+      throw new Error(`Failed to get monthly usage: ${error.message}`);
+    }
+
+    const totals = (data && data[0]) || { audio_seconds: 0, total_tokens: 0 };
+    return {
+      audio_minutes: Math.round((Number(totals.audio_seconds) / 60) * 10) / 10,
+      tokens: Number(totals.total_tokens)
+    };
+  }
+
+  /**
+   * Budget, usage and percentage used for one scope
+   */
+  static async getScopeStatus(scope, adviserId = null) {
+    const [budget, usage] = await Promise.all([
+      this.getEffectiveBudget(scope, adviserId),
+      this.getMonthlyUsage(scope === 'adviser' ? adviserId : null)
+    ]);
+
+    const limits = { audio_minutes: budget.audio_minutes_limit, tokens: budget.tokens_limit };
+    const percentages = {};
+    for (const metric of METRICS) {
+      percentages[metric] = limits[metric] === null
+        ? null
+        : limits[metric] === 0 ? 100 : Math.round((usage[metric] / limits[metric]) * 1000) / 10;
+    }
+
+    return {
+      scope,
+      adviser_id: scope === 'adviser' ? adviserId : null,
+      period: getCurrentPeriod().from.toISOString().slice(0, 10),
+      limits,
+      usage,
+      percentages,
+      on_exhausted: budget.on_exhausted,
+      source: budget.source
+    };
+  }
+
+  /**
+   * Organisation and (when given) adviser budget status
+   */
+  static async getBudgetStatus(adviserId = null) {
+    const organization = await this.getScopeStatus('organization');
+    const adviser = adviserId ? await this.getScopeStatus('adviser', adviserId) : null;
+
+    return { organization, adviser };
+  }
+
+  /**
+   * Check whether new AI work is allowed for an adviser
+   * @param {Array} metrics - Budgets the work draws on
+   * @returns {Object} { allowed, action, exhausted: [{ scope, metric, usage, limit }] }
+   */
+  static async checkBudget(adviserId, metrics = METRICS) {
+    const status = await this.getBudgetStatus(adviserId);
+    const exhausted = [];
+    let action = 'refuse';
+    let deferOnly = true;
+
+    for (const scopeStatus of [status.organization, status.adviser].filter(Boolean)) {
+      for (const metric of metrics) {
+        if (scopeStatus.percentages[metric] !== null && scopeStatus.percentages[metric] >= 100) {
+          exhausted.push({
+            scope: scopeStatus.scope,
+            metric,
+            usage: scopeStatus.usage[metric],
+            limit: scopeStatus.limits[metric]
+          });
+          deferOnly = deferOnly && scopeStatus.on_exhausted === 'defer';
+        }
+      }
+    }
+
+    // Work is only deferred when every exhausted budget allows deferring
+    if (exhausted.length > 0 && deferOnly) {
+      action = 'defer';
+    }
+
+    return {
+      allowed: exhausted.length === 0,
+      action: exhausted.length === 0 ? null : action,
+      exhausted
+    };
+  }
+
+  /**
+   * Throw when AI work must be refused; returns the check result otherwise (allowed or deferred)
+   */
+  static async assertWithinBudget(adviserId, metrics = METRICS) {
+    const check = await this.checkBudget(adviserId, metrics);
+
+    if (!check.allowed && check.action === 'refuse') {
+      throw new Error(`Monthly AI budget exhausted: ${this.describeExhausted(check.exhausted)}`);
+    }
+
+    return check;
+  }
+
+  /**
+   * Describe exhausted budgets for error messages
+   */
+  static describeExhausted(exhausted) {
+    return exhausted
+      .map(item => `${item.scope} ${item.metric.replace('_', ' ')} (${item.usage}/${item.limit})`)
+      .join(', ');
+  }
+
+  /**
+   * Check which budgets a job type draws on
+   */
+  static getJobMetrics(jobType) {
+    return JOB_METRICS[jobType] || [];
+  }
+
+  /**
+   * When AI work for a deferred job can start again
+   */
+  static getNextPeriodStart() {
+    return getCurrentPeriod().to;
+  }
+
+  /**
+   * Send admin alerts for budgets that crossed an alert threshold
+   * Called after usage is recorded; each threshold is announced once per budget, metric and month
+   */
+  static async checkAlerts(adviserId = null) {
+    try {
+      const scopes = [await this.getScopeStatus('organization')];
+      if (adviserId) {
+        scopes.push(await this.getScopeStatus('adviser', adviserId));
+      }
+
+      for (const scopeStatus of scopes) {
+        for (const metric of METRICS) {
+          const percentage = scopeStatus.percentages[metric];
+          if (percentage === null) continue;
+
+          const crossed = budgetConfig.alertThresholds.filter(threshold => percentage >= threshold);
+          for (const threshold of crossed) {
+            await this.sendAlertOnce(scopeStatus, metric, threshold);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Budget alert check failed:', error.message);
+    }
+  }
+
+  /**
+   * Record an alert and notify admins, unless it was already sent this month
+   */
+  static async sendAlertOnce(scopeStatus, metric, threshold) {
+    const { error } = await supabaseAdmin
+      .from('ai_budget_alerts')
+      .insert([{
+        scope: scopeStatus.scope,
+        adviser_id: scopeStatus.adviser_id,
+        period: scopeStatus.period,
+        metric,
+        threshold,
+        usage_value: scopeStatus.usage[metric],
+        limit_value: scopeStatus.limits[metric]
+      }]);
+
+    if (error) {
+      if (error.message.includes('duplicate key')) return; // Already announced
+      throw new Error(`Failed to record budget alert: ${error.message}`);
+    }
+
+    console.log(`💰 Budget alert: ${scopeStatus.scope}${scopeStatus.adviser_id ? ` ${scopeStatus.adviser_id}` : ''} ${metric} at ${threshold}%`);
+
+    // The socket server only runs in the API process; a standalone worker still records the alert
+    if (socketService.io) {
+      socketService.sendToRole('admin', 'budget_alert', {
+        scope: scopeStatus.scope,
+        adviserId: scopeStatus.adviser_id,
+        metric,
+        threshold,
+        usage: scopeStatus.usage[metric],
+        limit: scopeStatus.limits[metric],
+        period: scopeStatus.period,
+        exhausted: threshold >= 100,
+        message: `AI budget ${threshold >= 100 ? 'exhausted' : `${threshold}% used`}: ${scopeStatus.scope} ${metric.replace('_', ' ')} (${scopeStatus.usage[metric]}/${scopeStatus.limits[metric]})`
+      });
+    }
+  }
+}
+
+module.exports = BudgetService;
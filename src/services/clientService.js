@@ -1,4 +1,7 @@
 const { supabase, supabaseAdmin } = require('../config/database');
+const DatabaseUtils = require('../utils/database');
+const { normalizeDefaultRecipients } = require('../utils/emailRecipients');
+const ReportThemeService = require('./reportThemeService');
 
 class ClientService {
   /**
@@ -90,7 +93,13 @@ class ClientService {
   static async createClient(clientData, adviserId) {
     try {
       const client = supabaseAdmin || supabase;
-      const { name, email, phone, metadata } = clientData;
+      const { name, email, phone } = clientData;
+      const metadata = { ...clientData.metadata };
+
+      // Default CC/BCC recipients for report emails
+      if (metadata.report_recipients !== undefined) {
+        metadata.report_recipients = normalizeDefaultRecipients(metadata.report_recipients);
+      }
 
       // Check if client with same email already exists for this adviser
       if (email) {
@@ -113,7 +122,7 @@ class ClientService {
           name: name.trim(),
           email: email ? email.toLowerCase().trim() : null,
           phone: phone ? phone.trim() : null,
-          metadata: metadata || {},
+          metadata,
           adviser_id: adviserId
         })
         .select('id, name, email, phone, metadata, adviser_id, created_at, updated_at')
@@ -135,10 +144,11 @@ class ClientService {
     try {
       const client = supabaseAdmin || supabase;
       
+      const searchPattern = DatabaseUtils.containsPattern(searchTerm);
       let query = client
         .from('clients')
         .select('id, name, email, phone, metadata, adviser_id')
-        .or(`name.ilike.%${searchTerm}%,email.ilike.%${searchTerm}%,metadata->>business_domain.ilike.%${searchTerm}%`);
+        .or(`name.ilike.${searchPattern},email.ilike.${searchPattern},metadata->>business_domain.ilike.${searchPattern}`);
 
       // If user is adviser, only search their clients
       if (userRole === 'adviser') {
@@ -276,6 +286,68 @@ class ClientService {
     }
   }
 
+  /**
+   * Set the default CC/BCC recipients for the client's report emails (metadata.report_recipients)
+   * @param {Object} recipients - { cc: [], bcc: [] }
+   */
+  static async updateReportRecipients(clientId, recipients, userId, userRole) {
+    const reportRecipients = normalizeDefaultRecipients(recipients);
+    const existingClient = await this.getClientById(clientId, userId, userRole);
+    const client = supabaseAdmin || supabase;
+
+    const { data: updatedClient, error } = await client
+      .from('clients')
+      .update({
+        metadata: { ...existingClient.metadata || {}, report_recipients: reportRecipients },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', clientId)
+      .select('id, name, email, phone, metadata, adviser_id, created_at, updated_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update report recipients: ${error.message}`);
+    }
+
+    return updatedClient;
+  }
+
+  /**
+   * Brand the client's reports with a theme (metadata.report_theme_id), e.g. for a partner programme
+   * @param {String|null} themeId - null goes back to the default theme
+   */
+  static async updateReportTheme(clientId, themeId, userId, userRole) {
+    if (themeId) {
+      const theme = await ReportThemeService.getThemeById(themeId);
+      if (!theme) {
+        throw new Error('Report theme not found');
+      }
+      if (theme.is_archived) {
+        throw new Error('Invalid report theme: the theme is archived');
+      }
+    }
+
+    const existingClient = await this.getClientById(clientId, userId, userRole);
+    const { report_theme_id: previousThemeId, ...metadata } = existingClient.metadata || {};
+    const client = supabaseAdmin || supabase;
+
+    const { data: updatedClient, error } = await client
+      .from('clients')
+      .update({
+        metadata: themeId ? { ...metadata, report_theme_id: themeId } : metadata,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', clientId)
+      .select('id, name, email, phone, metadata, adviser_id, created_at, updated_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update report theme: ${error.message}`);
+    }
+
+    return updatedClient;
+  }
+
   /**
    * Enrich client with Salesforce data (no access control needed - internal use)
    */
@@ -1,4 +1,5 @@
 const cloudinary = require('cloudinary').v2;
+const axios = require('axios');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -470,8 +471,15 @@ class CloudinaryService {
       const timestamp = Date.now();
       const publicId = `report_${reportId}_${timestamp}`;
 
+      // raw: store the PDF file itself (server-rendered reports) instead of converting it to images
+      const { raw = false, ...overrides } = options;
+
       // Default options for PDF uploads - save as JPG images to bypass restrictions
-      const defaultOptions = {
+      const defaultOptions = raw ? {
+        folder: 'mati/reports',
+        public_id: `${publicId}.pdf`, // Raw files keep their extension in the URL
+        resource_type: 'raw'
+      } : {
         folder: 'mati/reports',
         public_id: publicId,
         resource_type: 'image',
@@ -481,7 +489,7 @@ class CloudinaryService {
         density: 150 // Good quality for viewing
       };
 
-      const uploadOptions = { ...defaultOptions, ...options };
+      const uploadOptions = { ...defaultOptions, ...overrides };
 
       console.log(`📄 Uploading PDF report ${reportId} to Cloudinary...`);
 
@@ -515,10 +523,10 @@ class CloudinaryService {
         }
       }
 
-      // Use regular Cloudinary URL since we're now saving as JPG images
+      // Use regular Cloudinary URL since we're now saving as JPG images (or the PDF itself for raw uploads)
       const imageUrl = result.secure_url;
       
-      console.log(`�️ Generated image URL: ${imageUrl}`);
+      console.log(`🖼️ Generated ${raw ? 'PDF' : 'image'} URL: ${imageUrl}`);
 
       return {
         success: true,
@@ -558,6 +566,15 @@ class CloudinaryService {
     }
   }
 
+  /**
+   * Download a stored file (e.g. a report PDF) into memory
+   * @returns {Promise<Buffer>} File bytes
+   */
+  static async downloadFile(url) {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 60000 });
+    return Buffer.from(response.data);
+  }
+
   /**
    * Delete file from Cloudinary
    */
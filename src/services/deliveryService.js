@@ -0,0 +1,130 @@
+const DatabaseUtils = require('../utils/database');
+const DeliveryRepository = require('../repositories/deliveryRepository');
+const socketService = require('./socketService');
+
+// Status names accepted from callbacks (providers differ in tense)
+const CALLBACK_STATUSES = {
+  delivered: 'delivered',
+  delivery: 'delivered',
+  opened: 'opened',
+  open: 'opened',
+  bounced: 'bounced',
+  bounce: 'bounced'
+};
+
+// Callbacks arrive out of order (an open can be reported before the delivery) - the status only moves forward
+// A bounce wins over everything: the address does not work, whatever was reported before
+const STATUS_RANK = { queued: 0, failed: 1, sent: 1, delivered: 2, opened: 3, bounced: 4 };
+
+class DeliveryService {
+  /**
+   * Transport message IDs without the angle brackets of an SMTP Message-ID header
+   */
+  static normalizeMessageId(messageId) {
+    return String(messageId || '').trim().replace(/^<(.*)>$/, '$1') || null;
+  }
+
+  /**
+   * Validate and normalize one status callback
+   * @param {Object} event - { message_id, status, timestamp, reason, recipient (when about one recipient only) }
+   */
+  static normalizeEvent(event) {
+    const messageId = this.normalizeMessageId(event?.message_id);
+    if (!messageId) {
+      throw new Error('message_id is required');
+    }
+
+    const status = CALLBACK_STATUSES[String(event.status || '').toLowerCase()];
+    if (!status) {
+      throw new Error(`Invalid delivery status: ${event.status}. Expected delivered, opened or bounced`);
+    }
+
+    const occurredAt = event.timestamp ? new Date(event.timestamp) : new Date();
+    if (isNaN(occurredAt.getTime())) {
+      throw new Error(`Invalid timestamp: ${event.timestamp}`);
+    }
+
+    return {
+      message_id: messageId,
+      status,
+      recipient: event.recipient ? String(event.recipient).trim().toLowerCase() : null,
+      occurred_at: occurredAt.toISOString(),
+      reason: event.reason || null,
+      received_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Apply status callbacks from the email provider
+   * Unknown message IDs are reported back, not treated as errors (the provider would keep retrying);
+   * invalid events are reported back too, and the rest of the batch is still applied
+   * @param {Array} events - Raw callback events
+   * @returns {Object} { processed, unmatched, rejected: [{ index, message_id, error }], deliveries }
+   */
+  static async recordStatusEvents(events) {
+    const normalized = [];
+    const rejected = [];
+    events.forEach((event, index) => {
+      try {
+        normalized.push(this.normalizeEvent(event));
+      } catch (error) {
+        rejected.push({ index, message_id: event?.message_id ?? null, error: error.message });
+      }
+    });
+
+    const updated = [];
+    const unmatched = [];
+
+    for (const event of normalized) {
+      const deliveries = await DatabaseUtils.transaction(async (client) => {
+        const rows = await DeliveryRepository.findByMessageIdForUpdate(client, event.message_id, event.recipient);
+        const applied = [];
+
+        for (const row of rows) {
+          applied.push(await DeliveryRepository.applyEvent(client, row.id, event, {
+            advance: STATUS_RANK[event.status] > STATUS_RANK[row.status]
+          }));
+        }
+
+        return applied;
+      });
+
+      if (deliveries.length === 0) {
+        unmatched.push(event.message_id);
+        continue;
+      }
+
+      for (const delivery of deliveries) {
+        if (delivery.session_id) {
+          socketService.sendToSession(delivery.session_id, 'client_report_delivery_status', {
+            sessionId: delivery.session_id,
+            reportId: delivery.report_id,
+            deliveryId: delivery.id,
+            status: delivery.status,
+            recipient: delivery.recipient
+          });
+        }
+      }
+      updated.push(...deliveries);
+    }
+
+    console.log(`📬 Delivery status callbacks: ${normalized.length} processed, ${updated.length} deliveries updated, ${unmatched.length} unmatched, ${rejected.length} rejected`);
+    if (unmatched.length > 0) {
+      console.warn(`⚠️ Delivery status for unknown messages: ${unmatched.join(', ')}`);
+    }
+    if (rejected.length > 0) {
+      console.warn(`⚠️ Rejected delivery status events: ${rejected.map(item => `#${item.index} ${item.error}`).join('; ')}`);
+    }
+
+    return { processed: normalized.length, unmatched, rejected, deliveries: updated };
+  }
+
+  /**
+   * Every send attempt for a report, newest first
+   */
+  static async getDeliveriesForReport(reportId) {
+    return DeliveryRepository.findByReport(DatabaseUtils.getPool(), reportId);
+  }
+}
+
+module.exports = DeliveryService;
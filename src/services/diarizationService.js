@@ -0,0 +1,170 @@
+const openaiService = require('./openaiService');
+
+const SPEAKERS = ['adviser', 'client'];
+
+class DiarizationService {
+  /**
+   * Label transcript segments as adviser or client speech
+   * Segments are Whisper segments ({ start, end, text }); returns labelled segments,
+   * merged speaker turns and measured talk-time statistics
+   */
+  static async diarizeSegments(segments, options = {}) {
+    const { sessionContext, language, usageContext } = options;
+    const BATCH_SIZE = 80; // Keeps each labelling prompt well under the model context
+    const CONTEXT_SIZE = 5; // Labelled segments from the previous batch passed as context
+
+    if (!Array.isArray(segments) || segments.length === 0) {
+      throw new Error('No transcript segments available for diarization');
+    }
+
+    const startTime = Date.now();
+    const labelled = [];
+    let tokensUsed = 0;
+    let model = null;
+
+    console.log(`🗣️ Diarizing ${segments.length} segments in batches of ${BATCH_SIZE}...`);
+
+    for (let i = 0; i < segments.length; i += BATCH_SIZE) {
+      const batch = segments.slice(i, i + BATCH_SIZE).map((segment, offset) => ({
+        i: i + offset,
+        text: (segment.text || '').trim()
+      }));
+
+      const previous = labelled.slice(-CONTEXT_SIZE).map(segment => ({
+        speaker: segment.speaker,
+        text: segment.text
+      }));
+
+      const result = await openaiService.labelSpeakers(batch, {
+        sessionContext,
+        language,
+        previous,
+        usageContext
+      });
+
+      tokensUsed += result.tokens_used || 0;
+      model = result.model;
+
+      const labelsByIndex = new Map(result.labels.map(label => [label.i, label.speaker]));
+
+      batch.forEach(item => {
+        const source = segments[item.i];
+        const speaker = labelsByIndex.get(item.i);
+
+        labelled.push({
+          start: source.start,
+          end: source.end,
+          text: item.text,
+          speaker: SPEAKERS.includes(speaker) ? speaker : 'unknown'
+        });
+      });
+    }
+
+    const turns = this.buildTurns(labelled);
+    const stats = this.computeSpeakerStats(labelled);
+
+    console.log(`✅ Diarization completed: ${turns.length} turns, adviser ${stats.adviser_talk_percentage}% / client ${stats.client_talk_percentage}%`);
+
+    return {
+      segments: labelled,
+      turns,
+      stats,
+      metadata: {
+        model,
+        tokens_used: tokensUsed,
+        segments_labelled: labelled.length,
+        processing_time_ms: Date.now() - startTime,
+        diarized_at: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Merge consecutive segments by the same speaker into turns
+   */
+  static buildTurns(labelledSegments) {
+    const turns = [];
+
+    for (const segment of labelledSegments) {
+      if (!segment.text) continue;
+
+      const last = turns[turns.length - 1];
+      if (last && last.speaker === segment.speaker) {
+        last.end = segment.end;
+        last.text = `${last.text} ${segment.text}`;
+      } else {
+        turns.push({
+          speaker: segment.speaker,
+          start: segment.start,
+          end: segment.end,
+          text: segment.text
+        });
+      }
+    }
+
+    return turns;
+  }
+
+  /**
+   * Measure talk time per speaker from labelled segments
+   */
+  static computeSpeakerStats(labelledSegments) {
+    const seconds = { adviser: 0, client: 0, unknown: 0 };
+    const turnCounts = { adviser: 0, client: 0, unknown: 0 };
+    let previousSpeaker = null;
+
+    for (const segment of labelledSegments) {
+      const length = Math.max(0, (segment.end || 0) - (segment.start || 0));
+      seconds[segment.speaker] = (seconds[segment.speaker] || 0) + length;
+
+      if (segment.speaker !== previousSpeaker) {
+        turnCounts[segment.speaker] = (turnCounts[segment.speaker] || 0) + 1;
+        previousSpeaker = segment.speaker;
+      }
+    }
+
+    const totalSeconds = seconds.adviser + seconds.client + seconds.unknown;
+    const percentage = (value) => totalSeconds > 0 ? Math.round((value / totalSeconds) * 100) : 0;
+
+    return {
+      adviser_seconds: Math.round(seconds.adviser),
+      client_seconds: Math.round(seconds.client),
+      unknown_seconds: Math.round(seconds.unknown),
+      adviser_talk_percentage: percentage(seconds.adviser),
+      client_talk_percentage: percentage(seconds.client),
+      adviser_turns: turnCounts.adviser,
+      client_turns: turnCounts.client
+    };
+  }
+
+  /**
+   * Render speaker turns as a labelled transcript for report prompts
+   */
+  static formatLabelledTranscript(turns, names = {}) {
+    const labels = {
+      adviser: names.adviserName ? `ADVISER (${names.adviserName})` : 'ADVISER',
+      client: names.clientName ? `CLIENT (${names.clientName})` : 'CLIENT',
+      unknown: 'UNKNOWN SPEAKER'
+    };
+
+    return turns
+      .map(turn => `[${this.formatTimestamp(turn.start)}] ${labels[turn.speaker] || labels.unknown}: ${turn.text}`)
+      .join('\n');
+  }
+
+  /**
+   * Format seconds as mm:ss (or h:mm:ss for long recordings)
+   */
+  static formatTimestamp(totalSeconds) {
+    const value = Math.max(0, Math.floor(totalSeconds || 0));
+    const hours = Math.floor(value / 3600);
+    const minutes = Math.floor((value % 3600) / 60);
+    const seconds = (value % 60).toString().padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+      : `${minutes.toString().padStart(2, '0')}:${seconds}`;
+  }
+}
+
+module.exports = DiarizationService;
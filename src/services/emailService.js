@@ -0,0 +1,111 @@
+const emailConfig = require('../config/email');
+const { getEmailTransport } = require('./emailTransports');
+const { generateReportHtml, detectLanguage } = require('../utils/reportHtmlGenerator');
+const { resolveLocale, renderPasswordResetEmail, renderClientReportEmail } = require('../utils/emailTemplates');
+
+class EmailService {
+  /**
+   * Configured transport (EMAIL_TRANSPORT)
+   */
+  static getTransport() {
+    return getEmailTransport();
+  }
+
+  /**
+   * Send a message through the configured transport
+   * Throws when the email was not sent
+   * @param {Object} message - { kind, to, cc, bcc, subject, html, text, attachments, locale, context }
+   */
+  static async send(message) {
+    const transport = this.getTransport();
+
+    const result = await transport.send({
+      from: emailConfig.from,
+      replyTo: emailConfig.replyTo,
+      ...message
+    });
+
+    console.log(`📧 Sent ${message.kind} email to ${[].concat(message.to).join(', ')} via ${transport.name}`);
+    return { ...result, transport: transport.name };
+  }
+
+  /**
+   * Password reset email with the link to the reset page
+   */
+  static async sendPasswordResetEmail(user, token, { expiresInMinutes = 60, locale = null } = {}) {
+    const resetUrl = `${emailConfig.frontendUrl}/reset-password?token=${token}`;
+    const message = {
+      kind: 'password_reset',
+      to: user.email,
+      locale: resolveLocale(locale, emailConfig.defaultLocale),
+      context: { user, token, resetUrl, expiresInMinutes }
+    };
+
+    if (this.getTransport().rendersTemplates) {
+      Object.assign(message, renderPasswordResetEmail({ name: user.name, resetUrl, expiresInMinutes }, message.locale));
+    }
+
+    return this.send(message);
+  }
+
+  /**
+   * Approved client report, with the full report attached
+   * The rendered PDF is attached when there is one, otherwise the HTML report
+   * @param {Object} options - { recipients: { to, cc, bcc } (default: the client's email), pdfUrl, pdfBuffer, theme }
+   * Returns { success, message, email_id, salesforce_updated, transport } or { success: false, error }
+   */
+  static async sendClientReport(report, session, client, { recipients = null, pdfUrl = null, pdfBuffer = null, theme = null } = {}) {
+    try {
+      const { to, cc = [], bcc = [] } = recipients || { to: client?.email ? [client.email] : [] };
+      if (!to?.length) {
+        throw new Error('Client has no email address');
+      }
+
+      const locale = resolveLocale(detectLanguage(session), emailConfig.defaultLocale);
+      const message = {
+        kind: 'client_report',
+        to,
+        cc,
+        bcc,
+        locale,
+        context: { report, session, client, pdfUrl, recipients: { to, cc, bcc } }
+      };
+
+      if (this.getTransport().rendersTemplates) {
+        Object.assign(message, renderClientReportEmail({
+          clientName: client.name,
+          adviserName: session.adviser?.name || null,
+          sessionTitle: session.title,
+          sessionDate: session.created_at,
+          pdfUrl
+        }, locale));
+
+        message.attachments = [pdfBuffer ? {
+          filename: `client-report-${report.id}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf'
+        } : {
+          filename: `client-report-${report.id}.html`,
+          content: generateReportHtml(report, session, client, theme),
+          contentType: 'text/html; charset=utf-8'
+        }];
+      }
+
+      const result = await this.send(message);
+
+      return {
+        success: true,
+        message: `Report sent to ${[...to, ...cc, ...bcc].join(', ')}`,
+        email_id: result.message_id || null,
+        salesforce_updated: result.salesforce_updated || false,
+        transport: result.transport
+      };
+
+    } catch (error) {
+      console.error(`❌ Failed to send client report email:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,57 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const emailConfig = require('../../config/email');
+
+/**
+ * Writes rendered emails to EMAIL_CAPTURE_DIR instead of sending them - for development and tests
+ * Each message becomes <timestamp>-<kind>-<id>.json, with the HTML body next to it for opening in a browser
+ */
+class CaptureEmailTransport {
+  constructor() {
+    this.name = 'capture';
+    this.rendersTemplates = true;
+    this.captureDir = emailConfig.capture.dir;
+  }
+
+  /**
+   * Capture a rendered message
+   */
+  async send(message) {
+    const id = crypto.randomUUID();
+    const baseName = `${Date.now()}-${message.kind}-${id}`;
+
+    await fs.mkdir(this.captureDir, { recursive: true });
+
+    const captured = {
+      message_id: `capture-${id}`,
+      kind: message.kind,
+      from: message.from,
+      reply_to: message.replyTo || null,
+      to: message.to,
+      cc: message.cc || [],
+      bcc: message.bcc || [],
+      subject: message.subject,
+      locale: message.locale,
+      text: message.text,
+      html: message.html,
+      attachments: (message.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        content_type: attachment.contentType,
+        encoding: Buffer.isBuffer(attachment.content) ? 'base64' : 'utf8',
+        content: Buffer.isBuffer(attachment.content) ? attachment.content.toString('base64') : attachment.content
+      })),
+      captured_at: new Date().toISOString()
+    };
+
+    const filePath = path.join(this.captureDir, `${baseName}.json`);
+    await fs.writeFile(filePath, JSON.stringify(captured, null, 2));
+    await fs.writeFile(path.join(this.captureDir, `${baseName}.html`), message.html || '');
+
+    console.log(`📥 Captured ${message.kind} email to ${filePath}`);
+
+    return { message_id: captured.message_id, response: { path: filePath } };
+  }
+}
+
+module.exports = CaptureEmailTransport;
@@ -0,0 +1,37 @@
+const emailConfig = require('../../config/email');
+const MakeEmailTransport = require('./makeEmailTransport');
+const SmtpEmailTransport = require('./smtpEmailTransport');
+const CaptureEmailTransport = require('./captureEmailTransport');
+
+// Every transport implements send(message) -> { message_id, response } and throws when the email was not sent
+// rendersTemplates: false means the transport composes the email itself from message.context (Make.com)
+const TRANSPORTS = {
+  make: MakeEmailTransport,
+  smtp: SmtpEmailTransport,
+  capture: CaptureEmailTransport
+};
+
+const instances = {};
+
+/**
+ * Get an email transport by name (falls back to the configured default)
+ */
+function getEmailTransport(name) {
+  const transportName = name || emailConfig.transport;
+  const Transport = TRANSPORTS[transportName];
+
+  if (!Transport) {
+    throw new Error(`Unknown email transport: ${transportName}. Available: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+
+  if (!instances[transportName]) {
+    instances[transportName] = new Transport();
+  }
+
+  return instances[transportName];
+}
+
+module.exports = {
+  getEmailTransport,
+  availableTransports: Object.keys(TRANSPORTS)
+};
@@ -0,0 +1,76 @@
+const axios = require('axios');
+const SalesforceService = require('../salesforceService');
+
+/**
+ * Hands emails to the Make.com scenarios, which compose and send them themselves
+ * (and update Salesforce for client reports) - our templates are not used
+ */
+class MakeEmailTransport {
+  constructor() {
+    this.name = 'make';
+    this.rendersTemplates = false;
+  }
+
+  /**
+   * Send a message through the webhook for its kind
+   */
+  async send(message) {
+    switch (message.kind) {
+      case 'password_reset':
+        return this.sendPasswordReset(message.context);
+      case 'client_report':
+        return this.sendClientReport(message.context);
+      default:
+        throw new Error(`Make.com transport cannot send ${message.kind} emails`);
+    }
+  }
+
+  /**
+   * Password reset scenario
+   */
+  async sendPasswordReset({ user, token, resetUrl, expiresInMinutes }) {
+    const makeWebhookUrl = process.env.MAKE_PASSWORD_RESET_WEBHOOK_URL;
+    const makeApiKey = process.env.MAKE_PASSWORD_RESET_API_KEY;
+
+    if (!makeWebhookUrl || !makeApiKey) {
+      throw new Error('Password reset webhook not configured');
+    }
+
+    const payload = {
+      email: user.email,
+      name: user.name,
+      resetUrl,
+      token, // Include token for Make.com to use in email template
+      expiresIn: expiresInMinutes === 60 ? '1 hour' : `${expiresInMinutes} minutes`
+    };
+
+    const response = await axios.post(makeWebhookUrl, payload, {
+      timeout: 10000,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-make-apikey': makeApiKey
+      }
+    });
+
+    return { message_id: response.data?.email_id || null, response: response.data };
+  }
+
+  /**
+   * Client report scenario (also updates Salesforce when the scenario does)
+   */
+  async sendClientReport({ report, session, client, pdfUrl, recipients }) {
+    const result = await SalesforceService.sendClientReport(report, session, client, pdfUrl || null, null, recipients);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      message_id: result.email_id,
+      salesforce_updated: result.salesforce_updated,
+      response: result.data
+    };
+  }
+}
+
+module.exports = MakeEmailTransport;
@@ -0,0 +1,72 @@
+const nodemailer = require('nodemailer');
+const emailConfig = require('../../config/email');
+
+/**
+ * Sends rendered emails through an SMTP server (SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS)
+ */
+class SmtpEmailTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.rendersTemplates = true;
+    this.transporter = null;
+  }
+
+  /**
+   * Create the nodemailer transporter on first use
+   */
+  getTransporter() {
+    if (this.transporter) {
+      return this.transporter;
+    }
+
+    const { host, port, secure, user, pass, timeoutMs } = emailConfig.smtp;
+    if (!host) {
+      throw new Error('SMTP transport not configured (SMTP_HOST is missing)');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs
+    });
+
+    return this.transporter;
+  }
+
+  /**
+   * Send a rendered message
+   */
+  async send(message) {
+    const info = await this.getTransporter().sendMail({
+      from: message.from,
+      replyTo: message.replyTo || undefined,
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: message.attachments
+    });
+
+    // nodemailer only throws when every recipient was rejected
+    if (info.rejected?.length > 0) {
+      console.warn(`⚠️ SMTP server rejected some recipients: ${info.rejected.join(', ')}`);
+    }
+
+    return {
+      message_id: info.messageId,
+      response: {
+        accepted: info.accepted,
+        rejected: info.rejected,
+        response: info.response
+      }
+    };
+  }
+}
+
+module.exports = SmtpEmailTransport;
@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const PromptService = require('./promptService');
+
+const VARIANT_KEY_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+const STATUS_TRANSITIONS = {
+  draft: ['running'],
+  running: ['stopped'],
+  stopped: []
+};
+
+/**
+ * Deterministically pick a weighted variant for a session
+ * Hashing (experiment, session) keeps the assignment stable if a job is retried
+ */
+function pickVariant(experiment, sessionId) {
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${sessionId}`).digest();
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight || 1), 0);
+  let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  for (const variant of experiment.variants) {
+    point -= variant.weight || 1;
+    if (point < 0) return variant;
+  }
+
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Flatten report content (JSON or plain text) into its words
+ */
+function extractWords(content) {
+  let value = content;
+
+  try {
+    value = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (error) {
+    // Plain text report
+  }
+
+  const strings = [];
+  const collect = (node) => {
+    if (typeof node === 'string') strings.push(node);
+    else if (Array.isArray(node)) node.forEach(collect);
+    else if (node && typeof node === 'object') Object.values(node).forEach(collect);
+  };
+  collect(value);
+
+  return strings.join(' ').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Word-level Levenshtein distance (two-row dynamic programming)
+ */
+function wordEditDistance(fromWords, toWords) {
+  let previous = Array.from({ length: toWords.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= fromWords.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= toWords.length; j++) {
+      const substitution = previous[j - 1] + (fromWords[i - 1] === toWords[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+
+  return previous[toWords.length];
+}
+
+/**
+ * Mean/median summary of a list of numbers
+ */
+function summarize(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: null, median: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    count: values.length,
+    mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    median: round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2)
+  };
+}
+
+class ExperimentService {
+  /**
+   * Validate and normalize experiment variants
+   */
+  static async validateVariants(variants) {
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw new Error('At least two variants are required');
+    }
+
+    const keys = new Set();
+    const normalized = [];
+
+    for (const variant of variants) {
+      if (!variant || !VARIANT_KEY_PATTERN.test(variant.key || '')) {
+        throw new Error('Each variant requires a key (letters, numbers, _ or -)');
+      }
+      if (keys.has(variant.key)) {
+        throw new Error(`Duplicate variant key: ${variant.key}`);
+      }
+      keys.add(variant.key);
+
+      const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+      if (!(weight > 0)) {
+        throw new Error(`Variant ${variant.key} has an invalid weight`);
+      }
+
+      const promptVersions = {};
+      for (const [name, version] of Object.entries(variant.prompt_versions || {})) {
+        // Throws "not found" for unknown prompts or versions
+        const template = await PromptService.getTemplate(name, version);
+        promptVersions[name] = template.version;
+      }
+
+      normalized.push({
+        key: variant.key,
+        weight,
+        model: variant.model || null,
+        llm_provider: variant.llm_provider || null,
+        prompt_versions: promptVersions
+      });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Create an experiment (in draft status)
+   */
+  static async createExperiment({ name, description, variants }, userId) {
+    if (!name || !name.trim()) {
+      throw new Error('Experiment name is required');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('experiments')
+      .insert([{
+        name: name.trim(),
+        description,
+        variants: await this.validateVariants(variants),
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create experiment: ${error.message}`);
+    }
+
+    console.log(`🧪 Experiment created: ${data.name} (${data.variants.map(variant => variant.key).join(' / ')})`);
+    return data;
+  }
+
+  /**
+   * List all experiments, newest first
+   */
+  static async listExperiments() {
+    const { data, error } = await supabaseAdmin
+      .from('experiments')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to get experiments: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get an experiment by ID
+   */
+  static async getExperimentById(experimentId) {
+    const { data, error } = await supabaseAdmin
+      .from('experiments')
+      .select('*')
+      .eq('id', experimentId)
+      .single();
+
+    if (error || !data) {
+      throw new Error('Experiment not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Start or stop an experiment
+   */
+  static async updateExperimentStatus(experimentId, status) {
+    const experiment = await this.getExperimentById(experimentId);
+
+    if (!STATUS_TRANSITIONS[experiment.status].includes(status)) {
+      throw new Error(`Invalid status transition from ${experiment.status} to ${status}`);
+    }
+
+    const timestamps = status === 'running'
+      ? { started_at: new Date().toISOString() }
+      : { stopped_at: new Date().toISOString() };
+
+    const { data, error } = await supabaseAdmin
+      .from('experiments')
+      .update({ status, ...timestamps })
+      .eq('id', experimentId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.message.includes('idx_experiments_one_running') || error.message.includes('duplicate key')) {
+        throw new Error('Another experiment is already running');
+      }
+      throw new Error(`Failed to update experiment: ${error.message}`);
+    }
+
+    console.log(`🧪 Experiment ${data.name} is now ${status}`);
+    return data;
+  }
+
+  /**
+   * Get the running experiment, if any
+   */
+  static async getRunningExperiment() {
+    const { data, error } = await supabaseAdmin
+      .from('experiments')
+      .select('*')
+      .eq('status', 'running')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to get running experiment: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a session's experiment assignment with its experiment and variant (null when not assigned)
+   */
+  static async getSessionAssignment(sessionId) {
+    const { data, error } = await supabaseAdmin
+      .from('experiment_assignments')
+      .select('*, experiment:experiments(*)')
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to get experiment assignment: ${error.message}`);
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    const { experiment, ...assignment } = data;
+    const variant = experiment.variants.find(candidate => candidate.key === assignment.variant_key);
+
+    return { assignment, experiment, variant };
+  }
+
+  /**
+   * Assign a session to a variant of the running experiment
+   * Returns the existing assignment if the session was already assigned, null when no experiment is running
+   */
+  static async assignSession(sessionId) {
+    const existing = await this.getSessionAssignment(sessionId);
+    if (existing) {
+      return existing;
+    }
+
+    const experiment = await this.getRunningExperiment();
+    if (!experiment) {
+      return null;
+    }
+
+    const variant = pickVariant(experiment, sessionId);
+
+    const { data, error } = await supabaseAdmin
+      .from('experiment_assignments')
+      .insert([{
+        experiment_id: experiment.id,
+        session_id: sessionId,
+        variant_key: variant.key
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      // A concurrent job assigned the session first
+      if (error.message.includes('duplicate key')) {
+        return this.getSessionAssignment(sessionId);
+      }
+      throw new Error(`Failed to assign session to experiment: ${error.message}`);
+    }
+
+    console.log(`🧪 Session ${sessionId} assigned to variant "${variant.key}" of experiment ${experiment.name}`);
+    return { assignment: data, experiment, variant };
+  }
+
+  /**
+   * Options for openaiService.generateReport that apply a variant
+   */
+  static getGenerationOptions(variant) {
+    if (!variant) {
+      return {};
+    }
+
+    const options = { promptVersions: variant.prompt_versions || {} };
+    if (variant.model) options.model = variant.model;
+    if (variant.llm_provider) options.llmProvider = variant.llm_provider;
+
+    return options;
+  }
+
+  /**
+   * Keep the unedited AI draft of a report generated for an experiment session
+   */
+  static async recordDraft(assignmentId, report, generationMethod = 'ai_generated') {
+    const { error } = await supabaseAdmin
+      .from('experiment_report_drafts')
+      .upsert([{
+        assignment_id: assignmentId,
+        report_id: report.id,
+        report_type: report.type,
+        content: report.content,
+        generation_method: generationMethod
+      }], { onConflict: 'report_id' });
+
+    if (error) {
+      throw new Error(`Failed to record experiment draft: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare variants: edit distance between AI draft and approved report, regeneration rate and approval latency
+   */
+  static async getExperimentStats(experimentId) {
+    const experiment = await this.getExperimentById(experimentId);
+
+    const { data: assignments, error: assignmentsError } = await supabaseAdmin
+      .from('experiment_assignments')
+      .select('id, session_id, variant_key')
+      .eq('experiment_id', experimentId);
+
+    if (assignmentsError) {
+      throw new Error(`Failed to get experiment assignments: ${assignmentsError.message}`);
+    }
+
+    const sessionIds = assignments.map(assignment => assignment.session_id);
+    let versions = [];
+    let drafts = [];
+
+    if (sessionIds.length > 0) {
+      const { data: versionRows, error: versionsError } = await supabaseAdmin
+        .from('report_versions_summary')
+        .select('session_id, type, report_id, version_number, status, generation_method, version_created_at, approved_at')
+        .in('session_id', sessionIds);
+
+      if (versionsError) {
+        throw new Error(`Failed to get report versions: ${versionsError.message}`);
+      }
+
+      const { data: draftRows, error: draftsError } = await supabaseAdmin
+        .from('experiment_report_drafts')
+        .select('report_id, content, report:reports(content)')
+        .in('assignment_id', assignments.map(assignment => assignment.id));
+
+      if (draftsError) {
+        throw new Error(`Failed to get experiment drafts: ${draftsError.message}`);
+      }
+
+      versions = versionRows || [];
+      drafts = draftRows || [];
+    }
+
+    const draftsByReport = new Map(drafts.map(draft => [draft.report_id, draft]));
+
+    const variants = experiment.variants.map(variant => {
+      const variantSessions = new Set(assignments
+        .filter(assignment => assignment.variant_key === variant.key)
+        .map(assignment => assignment.session_id));
+
+      const byType = {};
+
+      for (const type of ['adviser', 'client']) {
+        const editDistances = [];
+        const latencies = [];
+        let reportsGenerated = 0;
+        let regenerated = 0;
+        let approved = 0;
+
+        for (const sessionId of variantSessions) {
+          const rows = versions.filter(row => row.session_id === sessionId && row.type === type);
+          if (rows.length === 0) continue;
+
+          reportsGenerated++;
+          if (rows.some(row => row.generation_method === 'ai_regenerated')) regenerated++;
+
+          const approvedRow = rows.find(row => row.status === 'approved' && row.approved_at);
+          if (!approvedRow) continue;
+
+          approved++;
+
+          const firstCreatedAt = Math.min(...rows.map(row => new Date(row.version_created_at).getTime()));
+          latencies.push((new Date(approvedRow.approved_at).getTime() - firstCreatedAt) / 3600000);
+
+          // Reports are edited in place, so the approved row's current content is the final version
+          const draft = draftsByReport.get(approvedRow.report_id);
+          if (draft && draft.report) {
+            const draftWords = extractWords(draft.content);
+            const approvedWords = extractWords(draft.report.content);
+            const longest = Math.max(draftWords.length, approvedWords.length);
+            editDistances.push(longest > 0 ? wordEditDistance(draftWords, approvedWords) / longest : 0);
+          }
+        }
+
+        byType[type] = {
+          reports_generated: reportsGenerated,
+          reports_approved: approved,
+          regeneration_rate: reportsGenerated > 0 ? Math.round((regenerated / reportsGenerated) * 1000) / 1000 : null,
+          edit_distance_ratio: summarize(editDistances),
+          approval_latency_hours: summarize(latencies)
+        };
+      }
+
+      return {
+        key: variant.key,
+        weight: variant.weight,
+        model: variant.model,
+        prompt_versions: variant.prompt_versions,
+        sessions: variantSessions.size,
+        reports: byType
+      };
+    });
+
+    return {
+      experiment: {
+        id: experiment.id,
+        name: experiment.name,
+        status: experiment.status,
+        started_at: experiment.started_at,
+        stopped_at: experiment.stopped_at
+      },
+      variants
+    };
+  }
+}
+
+// Pure helpers (variant assignment, edit-distance scoring)
+ExperimentService.pickVariant = pickVariant;
+ExperimentService.extractWords = extractWords;
+ExperimentService.wordEditDistance = wordEditDistance;
+
+module.exports = ExperimentService;
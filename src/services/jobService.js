@@ -1,4 +1,9 @@
 const { supabase, supabaseAdmin } = require('../config/database');
+const BudgetService = require('./budgetService');
+
+// Values allowed by the jobs table check constraints
+const JOB_TYPES = ['transcribe', 'generate_reports', 'regenerate_report', 'send_email', 'update_crm'];
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed', 'retry', 'cancelled'];
 
 class JobService {
   /**
@@ -6,26 +11,11 @@ class JobService {
    */
   static async createJob(jobData) {
     try {
-      const {
-        session_id,
-        type,
-        payload = {},
-        priority = 0,
-        max_attempts = 3,
-        scheduled_at = new Date()
-      } = jobData;
+      const job = await this.prepareJob(jobData);
 
       const { data, error } = await supabaseAdmin
         .from('jobs')
-        .insert([{
-          session_id,
-          type,
-          payload,
-          priority,
-          max_attempts,
-          scheduled_at,
-          status: 'pending'
-        }])
+        .insert([job])
         .select()
         .single();
 
@@ -33,7 +23,7 @@ class JobService {
         throw new Error(`Failed to create job: ${error.message}`);
       }
 
-      console.log(`✅ Created ${type} job for session ${session_id}:`, data.id);
+      console.log(`✅ Created ${job.type} job for session ${job.session_id}:`, data.id);
       return data;
 
     } catch (error) {
@@ -42,6 +32,70 @@ class JobService {
     }
   }
 
+  /**
+   * Build the row for a new job, applying the budget check
+   * Used directly when the job is inserted inside a transaction (JobRepository.create)
+   */
+  static async prepareJob(jobData) {
+    const {
+      session_id,
+      type,
+      priority = 0,
+      max_attempts = 3
+    } = jobData;
+    let { payload = {}, scheduled_at = new Date() } = jobData;
+
+    // AI jobs draw on the monthly budgets - refused (throws) or deferred to next month when exhausted
+    // Follow-up jobs of a session already in the pipeline (defer_on_exhausted) are only ever deferred
+    const budgetCheck = await this.checkJobBudget(session_id, type, { refuse: jobData.defer_on_exhausted !== true });
+    if (budgetCheck && !budgetCheck.allowed) {
+      scheduled_at = BudgetService.getNextPeriodStart();
+      payload = {
+        ...payload,
+        budget_deferred: {
+          deferred_at: new Date().toISOString(),
+          exhausted: budgetCheck.exhausted
+        }
+      };
+      console.log(`💰 ${type} job for session ${session_id} deferred to ${scheduled_at.toISOString()}: ${BudgetService.describeExhausted(budgetCheck.exhausted)}`);
+    }
+
+    return {
+      session_id,
+      type,
+      payload,
+      priority,
+      max_attempts,
+      scheduled_at,
+      status: 'pending'
+    };
+  }
+
+  /**
+   * Check the session adviser's budgets for an AI job (null for job types that make no AI calls)
+   * @param {Boolean} refuse - Throw when a refusing budget is exhausted (false: report it like a deferral)
+   */
+  static async checkJobBudget(sessionId, type, { refuse = true } = {}) {
+    const metrics = BudgetService.getJobMetrics(type);
+    if (metrics.length === 0) {
+      return null;
+    }
+
+    let adviserId = null;
+    if (sessionId) {
+      const { data: session } = await supabaseAdmin
+        .from('sessions')
+        .select('adviser_id')
+        .eq('id', sessionId)
+        .single();
+      adviserId = session?.adviser_id || null;
+    }
+
+    return refuse
+      ? BudgetService.assertWithinBudget(adviserId, metrics)
+      : BudgetService.checkBudget(adviserId, metrics);
+  }
+
   /**
    * Get next job from queue (using the database function)
    */
@@ -63,7 +117,7 @@ class JobService {
       // Fetch additional job details including attempts and max_attempts
       const { data: jobDetails, error: detailsError } = await supabaseAdmin
         .from('jobs')
-        .select('attempts, max_attempts, status')
+        .select('attempts, max_attempts, status, result')
         .eq('id', job.job_id)
         .single();
 
@@ -78,7 +132,8 @@ class JobService {
         ...job,
         attempts: jobDetails.attempts,
         max_attempts: jobDetails.max_attempts,
-        current_status: jobDetails.status
+        current_status: jobDetails.status,
+        result: jobDetails.result // Partial progress saved by a previous attempt
       };
 
     } catch (error) {
@@ -155,6 +210,7 @@ class JobService {
       const effectiveMaxAttempts = Math.min(currentJob.max_attempts, hardLimit);
       const canRetry = shouldRetry && newAttempts < effectiveMaxAttempts;
 
+      // result is left untouched so a retry can resume from saved progress (e.g. transcribed chunks)
       const updateData = {
         attempts: newAttempts,
         error_log: errorMessage,
@@ -238,6 +294,96 @@ class JobService {
     }
   }
 
+  /**
+   * List jobs, newest first, with optional filters
+   * @param {Object} filters - { type, status, session_id, limit, offset }
+   * @returns {Object} { jobs, total }
+   */
+  static async listJobs({ type, status, session_id, limit = 50, offset = 0 } = {}) {
+    if (type && !JOB_TYPES.includes(type)) {
+      throw new Error(`Invalid job type. Must be one of: ${JOB_TYPES.join(', ')}`);
+    }
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new Error(`Invalid job status. Must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+
+    let query = supabaseAdmin
+      .from('jobs')
+      .select(
+        'id, session_id, type, status, priority, attempts, max_attempts, error_log, scheduled_at, started_at, completed_at, created_at, updated_at',
+        { count: 'exact' }
+      );
+
+    if (type) query = query.eq('type', type);
+    if (status) query = query.eq('status', status);
+    if (session_id) query = query.eq('session_id', session_id);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to list jobs: ${error.message}`);
+    }
+
+    return { jobs: data, total: count };
+  }
+
+  /**
+   * Get a job with its payload and result
+   */
+  static async getJobById(jobId) {
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to get job: ${error.message}`);
+    }
+    if (!data) {
+      throw new Error('Job not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Queue a failed or cancelled job again with a fresh set of attempts
+   * result is kept so the job can resume from saved progress
+   */
+  static async retryJob(jobId) {
+    const job = await this.getJobById(jobId);
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw new Error(`Only failed or cancelled jobs can be retried (job is ${job.status})`);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        error_log: null,
+        scheduled_at: new Date(),
+        started_at: null,
+        completed_at: null,
+        updated_at: new Date()
+      })
+      .eq('id', jobId)
+      .eq('status', job.status)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to retry job: ${error.message}`);
+    }
+
+    console.log(`🔁 Job ${jobId} (${job.type}) queued for retry`);
+    return data;
+  }
+
   /**
    * Get jobs for a specific session
    */
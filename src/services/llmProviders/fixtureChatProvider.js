@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const llmConfig = require('../../config/llm');
+
+/**
+ * Replays recorded chat completions from disk, keyed by a hash of the request
+ * With LLM_FIXTURE_RECORD_FROM set, missing fixtures are fetched from that provider and saved
+ */
+class FixtureChatProvider {
+  constructor(getProvider) {
+    this.name = 'fixture';
+    this.fixturesDir = llmConfig.fixture.fixturesDir;
+    this.recordFrom = llmConfig.fixture.recordFrom;
+    this.getProvider = getProvider;
+  }
+
+  /**
+   * Stable key for a request - model and messages decide the response
+   */
+  getFixtureKey(params) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ model: params.model, messages: params.messages }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Check the fixtures (and the recording provider, when recording)
+   * @returns {String} Short status for the start-up log
+   */
+  async checkConnection() {
+    if (this.recordFrom) {
+      return `recording from ${this.recordFrom} (${await this.getProvider(this.recordFrom).checkConnection()})`;
+    }
+
+    const count = fs.existsSync(this.fixturesDir)
+      ? fs.readdirSync(this.fixturesDir).filter(file => file.endsWith('.json')).length
+      : 0;
+    return `${count} recorded responses in ${this.fixturesDir}`;
+  }
+
+  /**
+   * Return the recorded completion for this request (recording it first if enabled)
+   */
+  async createChatCompletion(params) {
+    const key = this.getFixtureKey(params);
+    const fixturePath = path.join(this.fixturesDir, `${key}.json`);
+
+    if (fs.existsSync(fixturePath)) {
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      return fixture.response;
+    }
+
+    if (!this.recordFrom) {
+      throw new Error(`No recorded LLM fixture for request ${key} in ${this.fixturesDir}`);
+    }
+
+    console.log(`📼 Recording LLM fixture ${key} from ${this.recordFrom}...`);
+    const response = await this.getProvider(this.recordFrom).createChatCompletion(params);
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify({
+      recorded_at: new Date().toISOString(),
+      recorded_from: this.recordFrom,
+      request: params,
+      response
+    }, null, 2));
+
+    return response;
+  }
+}
+
+module.exports = FixtureChatProvider;
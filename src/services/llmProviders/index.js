@@ -0,0 +1,38 @@
+const llmConfig = require('../../config/llm');
+const OpenAIChatProvider = require('./openaiChatProvider');
+const FixtureChatProvider = require('./fixtureChatProvider');
+
+// Every provider implements createChatCompletion(params) -> { content, model, finish_reason, usage }
+// params follow the OpenAI chat completions shape (model, messages, max_tokens, temperature, response_format)
+// and checkConnection() -> status string, which throws when the provider is unusable (checked at worker start-up)
+const PROVIDERS = {
+  openai: () => new OpenAIChatProvider('openai'),
+  azure: () => new OpenAIChatProvider('azure'),
+  'openai-compatible': () => new OpenAIChatProvider('openai-compatible'),
+  fixture: () => new FixtureChatProvider(getChatProvider)
+};
+
+const instances = {};
+
+/**
+ * Get a chat-completion provider by name (falls back to the configured default)
+ */
+function getChatProvider(name) {
+  const providerName = name || llmConfig.defaultProvider;
+  const createProvider = PROVIDERS[providerName];
+
+  if (!createProvider) {
+    throw new Error(`Unknown LLM provider: ${providerName}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (!instances[providerName]) {
+    instances[providerName] = createProvider();
+  }
+
+  return instances[providerName];
+}
+
+module.exports = {
+  getChatProvider,
+  availableProviders: Object.keys(PROVIDERS)
+};
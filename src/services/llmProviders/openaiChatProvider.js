@@ -0,0 +1,75 @@
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+const llmConfig = require('../../config/llm');
+
+/**
+ * Chat completions through the OpenAI SDK
+ * Covers OpenAI itself, Azure OpenAI and OpenAI-compatible servers (Ollama, vLLM) - they only differ in client setup
+ */
+class OpenAIChatProvider {
+  constructor(name) {
+    this.name = name;
+    this.client = OpenAIChatProvider.createClient(name);
+  }
+
+  /**
+   * Build the SDK client for a provider flavour
+   */
+  static createClient(name) {
+    switch (name) {
+      case 'openai':
+        if (!llmConfig.openai.apiKey) {
+          throw new Error('OpenAI requires OPENAI_API_KEY');
+        }
+        return new OpenAI({ apiKey: llmConfig.openai.apiKey, baseURL: llmConfig.openai.baseURL });
+
+      case 'azure':
+        if (!llmConfig.azure.endpoint || !llmConfig.azure.apiKey) {
+          throw new Error('Azure OpenAI requires AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY');
+        }
+        return new AzureOpenAI({
+          endpoint: llmConfig.azure.endpoint,
+          apiKey: llmConfig.azure.apiKey,
+          apiVersion: llmConfig.azure.apiVersion
+        });
+
+      case 'openai-compatible':
+        return new OpenAI({
+          baseURL: llmConfig.openaiCompatible.baseURL,
+          apiKey: llmConfig.openaiCompatible.apiKey
+        });
+
+      default:
+        throw new Error(`Unsupported OpenAI provider flavour: ${name}`);
+    }
+  }
+
+  /**
+   * Check the server is reachable and accepts the credentials (worker start-up)
+   * @returns {String} Short status for the start-up log
+   */
+  async checkConnection() {
+    const response = await this.client.models.list();
+    return `${response.data.length} models available`;
+  }
+
+  /**
+   * Run a chat completion and normalize the response
+   */
+  async createChatCompletion(params) {
+    const response = await this.client.chat.completions.create(params);
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || params.model,
+      finish_reason: response.choices[0].finish_reason,
+      usage: {
+        prompt_tokens: response.usage?.prompt_tokens || 0,
+        completion_tokens: response.usage?.completion_tokens || 0,
+        total_tokens: response.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIChatProvider;
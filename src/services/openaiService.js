@@ -1,15 +1,15 @@
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { getTranscriptionProvider } = require('./transcriptionProviders');
+const { getChatProvider } = require('./llmProviders');
+const llmConfig = require('../config/llm');
+const PromptService = require('./promptService');
+const UsageService = require('./usageService');
+const { REPORT_SCHEMA_VERSION, validateReportContent, getStructuredOutputFormat } = require('../schemas');
+const { chooseCutPoints, trimSegmentsToRange, removeOverlapDuplication } = require('../utils/transcriptMerge');
 
 class OpenAIService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-
   /**
    * Download file from URL to temporary location
    */
@@ -60,67 +60,60 @@ class OpenAIService {
   }
 
   /**
-   * Transcribe audio file using OpenAI Whisper
+   * Transcribe audio file with the selected transcription provider
+   * options.provider overrides the deployment default (see config/transcription.js)
+   * options.usageContext ({ sessionId, adviserId, clientId, jobId }) attributes ledger entries
    */
   async transcribeAudio(fileUrl, fileName, options = {}) {
 
     let tempFilePath = null;
 
     try {
+      const provider = getTranscriptionProvider(options.provider);
+      console.log(`🎙️ Transcribing with ${provider.name} provider (${provider.model || 'default model'})`);
+
       // Download file to temp location
       tempFilePath = await this.downloadFile(fileUrl, fileName);
 
-      // Check file size (Whisper has 25MB limit)
       const stats = fs.statSync(tempFilePath);
       const fileSizeInMB = stats.size / (1024 * 1024);
 
       console.log(`📁 File size: ${fileSizeInMB.toFixed(2)}MB`);
 
-      // Use chunking for all files > 5MB to prevent OOM crashes
-      if (fileSizeInMB > 5) {
+      // Use chunking for large files to prevent OOM crashes (API providers only)
+      if (provider.supportsChunking && fileSizeInMB > provider.chunkThresholdMB) {
         console.log(`📦 Large file detected (${fileSizeInMB.toFixed(2)}MB), using chunking...`);
-        return await this.transcribeWithChunking(tempFilePath, fileName, options);
+        return await this.transcribeWithChunking(tempFilePath, fileName, { ...options, provider });
       }
 
-      // Keep existing 25MB check for safety
-      if (fileSizeInMB > 25) {
-        throw new Error(`File size (${fileSizeInMB.toFixed(2)}MB) exceeds OpenAI's 25MB limit.`);
-      }
-
-      // Prepare transcription options - only include safe OpenAI API options
-      const transcriptionOptions = {
-        file: fs.createReadStream(tempFilePath),
-        model: 'whisper-1',
-        response_format: 'verbose_json' // Get timestamps and other metadata
-      };
-
-      // Add language if specified (safe to include)
-      if (options.language) {
-        transcriptionOptions.language = options.language;
-      }
-
-      // Add prompt if specified (safe to include)
-      if (options.prompt) {
-        transcriptionOptions.prompt = options.prompt;
-      }
-
-      // Add temperature if specified (safe to include)
-      if (options.temperature !== undefined) {
-        transcriptionOptions.temperature = options.temperature;
+      // Keep existing upload limit check for safety
+      if (provider.maxFileSizeMB && fileSizeInMB > provider.maxFileSizeMB) {
+        throw new Error(`File size (${fileSizeInMB.toFixed(2)}MB) exceeds the ${provider.name} provider's ${provider.maxFileSizeMB}MB limit.`);
       }
 
       const startTime = Date.now();
       
-      // Monitor memory before API call
+      // Monitor memory before transcription
       const memBefore = process.memoryUsage();
       console.log(`💾 Memory before transcription: ${Math.round(memBefore.heapUsed / 1024 / 1024)}MB`);
 
-      // Call OpenAI Whisper API
-      const response = await this.openai.audio.transcriptions.create(transcriptionOptions);
+      const response = await provider.transcribeFile(tempFilePath, {
+        language: options.language,
+        prompt: options.prompt,
+        temperature: options.temperature
+      });
 
       const duration = Date.now() - startTime;
+
+      await UsageService.recordUsage({
+        ...options.usageContext,
+        operation: 'transcription',
+        provider: provider.name,
+        model: response.model,
+        audioSeconds: response.duration || 0
+      });
       
-      // Monitor memory after API call and force cleanup
+      // Monitor memory after transcription and force cleanup
       const memAfter = process.memoryUsage();
       console.log(`💾 Memory after transcription: ${Math.round(memAfter.heapUsed / 1024 / 1024)}MB`);
       
@@ -135,7 +128,8 @@ class OpenAIService {
         duration: response.duration,
         segments: response.segments || [],
         metadata: {
-          model: 'whisper-1',
+          model: response.model,
+          provider: provider.name,
           processing_time_ms: duration,
           file_size_mb: fileSizeInMB,
           transcribed_at: new Date().toISOString()
@@ -169,10 +163,13 @@ class OpenAIService {
 
   /**
    * Transcribe large files using chunking (requires FFmpeg)
+   * options.resume carries a saved chunk plan and chunk results from a previous attempt;
+   * options.onChunkPlan / options.onChunkComplete let the caller persist progress as it happens
    */
   async transcribeWithChunking(filePath, fileName, options = {}) {
     const tempDir = path.join(process.cwd(), 'temp', `chunks_${Date.now()}`);
-    const { sessionId, socketService } = options;
+    const { sessionId, socketService, resume, onChunkPlan, onChunkComplete } = options;
+    const provider = options.provider || getTranscriptionProvider();
     
     try {
       // Check if FFmpeg is available
@@ -183,6 +180,20 @@ class OpenAIService {
         fs.mkdirSync(tempDir, { recursive: true });
       }
       
+      // Reuse the saved plan on resume so chunk indexes line up with the saved results
+      const boundaries = resume?.chunk_plan?.boundaries || await this.planAudioChunks(filePath);
+      const totalChunks = boundaries.length - 1;
+      const completedChunks = (resume?.chunks || []).filter(c => c.chunkIndex >= 1 && c.chunkIndex <= totalChunks);
+      const completedIndexes = new Set(completedChunks.map(c => c.chunkIndex));
+      
+      if (!resume?.chunk_plan && onChunkPlan) {
+        await this.notifyProgress(onChunkPlan, { boundaries, planned_at: new Date().toISOString() });
+      }
+      
+      if (completedChunks.length > 0) {
+        console.log(`♻️ Resuming chunked transcription: ${completedChunks.length}/${totalChunks} chunks already transcribed`);
+      }
+      
       console.log(`📦 Splitting large file into chunks...`);
       
       // Emit chunking started event
@@ -194,43 +205,53 @@ class OpenAIService {
         });
       }
       
-      // Split into chunks (simple approach)
-      const chunks = await this.splitAudioSimple(filePath, tempDir);
+      // Only cut the chunks that still need transcribing
+      const chunks = await this.splitAudioSimple(filePath, tempDir, {
+        boundaries,
+        skipIndexes: completedIndexes
+      });
       console.log(`📦 Created ${chunks.length} chunks`);
       
       // Emit chunks created event
       if (sessionId && socketService) {
         socketService.sendToSession(sessionId, 'transcription_chunks_created', {
           sessionId,
-          totalChunks: chunks.length,
+          totalChunks,
           messageKey: 'chunksCreated'
         });
       }
       
       // Transcribe chunks sequentially with aggressive memory management
-      const transcripts = [];
+      const transcripts = [...completedChunks];
+      const failedChunks = [];
       for (let i = 0; i < chunks.length; i++) {
-        console.log(`🎵 Transcribing chunk ${i + 1}/${chunks.length}...`);
+        const chunkIndex = chunks[i].index;
+        console.log(`🎵 Transcribing chunk ${chunkIndex}/${totalChunks}...`);
         
         // Log memory before chunk processing
         const memBefore = process.memoryUsage();
-        console.log(`💾 Memory before chunk ${i + 1}: ${Math.round(memBefore.heapUsed / 1024 / 1024)}MB`);
+        console.log(`💾 Memory before chunk ${chunkIndex}: ${Math.round(memBefore.heapUsed / 1024 / 1024)}MB`);
         
         // Emit chunk progress event
         if (sessionId && socketService) {
           socketService.sendToSession(sessionId, 'transcription_chunk_progress', {
             sessionId,
-            currentChunk: i + 1,
-            totalChunks: chunks.length,
-            progress: Math.round(((i) / chunks.length) * 100),
+            currentChunk: chunkIndex,
+            totalChunks,
+            progress: Math.round((transcripts.length / totalChunks) * 100),
             messageKey: 'chunkProgress'
           });
         }
         
         try {
-          const chunkResult = await this.transcribeSingleChunk(chunks[i]);
+          const chunkResult = await this.transcribeChunkWithRetry(chunks[i], provider, { usageContext: options.usageContext });
           transcripts.push(chunkResult);
           
+          // Persist straight away so a later failure doesn't cost this chunk again
+          if (onChunkComplete) {
+            await this.notifyProgress(onChunkComplete, chunkResult);
+          }
+          
           // Clear chunk file reference immediately
           chunks[i] = null;
           
@@ -240,22 +261,22 @@ class OpenAIService {
           }
           
           const memAfter = process.memoryUsage();
-          console.log(`💾 Memory after chunk ${i + 1}: ${Math.round(memAfter.heapUsed / 1024 / 1024)}MB`);
+          console.log(`💾 Memory after chunk ${chunkIndex}: ${Math.round(memAfter.heapUsed / 1024 / 1024)}MB`);
           
           // Emit chunk completed event
           if (sessionId && socketService) {
             socketService.sendToSession(sessionId, 'transcription_chunk_completed', {
               sessionId,
-              chunkIndex: i + 1,
-              totalChunks: chunks.length,
-              progress: Math.round(((i + 1) / chunks.length) * 100),
+              chunkIndex,
+              totalChunks,
+              progress: Math.round((transcripts.length / totalChunks) * 100),
               messageKey: 'chunkCompleted'
             });
           }
           
           // Emergency memory check
           if (memAfter.heapUsed > 200 * 1024 * 1024) { // 200MB threshold
-            console.warn(`⚠️ High memory usage after chunk ${i + 1}: ${Math.round(memAfter.heapUsed / 1024 / 1024)}MB`);
+            console.warn(`⚠️ High memory usage after chunk ${chunkIndex}: ${Math.round(memAfter.heapUsed / 1024 / 1024)}MB`);
             // Force more aggressive cleanup
             if (global.gc) {
               global.gc();
@@ -264,7 +285,7 @@ class OpenAIService {
           }
           
         } catch (chunkError) {
-          console.error(`❌ Chunk ${i + 1} failed:`, chunkError.message);
+          console.error(`❌ Chunk ${chunkIndex} failed:`, chunkError.message);
           
           // Clear failed chunk reference
           chunks[i] = null;
@@ -273,58 +294,59 @@ class OpenAIService {
           if (sessionId && socketService) {
             socketService.sendToSession(sessionId, 'transcription_chunk_failed', {
               sessionId,
-              chunkIndex: i + 1,
-              totalChunks: chunks.length,
+              chunkIndex,
+              totalChunks,
               error: chunkError.message,
               messageKey: 'chunkFailed'
             });
           }
           
-          // Continue with other chunks - don't fail entire process
-          transcripts.push({ 
-            text: `[Chunk ${i + 1} transcription failed]`,
-            failed: true,
-            chunkIndex: i + 1
-          });
+          // Keep going so the remaining chunks are saved - the job retry only redoes failed ones
+          failedChunks.push({ chunkIndex, error: chunkError.message });
         }
       }
       
       // Clear chunks array completely
       chunks.length = 0;
       
-      // Memory-optimized merge - avoid large string concatenation
-      const successfulTranscripts = transcripts.filter(t => !t.failed);
-      
-      if (successfulTranscripts.length === 0) {
-        throw new Error('All chunks failed transcription');
+      // Never save a partial transcript - fail the job and let the retry resume
+      if (failedChunks.length > 0) {
+        const failedList = failedChunks.map(c => c.chunkIndex).join(', ');
+        throw new Error(`Transcription failed for ${failedChunks.length}/${totalChunks} chunks (chunks ${failedList}); ${transcripts.length} completed chunks saved for retry`);
       }
       
+      transcripts.sort((a, b) => a.chunkIndex - b.chunkIndex);
+      
       // Use streaming approach for large transcripts
-      const mergedText = this.mergeTranscriptsMemoryOptimized(successfulTranscripts);
+      const mergedText = this.mergeTranscriptsMemoryOptimized(transcripts);
+      const mergedSegments = this.mergeChunkSegments(transcripts);
       
-      console.log(`✅ Successfully transcribed ${successfulTranscripts.length}/${chunks.length} chunks`);
+      console.log(`✅ Successfully transcribed ${transcripts.length}/${totalChunks} chunks`);
       
       // Emit chunking completed event
       if (sessionId && socketService) {
         socketService.sendToSession(sessionId, 'transcription_chunking_completed', {
           sessionId,
-          totalChunks: chunks.length,
-          successfulChunks: successfulTranscripts.length,
-          failedChunks: transcripts.filter(t => t.failed).length,
+          totalChunks,
+          successfulChunks: transcripts.length,
+          failedChunks: 0,
           messageKey: 'chunkingCompleted'
         });
       }
       
       return {
         text: mergedText,
-        language: successfulTranscripts[0]?.language || 'en',
-        duration: null, // Keep simple for now
-        segments: [], // Keep simple for now
+        language: transcripts[0]?.language || 'en',
+        duration: boundaries[boundaries.length - 1],
+        segments: mergedSegments,
         metadata: {
+          model: provider.model,
+          provider: provider.name,
           chunked: true,
-          totalChunks: chunks.length,
-          successfulChunks: successfulTranscripts.length,
-          failedChunks: transcripts.filter(t => t.failed).length,
+          totalChunks,
+          successfulChunks: transcripts.length,
+          resumedChunks: completedChunks.length,
+          failedChunks: 0,
           processing_method: 'chunked_transcription',
           transcribed_at: new Date().toISOString()
         }
@@ -334,7 +356,7 @@ class OpenAIService {
       console.error(`❌ Chunked transcription failed:`, error.message);
       
       // Provide helpful error messages
-      if (error.message.includes('FFmpeg')) {
+      if (error.message.includes('FFmpeg not found')) {
         throw new Error('Large file processing requires FFmpeg. Please install FFmpeg: brew install ffmpeg');
       }
       
@@ -348,6 +370,40 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Run a progress callback without letting persistence errors abort transcription
+   */
+  async notifyProgress(callback, data) {
+    try {
+      await callback(data);
+    } catch (error) {
+      console.error('⚠️ Failed to persist transcription progress:', error.message);
+    }
+  }
+
+  /**
+   * Transcribe a chunk, retrying transient failures with exponential backoff
+   */
+  async transcribeChunkWithRetry(chunk, provider, options = {}) {
+    const { maxAttempts = 3, baseDelayMs = 2000, usageContext } = options;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        return await this.transcribeSingleChunk(chunk, provider, usageContext);
+      } catch (error) {
+        // Bad requests and auth/quota errors won't succeed on retry
+        const retryable = !error.status || error.status === 429 || error.status >= 500;
+        if (!retryable || attempt === maxAttempts) {
+          throw error;
+        }
+        
+        const delayMs = baseDelayMs * Math.pow(2, attempt - 1); // 2s, 4s, ...
+        console.warn(`🔁 Chunk ${chunk.index} attempt ${attempt}/${maxAttempts} failed, retrying in ${delayMs / 1000}s: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
   /**
    * Check if FFmpeg is available on the system
    */
@@ -372,11 +428,10 @@ class OpenAIService {
   }
 
   /**
-   * Simple FFmpeg splitting based on file size - target 5MB chunks
+   * Plan chunk boundaries based on file size - target 5MB chunks
+   * Cuts at silences near each boundary; returns [0, ...cuts, duration] in seconds
    */
-  async splitAudioSimple(inputPath, outputDir) {
-    const { spawn } = require('child_process');
-    
+  async planAudioChunks(inputPath) {
     // Get file size and duration
     const stats = fs.statSync(inputPath);
     const fileSizeInMB = stats.size / (1024 * 1024);
@@ -386,22 +441,54 @@ class OpenAIService {
     const targetChunkSizeMB = 5;
     const estimatedChunkDuration = (duration * targetChunkSizeMB) / fileSizeInMB;
     const chunkDuration = Math.max(estimatedChunkDuration, 60); // Minimum 1 minute chunks
-    const numChunks = Math.ceil(duration / chunkDuration);
+    
+    // Prefer cutting inside a pause - fall back to fixed cuts if silence detection fails
+    let silences = [];
+    if (duration > chunkDuration) {
+      try {
+        silences = await this.detectSilences(inputPath);
+        console.log(`🔇 Detected ${silences.length} silences for chunk boundaries`);
+      } catch (silenceError) {
+        console.warn(`⚠️ Silence detection failed, using fixed cut points: ${silenceError.message}`);
+      }
+    }
+    
+    const boundaries = [0, ...chooseCutPoints(duration, chunkDuration, silences), duration];
     
     console.log(`📊 File: ${fileSizeInMB.toFixed(1)}MB, ${Math.round(duration/60)} minutes`);
-    console.log(`📦 Creating ${numChunks} chunks of ~${Math.round(chunkDuration/60)} minutes each (target: ${targetChunkSizeMB}MB per chunk)`);
+    console.log(`📦 Planned ${boundaries.length - 1} chunks of ~${Math.round(chunkDuration/60)} minutes each (target: ${targetChunkSizeMB}MB per chunk)`);
+    
+    return boundaries;
+  }
+
+  /**
+   * FFmpeg splitting along planned boundaries
+   * Neighbouring chunks overlap so edge words aren't lost; skipIndexes leaves out already-transcribed chunks
+   */
+  async splitAudioSimple(inputPath, outputDir, options = {}) {
+    const { spawn } = require('child_process');
+    const boundaries = options.boundaries || await this.planAudioChunks(inputPath);
+    const skipIndexes = options.skipIndexes || new Set();
+    const duration = boundaries[boundaries.length - 1];
+    const numChunks = boundaries.length - 1;
+    const overlapSeconds = 3; // Audio shared by neighbouring chunks, de-duplicated when merging
     
     const chunks = [];
     
     for (let i = 0; i < numChunks; i++) {
-      const startTime = i * chunkDuration;
+      if (skipIndexes.has(i + 1)) continue;
+      
+      const ownedStart = boundaries[i];
+      const ownedEnd = boundaries[i + 1];
+      const startTime = Math.max(0, ownedStart - overlapSeconds);
+      const endTime = Math.min(duration, ownedEnd + overlapSeconds);
       const outputPath = path.join(outputDir, `chunk_${String(i + 1).padStart(3, '0')}.mp3`);
       
       await new Promise((resolve, reject) => {
         const ffmpeg = spawn('ffmpeg', [
           '-i', inputPath,
           '-ss', startTime.toString(),
-          '-t', chunkDuration.toString(),
+          '-t', (endTime - startTime).toString(),
           '-c', 'copy', // No re-encoding for speed
           '-avoid_negative_ts', 'make_zero',
           outputPath
@@ -417,7 +504,9 @@ class OpenAIService {
               path: outputPath,
               index: i + 1,
               startTime,
-              endTime: Math.min(startTime + chunkDuration, duration),
+              endTime,
+              ownedStart,
+              ownedEnd,
               sizeMB: chunkSizeMB
             });
             
@@ -437,6 +526,54 @@ class OpenAIService {
     return chunks;
   }
 
+  /**
+   * Detect silences using FFmpeg's silencedetect filter
+   */
+  async detectSilences(filePath, options = {}) {
+    const { spawn } = require('child_process');
+    const { noiseDb = -30, minDuration = 0.5 } = options;
+    
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', [
+        '-i', filePath,
+        '-af', `silencedetect=noise=${noiseDb}dB:d=${minDuration}`,
+        '-f', 'null',
+        '-'
+      ]);
+      
+      // silencedetect reports on stderr
+      let output = '';
+      ffmpeg.stderr.on('data', (data) => output += data);
+      
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error('FFmpeg silence detection failed'));
+        }
+        
+        const silences = [];
+        let currentStart = null;
+        
+        for (const line of output.split('\n')) {
+          const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+          const endMatch = line.match(/silence_end: ([\d.]+)/);
+          
+          if (startMatch) {
+            currentStart = Math.max(0, parseFloat(startMatch[1]));
+          } else if (endMatch && currentStart !== null) {
+            silences.push({ start: currentStart, end: parseFloat(endMatch[1]) });
+            currentStart = null;
+          }
+        }
+        
+        resolve(silences);
+      });
+      
+      ffmpeg.on('error', (error) => {
+        reject(new Error(`FFmpeg error: ${error.message}`));
+      });
+    });
+  }
+
   /**
    * Get audio duration using FFprobe
    */
@@ -477,19 +614,38 @@ class OpenAIService {
   /**
    * Transcribe a single chunk
    */
-  async transcribeSingleChunk(chunk) {
+  async transcribeSingleChunk(chunk, provider, usageContext = {}) {
     try {
-      const transcriptionOptions = {
-        file: fs.createReadStream(chunk.path),
-        model: 'whisper-1',
-        response_format: 'verbose_json'
-      };
-      
-      const response = await this.openai.audio.transcriptions.create(transcriptionOptions);
+      const response = await provider.transcribeFile(chunk.path);
+
+      // The whole chunk file is billed, overlap included
+      await UsageService.recordUsage({
+        ...usageContext,
+        operation: 'transcription',
+        provider: provider.name,
+        model: response.model,
+        audioSeconds: response.duration || (chunk.endTime - chunk.startTime),
+        metadata: { chunk_index: chunk.index }
+      });
       
+      // Whisper timestamps are relative to the chunk - shift them onto the full recording timeline
+      let segments = (response.segments || []).map(segment => ({
+        start: segment.start + chunk.startTime,
+        end: segment.end + chunk.startTime,
+        text: segment.text
+      }));
+      let text = response.text;
+
+      // Drop the overlap this chunk shares with its neighbours - the neighbour owns that audio
+      if (segments.length > 0 && chunk.ownedStart !== undefined) {
+        segments = trimSegmentsToRange(segments, chunk.ownedStart, chunk.ownedEnd);
+        text = segments.map(segment => (segment.text || '').trim()).filter(Boolean).join(' ');
+      }
+
       return {
-        text: response.text,
+        text,
         language: response.language,
+        segments,
         chunkIndex: chunk.index,
         startTime: chunk.startTime,
         endTime: chunk.endTime
@@ -501,6 +657,104 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Run a chat completion through the configured LLM provider
+   * purpose picks the configured model (advisor, client, chunk_summary, diarization) unless options.model is set;
+   * every call is recorded in the usage ledger against options.usageContext
+   */
+  async createChatCompletion(purpose, params, options = {}) {
+    // Regenerate jobs carry the db report type ('adviser'); models and the usage ledger use 'advisor'
+    if (purpose === 'adviser') {
+      purpose = 'advisor';
+    }
+
+    const provider = getChatProvider(options.llmProvider);
+    const model = options.model || llmConfig.getModel(purpose);
+
+    const response = await provider.createChatCompletion({ model, ...params });
+
+    await UsageService.recordUsage({
+      ...options.usageContext,
+      operation: purpose,
+      provider: provider.name,
+      model: response.model || model,
+      usage: response.usage
+    });
+
+    return {
+      ...response,
+      provider: provider.name
+    };
+  }
+
+  /**
+   * Label a batch of transcript segments as adviser or client speech
+   */
+  async labelSpeakers(segments, options = {}) {
+    const { sessionContext, language, previous = [] } = options;
+
+    let prompt = `The following numbered segments come from a recorded business consultation between a MATI adviser and an entrepreneur (the client).
+Label every segment with the person speaking it: "adviser" or "client".\n\n`;
+
+    if (sessionContext) {
+      prompt += `PARTICIPANTS:\n`;
+      prompt += `- Adviser: ${sessionContext.adviserName || 'Unknown'}\n`;
+      prompt += `- Client: ${sessionContext.clientName || 'Unknown'}${sessionContext.businessDomain ? ` (${sessionContext.businessDomain})` : ''}\n\n`;
+    }
+
+    if (language) {
+      prompt += `Conversation language: ${language}\n\n`;
+    }
+
+    if (previous.length > 0) {
+      prompt += `PREVIOUS SEGMENTS (already labelled, for context only):\n${previous.map(segment => `${segment.speaker}: ${segment.text}`).join('\n')}\n\n`;
+    }
+
+    prompt += `SEGMENTS TO LABEL:\n${JSON.stringify(segments)}\n\n`;
+    prompt += `Guidance:
+- The adviser usually opens the meeting, introduces themselves and MATI, asks diagnostic questions and offers guidance and services
+- The client describes their business, challenges, needs and plans
+- A question and its answer are almost always spoken by different people
+- Use "unknown" only when a segment cannot be attributed at all
+
+Respond in JSON format: {"labels": [{"i": 0, "speaker": "adviser"}]} with one entry per segment.`;
+
+    const response = await this.createChatCompletion('diarization', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an expert in conversation analysis. You attribute transcript segments to speakers and respond with valid JSON only.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: Math.min(4000, 20 * segments.length + 200),
+      temperature: 0
+    }, options);
+
+    const rawContent = response.content;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(rawContent);
+    } catch (parseError) {
+      throw new Error(`Failed to parse speaker labels: ${parseError.message}`);
+    }
+
+    if (!Array.isArray(parsed.labels)) {
+      throw new Error('Speaker labelling response is missing the labels array');
+    }
+
+    return {
+      labels: parsed.labels,
+      model: response.model,
+      tokens_used: response.usage.total_tokens
+    };
+  }
+
   /**
    * Generate report from transcript using OpenAI with memory optimization
    */
@@ -526,120 +780,40 @@ class OpenAIService {
    */
   async generateReportDirect(transcript, reportType = 'advisor', options = {}) {
     try {
-      const prompt = this.buildReportPrompt(transcript, reportType, options);
+      const systemPrompt = await this.getSystemPrompt(reportType, options);
+      const prompt = await this.buildReportPrompt(transcript, reportType, options);
 
       const startTime = Date.now();
 
-      const response = await this.openai.chat.completions.create({
-        model: options.model || 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt(reportType)
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: options.max_tokens || 2000,
-        temperature: options.temperature || 0.7
-      });
-
-      const duration = Date.now() - startTime;
-      const rawContent = response.choices[0].message.content;
-
-      // Sanitize JSON response to handle Hebrew quotes and other problematic characters
-      const sanitizeJsonContent = (content) => {
-        try {
-          // First, try to parse as-is
-          return JSON.parse(content);
-        } catch (error) {
-          console.log('⚠️ Initial JSON parse failed, attempting to sanitize...');
-          console.log('Error position:', error.message.match(/position (\d+)/)?.[1] || 'unknown');
-          
-          // Step 1: Fix common Hebrew abbreviations with quotes
-          let sanitized = content
-            .replace(/תב"ע/g, 'תב\\"ע')
-            .replace(/ח"כ/g, 'ח\\"כ')
-            .replace(/מ"מ/g, 'מ\\"מ')
-            .replace(/ר"מ/g, 'ר\\"מ')
-            .replace(/מ"ד/g, 'מ\\"ד')
-            .replace(/ת"א/g, 'ת\\"א')
-            .replace(/י"ש/g, 'י\\"ש')
-            .replace(/ע"י/g, 'ע\\"י')
-            .replace(/ב"כ/g, 'ב\\"כ')
-            .replace(/נדל"ן/g, 'נדל\\"ן')
-            .replace(/הדריכלות/g, 'האדריכלות'); // Fix typo that might cause issues
-          
-          try {
-            return JSON.parse(sanitized);
-          } catch (secondError) {
-            console.log('⚠️ Basic sanitization failed, trying advanced approach...');
-            
-            // Step 2: More comprehensive quote handling
-            // Find and fix unescaped quotes within string values
-            sanitized = sanitized.replace(/"([^"]*(?:\\.[^"]*)*)"/g, (match, content) => {
-              // Skip if this looks like a JSON key or structure
-              if (content.match(/^\s*[\{\[\]\}]/) || content.includes('":')) {
-                return match;
-              }
-              
-              // Escape unescaped quotes within the string content
-              const fixed = content.replace(/(?<!\\)"/g, '\\"');
-              return `"${fixed}"`;
-            });
-            
-            try {
-              return JSON.parse(sanitized);
-            } catch (thirdError) {
-              console.log('⚠️ Advanced sanitization failed, trying final approach...');
-              
-              // Step 3: Last resort - fix malformed JSON structure
-              sanitized = sanitized
-                // Fix missing commas before closing braces/brackets
-                .replace(/"\s*\n\s*}/g, '"\n}')
-                .replace(/"\s*\n\s*]/g, '"\n]')
-                // Fix trailing commas
-                .replace(/,(\s*[}\]])/g, '$1')
-                // Fix double quotes in Hebrew text more aggressively
-                .replace(/:\s*"([^"]*)"([^",\]\}]*)"([^",\]\}]*?)"/g, (match, p1, p2, p3) => {
-                  return `: "${p1}\\"${p2}\\"${p3}"`;
-                });
-              
-              try {
-                return JSON.parse(sanitized);
-              } catch (finalError) {
-                console.error('❌ All sanitization attempts failed');
-                console.log('Final sanitized content:', sanitized.substring(0, 500) + '...');
-                throw finalError;
-              }
-            }
-          }
+      const result = await this.generateValidatedReport(reportType, [
+        {
+          role: 'system',
+          content: systemPrompt.text
+        },
+        {
+          role: 'user',
+          content: prompt.text
         }
-      };
+      ], options);
 
-      // Parse JSON response from OpenAI with sanitization
-      let parsedContent;
-      try {
-        parsedContent = sanitizeJsonContent(rawContent);
-        console.log('✅ Successfully parsed JSON response from OpenAI');
-      } catch (parseError) {
-        console.error('❌ Failed to parse JSON response from OpenAI:', parseError);
-        console.log('Raw response:', rawContent);
-        // Fallback: return raw content if JSON parsing fails
-        parsedContent = { raw_content: rawContent, parse_error: true };
-      }
+      const duration = Date.now() - startTime;
 
       return {
-        content: parsedContent,
+        content: result.content,
         type: reportType,
         metadata: {
-          model: options.model || 'gpt-4o-mini',
+          model: result.model,
+          provider: result.provider,
           processing_time_ms: duration,
-          tokens_used: response.usage?.total_tokens || 0,
+          tokens_used: result.tokens_used,
           generated_at: new Date().toISOString(),
-          is_structured: !parsedContent.parse_error
+          is_structured: true,
+          schema_version: REPORT_SCHEMA_VERSION,
+          repair_attempts: result.repair_attempts,
+          prompt_versions: {
+            system: systemPrompt.label,
+            user: prompt.label
+          }
         }
       };
 
@@ -649,6 +823,136 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Generate a report and validate it against the report schema
+   * Uses structured-output mode when enabled; invalid content is sent back to the model for repair
+   */
+  async generateValidatedReport(reportType, messages, options = {}) {
+    const maxRepairAttempts = options.maxRepairAttempts ?? llmConfig.reportRepairAttempts;
+    const conversation = [...messages];
+    let tokensUsed = 0;
+    let lastErrors = [];
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      const response = await this.createChatCompletion(reportType, {
+        messages: conversation,
+        max_tokens: options.max_tokens || 2000,
+        temperature: options.temperature || 0.7,
+        response_format: llmConfig.structuredOutputs
+          ? getStructuredOutputFormat(reportType)
+          : { type: 'json_object' }
+      }, options);
+
+      tokensUsed += response.usage.total_tokens;
+
+      let parsedContent = null;
+      try {
+        parsedContent = this.parseReportJson(response.content);
+        const validation = validateReportContent(reportType, parsedContent);
+        lastErrors = validation.errors;
+      } catch (parseError) {
+        lastErrors = [`Response is not valid JSON: ${parseError.message}`];
+      }
+
+      if (lastErrors.length === 0) {
+        console.log(`✅ ${reportType} report passed schema validation${attempt > 0 ? ` after ${attempt} repair attempt(s)` : ''}`);
+        return {
+          content: parsedContent,
+          model: response.model,
+          provider: response.provider,
+          tokens_used: tokensUsed,
+          repair_attempts: attempt
+        };
+      }
+
+      console.warn(`⚠️ ${reportType} report failed schema validation (attempt ${attempt + 1}/${maxRepairAttempts + 1}):`, lastErrors.slice(0, 5));
+
+      // Ask the model to fix its own output
+      conversation.push(
+        { role: 'assistant', content: response.content || '' },
+        {
+          role: 'user',
+          content: `The JSON you returned does not match the required report structure:\n${lastErrors.slice(0, 20).map(error => `- ${error}`).join('\n')}\n\nReturn the complete corrected JSON object only, keeping all content in the original language.`
+        }
+      );
+    }
+
+    throw new Error(`Report failed schema validation after ${maxRepairAttempts} repair attempt(s): ${lastErrors.slice(0, 5).join('; ')}`);
+  }
+
+  /**
+   * Parse report JSON, repairing common Hebrew quote problems
+   * (models without structured outputs sometimes leave quotes in abbreviations like תב"ע unescaped)
+   */
+  parseReportJson(content) {
+    try {
+      // First, try to parse as-is
+      return JSON.parse(content);
+    } catch (error) {
+      console.log('⚠️ Initial JSON parse failed, attempting to sanitize...');
+      console.log('Error position:', error.message.match(/position (\d+)/)?.[1] || 'unknown');
+      
+      // Step 1: Fix common Hebrew abbreviations with quotes
+      let sanitized = content
+        .replace(/תב"ע/g, 'תב\\"ע')
+        .replace(/ח"כ/g, 'ח\\"כ')
+        .replace(/מ"מ/g, 'מ\\"מ')
+        .replace(/ר"מ/g, 'ר\\"מ')
+        .replace(/מ"ד/g, 'מ\\"ד')
+        .replace(/ת"א/g, 'ת\\"א')
+        .replace(/י"ש/g, 'י\\"ש')
+        .replace(/ע"י/g, 'ע\\"י')
+        .replace(/ב"כ/g, 'ב\\"כ')
+        .replace(/נדל"ן/g, 'נדל\\"ן')
+        .replace(/הדריכלות/g, 'האדריכלות'); // Fix typo that might cause issues
+      
+      try {
+        return JSON.parse(sanitized);
+      } catch (secondError) {
+        console.log('⚠️ Basic sanitization failed, trying advanced approach...');
+        
+        // Step 2: More comprehensive quote handling
+        // Find and fix unescaped quotes within string values
+        sanitized = sanitized.replace(/"([^"]*(?:\\.[^"]*)*)"/g, (match, content) => {
+          // Skip if this looks like a JSON key or structure
+          if (content.match(/^\s*[\{\[\]\}]/) || content.includes('":')) {
+            return match;
+          }
+          
+          // Escape unescaped quotes within the string content
+          const fixed = content.replace(/(?<!\\)"/g, '\\"');
+          return `"${fixed}"`;
+        });
+        
+        try {
+          return JSON.parse(sanitized);
+        } catch (thirdError) {
+          console.log('⚠️ Advanced sanitization failed, trying final approach...');
+          
+          // Step 3: Last resort - fix malformed JSON structure
+          sanitized = sanitized
+            // Fix missing commas before closing braces/brackets
+            .replace(/"\s*\n\s*}/g, '"\n}')
+            .replace(/"\s*\n\s*]/g, '"\n]')
+            // Fix trailing commas
+            .replace(/,(\s*[}\]])/g, '$1')
+            // Fix double quotes in Hebrew text more aggressively
+            .replace(/:\s*"([^"]*)"([^",\]\}]*)"([^",\]\}]*?)"/g, (match, p1, p2, p3) => {
+              return `: "${p1}\\"${p2}\\"${p3}"`;
+            });
+          
+          try {
+            return JSON.parse(sanitized);
+          } catch (finalError) {
+            console.error('❌ All sanitization attempts failed');
+            console.log('Final sanitized content:', sanitized.substring(0, 500) + '...');
+            throw finalError;
+          }
+        }
+      }
+    }
+  }
+
   /**
    * Generate report for large transcripts using chunked processing
    */
@@ -660,13 +964,20 @@ class OpenAIService {
       const chunks = this.splitTranscriptIntoChunks(transcript);
       console.log(`📦 Split into ${chunks.length} chunks`);
       
+      // Resolve the summary prompt once so every chunk uses the same version
+      const chunkOptions = {
+        ...options,
+        chunkPromptTemplate: await PromptService.getTemplate('chunk_summary', options.promptVersions?.chunk_summary)
+      };
+      
       // Process each chunk to create summaries
       const chunkSummaries = [];
       for (let i = 0; i < chunks.length; i++) {
         console.log(`🔄 Processing chunk ${i + 1}/${chunks.length}...`);
         
-        const summary = await this.summarizeChunk(chunks[i], reportType, options);
+        const { summary, tokens_used } = await this.summarizeChunk(chunks[i], reportType, chunkOptions);
         chunkSummaries.push(summary);
+        chunkOptions.chunkTokensUsed = (chunkOptions.chunkTokensUsed || 0) + tokens_used;
         
         // Small delay to avoid rate limiting
         if (i < chunks.length - 1) {
@@ -676,7 +987,7 @@ class OpenAIService {
       
       // Combine summaries into final report
       console.log(`🔗 Combining ${chunkSummaries.length} chunk summaries...`);
-      const finalReport = await this.combineChunkSummaries(chunkSummaries, reportType, options);
+      const finalReport = await this.combineChunkSummaries(chunkSummaries, reportType, chunkOptions);
       
       return finalReport;
       
@@ -726,30 +1037,13 @@ class OpenAIService {
 
   /**
    * Summarize a single chunk of transcript
+   * @returns {Object} { summary, tokens_used }
    */
   async summarizeChunk(chunk, reportType, options = {}) {
-    const summaryPrompt = `Please analyze this portion of a business consultation meeting and extract key insights:
-
-TRANSCRIPT SEGMENT:
-${chunk}
-
-Please provide a concise summary focusing on:
-1. Key business topics discussed
-2. Important decisions or recommendations
-3. Client concerns or questions
-4. Advisor guidance provided
-
-Respond in JSON format:
-{
-  "key_topics": ["topic1", "topic2"],
-  "decisions": ["decision1", "decision2"],
-  "client_concerns": ["concern1", "concern2"],
-  "advisor_guidance": ["guidance1", "guidance2"],
-  "summary": "Brief overall summary"
-}`;
-
-    const response = await this.openai.chat.completions.create({
-      model: options.model || 'gpt-4o-mini',
+    const template = options.chunkPromptTemplate || await PromptService.getTemplate('chunk_summary');
+    const summaryPrompt = PromptService.renderContent(template.content, { transcript_segment: chunk }).text;
+
+    const response = await this.createChatCompletion('chunk_summary', {
       messages: [
         {
           role: 'system',
@@ -762,10 +1056,18 @@ Respond in JSON format:
       ],
       max_tokens: 800,
       temperature: 0.3
-    });
+    }, options);
 
-    const rawContent = response.choices[0].message.content;
-    
+    return {
+      summary: this.parseChunkSummary(response.content),
+      tokens_used: response.usage.total_tokens
+    };
+  }
+
+  /**
+   * Parse a chunk summary, falling back to regex extraction when the JSON is malformed
+   */
+  parseChunkSummary(rawContent) {
     try {
       return JSON.parse(rawContent);
     } catch (parseError) {
@@ -832,42 +1134,38 @@ Respond in JSON format:
     });
 
     // Create final report prompt with aggregated data
-    const finalPrompt = this.buildReportPromptFromSummaries(aggregated, reportType, options);
-
-    const response = await this.openai.chat.completions.create({
-      model: options.model || 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: this.getSystemPrompt(reportType)
-        },
-        {
-          role: 'user',
-          content: finalPrompt
-        }
-      ],
-      max_tokens: options.max_tokens || 2000,
-      temperature: options.temperature || 0.7
-    });
-
-    const rawContent = response.choices[0].message.content;
-    let parsedContent;
-
-    try {
-      parsedContent = JSON.parse(rawContent);
-    } catch (parseError) {
-      console.warn('Failed to parse final report JSON, using raw content');
-      parsedContent = { content: rawContent, parse_error: true };
-    }
+    const systemPrompt = await this.getSystemPrompt(reportType, options);
+    const finalPrompt = await this.buildReportPromptFromSummaries(aggregated, reportType, options);
+
+    const result = await this.generateValidatedReport(reportType, [
+      {
+        role: 'system',
+        content: systemPrompt.text
+      },
+      {
+        role: 'user',
+        content: finalPrompt.text
+      }
+    ], options);
 
     return {
-      content: parsedContent,
+      content: result.content,
       metadata: {
-        model: response.model,
-        tokens_used: response.usage.total_tokens,
+        model: result.model,
+        provider: result.provider,
+        tokens_used: result.tokens_used + (options.chunkTokensUsed || 0),
+        chunk_summary_tokens: options.chunkTokensUsed || 0,
         processing_time_ms: Date.now(),
         generated_at: new Date().toISOString(),
         mock_mode: false,
+        is_structured: true,
+        schema_version: REPORT_SCHEMA_VERSION,
+        repair_attempts: result.repair_attempts,
+        prompt_versions: {
+          system: systemPrompt.label,
+          user: finalPrompt.label,
+          chunk_summary: options.chunkPromptTemplate ? `chunk_summary@v${options.chunkPromptTemplate.version}` : undefined
+        },
         chunked_processing: true,
         chunks_processed: summaries.length
       }
@@ -877,55 +1175,52 @@ Respond in JSON format:
   /**
    * Build report prompt from aggregated summaries
    */
-  buildReportPromptFromSummaries(aggregated, reportType, options = {}) {
-    const { sessionContext, notes, language } = options;
-    
-    let prompt = `Based on the following aggregated insights from a business consultation meeting, generate a comprehensive ${reportType} report.\n\n`;
-    
+  async buildReportPromptFromSummaries(aggregated, reportType, options = {}) {
+    const { sessionContext, notes, language, speakerStats } = options;
+
+    let sessionContextSection = '';
     if (sessionContext) {
-      prompt += `SESSION CONTEXT:\n`;
-      prompt += `Client: ${sessionContext.clientName}\n`;
-      prompt += `Advisor: ${sessionContext.adviserName}\n`;
-      prompt += `Date: ${new Date(sessionContext.sessionDate).toLocaleDateString()}\n`;
-      prompt += `Duration: ${sessionContext.duration ? Math.round(sessionContext.duration/60) : 'Unknown'} minutes\n\n`;
+      sessionContextSection += `SESSION CONTEXT:\n`;
+      sessionContextSection += `Client: ${sessionContext.clientName}\n`;
+      sessionContextSection += `Advisor: ${sessionContext.adviserName}\n`;
+      sessionContextSection += `Date: ${new Date(sessionContext.sessionDate).toLocaleDateString()}\n`;
+      sessionContextSection += `Duration: ${sessionContext.duration ? Math.round(sessionContext.duration/60) : 'Unknown'} minutes\n\n`;
     }
 
-    prompt += `AGGREGATED INSIGHTS:\n\n`;
+    let insights = '';
     
     if (aggregated.key_topics.length > 0) {
-      prompt += `KEY TOPICS DISCUSSED:\n${aggregated.key_topics.map(topic => `- ${topic}`).join('\n')}\n\n`;
+      insights += `KEY TOPICS DISCUSSED:\n${aggregated.key_topics.map(topic => `- ${topic}`).join('\n')}\n\n`;
     }
     
     if (aggregated.decisions.length > 0) {
-      prompt += `DECISIONS MADE:\n${aggregated.decisions.map(decision => `- ${decision}`).join('\n')}\n\n`;
+      insights += `DECISIONS MADE:\n${aggregated.decisions.map(decision => `- ${decision}`).join('\n')}\n\n`;
     }
     
     if (aggregated.client_concerns.length > 0) {
-      prompt += `CLIENT CONCERNS:\n${aggregated.client_concerns.map(concern => `- ${concern}`).join('\n')}\n\n`;
+      insights += `CLIENT CONCERNS:\n${aggregated.client_concerns.map(concern => `- ${concern}`).join('\n')}\n\n`;
     }
     
     if (aggregated.advisor_guidance.length > 0) {
-      prompt += `ADVISOR GUIDANCE:\n${aggregated.advisor_guidance.map(guidance => `- ${guidance}`).join('\n')}\n\n`;
+      insights += `ADVISOR GUIDANCE:\n${aggregated.advisor_guidance.map(guidance => `- ${guidance}`).join('\n')}\n\n`;
     }
 
-    if (notes) {
-      prompt += `SPECIAL INSTRUCTIONS FROM ADVISER:\n${notes}\n\n`;
-    }
-
-    if (language) {
-      prompt += `IMPORTANT: Generate the report in ${language} language to match the original meeting language.\n\n`;
-    }
-
-    prompt += `Please generate a structured ${reportType} report based on these insights.`;
-    
-    return prompt;
+    return PromptService.render('report_from_summaries', {
+      report_type: reportType,
+      session_context: sessionContextSection,
+      speaker_stats_section: speakerStats ? this.buildSpeakerStatsSection(speakerStats) : '',
+      aggregated_insights: insights,
+      notes_section: notes ? `SPECIAL INSTRUCTIONS FROM ADVISER:\n${notes}\n\n` : '',
+      language_section: language ? `IMPORTANT: Generate the report in ${language} language to match the original meeting language.\n\n` : ''
+    }, options.promptVersions?.report_from_summaries);
   }
 
   /**
    * Build prompt for report generation
+   * Prompt prose lives in src/prompts/templates (or admin-created DB versions); this fills in the variables
    */
-  buildReportPrompt(transcript, reportType, options = {}) {
-    const { sessionContext, notes, language } = options;
+  async buildReportPrompt(transcript, reportType, options = {}) {
+    const { sessionContext, notes, language, speakerLabelled, speakerStats } = options;
 
     // Build session information section
     let sessionInfo = '';
@@ -976,171 +1271,59 @@ CRITICAL LANGUAGE REQUIREMENT:
 `;
     }
 
-    const basePrompt = `Please analyze the following transcript and generate a comprehensive ${reportType} report.
-
-${sessionInfo}${notesSection}Transcript:
-${transcript}
-
-
-IMPORTANT ANALYSIS INSTRUCTIONS:
-- CRITICAL LANGUAGE RULE: Analyze the actual conversation content in the transcript (not session metadata like names/titles). Generate ALL report content values in the SAME language as the conversation. Hebrew conversation = Hebrew content. English conversation = English content. JSON field names stay English.
-- CRITICAL: Respond ONLY with valid JSON. Do not include any markdown formatting, explanatory text, or content outside the JSON object.
-- Use the actual session information provided above instead of placeholders. Replace any [Insert X] placeholders with the real data provided.
-- Carefully read through the transcript to identify different speakers based on context clues, names mentioned, and conversation flow
+    // Speaker-labelled transcripts come from the diarization stage; otherwise the model has to infer speakers
+    const speakerInstructions = speakerLabelled ? `- The transcript is speaker-labelled: every line starts with a [mm:ss] timestamp followed by ADVISER or CLIENT. Trust these labels when attributing statements and quotes
+- Attribute supporting quotes to the correct speaker using the labels - adviser quotes for adviser skills, client quotes for client needs and insights
+- Use the timestamps to judge how long each conversation phase lasted
+` : `- Carefully read through the transcript to identify different speakers based on context clues, names mentioned, and conversation flow
 - Look for patterns like "Tony said", "Carrie responded", or changes in speaking style/topic that indicate different speakers
 - If the transcript lacks clear speaker identification, do your best to infer from context but acknowledge the limitation
 - Pay attention to who is asking questions vs. providing answers, as this often indicates different roles
 - Note if this appears to be a monologue, dialogue, or multi-participant meeting
-
 `;
 
-    if (reportType === 'adviser' || reportType === 'advisor') {
-      return basePrompt + `
-Generate a structured advisor report with conversation analysis and performance metrics - this report is meant to provide insight about the adviser performance to help the adviser improve their performance:
-
-## ADVISOR REPORT STRUCTURE
-
-The report should contain 5 main sections with the following structure:
-
-### 1. TOPICS COVERED
-- topics: Array of main topics discussed in the conversation, where each topic includes:
-  * topic: Main topic name/title
-  * sub_topics: Array of related sub-topics that fall under this main topic
-  * time_percentage: Estimated percentage of conversation time spent on this topic and its sub-topics
-
-### 2. GENERAL PERFORMANCE
-- topics_covered: Object containing breakdown of conversation time spent on different phases:
-  * introducing_advisor_percentage: Percentage of time spent introducing the advisor
-  * introducing_mati_percentage: Percentage of time spent introducing MATI (the advisor's company)
-  * opening_percentage: Percentage of time spent on opening/rapport building
-  * collecting_info_percentage: Percentage of time spent collecting information about the client
-  * actual_content_percentage: Percentage of time spent on actual consulting/advice content
-  
-- client_readiness_score: Score from 0-100 based on these specific criteria:
-  * Business maturity and clarity of needs (25 points)
-  * Engagement level and active participation (25 points)
-  * Receptiveness to advice and solutions (25 points)
-  * Expressed interest in continuing the process (25 points)
-
-### 3. ADVISOR QUALITY METRICS
-This section should contain 3 subsections, each with score (0-5), description, and supporting quote:
-
-- listening: Object containing:
-  * score: Rating from 0-5 stars
-  * description: Analysis of the advisor's ability to ask good questions, build trust, and get the entrepreneur to share challenges, needs, and opportunities in their business. Focus on listening approach and engagement techniques.
-  * supporting_quote: Specific quote from the transcript that demonstrates this skill
-  
-- clarity: Object containing:
-  * score: Rating from 0-5 stars
-  * description: Analysis of the advisor's ability to reflect, frame, and map where the entrepreneur is in a non-judgmental way, and create insights and understanding for effective and practical action directions for the entrepreneur and business growth.
-  * supporting_quote: Specific quote from the transcript that demonstrates this skill
-  
-- continuation: Object containing:
-  * score: Rating from 0-5 stars
-  * description: Analysis of the advisor's success in finding the right words to describe MATI's relevant services and their value for this specific entrepreneur and their needs, using the entrepreneur's own language and words to motivate them to action, consume services, and continue collaboration with MATI.
-  * supporting_quote: Specific quote from the transcript that demonstrates this skill
-
-### 4. THINGS TO PRESERVE
-- things_to_preserve: Array of positive aspects the advisor did well, where each item includes:
-  * title: Brief title of the positive point
-  * description: Detailed explanation of what the advisor did well, based on evidence from the conversation
-
-### 5. NEEDS IMPROVEMENT
-- needs_improvement: Array of areas where the advisor could improve, where each item includes:
-  * title: Brief title of the improvement area
-  * description: Detailed explanation of what could be improved and constructive suggestions
-
-## ANALYSIS INSTRUCTIONS:
-- For topics section, identify 3-7 main topics discussed and group related sub-topics under each main topic
-- Estimate time percentages for each topic based on conversation flow and depth of discussion
-- Calculate percentage breakdowns based on actual conversation flow and time spent on each phase
-- Analyze the full transcript to understand conversation structure and phases
-- For the quality metrics (Listening, Clarity, Continuation), provide honest scores from 0-5 based on evidence
-- Select the MOST relevant and representative quotes that best demonstrate each quality metric
-- Quotes should be substantial enough to show context (not just one word)
-- For client readiness score, evaluate each criterion objectively and sum the points (each criterion worth 25 points)
-- Base all scores and feedback on evidence from the conversation, not assumptions
-- Provide specific examples to justify all scoring decisions
-- Focus on actionable, constructive feedback for advisor improvement
-- In "Things to Preserve" section, highlight 3-5 specific strengths with concrete examples
-- In "Needs Improvement" section, provide 3-5 specific areas with constructive suggestions
-- This report serves as an internal evaluation document for advisor development
-
-CRITICAL: Generate all content values in the same language as the transcript, but use English field names in the JSON structure.`;
-    } else if (reportType === 'client') {
-      return basePrompt + `
-Generate a client report based directly on the transcript content - this report will be sent to the client so the tone should always be positive and helpful:
-
-## CLIENT REPORT STRUCTURE
-Extract the following information directly from the transcript:
-
-### General Summary
-- general_summary: A comprehensive summary of the conversation and the client's business in general. This should provide an overview of what was discussed, the client's business context, and the main topics covered during the meeting.
-
-### Target Summary
-- target_summary: A concise summary of the key insights and action items without any quotes. This should be a brief, actionable overview that synthesizes the main takeaways and next steps in clear, direct language.
-
-### Key Insights (3-5 insights)
-- key_insights: Array of 3-5 key insights from the meeting, where each insight must include:
-  - category: Must be exactly one of these predetermined categories:
-    * "what we learned about the clients business"
-    * "decisions made"
-    * "opportunities/risks or concerns that came up"
-  - content: The actual insight content extracted from the transcript
-  - supporting_quotes: Array of direct quotes from the conversation that support this insight
-
-### Action Items
-- action_items: Array of concrete action items discussed in the meeting, where each action item must include:
-  - task: Description of the task to be completed
-  - owner: Who is responsible - must be one of: "client", "adviser", or specify other entity name
-  - deadline: When the task should be completed (extract from transcript or use null if not specified)
-  - status: Current status - must be one of: "open", "in progress", "completed"
-
-## EXTRACTION INSTRUCTIONS:
-- Extract information STRICTLY from the transcript - do not infer, speculate, or add information not explicitly present
-- Use actual quotes from the conversation to support insights
-- For action items, only include tasks that were explicitly discussed or agreed upon
-- If specific information is not available in the transcript, use null for that field
-- If no insights or action items are found, return empty arrays []
-- Maintain the original meaning and context of statements
-- Use clear, professional language suitable for client delivery
-- Categories must match exactly as specified above
-- Owner field should be specific - use actual names when mentioned or "client"/"adviser" as appropriate
-
-CRITICAL LANGUAGE REQUIREMENT FOR CLIENT REPORT:
-- ANALYZE the actual conversation content in the transcript to determine language
-- IGNORE session metadata language (client names, session titles, etc.)
-- If the conversation is in Hebrew, generate ALL content values in Hebrew
-- If the conversation is in English, generate ALL content values in English
-- JSON field names must remain in English for parsing
-- ALL content, insights, quotes, and action items must match the conversation language exactly
-
-Generate all content in the same language as the transcript, but use English field names in the JSON structure.`;
-    }
+    const templateName = `${this.getPromptReportType(reportType)}_report`;
 
-    return basePrompt;
+    return PromptService.render(templateName, {
+      report_type: reportType,
+      session_info: sessionInfo,
+      notes_section: notesSection,
+      speaker_stats_section: speakerStats ? this.buildSpeakerStatsSection(speakerStats) : '',
+      transcript,
+      speaker_instructions: speakerInstructions
+    }, options.promptVersions?.[templateName]);
   }
 
   /**
-   * Get system prompt based on report type
+   * Build the measured talk-time section from diarization statistics
    */
-  getSystemPrompt(reportType) {
-    const baseSystem = "You are an AI assistant specialized in analyzing business conversations and generating professional reports. You can handle various types of audio content including meetings, consultations, presentations, and monologues. Always use the actual session information provided (client names, adviser names, dates, etc.) instead of generic placeholders like [Insert Name] or [Insert Date]. Be adaptive to the content type and provide valuable insights regardless of the conversation format. COMPANY CONTEXT: MATI JLM (מט״י ירושלים) stands for מרכז טיפוח יזמות (Center for Entrepreneurship Development) and is the organization that employs all the advisers conducting these business consultations. When referencing the organization, use the correct spelling: MATI JLM or מט״י ירושלים. CRITICAL LANGUAGE RULE: Analyze the actual conversation language in the transcript content (ignore session metadata language). If the conversation is in Hebrew, generate ALL content values in Hebrew. If the conversation is in English, generate ALL content values in English. JSON field names must remain in English, but content values must match the conversation language exactly. IMPORTANT: You must respond with a valid JSON object only - no markdown, no additional text, just pure JSON.";
+  buildSpeakerStatsSection(speakerStats) {
+    const minutes = (seconds) => (seconds / 60).toFixed(1);
 
-    if (reportType === 'adviser' || reportType === 'advisor') {
-      return baseSystem + " Generate advisor reports with conversation analysis and performance evaluation. Include specific client details and personalize the report with actual names and information provided. The report should contain 5 main sections with comprehensive analysis. Return the response as a JSON object with the following structure: {\"topics\": [{\"topic\": \"string\", \"sub_topics\": [\"array of strings\"], \"time_percentage\": \"number\"}], \"topics_covered\": {\"introducing_advisor_percentage\": \"number\", \"introducing_mati_percentage\": \"number\", \"opening_percentage\": \"number\", \"collecting_info_percentage\": \"number\", \"actual_content_percentage\": \"number\"}, \"client_readiness_score\": \"number (0-100)\", \"listening\": {\"score\": \"number (0-5)\", \"description\": \"string\", \"supporting_quote\": \"string\"}, \"clarity\": {\"score\": \"number (0-5)\", \"description\": \"string\", \"supporting_quote\": \"string\"}, \"continuation\": {\"score\": \"number (0-5)\", \"description\": \"string\", \"supporting_quote\": \"string\"}, \"things_to_preserve\": [{\"title\": \"string\", \"description\": \"string\"}], \"needs_improvement\": [{\"title\": \"string\", \"description\": \"string\"}]}";
-    } else if (reportType === 'client') {
-      return baseSystem + " Generate client reports by extracting information directly from the transcript. Include specific client details and personalize the report with actual names and information provided. Focus STRICTLY on concrete information present in the conversation - do not infer or speculate. Return the response as a JSON object with the following structure: {\"general_summary\": \"string (comprehensive summary of conversation and client's business)\", \"target_summary\": \"string (concise summary of key insights and actions without quotes)\", \"key_insights\": [{\"category\": \"string (must be exactly one of: 'what we learned about the clients business', 'decisions made', 'opportunities/risks or concerns that came up')\", \"content\": \"string\", \"supporting_quotes\": [\"array of direct quotes\"]}], \"action_items\": [{\"task\": \"string\", \"owner\": \"string (client/adviser/other entity name)\", \"deadline\": \"string or null\", \"status\": \"string (open/in progress/completed)\"}]}";
-    }
+    return `MEASURED SPEAKER STATISTICS (from speaker diarization - use these instead of estimating talk time):
+- Adviser talk time: ${minutes(speakerStats.adviser_seconds)} minutes (${speakerStats.adviser_talk_percentage}%), ${speakerStats.adviser_turns} turns
+- Client talk time: ${minutes(speakerStats.client_seconds)} minutes (${speakerStats.client_talk_percentage}%), ${speakerStats.client_turns} turns
+- Base the topics_covered percentages on the timestamps of the labelled transcript rather than on guesses
 
-    return baseSystem;
+`;
   }
 
   /**
-   * Check if OpenAI API key is configured or if we're in mock mode
+   * Get system prompt based on report type
+   * options.promptVersions pins template versions by name (e.g. { advisor_system: 2 })
    */
-  isConfigured() {
-    return !!process.env.OPENAI_API_KEY || this.isMockMode();
+  async getSystemPrompt(reportType, options = {}) {
+    const templateName = `${this.getPromptReportType(reportType)}_system`;
+    return PromptService.render(templateName, {}, options.promptVersions?.[templateName]);
+  }
+
+  /**
+   * Map a report type onto its prompt template prefix
+   */
+  getPromptReportType(reportType) {
+    if (reportType === 'adviser' || reportType === 'advisor') return 'advisor';
+    if (reportType === 'client') return 'client';
+    throw new Error(`No prompt templates for report type: ${reportType}`);
   }
 
   /**
@@ -1151,23 +1334,28 @@ Generate all content in the same language as the transcript, but use English fie
   }
 
   /**
-   * Test OpenAI connection (or mock)
+   * Check the configured LLM and transcription providers (or mock)
+   * Each provider checks its own setup, so OPENAI_API_KEY is only needed when one of them is openai
    */
   async testConnection() {
     if (this.isMockMode()) {
       console.log('🎭 MOCK: Testing connection...');
       return {
         success: true,
-        models: 5,
+        llm: 'mock',
+        transcription: 'mock',
         mock_mode: true
       };
     }
 
     try {
-      const response = await this.openai.models.list();
+      const chatProvider = getChatProvider();
+      const transcriptionProvider = getTranscriptionProvider();
+
       return {
         success: true,
-        models: response.data.length
+        llm: `${chatProvider.name} - ${await chatProvider.checkConnection()}`,
+        transcription: `${transcriptionProvider.name} - ${await transcriptionProvider.checkConnection()}`
       };
     } catch (error) {
       return {
@@ -1177,12 +1365,40 @@ Generate all content in the same language as the transcript, but use English fie
     }
   }
 
+  /**
+   * Merge per-chunk segments (already offset to the recording timeline) into one ordered timeline
+   */
+  mergeChunkSegments(transcripts) {
+    const merged = [];
+
+    transcripts
+      .slice()
+      .sort((a, b) => a.startTime - b.startTime)
+      .forEach(transcript => {
+        (transcript.segments || []).forEach(segment => {
+          merged.push({
+            id: merged.length,
+            start: Math.round(segment.start * 100) / 100,
+            end: Math.round(segment.end * 100) / 100,
+            text: (segment.text || '').trim()
+          });
+        });
+      });
+
+    return merged;
+  }
+
   /**
    * Memory-optimized transcript merging to avoid large string concatenation
    */
   mergeTranscriptsMemoryOptimized(transcripts) {
     console.log(`🔄 Merging ${transcripts.length} transcripts with memory optimization...`);
     
+    // Remove words repeated across overlapping chunk boundaries
+    transcripts = transcripts.map((t, i) => ({
+      text: i === 0 ? (t.text || '').trim() : removeOverlapDuplication(transcripts[i - 1].text, t.text)
+    }));
+    
     // For very small transcripts, use simple join
     if (transcripts.length <= 3) {
       const result = transcripts.map(t => t.text || '').join(' ');
@@ -1,6 +1,6 @@
 const { supabase, supabaseAdmin } = require('../config/database');
 const crypto = require('crypto');
-const axios = require('axios');
+const EmailService = require('./emailService');
 
 class PasswordResetService {
   /**
@@ -71,7 +71,7 @@ class PasswordResetService {
       console.log(`⏰ Expires: ${expiresAt.toISOString()}`);
       console.log(`🔗 Reset URL: ${process.env.FRONTEND_URL || 'http://localhost:5000'}/reset-password?token=${token}`);
 
-      // Send email via Make.com webhook
+      // Send the reset email
       await this.sendResetEmail(user, token);
 
       return {
@@ -86,43 +86,13 @@ class PasswordResetService {
   }
 
   /**
-   * Send password reset email via Make.com webhook
+   * Send password reset email through the configured email transport
    */
   static async sendResetEmail(user, token) {
     try {
-      const makeWebhookUrl = process.env.MAKE_PASSWORD_RESET_WEBHOOK_URL;
-      const makeApiKey = process.env.MAKE_PASSWORD_RESET_API_KEY;
-      
-      if (!makeWebhookUrl || !makeApiKey) {
-        console.warn('⚠️ Make.com webhook URL or API key not configured. Email not sent.');
-        return;
-      }
-
-      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5000'}/reset-password?token=${token}`;
-      
-      const payload = {
-        email: user.email,
-        name: user.name,
-        resetUrl,
-        token, // Include token for Make.com to use in email template
-        expiresIn: '1 hour'
-      };
-
-      console.log('📤 Sending password reset email via Make.com:', {
-        email: user.email,
-        resetUrl
-      });
-
-      const response = await axios.post(makeWebhookUrl, payload, {
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json',
-          'x-make-apikey': makeApiKey
-        }
-      });
-
+      const result = await EmailService.sendPasswordResetEmail(user, token, { expiresInMinutes: 60 });
       console.log('✅ Password reset email sent successfully');
-      return response.data;
+      return result;
 
     } catch (error) {
       console.error('❌ Failed to send password reset email:', error.message);
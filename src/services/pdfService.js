@@ -0,0 +1,228 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const pdfConfig = require('../config/pdf');
+const { generateReportHtml, REPORT_CONTENT_SECURITY_POLICY } = require('../utils/reportHtmlGenerator');
+
+// Heebo covers Hebrew and Latin; embedded so the PDF looks the same whatever fonts the server has
+const FONT_FAMILY = 'Heebo';
+const FONT_FILES = [
+  { subset: 'hebrew', weight: 400, range: 'U+0307-0308, U+0590-05FF, U+200C-2010, U+20AA, U+25CC, U+FB1D-FB4F' },
+  { subset: 'hebrew', weight: 700, range: 'U+0307-0308, U+0590-05FF, U+200C-2010, U+20AA, U+25CC, U+FB1D-FB4F' },
+  { subset: 'latin', weight: 400, range: 'U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+2000-206F, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD' },
+  { subset: 'latin', weight: 700, range: 'U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+2000-206F, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD' }
+];
+
+let fontCss = null;
+
+// Render slots (see withRenderSlot)
+let activeRenders = 0;
+const waitingRenders = [];
+
+class PdfService {
+  /**
+   * Whether a browser for rendering is configured (CHROME_PATH)
+   */
+  static isEnabled() {
+    return !!pdfConfig.chromePath;
+  }
+
+  /**
+   * @font-face rules with the font files inlined (read once)
+   */
+  static getFontCss() {
+    if (fontCss) {
+      return fontCss;
+    }
+
+    const fontsDir = path.join(path.dirname(require.resolve('@fontsource/heebo/package.json')), 'files');
+    fontCss = FONT_FILES.map(({ subset, weight, range }) => {
+      const data = fs.readFileSync(path.join(fontsDir, `heebo-${subset}-${weight}-normal.woff2`)).toString('base64');
+      return `@font-face { font-family: '${FONT_FAMILY}'; font-style: normal; font-weight: ${weight}; ` +
+        `src: url(data:font/woff2;base64,${data}) format('woff2'); unicode-range: ${range}; }`;
+    }).join('\n');
+
+    return fontCss;
+  }
+
+  /**
+   * Add the CSP, the embedded font and print page setup to a report document
+   * The CSP goes first in <head>; the styles last so they override the screen font stack (direction stays as the document sets it)
+   * @param {String} fontFamily - Theme font stack, tried before the embedded font
+   */
+  static preparePrintHtml(html, fontFamily = null) {
+    const cspMeta = `<meta http-equiv="Content-Security-Policy" content="${REPORT_CONTENT_SECURITY_POLICY}">`;
+    const printCss = `
+      <style>
+        ${this.getFontCss()}
+        @page { size: ${pdfConfig.pageSize}; margin: ${pdfConfig.pageMargin}; }
+        html, body { font-family: ${fontFamily ? `${fontFamily}, ` : ''}'${FONT_FAMILY}', Arial, sans-serif !important; }
+        body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      </style>`;
+
+    if (!/<head[^>]*>/i.test(html) || !html.includes('</head>')) {
+      return `${cspMeta}\n${printCss}\n${html}`;
+    }
+
+    return html
+      .replace(/<head[^>]*>/i, head => `${head}\n${cspMeta}`)
+      .replace('</head>', `${printCss}\n</head>`);
+  }
+
+  /**
+   * Render an HTML document to PDF with headless Chrome
+   * The page comes from a one-off loopback server (not file://) with scripts disabled and the report CSP,
+   * so nothing in the report text can pull local files or run code into the PDF
+   * @param {Object} options - { fontFamily } (theme font stack)
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static async renderHtml(html, { fontFamily = null } = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('PDF rendering not configured (CHROME_PATH is missing)');
+    }
+
+    return this.withRenderSlot(() => this.printToPdf(html, fontFamily));
+  }
+
+  /**
+   * Run fn once a render slot is free: at most PDF_MAX_CONCURRENT_RENDERS browsers at a time,
+   * at most PDF_MAX_QUEUED_RENDERS waiting - beyond that the render is refused instead of piling up
+   */
+  static async withRenderSlot(fn) {
+    if (activeRenders < pdfConfig.maxConcurrentRenders) {
+      activeRenders++;
+    } else if (waitingRenders.length < pdfConfig.maxQueuedRenders) {
+      await new Promise(resolve => waitingRenders.push(resolve)); // The finishing render hands its slot over
+    } else {
+      throw new Error('PDF renderer is busy, try again shortly');
+    }
+
+    try {
+      return await fn();
+    } finally {
+      const next = waitingRenders.shift();
+      if (next) {
+        next();
+      } else {
+        activeRenders--;
+      }
+    }
+  }
+
+  static async printToPdf(html, fontFamily) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-pdf-'));
+    let page = null;
+
+    try {
+      page = await this.servePage(this.preparePrintHtml(html, fontFamily));
+      const pdfPath = path.join(workDir, 'report.pdf');
+
+      await this.run(pdfConfig.chromePath, [
+        '--headless',
+        '--disable-gpu',
+        '--disable-dev-shm-usage',
+        '--disable-extensions',
+        '--no-first-run',
+        '--hide-scrollbars',
+        '--blink-settings=scriptEnabled=false',
+        ...(pdfConfig.noSandbox ? ['--no-sandbox'] : []),
+        `--user-data-dir=${path.join(workDir, 'profile')}`,
+        '--no-pdf-header-footer',
+        `--print-to-pdf=${pdfPath}`,
+        page.url
+      ]);
+
+      if (!fs.existsSync(pdfPath)) {
+        throw new Error('Chrome finished without writing the PDF');
+      }
+
+      return fs.readFileSync(pdfPath);
+    } finally {
+      await page?.close();
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Serve one document on 127.0.0.1 at an unguessable path, with the report CSP as a header
+   * @returns {Promise<Object>} { url, close }
+   */
+  static servePage(html) {
+    const pagePath = `/${crypto.randomBytes(16).toString('hex')}.html`;
+
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url !== pagePath) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Security-Policy': REPORT_CONTENT_SECURITY_POLICY,
+        'Cache-Control': 'no-store'
+      });
+      res.end(html);
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        resolve({
+          url: `http://127.0.0.1:${server.address().port}${pagePath}`,
+          close: () => new Promise(done => {
+            server.close(() => done());
+            server.closeAllConnections();
+          })
+        });
+      });
+    });
+  }
+
+  /**
+   * Render a client report (same document as the HTML email attachment)
+   * @param {Object} theme - Report theme row, null for the built-in look
+   */
+  static async renderClientReport(report, session, client, theme = null) {
+    const startedAt = Date.now();
+    const pdf = await this.renderHtml(generateReportHtml(report, session, client, theme), { fontFamily: theme?.font_family });
+    console.log(`📄 Rendered PDF for report ${report.id} (${(pdf.length / 1024).toFixed(0)}KB, ${Date.now() - startedAt}ms)`);
+    return pdf;
+  }
+
+  /**
+   * Run the browser with a timeout
+   */
+  static run(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args);
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`PDF rendering timed out after ${Math.round(pdfConfig.timeoutMs / 1000)}s`));
+      }, pdfConfig.timeoutMs);
+
+      child.stderr.on('data', (data) => {
+        stderr = (stderr + data).slice(-2000); // Keep the tail for error messages
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to run ${command}: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = PdfService;
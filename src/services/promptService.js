@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const { supabaseAdmin } = require('../config/database');
+
+const TEMPLATES_DIR = path.join(__dirname, '../prompts/templates');
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+// File templates never change at runtime - load them once
+let fileTemplatesCache = null;
+
+class PromptService {
+  /**
+   * Load built-in templates from src/prompts/templates/<name>/v<N>.txt
+   */
+  static getFileTemplates() {
+    if (fileTemplatesCache) {
+      return fileTemplatesCache;
+    }
+
+    const templates = {};
+
+    for (const name of fs.readdirSync(TEMPLATES_DIR)) {
+      const templateDir = path.join(TEMPLATES_DIR, name);
+      if (!fs.statSync(templateDir).isDirectory()) continue;
+
+      templates[name] = fs.readdirSync(templateDir)
+        .map(file => file.match(/^v(\d+)\.txt$/))
+        .filter(Boolean)
+        .map(match => ({
+          name,
+          version: parseInt(match[1]),
+          source: 'file',
+          content: fs.readFileSync(path.join(templateDir, match[0]), 'utf8').replace(/\n+$/, '')
+        }))
+        .sort((a, b) => a.version - b.version);
+    }
+
+    fileTemplatesCache = templates;
+    return templates;
+  }
+
+  /**
+   * Get the database records for one prompt (or all prompts)
+   */
+  static async getDbTemplates(name = null) {
+    let query = supabaseAdmin
+      .from('prompt_templates')
+      .select('*')
+      .order('version', { ascending: true });
+
+    if (name) {
+      query = query.eq('name', name);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load prompt templates: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Merge file and database versions of one prompt
+   */
+  static mergeVersions(name, dbRows) {
+    const versions = new Map();
+
+    for (const fileVersion of this.getFileTemplates()[name] || []) {
+      versions.set(fileVersion.version, { ...fileVersion, is_active: false });
+    }
+
+    for (const row of dbRows.filter(row => row.name === name)) {
+      const fileVersion = versions.get(row.version);
+      versions.set(row.version, {
+        name,
+        version: row.version,
+        source: row.source,
+        content: row.source === 'file' ? fileVersion?.content : row.content,
+        description: row.description,
+        is_active: row.is_active,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        activated_at: row.activated_at
+      });
+    }
+
+    return [...versions.values()]
+      .filter(version => version.content !== undefined)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * List all prompts with their versions and which one is active
+   */
+  static async listTemplates() {
+    const dbRows = await this.getDbTemplates();
+    const names = new Set([...Object.keys(this.getFileTemplates()), ...dbRows.map(row => row.name)]);
+
+    return [...names].sort().map(name => {
+      const versions = this.mergeVersions(name, dbRows);
+      const active = this.pickActive(versions);
+
+      return {
+        name,
+        active_version: active?.version || null,
+        variables: active ? this.extractVariables(active.content) : [],
+        versions: versions.map(({ content, ...version }) => ({
+          ...version,
+          is_active: version.version === active?.version
+        }))
+      };
+    });
+  }
+
+  /**
+   * The active version, or the latest file version when none has been activated
+   */
+  static pickActive(versions) {
+    return versions.find(version => version.is_active)
+      || [...versions].reverse().find(version => version.source === 'file')
+      || null;
+  }
+
+  /**
+   * Get one version of a prompt (the active one when version is omitted)
+   */
+  static async getTemplate(name, version = null) {
+    let versions;
+
+    try {
+      versions = this.mergeVersions(name, await this.getDbTemplates(name));
+    } catch (error) {
+      // Never block report generation on the database - fall back to the shipped files
+      console.warn(`⚠️ Using file prompt templates for ${name}: ${error.message}`);
+      versions = this.mergeVersions(name, []);
+    }
+
+    const template = version
+      ? versions.find(candidate => candidate.version === parseInt(version))
+      : this.pickActive(versions);
+
+    if (!template) {
+      throw new Error(version ? `Prompt template ${name} v${version} not found` : `Prompt template ${name} not found`);
+    }
+
+    return template;
+  }
+
+  /**
+   * Render the active version of a prompt, or a pinned version (used by experiments)
+   * @returns {Object} { text, name, version, label } - label (e.g. "client_report@v2") goes into generation_metadata
+   */
+  static async render(name, variables = {}, version = null) {
+    const template = await this.getTemplate(name, version);
+
+    return {
+      text: this.renderContent(template.content, variables).text,
+      name,
+      version: template.version,
+      label: `${name}@v${template.version}`
+    };
+  }
+
+  /**
+   * Replace {{variable}} placeholders; unknown variables render empty and are reported as missing
+   */
+  static renderContent(content, variables = {}) {
+    const missing = new Set();
+
+    const text = content.replace(VARIABLE_PATTERN, (match, variable) => {
+      if (variables[variable] === undefined || variables[variable] === null) {
+        missing.add(variable);
+        return '';
+      }
+      return String(variables[variable]);
+    });
+
+    return { text, missing: [...missing] };
+  }
+
+  /**
+   * List the variables a template uses
+   */
+  static extractVariables(content) {
+    return [...new Set([...content.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+  }
+
+  /**
+   * Render any version with sample variables (admin preview)
+   */
+  static async previewTemplate(name, version, variables = {}) {
+    const template = await this.getTemplate(name, version);
+    const { text, missing } = this.renderContent(template.content, variables);
+
+    return {
+      name,
+      version: template.version,
+      source: template.source,
+      variables: this.extractVariables(template.content),
+      missing_variables: missing,
+      rendered: text
+    };
+  }
+
+  /**
+   * Create a new database version of a prompt (not active until activated)
+   */
+  static async createVersion(name, content, description, userId) {
+    if (!content || !content.trim()) {
+      throw new Error('Template content is required');
+    }
+
+    const existing = this.mergeVersions(name, await this.getDbTemplates(name));
+    if (existing.length === 0) {
+      throw new Error(`Prompt template ${name} not found`);
+    }
+
+    // New versions must keep using known variables - a typo would silently render empty
+    const knownVariables = new Set(existing.flatMap(version => this.extractVariables(version.content)));
+    const unknownVariables = this.extractVariables(content).filter(variable => !knownVariables.has(variable));
+    if (unknownVariables.length > 0) {
+      throw new Error(`Unknown template variables: ${unknownVariables.join(', ')}`);
+    }
+
+    const nextVersion = Math.max(...existing.map(version => version.version)) + 1;
+
+    const { data, error } = await supabaseAdmin
+      .from('prompt_templates')
+      .insert([{
+        name,
+        version: nextVersion,
+        source: 'db',
+        content,
+        description,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create prompt version: ${error.message}`);
+    }
+
+    console.log(`✅ Created prompt template ${name} v${nextVersion}`);
+    return data;
+  }
+
+  /**
+   * Make a version the active one for new reports
+   */
+  static async activateVersion(name, version, userId) {
+    // Validates that the version exists in files or the database
+    const template = await this.getTemplate(name, version);
+
+    const { data, error } = await supabaseAdmin
+      .rpc('activate_prompt_template', {
+        p_name: name,
+        p_version: template.version,
+        p_user_id: userId
+      });
+
+    if (error) {
+      throw new Error(`Failed to activate prompt version: ${error.message}`);
+    }
+
+    console.log(`✅ Activated prompt template ${name} v${template.version}`);
+    return data[0];
+  }
+}
+
+module.exports = PromptService;
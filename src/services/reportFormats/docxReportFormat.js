@@ -0,0 +1,112 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  Table,
+  TableRow,
+  TableCell,
+  HeadingLevel,
+  AlignmentType,
+  WidthType,
+  ShadingType
+} = require('docx');
+const { buildReportDocument } = require('../../utils/reportDocument');
+
+const FONT = 'Arial'; // Ships with Word everywhere and covers Hebrew
+
+/**
+ * Word export
+ * Hebrew paragraphs are bidirectional and runs right-to-left, so Word lays them out RTL
+ * with punctuation and mixed English text in the right place
+ */
+class DocxReportFormat {
+  constructor() {
+    this.extension = 'docx';
+    this.contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  }
+
+  async render(report, session, client) {
+    const document = buildReportDocument(report, session, client);
+    const rtl = document.isHebrew;
+
+    const text = (value, options = {}) => new TextRun({ text: String(value ?? ''), rightToLeft: rtl, ...options });
+    const paragraph = (children, options = {}) => new Paragraph({
+      bidirectional: rtl,
+      alignment: AlignmentType.START,
+      spacing: { after: 120 },
+      children: Array.isArray(children) ? children : [children],
+      ...options
+    });
+
+    const children = [
+      paragraph(text(document.title, { bold: true }), { heading: HeadingLevel.TITLE }),
+      ...(document.subtitle ? [paragraph(text(document.subtitle, { bold: true }), { heading: HeadingLevel.HEADING_2 })] : []),
+      ...document.meta.map(item => paragraph([text(`${item.label}: `, { bold: true }), text(item.value)]))
+    ];
+
+    document.sections.forEach(section => {
+      children.push(paragraph(text(section.heading, { bold: true }), { heading: HeadingLevel.HEADING_1, spacing: { before: 240, after: 120 } }));
+
+      section.blocks.forEach(block => {
+        switch (block.type) {
+          case 'subheading':
+            children.push(paragraph(text(block.text, { bold: true }), { heading: HeadingLevel.HEADING_3 }));
+            break;
+          case 'paragraph':
+            children.push(paragraph(text(block.text, { bold: !!block.bold })));
+            break;
+          case 'quote':
+            children.push(paragraph(text(`"${block.text}"`, { italics: true }), { indent: { start: 400 } }));
+            break;
+          case 'list':
+            block.items.forEach(item => children.push(paragraph(text(item), { bullet: { level: 0 } })));
+            break;
+          case 'table':
+            children.push(this.renderTable(block, paragraph, text, rtl), paragraph(text('')));
+            break;
+        }
+      });
+    });
+
+    const doc = new Document({
+      creator: 'MATI JLM',
+      title: `${document.title}${document.subtitle ? ` - ${document.subtitle}` : ''}`,
+      styles: {
+        default: {
+          document: {
+            run: {
+              font: FONT,
+              size: 22,
+              language: rtl ? { value: 'he-IL', bidirectional: 'he-IL' } : { value: 'en-US' }
+            }
+          }
+        }
+      },
+      sections: [{ children }]
+    });
+
+    return Packer.toBuffer(doc);
+  }
+
+  /**
+   * Table with a shaded header row; RTL tables put the first column on the right
+   */
+  renderTable(block, paragraph, text, rtl) {
+    const cell = (value, header) => new TableCell({
+      children: [paragraph(text(value, { bold: header }), { spacing: { after: 0 } })],
+      ...(header ? { shading: { type: ShadingType.CLEAR, fill: 'E7E7E7', color: 'auto' } } : {})
+    });
+
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      visuallyRightToLeft: rtl,
+      rows: [
+        new TableRow({ tableHeader: true, children: block.headers.map(header => cell(header, true)) }),
+        ...block.rows.map(row => new TableRow({ children: row.map(value => cell(value, false)) }))
+      ]
+    });
+  }
+}
+
+module.exports = DocxReportFormat;
@@ -0,0 +1,17 @@
+const { generateReportHtml } = require('../../utils/reportHtmlGenerator');
+
+/**
+ * HTML export: the same document as the email attachment (client) or the coaching view (advisor)
+ */
+class HtmlReportFormat {
+  constructor() {
+    this.extension = 'html';
+    this.contentType = 'text/html; charset=utf-8';
+  }
+
+  async render(report, session, client, { theme = null } = {}) {
+    return generateReportHtml(report, session, client, theme);
+  }
+}
+
+module.exports = HtmlReportFormat;
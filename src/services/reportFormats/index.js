@@ -0,0 +1,37 @@
+const HtmlReportFormat = require('./htmlReportFormat');
+const MarkdownReportFormat = require('./markdownReportFormat');
+const DocxReportFormat = require('./docxReportFormat');
+const PdfReportFormat = require('./pdfReportFormat');
+
+// Every format implements render(report, session, client, { theme }) -> Buffer | string, with extension and contentType
+// (Markdown and DOCX are for pasting into other documents and ignore the theme)
+const FORMATS = {
+  html: HtmlReportFormat,
+  md: MarkdownReportFormat,
+  docx: DocxReportFormat,
+  pdf: PdfReportFormat
+};
+
+const instances = {};
+
+/**
+ * Get a report download format by name
+ */
+function getReportFormat(name) {
+  const Format = FORMATS[name];
+
+  if (!Format) {
+    throw new Error(`Invalid format: ${name}. Available: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new Format();
+  }
+
+  return instances[name];
+}
+
+module.exports = {
+  getReportFormat,
+  availableFormats: Object.keys(FORMATS)
+};
@@ -0,0 +1,67 @@
+const { buildReportDocument } = require('../../utils/reportDocument');
+
+/**
+ * Markdown export for pasting into other documents
+ * Markdown has no text direction, so Hebrew reports are wrapped in <div dir="rtl">
+ * (kept by GitHub, Notion and most editors that accept inline HTML)
+ */
+class MarkdownReportFormat {
+  constructor() {
+    this.extension = 'md';
+    this.contentType = 'text/markdown; charset=utf-8';
+  }
+
+  async render(report, session, client) {
+    const document = buildReportDocument(report, session, client);
+    const lines = [`# ${escapeText(document.title)}`, ''];
+
+    if (document.subtitle) {
+      lines.push(`## ${escapeText(document.subtitle)}`, '');
+    }
+    document.meta.forEach(item => lines.push(`**${escapeText(item.label)}:** ${escapeText(item.value)}  `));
+    lines.push('');
+
+    document.sections.forEach(section => {
+      lines.push(`## ${escapeText(section.heading)}`, '');
+      section.blocks.forEach(block => lines.push(...renderBlock(block), ''));
+    });
+
+    const markdown = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+
+    return document.isHebrew
+      ? `<div dir="rtl" lang="he">\n\n${markdown}\n</div>\n`
+      : markdown;
+  }
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'subheading':
+      return [`### ${escapeText(block.text)}`];
+    case 'paragraph':
+      return [block.bold ? `**${escapeText(block.text)}**` : escapeText(block.text)];
+    case 'quote':
+      return [`> "${escapeText(block.text)}"`];
+    case 'list':
+      return block.items.map(item => `- ${escapeText(item)}`);
+    case 'table':
+      return [
+        `| ${block.headers.map(escapeCell).join(' | ')} |`,
+        `| ${block.headers.map(() => '---').join(' | ')} |`,
+        ...block.rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+      ];
+    default:
+      return [];
+  }
+}
+
+// Model text is plain; keep it from turning into markup
+function escapeText(text) {
+  return String(text ?? '').replace(/([\\`*_[\]<>#])/g, '\\$1').replace(/\r?\n/g, '  \n');
+}
+
+function escapeCell(text) {
+  return escapeText(text).replace(/\|/g, '\\|').replace(/ {2}\n/g, '<br>');
+}
+
+module.exports = MarkdownReportFormat;
@@ -0,0 +1,20 @@
+const PdfService = require('../pdfService');
+const HtmlReportFormat = require('./htmlReportFormat');
+
+/**
+ * PDF export: the HTML export printed with headless Chrome (needs CHROME_PATH)
+ */
+class PdfReportFormat {
+  constructor() {
+    this.extension = 'pdf';
+    this.contentType = 'application/pdf';
+    this.html = new HtmlReportFormat();
+  }
+
+  async render(report, session, client, { theme = null } = {}) {
+    const html = await this.html.render(report, session, client, { theme });
+    return PdfService.renderHtml(html, { fontFamily: theme?.font_family });
+  }
+}
+
+module.exports = PdfReportFormat;
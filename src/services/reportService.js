@@ -1,5 +1,23 @@
 const { supabaseAdmin } = require('../config/database');
+const DatabaseUtils = require('../utils/database');
+const ReportRepository = require('../repositories/reportRepository');
+const SessionRepository = require('../repositories/sessionRepository');
+const JobRepository = require('../repositories/jobRepository');
+const OutboxRepository = require('../repositories/outboxRepository');
+const DeliveryRepository = require('../repositories/deliveryRepository');
 const SalesforceService = require('./salesforceService');
+const EmailService = require('./emailService');
+const DeliveryService = require('./deliveryService');
+const PdfService = require('./pdfService');
+const CloudinaryService = require('./cloudinaryService');
+const ReportThemeService = require('./reportThemeService');
+const { resolveReportRecipients, listRecipients } = require('../utils/emailRecipients');
+const { getReportFormat } = require('./reportFormats');
+
+// Client report email delivery attempts (send_email jobs retry after 1, 2, 4 and 8 minutes)
+const EMAIL_MAX_ATTEMPTS = 5;
+// Salesforce update attempts (update_crm jobs)
+const CRM_MAX_ATTEMPTS = 5;
 
 class ReportService {
   /**
@@ -70,6 +88,9 @@ class ReportService {
         content: advisorReportData.content,
         generation_metadata: {
           model: advisorReportData.metadata.model,
+          provider: advisorReportData.metadata.provider,
+          schema_version: advisorReportData.metadata.schema_version,
+          prompt_versions: advisorReportData.metadata.prompt_versions,
           tokens_used: advisorReportData.metadata.tokens_used,
           processing_time_ms: advisorReportData.metadata.processing_time_ms,
           generated_at: advisorReportData.metadata.generated_at,
@@ -86,6 +107,9 @@ class ReportService {
         content: clientReportData.content,
         generation_metadata: {
           model: clientReportData.metadata.model,
+          provider: clientReportData.metadata.provider,
+          schema_version: clientReportData.metadata.schema_version,
+          prompt_versions: clientReportData.metadata.prompt_versions,
           tokens_used: clientReportData.metadata.tokens_used,
           processing_time_ms: clientReportData.metadata.processing_time_ms,
           generated_at: clientReportData.metadata.generated_at,
@@ -167,10 +191,16 @@ class ReportService {
   static async updateReport(reportId, updateData) {
     try {
       
+      // The PDF shows the old content - it is rendered again on the next send
+      const pdfReset = updateData.content !== undefined
+        ? { pdf_url: null, pdf_public_id: null, pdf_generated_at: null }
+        : {};
+
       const { data, error } = await supabaseAdmin
         .from('reports')
         .update({
           ...updateData,
+          ...pdfReset,
           updated_at: new Date()
         })
         .eq('id', reportId)
@@ -232,32 +262,104 @@ class ReportService {
   }
 
   /**
-   * Export client report as PDF and update statuses
+   * Current client report with its session, client and adviser (everything the email needs)
+   * @param {Boolean} currentVersion - false also finds superseded versions (queued emails and share links point at one version)
+   */
+  static async getReportForDelivery(reportId, { currentVersion = true } = {}) {
+    let query = supabaseAdmin
+      .from('reports')
+      .select(`
+        *,
+        session:sessions(
+          id, title, client_id, adviser_id, status, created_at, updated_at, transcription_metadata,
+          client:clients(id, name, email, phone, metadata, created_at),
+          adviser:users(id, name, email, phone, role)
+        )
+      `)
+      .eq('id', reportId);
+
+    if (currentVersion) {
+      query = query.eq('is_current_version', true);
+    }
+
+    const { data: reportWithSession, error: reportError } = await query.single();
+
+    if (reportError || !reportWithSession) {
+      throw new Error(`Report not found: ${reportError?.message || 'Unknown error'}`);
+    }
+
+    return reportWithSession;
+  }
+
+  /**
+   * Queue a client report email inside a transaction: outbox message, send_email job and a queued
+   * delivery row per recipient (delivered by the worker, with retries)
+   * @param {Object} jobRow - send_email job prepared by JobService.prepareJob
+   * @param {Object} options - { report, session, recipients: { to, cc, bcc }, requestedBy, resend }
    */
-  static async exportClientReport(reportId, exportedBy, pdfFile) {
+  static async queueClientReportEmail(client, jobRow, { report, session, recipients, requestedBy, resend = false }) {
+    if (await OutboxRepository.findPendingForReport(client, report.id, 'client_report_email')) {
+      throw new Error('Client report export already in progress');
+    }
+
+    const message = await OutboxRepository.create(client, {
+      type: 'client_report_email',
+      report_id: report.id,
+      session_id: session.id,
+      payload: { recipients, resend },
+      created_by: requestedBy
+    });
+
+    const job = await JobRepository.create(client, {
+      ...jobRow,
+      payload: { ...jobRow.payload, outbox_id: message.id }
+    });
+    await OutboxRepository.setJob(client, message.id, job.id);
+
+    const deliveries = await DeliveryRepository.createForRecipients(client, {
+      outbox_id: message.id,
+      report_id: report.id,
+      session_id: session.id,
+      transport: EmailService.getTransport().name,
+      requested_by: requestedBy
+    }, listRecipients(recipients));
+
+    return {
+      outbox_id: message.id,
+      job_id: job.id,
+      delivery_ids: deliveries.map(delivery => delivery.id),
+      recipients,
+      status: message.status
+    };
+  }
+
+  /**
+   * Prepare the send_email job for a client report email (budget check happens outside the transaction)
+   */
+  static async prepareClientReportEmailJob(sessionId) {
+    const JobService = require('./jobService');
+
+    return JobService.prepareJob({
+      session_id: sessionId,
+      type: 'send_email',
+      priority: 8,
+      max_attempts: EMAIL_MAX_ATTEMPTS
+    });
+  }
+
+  /**
+   * Export client report: approve it and queue the email to the client
+   * The approvals, the outbox message and its send_email job are written in one transaction;
+   * the session only becomes 'completed' once the worker has confirmed delivery (deliverClientReport)
+   * @param {Object} pdfFile - Browser-made PDF (multer file); stored as the report's PDF when the server does not render one
+   * @param {Object} recipientOverrides - { to, cc, bcc }; lists not given come from the client (email, metadata.report_recipients)
+   */
+  static async exportClientReport(reportId, exportedBy, pdfFile, recipientOverrides = {}) {
     try {
       console.log(`📤 Starting export process for client report ${reportId}`);
 
       // Get the report with session information including adviser details
-      const { data: reportWithSession, error: reportError } = await supabaseAdmin
-        .from('reports')
-        .select(`
-          *,
-          session:sessions(
-            id, title, client_id, adviser_id, status, created_at, updated_at, transcription_metadata,
-            client:clients(id, name, email, phone, metadata, created_at),
-            adviser:users(id, name, email, role)
-          )
-        `)
-        .eq('id', reportId)
-        .eq('is_current_version', true)
-        .single();
-
-      if (reportError || !reportWithSession) {
-        throw new Error(`Report not found: ${reportError?.message || 'Unknown error'}`);
-      }
-
-      const report = reportWithSession;
+      const report = await this.getReportForDelivery(reportId);
       const session = report.session;
 
       // Validate this is a client report
@@ -265,106 +367,70 @@ class ReportService {
         throw new Error('Only client reports can be exported');
       }
 
+      const recipients = resolveReportRecipients(session.client, recipientOverrides);
+      const theme = await ReportThemeService.resolveThemeForClient(session.client);
+
       console.log(`📋 Exporting client report for session: ${session.title || session.id}`);
 
-      // Step 1: Update report status to 'approved' (marking it as finalized)
-      const approvedReport = await this.updateReportStatus(
-        reportId, 
-        'approved', 
-        exportedBy, 
-        'Report exported and sent to client'
-      );
-
-      // Step 2: Update session status to 'completed' (marking the entire workflow as done)
-      const { data: updatedSession, error: sessionError } = await supabaseAdmin
-        .from('sessions')
-        .update({
-          status: 'completed',
-          updated_at: new Date()
-        })
-        .eq('id', session.id)
-        .select(`
-          id, title, status, updated_at,
-          client:clients(id, name, email, metadata)
-        `)
-        .single();
+      const jobRow = await this.prepareClientReportEmailJob(session.id);
 
-      if (sessionError) {
-        console.error('Failed to update session status:', sessionError);
-        throw new Error(`Failed to update session status: ${sessionError.message}`);
+      // Without server-side rendering the browser copy is the version's PDF (unless it already has one)
+      if (pdfFile?.buffer && !PdfService.isEnabled() && !report.pdf_url) {
+        await this.storeClientReportPdf(DatabaseUtils.getPool(), report, pdfFile.buffer);
       }
 
-      // Step 3: Also update the adviser report to 'approved' if it exists
-      try {
-        const { data: adviserReport, error: adviserError } = await supabaseAdmin
-          .from('reports')
-          .select('id')
-          .eq('session_id', session.id)
-          .eq('type', 'adviser')
-          .eq('is_current_version', true)
-          .single();
-
-        if (adviserReport && !adviserError) {
-          await this.updateReportStatus(
-            adviserReport.id, 
-            'approved', 
-            exportedBy, 
+      const { approvedReport, delivery } = await DatabaseUtils.transaction(async (client) => {
+        // Lock the report so concurrent exports queue one email between them
+        const current = await ReportRepository.findCurrentById(client, reportId, { forUpdate: true });
+        if (!current) {
+          throw new Error('Report not found');
+        }
+
+        // Record the theme the report is rendered with from now on
+        await ReportRepository.setTheme(client, [reportId], theme?.id || null);
+
+        // Step 1: Update report status to 'approved' (marking it as finalized)
+        const approvedReport = await ReportRepository.updateStatus(
+          client,
+          reportId,
+          'approved',
+          exportedBy,
+          'Report exported and sent to client'
+        );
+
+        // Step 2: Also update the adviser report to 'approved' if it exists
+        const adviserReport = await ReportRepository.findCurrentBySession(client, session.id, 'adviser');
+        if (adviserReport) {
+          await ReportRepository.updateStatus(
+            client,
+            adviserReport.id,
+            'approved',
+            exportedBy,
             'Approved along with client report export'
           );
+          await ReportRepository.setTheme(client, [adviserReport.id], theme?.id || null);
           console.log(`✅ Also approved adviser report: ${adviserReport.id}`);
         }
-      } catch (adviserReportError) {
-        console.warn('Could not update adviser report status:', adviserReportError.message);
-        // Don't fail the export if adviser report update fails
-      }
 
-      console.log(`✅ Export process completed for report ${reportId}`);
-      console.log(`📧 Session ${session.id} marked as completed`);
+        // Step 3: Queue the email to the client
+        const delivery = await this.queueClientReportEmail(client, jobRow, {
+          report,
+          session,
+          recipients,
+          requestedBy: exportedBy
+        });
 
-      // Step 4: Send email to client via Make.com and update Salesforce
-      let emailSent = false;
-      let salesforceUpdated = false;
-      let emailError = null;
-      
-      try {
-        console.log(`📧 Sending client report via Make.com...`);
-        
-        const emailResult = await SalesforceService.sendClientReport(
-          report,           // Report data
-          session,          // Session data  
-          session.client,   // Client data
-          null,             // No PDF URL - using HTML content instead
-          null              // No PDF buffer - using HTML content instead
-        );
-        
-        if (emailResult.success) {
-          emailSent = true;
-          salesforceUpdated = emailResult.salesforce_updated || false;
-          console.log(`✅ Client report sent successfully: ${emailResult.message}`);
-          
-          if (salesforceUpdated) {
-            console.log(`✅ Salesforce updated successfully`);
-          }
-        } else {
-          emailError = emailResult.error;
-          console.warn(`⚠️ Failed to send client report: ${emailResult.error}`);
-        }
-        
-      } catch (error) {
-        emailError = error.message;
-        console.error(`❌ Error sending client report via Make.com:`, error);
-        // Don't fail the entire export if email sending fails
-      }
+        return { approvedReport, delivery };
+      });
 
-      // Step 5: Export completed - HTML content sent to Make.com for PDF generation
+      console.log(`✅ Export process completed for report ${reportId}`);
+      console.log(`📧 Client report email queued (outbox ${delivery.outbox_id}, job ${delivery.job_id})`);
 
       return {
         report: approvedReport,
-        session: updatedSession,
+        session,
         html_generated: true,
-        email_sent: emailSent,
-        salesforce_updated: salesforceUpdated,
-        email_error: emailError
+        delivery
       };
 
     } catch (error) {
@@ -373,6 +439,245 @@ class ReportService {
     }
   }
 
+  /**
+   * Send an exported client report again, e.g. to another person or after a bounce
+   * Goes through the same outbox / send_email path as the export; report and session status stay as they are
+   * @param {Object} recipientOverrides - { to, cc, bcc }; lists not given come from the client
+   */
+  static async resendClientReport(reportId, requestedBy, recipientOverrides = {}) {
+    const report = await this.getReportForDelivery(reportId);
+    const session = report.session;
+
+    if (report.type !== 'client') {
+      throw new Error('Only client reports can be resent');
+    }
+    if (report.status !== 'approved') {
+      throw new Error('Report must be exported before it can be resent');
+    }
+
+    const recipients = resolveReportRecipients(session.client, recipientOverrides);
+    const jobRow = await this.prepareClientReportEmailJob(session.id);
+
+    const delivery = await DatabaseUtils.transaction(async (client) => {
+      const current = await ReportRepository.findCurrentById(client, reportId, { forUpdate: true });
+      if (!current) {
+        throw new Error('Report not found');
+      }
+
+      return this.queueClientReportEmail(client, jobRow, {
+        report,
+        session,
+        recipients,
+        requestedBy,
+        resend: true
+      });
+    });
+
+    console.log(`📧 Client report ${reportId} queued for resending (outbox ${delivery.outbox_id})`);
+    return { report, session, delivery };
+  }
+
+  /**
+   * The PDF of a client report version: the stored one (pdf_url) when the version has it, otherwise rendered
+   * once, stored on Cloudinary and linked on the report - every send of a version attaches the same document
+   * @param {Object} theme - Theme recorded on the report at export
+   * @returns {Object|null} { url, buffer } - null without a stored PDF when PDF rendering is not configured
+   */
+  static async ensureClientReportPdf(report, session, theme = null) {
+    if (report.pdf_url) {
+      return { url: report.pdf_url, buffer: await CloudinaryService.downloadFile(report.pdf_url) };
+    }
+
+    if (!PdfService.isEnabled()) {
+      return null;
+    }
+
+    const buffer = await PdfService.renderClientReport(report, session, session.client, theme);
+    const { url } = await this.storeClientReportPdf(DatabaseUtils.getPool(), report, buffer);
+
+    return { url, buffer };
+  }
+
+  /**
+   * Upload a client report PDF to Cloudinary and link it on the report version
+   * @param {Buffer} buffer - Server-rendered PDF or the browser copy sent with the export
+   * @returns {Object} { url, publicId }
+   */
+  static async storeClientReportPdf(db, report, buffer) {
+    const upload = await CloudinaryService.uploadPdfReport(
+      { buffer, originalname: `client-report-${report.id}.pdf` },
+      report.id,
+      report.session_id,
+      { raw: true }
+    );
+    if (!upload.success) {
+      throw new Error(`PDF upload failed: ${upload.error}`);
+    }
+
+    await ReportRepository.setPdf(db, report.id, {
+      url: upload.data.secure_url,
+      publicId: upload.data.public_id
+    });
+    console.log(`📎 Linked PDF to report ${report.id}: ${upload.data.secure_url}`);
+
+    return { url: upload.data.secure_url, publicId: upload.data.public_id };
+  }
+
+  /**
+   * Deliver a queued client report email through the configured email transport (send_email job)
+   * Delivery is at-least-once: a crash after the transport accepted the email but before it was recorded sends it again
+   * On success the session is completed and, with a CRM webhook configured, an update_crm job is queued
+   * (resends only record the delivery)
+   * @param {Boolean} finalAttempt - No retries left: a failure marks the message failed
+   * @returns {Object} { outbox, session, crm_job, already_sent, resend, salesforce_updated }
+   */
+  static async deliverClientReport(outboxId, { finalAttempt = false } = {}) {
+    const JobService = require('./jobService');
+    const pool = DatabaseUtils.getPool();
+
+    const message = await OutboxRepository.findById(pool, outboxId);
+    if (!message) {
+      throw new Error(`Outbox message ${outboxId} not found`);
+    }
+
+    if (message.status === 'sent') {
+      console.log(`⚠️ Outbox message ${outboxId} was already delivered, skipping`);
+      return { outbox: message, session: null, crm_job: null, already_sent: true, resend: false, salesforce_updated: false };
+    }
+
+    const resend = message.payload?.resend === true;
+    let report = null;
+    let session = null;
+    let deliveryIds = [];
+    let emailResult;
+
+    try {
+      // The version that was exported, even if a newer one has been generated since
+      report = await this.getReportForDelivery(message.report_id, { currentVersion: false });
+      session = report.session;
+      // Messages queued before recipients were stored go to the client's current recipients
+      const recipients = message.payload?.recipients || resolveReportRecipients(session.client);
+
+      // Every attempt gets its own delivery rows; the first ones were queued with the message
+      let deliveries = await DeliveryRepository.findQueuedForOutbox(pool, outboxId);
+      if (deliveries.length === 0) {
+        deliveries = await DeliveryRepository.createForRecipients(pool, {
+          outbox_id: outboxId,
+          report_id: report.id,
+          session_id: session.id,
+          attempt: message.attempts + 1,
+          transport: EmailService.getTransport().name,
+          requested_by: message.created_by
+        }, listRecipients(recipients));
+      }
+      deliveryIds = deliveries.map(delivery => delivery.id);
+
+      const theme = await ReportThemeService.getThemeForReport(report, session.client);
+      const pdf = await this.ensureClientReportPdf(report, session, theme);
+
+      console.log(`📧 Sending client report email...`);
+      emailResult = await EmailService.sendClientReport(report, session, session.client, {
+        recipients,
+        pdfUrl: pdf?.url || null,
+        pdfBuffer: pdf?.buffer || null,
+        theme
+      });
+    } catch (error) {
+      // Loading the report, theme lookup, PDF rendering or upload failed - retried like a failed send
+      console.error(`❌ Failed to prepare client report for sending:`, error.message);
+      emailResult = { success: false, error: error.message };
+    }
+
+    if (!emailResult.success) {
+      await OutboxRepository.recordFailure(pool, outboxId, emailResult.error, finalAttempt);
+      await DeliveryRepository.markFailed(pool, deliveryIds, emailResult.error);
+      throw new Error(`Client report delivery failed: ${emailResult.error}`);
+    }
+
+    let outbox;
+    let updatedSession;
+    let crmJob;
+    try {
+      // Salesforce gets its own retryable job, unless the email scenario already updated it
+      const crmJobRow = !resend && SalesforceService.isCrmWebhookConfigured() && !emailResult.salesforce_updated
+        ? await JobService.prepareJob({
+          session_id: session.id,
+          type: 'update_crm',
+          payload: { report_id: report.id, outbox_id: outboxId },
+          priority: 5,
+          max_attempts: CRM_MAX_ATTEMPTS
+        })
+        : null;
+
+      // Confirmed: record it, close the session and queue the CRM update together
+      ({ outbox, updatedSession, crmJob } = await DatabaseUtils.transaction(async (client) => {
+        const outbox = await OutboxRepository.markSent(client, outboxId, {
+          email_id: emailResult.email_id,
+          transport: emailResult.transport,
+          salesforce_updated: emailResult.salesforce_updated,
+          message: emailResult.message
+        });
+        await DeliveryRepository.markSent(client, deliveryIds, {
+          transport: emailResult.transport,
+          messageId: DeliveryService.normalizeMessageId(emailResult.email_id)
+        });
+        const updatedSession = resend ? session : await SessionRepository.updateStatus(client, session.id, 'completed');
+        const crmJob = crmJobRow ? await JobRepository.create(client, crmJobRow) : null;
+        return { outbox, updatedSession, crmJob };
+      }));
+    } catch (error) {
+      // Sent but not recorded: the retry sends again (at-least-once), the last attempt fails the message
+      console.error(`❌ Failed to record client report delivery:`, error.message);
+      await OutboxRepository.recordFailure(pool, outboxId, `Sent but not recorded: ${error.message}`, finalAttempt);
+      throw error;
+    }
+
+    console.log(`✅ Client report sent successfully: ${emailResult.message}`);
+    if (emailResult.salesforce_updated) {
+      console.log(`✅ Salesforce updated successfully`);
+    } else if (crmJob) {
+      console.log(`🔄 Queued Salesforce update job ${crmJob.id}`);
+    }
+    if (!resend) {
+      console.log(`📧 Session ${session.id} marked as completed`);
+    }
+
+    return {
+      outbox,
+      session: updatedSession,
+      crm_job: crmJob,
+      already_sent: false,
+      resend,
+      salesforce_updated: emailResult.salesforce_updated || false
+    };
+  }
+
+  /**
+   * Record a delivered client report in Salesforce (update_crm job)
+   * Throws on failure so the job queue retries
+   */
+  static async updateCrmForReport(reportId, outboxId = null) {
+    const report = await this.getReportForDelivery(reportId, { currentVersion: false }); // The version that was sent
+    const session = report.session;
+
+    let delivery = {};
+    if (outboxId) {
+      const message = await OutboxRepository.findById(DatabaseUtils.getPool(), outboxId);
+      delivery = {
+        outbox_id: outboxId,
+        email_id: message?.response?.email_id || null,
+        sent_at: message?.sent_at || null
+      };
+    }
+
+    const result = await SalesforceService.updateSessionRecord(report, session, session.client, delivery);
+    if (!result.success) {
+      throw new Error(`Salesforce update failed: ${result.error}`);
+    }
+
+    return result;
+  }
+
   /**
    * Count words in text (simple implementation)
    */
@@ -383,15 +688,20 @@ class ReportService {
 
   /**
    * Get report by ID
+   * @param {Boolean} currentVersion - false also finds superseded versions
    */
-  static async getReportById(reportId) {
+  static async getReportById(reportId, { currentVersion = true } = {}) {
     try {
-      const { data, error } = await supabaseAdmin
+      let query = supabaseAdmin
         .from('reports')
         .select('*')
-        .eq('id', reportId)
-        .eq('is_current_version', true)
-        .single();
+        .eq('id', reportId);
+
+      if (currentVersion) {
+        query = query.eq('is_current_version', true);
+      }
+
+      const { data, error } = await query.single();
 
       if (error) {
         if (error.code === 'PGRST116') {
@@ -408,6 +718,26 @@ class ReportService {
     }
   }
 
+  /**
+   * Render a report for download (advisor or client report, any version)
+   * @param {String} formatName - html, md, docx or pdf
+   * @returns {Object} { filename, contentType, body }
+   */
+  static async renderReportDownload(reportId, formatName) {
+    const format = getReportFormat(formatName);
+    const report = await this.getReportForDelivery(reportId, { currentVersion: false });
+
+    const theme = await ReportThemeService.getThemeForReport(report, report.session?.client);
+    const body = await format.render(report, report.session, report.session?.client, { theme });
+    console.log(`📥 Rendered ${report.type} report ${reportId} as ${format.extension}`);
+
+    return {
+      filename: `${report.type}-report-${report.id}.${format.extension}`,
+      contentType: format.contentType,
+      body
+    };
+  }
+
   /**
    * Regenerate full report - creates new version and queues regeneration job
    */
@@ -429,45 +759,11 @@ class ReportService {
         throw new Error('Session transcript not found - cannot regenerate report');
       }
 
-      // Mark current report as not current version
-      await supabaseAdmin
-        .from('reports')
-        .update({ is_current_version: false })
-        .eq('id', reportId);
-
-      // Get next version number (check ALL reports, not just current versions)
-      const { data: versionData } = await supabaseAdmin
-        .from('reports')
-        .select('version_number')
-        .eq('session_id', currentReport.session_id)
-        .eq('type', currentReport.type)
-        .order('version_number', { ascending: false })
-        .limit(1);
-
-      const nextVersion = (versionData?.[0]?.version_number || 0) + 1;
-      
-      // Create new report version (draft status)
-      const newReport = await this.createReport({
-        session_id: currentReport.session_id,
-        type: currentReport.type,
-        title: `${currentReport.type === 'adviser' ? 'Advisor' : 'Client'} Report v${nextVersion} - ${new Date().toLocaleDateString()}`,
-        content: '{}', // Placeholder content
-        status: 'draft', // Use valid status - will be updated during processing
-        version_number: nextVersion, // Pass the calculated version number
-        generation_metadata: {
-          regeneration_notes: notes,
-          regenerated_by: userId,
-          regenerated_at: new Date().toISOString(),
-          original_report_id: reportId
-        }
-      });
-
-      // Create regeneration job
-      const job = await JobService.createJob({
+      // Budget check before anything is written: refused throws, deferred schedules the job for next month
+      const jobRow = await JobService.prepareJob({
         session_id: currentReport.session_id,
         type: 'regenerate_report',
         payload: {
-          report_id: newReport.id,
           original_report_id: reportId,
           transcript: session.transcription_text,
           notes: notes,
@@ -489,6 +785,49 @@ class ReportService {
         priority: 9 // High priority for regeneration
       });
 
+      // Retire the current version, create the new draft and queue its job atomically,
+      // so a failure can't leave a session without a current report
+      const { newReport, job, nextVersion } = await DatabaseUtils.transaction(async (client) => {
+        // Lock the current version - a concurrent regeneration waits here and then finds it retired
+        const lockedReport = await ReportRepository.findCurrentById(client, reportId, { forUpdate: true });
+        if (!lockedReport) {
+          throw new Error('Report not found');
+        }
+
+        // Mark current report as not current version
+        await ReportRepository.markNotCurrent(client, reportId);
+
+        // Get next version number (check ALL reports, not just current versions)
+        const nextVersion = await ReportRepository.getNextVersionNumber(client, currentReport.session_id, currentReport.type);
+        const placeholderContent = '{}';
+
+        // Create new report version (draft status)
+        const newReport = await ReportRepository.create(client, {
+          session_id: currentReport.session_id,
+          type: currentReport.type,
+          title: `${currentReport.type === 'adviser' ? 'Advisor' : 'Client'} Report v${nextVersion} - ${new Date().toLocaleDateString()}`,
+          content: placeholderContent, // Placeholder content
+          status: 'draft', // Use valid status - will be updated during processing
+          version_number: nextVersion,
+          generation_metadata: {
+            regeneration_notes: notes,
+            regenerated_by: userId,
+            regenerated_at: new Date().toISOString(),
+            original_report_id: reportId
+          },
+          word_count: this.countWords(placeholderContent),
+          character_count: placeholderContent.length
+        });
+
+        // Create regeneration job
+        const job = await JobRepository.create(client, {
+          ...jobRow,
+          payload: { report_id: newReport.id, ...jobRow.payload }
+        });
+
+        return { newReport, job, nextVersion };
+      });
+
       console.log(`✅ Created regeneration job ${job.id} for report ${reportId} -> ${newReport.id}`);
 
       return {
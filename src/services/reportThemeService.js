@@ -0,0 +1,271 @@
+const { supabaseAdmin } = require('../config/database');
+const { isValidUUID } = require('../middleware/validation');
+
+// Fields an admin can set on a theme
+const THEME_FIELDS = [
+  'name', 'logo_url', 'primary_color', 'accent_color', 'text_color',
+  'font_family', 'header_text', 'footer_text', 'disclaimer'
+];
+const COLOR_FIELDS = ['primary_color', 'accent_color', 'text_color'];
+const TEXT_LIMITS = { header_text: 500, footer_text: 500, disclaimer: 2000 };
+
+// Theme values end up inside the report's <style>: only plain font names and hex colours get through
+const FONT_FAMILY_PATTERN = /^[A-Za-z0-9 ,'"-]{1,255}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+class ReportThemeService {
+  /**
+   * Validate and normalize the editable fields of a theme
+   * @param {Boolean} partial - Only the given fields (update) instead of a full theme (create)
+   */
+  static normalizeThemeInput(input, { partial = false } = {}) {
+    const theme = {};
+
+    for (const field of THEME_FIELDS) {
+      if (input[field] === undefined) {
+        continue;
+      }
+
+      const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+      if (value !== null && typeof value !== 'string') {
+        throw new Error(`Invalid theme ${field}: expected a string`);
+      }
+      theme[field] = value || null;
+    }
+
+    if (!partial || theme.name !== undefined) {
+      if (!theme.name) {
+        throw new Error('Theme name is required');
+      }
+      if (theme.name.length > 100) {
+        throw new Error('Invalid theme name: at most 100 characters');
+      }
+    }
+
+    for (const field of COLOR_FIELDS) {
+      if (theme[field] === null) {
+        delete theme[field]; // Empty - the column default (create) or the current colour (update) applies
+      } else if (theme[field] !== undefined && !COLOR_PATTERN.test(theme[field])) {
+        throw new Error(`Invalid theme ${field}: expected a hex colour like #1a2b3c`);
+      } else if (theme[field]) {
+        theme[field] = theme[field].toLowerCase();
+      }
+    }
+
+    if (theme.font_family && !FONT_FAMILY_PATTERN.test(theme.font_family)) {
+      throw new Error('Invalid theme font_family: use font names separated by commas');
+    }
+
+    if (theme.logo_url) {
+      let url;
+      try {
+        url = new URL(theme.logo_url);
+      } catch {
+        url = null;
+      }
+      if (!url || url.protocol !== 'https:') {
+        throw new Error('Invalid theme logo_url: expected an https URL');
+      }
+    }
+
+    for (const [field, limit] of Object.entries(TEXT_LIMITS)) {
+      if (theme[field] && theme[field].length > limit) {
+        throw new Error(`Invalid theme ${field}: at most ${limit} characters`);
+      }
+    }
+
+    return theme;
+  }
+
+  /**
+   * All themes, default first
+   */
+  static async listThemes({ includeArchived = false } = {}) {
+    let query = supabaseAdmin
+      .from('report_themes')
+      .select('*')
+      .order('is_default', { ascending: false })
+      .order('name', { ascending: true });
+
+    if (!includeArchived) {
+      query = query.eq('is_archived', false);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load report themes: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Theme by ID (archived themes included - exported reports keep using them)
+   */
+  static async getThemeById(themeId) {
+    if (!isValidUUID(themeId)) {
+      return null;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('report_themes')
+      .select('*')
+      .eq('id', themeId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load report theme: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  static async getDefaultTheme() {
+    const { data, error } = await supabaseAdmin
+      .from('report_themes')
+      .select('*')
+      .eq('is_default', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load default report theme: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  static async createTheme(input, userId) {
+    const theme = this.normalizeThemeInput(input);
+
+    const { data, error } = await supabaseAdmin
+      .from('report_themes')
+      .insert({ ...theme, created_by: userId, updated_by: userId })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.code === '23505'
+        ? `Theme name already exists: ${theme.name}`
+        : `Failed to create report theme: ${error.message}`);
+    }
+
+    console.log(`🎨 Created report theme ${data.name} (${data.id})`);
+
+    if (input.is_default === true) {
+      return this.setDefaultTheme(data.id, userId);
+    }
+    return data;
+  }
+
+  static async updateTheme(themeId, input, userId) {
+    const existing = await this.getThemeById(themeId);
+    if (!existing) {
+      throw new Error('Report theme not found');
+    }
+
+    const theme = this.normalizeThemeInput(input, { partial: true });
+    if (input.is_archived === false) {
+      theme.is_archived = false; // Restore an archived theme
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('report_themes')
+      .update({ ...theme, updated_by: userId })
+      .eq('id', themeId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.code === '23505'
+        ? `Theme name already exists: ${theme.name}`
+        : `Failed to update report theme: ${error.message}`);
+    }
+
+    console.log(`🎨 Updated report theme ${data.name} (${data.id})`);
+    return data;
+  }
+
+  /**
+   * Archive a theme: it can no longer be picked for exports, reports already exported with it keep it
+   */
+  static async archiveTheme(themeId, userId) {
+    const existing = await this.getThemeById(themeId);
+    if (!existing) {
+      throw new Error('Report theme not found');
+    }
+    if (existing.is_default) {
+      throw new Error('Cannot archive the default theme - make another theme the default first');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('report_themes')
+      .update({ is_archived: true, updated_by: userId })
+      .eq('id', themeId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to archive report theme: ${error.message}`);
+    }
+
+    console.log(`🗄️ Archived report theme ${data.name} (${data.id})`);
+    return data;
+  }
+
+  /**
+   * Make a theme the default for clients without their own
+   */
+  static async setDefaultTheme(themeId, userId) {
+    const existing = await this.getThemeById(themeId);
+    if (!existing) {
+      throw new Error('Report theme not found');
+    }
+    if (existing.is_archived) {
+      throw new Error('Cannot make an archived theme the default');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .rpc('set_default_report_theme', {
+        p_theme_id: themeId,
+        p_user_id: userId
+      });
+
+    if (error) {
+      throw new Error(`Failed to set default report theme: ${error.message}`);
+    }
+
+    console.log(`🎨 Report theme ${existing.name} is now the default`);
+    return data[0];
+  }
+
+  /**
+   * Theme for exporting a client's report: the client's own (metadata.report_theme_id) or the default
+   * @returns {Object|null} Theme row - null renders the built-in look
+   */
+  static async resolveThemeForClient(client) {
+    const clientThemeId = client?.metadata?.report_theme_id;
+
+    if (clientThemeId) {
+      const theme = await this.getThemeById(clientThemeId);
+      if (theme && !theme.is_archived) {
+        return theme;
+      }
+      console.warn(`⚠️ Client ${client.id} has unknown or archived report theme ${clientThemeId}, using the default`);
+    }
+
+    return this.getDefaultTheme();
+  }
+
+  /**
+   * Theme to render a report with: the one recorded at export, or (not exported yet) the one an export would use
+   */
+  static async getThemeForReport(report, client) {
+    if (report.theme_id) {
+      return this.getThemeById(report.theme_id);
+    }
+    return this.resolveThemeForClient(client);
+  }
+}
+
+module.exports = ReportThemeService;
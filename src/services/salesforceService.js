@@ -62,8 +62,9 @@ class SalesforceService {
 
   /**
    * Send approved client report via Make.com email webhook
+   * @param {Object} recipients - { to, cc, bcc } (default: the client's email)
    */
-  static async sendClientReport(reportData, sessionData, clientData, pdfUrl = null, pdfBuffer = null) {
+  static async sendClientReport(reportData, sessionData, clientData, pdfUrl = null, pdfBuffer = null, recipients = null) {
     try {
       console.log(`📧 Sending client report via Make.com for session: ${sessionData.id}`);
 
@@ -138,6 +139,8 @@ class SalesforceService {
           html_content: reportHtml, // Add HTML content for Make.com to use
           action_items_html: actionItemsHtml // Add action items HTML for project manager
         },
+        // Who the scenario should address the email to
+        recipients: recipients || { to: [clientData.email], cc: [], bcc: [] },
         // PDF attachment info (URL-based instead of base64)
         attachment: pdfUrl ? {
           name: pdfFilename,
@@ -159,12 +162,13 @@ class SalesforceService {
       });
 
       if (response.data && response.data.success) {
-        console.log(`✅ Client report sent successfully to ${clientData.email}`);
+        const sentTo = recipients ? recipients.to.join(', ') : clientData.email;
+        console.log(`✅ Client report sent successfully to ${sentTo}`);
         
         return { 
           success: true, 
           data: response.data,
-          message: `Report sent to ${clientData.email}`,
+          message: `Report sent to ${sentTo}`,
           email_id: response.data.email_id || null,
           salesforce_updated: response.data.salesforce_updated || false
         };
@@ -186,6 +190,95 @@ class SalesforceService {
     }
   }
 
+  /**
+   * Whether a separate Make.com CRM webhook is configured (update_crm jobs)
+   */
+  static isCrmWebhookConfigured() {
+    return !!(process.env.MAKE_CRM_WEBHOOK_URL && process.env.MAKE_CRM_WH_API_KEY);
+  }
+
+  /**
+   * Record a delivered client report on the client's Salesforce record via the Make.com CRM webhook
+   * @param {Object} delivery - { outbox_id, email_id, sent_at } of the email that was sent
+   */
+  static async updateSessionRecord(reportData, sessionData, clientData, delivery = {}) {
+    try {
+      console.log(`🔄 Updating Salesforce via Make.com for session: ${sessionData.id}`);
+
+      if (!this.isCrmWebhookConfigured()) {
+        console.warn('⚠️ Make.com CRM webhook not configured');
+        return { success: false, error: 'CRM webhook not configured' };
+      }
+
+      const payload = {
+        client: {
+          id: clientData.id,
+          name: clientData.name,
+          email: clientData.email,
+          phone: clientData.phone || null,
+          business_number: clientData.metadata?.business_number || null,
+          salesforce: clientData.metadata?.salesforce || null // Record found by the business number lookup
+        },
+        session: {
+          id: sessionData.id,
+          title: sessionData.title,
+          status: sessionData.status,
+          created_at: sessionData.created_at
+        },
+        adviser: {
+          id: sessionData.adviser?.id || null,
+          name: sessionData.adviser?.name || null,
+          email: sessionData.adviser?.email || null
+        },
+        report: {
+          id: reportData.id,
+          content: reportData.content,
+          approved_at: reportData.approved_at || null,
+          approved_by: reportData.approved_by || null
+        },
+        delivery: {
+          outbox_id: delivery.outbox_id || null,
+          email_id: delivery.email_id || null,
+          sent_at: delivery.sent_at || null
+        },
+        timestamp: new Date().toISOString(),
+        action: 'update_session_record'
+      };
+
+      const response = await axios.post(process.env.MAKE_CRM_WEBHOOK_URL, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-make-apikey': process.env.MAKE_CRM_WH_API_KEY
+        },
+        timeout: 30000 // 30 second timeout
+      });
+
+      if (response.data && response.data.success) {
+        console.log(`✅ Salesforce updated for client ${clientData.name}`);
+
+        return {
+          success: true,
+          data: response.data,
+          salesforce_id: response.data.salesforce_id || null
+        };
+      } else {
+        console.warn(`⚠️ Failed to update Salesforce: ${response.data?.error || 'Unknown error'}`);
+        return {
+          success: false,
+          error: response.data?.error || 'Salesforce update failed'
+        };
+      }
+
+    } catch (error) {
+      console.error(`❌ Failed to update Salesforce via Make.com:`, error.message);
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Test Make.com webhook connectivity
    */
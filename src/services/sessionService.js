@@ -1,4 +1,5 @@
 const { supabase, supabaseAdmin } = require('../config/database');
+const DatabaseUtils = require('../utils/database');
 
 class SessionService {
   /**
@@ -179,16 +180,18 @@ class SessionService {
 
   /**
    * Update session status and metadata
+   * processing_metadata is merged into the stored object: each pipeline step adds its own keys
+   * (the upload's cloudinary_public_id is needed later to delete the file)
    */
   static async updateSession(sessionId, updateData, userId, userRole) {
     try {
       const client = supabaseAdmin || supabase;
 
       // First check access
-      await this.getSessionById(sessionId, userId, userRole);
+      const session = await this.getSessionById(sessionId, userId, userRole);
 
       const allowedFields = [
-        'title', 'status', 'transcription_text', 
+        'title', 'status', 'file_url', 'duration', 'transcription_text', 
         'transcription_metadata', 'processing_metadata'
       ];
 
@@ -203,6 +206,11 @@ class SessionService {
         throw new Error('No valid fields to update');
       }
 
+      const metadata = updateFields.processing_metadata;
+      if (metadata && typeof metadata === 'object' && !Array.isArray(metadata)) {
+        updateFields.processing_metadata = { ...(session.processing_metadata || {}), ...metadata };
+      }
+
       const { data: updatedSession, error } = await client
         .from('sessions')
         .update(updateFields)
@@ -632,26 +640,27 @@ class SessionService {
       
       if (search_term && search_term.trim() !== '') {
         searchValue = search_term.trim();
+        const searchPattern = DatabaseUtils.containsPattern(searchValue);
         
         // Get client IDs that match the search term (name, phone only)
         const clientSearch = await client
           .from('clients')
           .select('id')
-          .or(`name.ilike.%${searchValue}%,phone.ilike.%${searchValue}%`);
+          .or(`name.ilike.${searchPattern},phone.ilike.${searchPattern}`);
         matchingClients = clientSearch.data;
         
         // Get adviser IDs that match the search term (name, phone only)
         const adviserSearch = await client
           .from('users')
           .select('id')
-          .or(`name.ilike.%${searchValue}%,phone.ilike.%${searchValue}%`);
+          .or(`name.ilike.${searchPattern},phone.ilike.${searchPattern}`);
         matchingAdvisers = adviserSearch.data;
         
         // Build search conditions
         const searchConditions = [];
         
         // Search in session fields (title only)
-        searchConditions.push(`title.ilike.%${searchValue}%`);
+        searchConditions.push(`title.ilike.${searchPattern}`);
         
         // Add client ID matches if any
         if (matchingClients && matchingClients.length > 0) {
@@ -705,12 +714,13 @@ class SessionService {
       // Search functionality for count query (enhanced version)
       if (search_term && search_term.trim() !== '') {
         const searchValue = search_term.trim();
+        const searchPattern = DatabaseUtils.containsPattern(searchValue);
         
         // Use the same search logic as the main query for accurate count
         const countSearchConditions = [];
         
         // Search in session fields (title only)
-        countSearchConditions.push(`title.ilike.%${searchValue}%`);
+        countSearchConditions.push(`title.ilike.${searchPattern}`);
         
         // Add client ID matches if any (reuse the same client search)
         if (matchingClients && matchingClients.length > 0) {
@@ -797,24 +807,25 @@ class SessionService {
     try {
       const client = supabaseAdmin || supabase;
       const searchValue = searchTerm.trim();
+      const searchPattern = DatabaseUtils.containsPattern(searchValue);
 
       // Get client IDs that match the search term (name, phone only)
       const { data: matchingClients } = await client
         .from('clients')
         .select('id')
-        .or(`name.ilike.%${searchValue}%,phone.ilike.%${searchValue}%`);
+        .or(`name.ilike.${searchPattern},phone.ilike.${searchPattern}`);
       
       // Get adviser IDs that match the search term (name, phone only)
       const { data: matchingAdvisers } = await client
         .from('users')
         .select('id')
-        .or(`name.ilike.%${searchValue}%,phone.ilike.%${searchValue}%`);
+        .or(`name.ilike.${searchPattern},phone.ilike.${searchPattern}`);
       
       // Build search conditions
       const searchConditions = [];
       
       // Search in session fields (title only)
-      searchConditions.push(`title.ilike.%${searchValue}%`);
+      searchConditions.push(`title.ilike.${searchPattern}`);
       
       // Add client ID matches if any
       if (matchingClients && matchingClients.length > 0) {
@@ -885,6 +896,70 @@ class SessionService {
       return false;
     }
   }
+
+  /**
+   * Find where a quote (e.g. a report's supporting_quote) was said in the recording
+   * Matches against the timestamped segments stored in transcription_metadata
+   */
+  static async locateTranscriptQuote(sessionId, quote, userId, userRole) {
+    const session = await this.getSessionById(sessionId, userId, userRole);
+    const segments = session.transcription_metadata?.segments || [];
+
+    if (segments.length === 0) {
+      throw new Error('No transcript timestamps available for this session');
+    }
+
+    // Normalize so punctuation and spacing differences between the report and the transcript don't matter
+    const normalize = (text) => (text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Build one normalized timeline string, remembering which segment each character came from
+    let timeline = '';
+    const offsets = [];
+    segments.forEach((segment, index) => {
+      const text = normalize(segment.text);
+      if (!text) return;
+      if (timeline) timeline += ' ';
+      offsets.push({ index, from: timeline.length });
+      timeline += text;
+    });
+
+    const segmentAt = (position) => {
+      let match = offsets[0];
+      for (const offset of offsets) {
+        if (offset.from > position) break;
+        match = offset;
+      }
+      return match.index;
+    };
+
+    // Try the full quote first, then its opening words (models often trim or paraphrase the tail)
+    const words = normalize(quote).split(' ').filter(Boolean);
+    const candidates = [words.join(' '), words.slice(0, 8).join(' '), words.slice(0, 5).join(' ')];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+
+      const position = timeline.indexOf(candidate);
+      if (position === -1) continue;
+
+      const first = segmentAt(position);
+      const last = segmentAt(position + candidate.length - 1);
+
+      return {
+        found: true,
+        start: segments[first].start,
+        end: segments[last].end,
+        segments: segments.slice(first, last + 1),
+        partial_match: candidate.length < words.join(' ').length
+      };
+    }
+
+    return { found: false };
+  }
 }
 
 module.exports = SessionService;
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const shareLinkConfig = require('../config/shareLinks');
+const DatabaseUtils = require('../utils/database');
+const ShareLinkRepository = require('../repositories/shareLinkRepository');
+const ReportService = require('./reportService');
+const ReportThemeService = require('./reportThemeService');
+const socketService = require('./socketService');
+const { generateReportHtml } = require('../utils/reportHtmlGenerator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ShareLinkService {
+  /**
+   * Whether links can be signed (SHARE_LINK_SECRET is set and differs from JWT_SECRET)
+   */
+  static isEnabled() {
+    return !!shareLinkConfig.secret;
+  }
+
+  /**
+   * Token for a link: <link id>.<expiry, unix seconds>.<HMAC-SHA256 of both>
+   * Deterministic, so the URL of an existing link can be shown again without storing the token
+   */
+  static signToken(linkId, expiresAt) {
+    const payload = `${linkId}.${Math.floor(new Date(expiresAt).getTime() / 1000)}`;
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  static sign(payload) {
+    if (!this.isEnabled()) {
+      throw new Error('Share links are not configured (SHARE_LINK_SECRET is missing)');
+    }
+    return crypto.createHmac('sha256', shareLinkConfig.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Check a token's signature and expiry (revocation needs the database row)
+   * @returns {Object} { linkId, expiresAt }
+   */
+  static verifyToken(token) {
+    const [linkId, expires, signature] = String(token || '').split('.');
+    if (!linkId || !expires || !signature) {
+      throw new Error('Invalid share link');
+    }
+
+    const expected = Buffer.from(this.sign(`${linkId}.${expires}`));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new Error('Invalid share link');
+    }
+
+    const expiresAt = new Date(Number(expires) * 1000);
+    if (isNaN(expiresAt.getTime())) {
+      throw new Error('Invalid share link');
+    }
+    if (expiresAt <= new Date()) {
+      throw new Error('Share link has expired');
+    }
+
+    return { linkId, expiresAt };
+  }
+
+  static getUrl(link) {
+    return `${shareLinkConfig.baseUrl.replace(/\/$/, '')}/share/${this.signToken(link.id, link.expires_at)}`;
+  }
+
+  /**
+   * Link as returned to advisers: status and URL added (the URL only while the link works)
+   */
+  static present(link, views = []) {
+    const status = link.revoked_at ? 'revoked' : new Date(link.expires_at) <= new Date() ? 'expired' : 'active';
+
+    return {
+      ...link,
+      status,
+      url: status === 'active' ? this.getUrl(link) : null,
+      views: views.filter(view => view.share_link_id === link.id)
+    };
+  }
+
+  /**
+   * Create a public link to an exported client report version
+   * @param {Object} options - { expiresInDays } (default SHARE_LINK_EXPIRY_DAYS)
+   */
+  static async createLink(reportId, createdBy, { expiresInDays } = {}) {
+    const days = expiresInDays === undefined || expiresInDays === null
+      ? shareLinkConfig.defaultExpiryDays
+      : Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > shareLinkConfig.maxExpiryDays) {
+      throw new Error(`Invalid expires_in_days: expected a number of days between 1 and ${shareLinkConfig.maxExpiryDays}`);
+    }
+
+    const report = await ReportService.getReportForDelivery(reportId);
+    if (report.type !== 'client') {
+      throw new Error('Only client reports can be shared');
+    }
+    if (report.status !== 'approved') {
+      throw new Error('Report must be exported before it can be shared');
+    }
+
+    const link = await ShareLinkRepository.create(DatabaseUtils.getPool(), {
+      report_id: report.id,
+      session_id: report.session_id,
+      created_by: createdBy,
+      expires_at: new Date(Date.now() + days * DAY_MS)
+    });
+
+    console.log(`🔗 Created share link ${link.id} for report ${report.id} (expires ${link.expires_at.toISOString()})`);
+    return this.present(link);
+  }
+
+  /**
+   * A report's links with their access log, newest first
+   */
+  static async listLinks(reportId) {
+    const pool = DatabaseUtils.getPool();
+    const [links, views] = await Promise.all([
+      ShareLinkRepository.findByReport(pool, reportId),
+      ShareLinkRepository.findViewsByReport(pool, reportId)
+    ]);
+
+    return links.map(link => this.present(link, views));
+  }
+
+  static async revokeLink(reportId, linkId, revokedBy) {
+    const link = await ShareLinkRepository.revoke(DatabaseUtils.getPool(), linkId, reportId, revokedBy);
+    if (!link) {
+      throw new Error('Share link not found');
+    }
+
+    console.log(`🔒 Revoked share link ${link.id} for report ${reportId}`);
+    return this.present(link);
+  }
+
+  /**
+   * Render the report behind a public link and log the visit
+   * @param {Object} visitor - { ipAddress, userAgent }
+   * @returns {String} Report HTML
+   */
+  static async openSharedReport(token, visitor = {}) {
+    const { linkId } = this.verifyToken(token);
+    const pool = DatabaseUtils.getPool();
+
+    const link = await ShareLinkRepository.findById(pool, linkId);
+    if (!link) {
+      throw new Error('Invalid share link');
+    }
+    if (link.revoked_at) {
+      throw new Error('Share link has been revoked');
+    }
+    if (new Date(link.expires_at) <= new Date()) {
+      throw new Error('Share link has expired');
+    }
+
+    // The linked version, even after a newer one was generated
+    const report = await ReportService.getReportForDelivery(link.report_id, { currentVersion: false });
+    const session = report.session;
+    const theme = await ReportThemeService.getThemeForReport(report, session?.client);
+    const html = generateReportHtml(report, session, session?.client, theme);
+
+    const viewed = await DatabaseUtils.transaction(client => ShareLinkRepository.recordView(client, link, visitor));
+    console.log(`👀 Share link ${link.id} opened (view ${viewed.view_count})`);
+
+    if (session?.id) {
+      socketService.sendToSession(session.id, 'client_report_viewed', {
+        sessionId: session.id,
+        reportId: report.id,
+        shareLinkId: link.id,
+        viewCount: viewed.view_count,
+        viewedAt: viewed.last_viewed_at
+      });
+    }
+
+    return html;
+  }
+}
+
+module.exports = ShareLinkService;
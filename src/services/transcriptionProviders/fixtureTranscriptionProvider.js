@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const transcriptionConfig = require('../../config/transcription');
+
+// Used when no fixture file matches the recording
+const DEFAULT_SEGMENTS = [
+  { start: 0, end: 6, text: 'Hi, thanks for coming in today. Tell me a little about your business.' },
+  { start: 6, end: 14, text: 'Sure. I run a small bakery in Jerusalem and I want to open a second branch.' },
+  { start: 14, end: 21, text: 'Great. What is holding you back at the moment, financing or staffing?' },
+  { start: 21, end: 29, text: 'Mostly financing. I am not sure which loan programs I qualify for.' },
+  { start: 29, end: 36, text: 'Let us go over your numbers and I will send you the relevant programs.' }
+];
+
+/**
+ * Deterministic transcription for development and tests - never calls an external service
+ * Looks for <fixturesDir>/<recording name>.json ({ text, language, segments }) and falls back to a built-in transcript
+ */
+class FixtureTranscriptionProvider {
+  constructor() {
+    this.name = 'fixture';
+    this.model = 'fixture';
+    this.supportsChunking = false;
+    this.fixturesDir = transcriptionConfig.fixture.fixturesDir;
+  }
+
+  /**
+   * Nothing external to check
+   * @returns {String} Short status for the start-up log
+   */
+  async checkConnection() {
+    return `fixtures in ${this.fixturesDir}`;
+  }
+
+  /**
+   * Transcribe a local audio file
+   */
+  async transcribeFile(filePath, options = {}) {
+    const fixture = this.loadFixture(filePath);
+    const segments = (fixture?.segments || DEFAULT_SEGMENTS).map((segment, index) => ({
+      id: index,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim()
+    }));
+
+    return {
+      text: fixture?.text || segments.map(segment => segment.text).join(' '),
+      language: fixture?.language || options.language || 'english',
+      duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+      segments,
+      model: this.model
+    };
+  }
+
+  /**
+   * Find a fixture named after the recording (download temp files are prefixed with a timestamp)
+   */
+  loadFixture(filePath) {
+    const baseName = path.basename(filePath, path.extname(filePath)).replace(/^\d+_/, '');
+    const fixturePath = path.join(this.fixturesDir, `${baseName}.json`);
+
+    if (!fs.existsSync(fixturePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  }
+}
+
+module.exports = FixtureTranscriptionProvider;
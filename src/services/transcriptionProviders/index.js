@@ -0,0 +1,37 @@
+const transcriptionConfig = require('../../config/transcription');
+const OpenAITranscriptionProvider = require('./openaiTranscriptionProvider');
+const LocalWhisperProvider = require('./localWhisperProvider');
+const FixtureTranscriptionProvider = require('./fixtureTranscriptionProvider');
+
+// Every provider implements transcribeFile(filePath, options) -> { text, language, duration, segments, model }
+// and checkConnection() -> status string, which throws when the provider is unusable (checked at worker start-up)
+const PROVIDERS = {
+  openai: OpenAITranscriptionProvider,
+  local: LocalWhisperProvider,
+  fixture: FixtureTranscriptionProvider
+};
+
+const instances = {};
+
+/**
+ * Get a transcription provider by name (falls back to the configured default)
+ */
+function getTranscriptionProvider(name) {
+  const providerName = name || transcriptionConfig.defaultProvider;
+  const Provider = PROVIDERS[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown transcription provider: ${providerName}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (!instances[providerName]) {
+    instances[providerName] = new Provider();
+  }
+
+  return instances[providerName];
+}
+
+module.exports = {
+  getTranscriptionProvider,
+  availableProviders: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,190 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const transcriptionConfig = require('../../config/transcription');
+
+// Local engines report ISO codes; Whisper API (and the rest of the app) uses language names
+const LANGUAGE_NAMES = {
+  he: 'hebrew',
+  en: 'english',
+  ar: 'arabic',
+  ru: 'russian'
+};
+
+const DEFAULT_BINARIES = {
+  'whisper.cpp': 'whisper-cli',
+  'faster-whisper': 'whisper-ctranslate2'
+};
+
+/**
+ * Transcription with a local whisper.cpp or faster-whisper binary
+ * Audio is processed on this server only - nothing is uploaded
+ */
+class LocalWhisperProvider {
+  constructor() {
+    const config = transcriptionConfig.local;
+
+    if (!DEFAULT_BINARIES[config.engine]) {
+      throw new Error(`Unknown local whisper engine: ${config.engine}. Use 'whisper.cpp' or 'faster-whisper'`);
+    }
+
+    this.name = 'local';
+    this.engine = config.engine;
+    this.binaryPath = config.binaryPath || DEFAULT_BINARIES[config.engine];
+    this.model = config.model;
+    this.threads = config.threads;
+    this.timeoutMs = config.timeoutMs;
+    this.supportsChunking = false; // Local engines handle long recordings in one pass
+  }
+
+  /**
+   * Check the engine binary (and ffmpeg and the model file for whisper.cpp) before taking jobs
+   * @returns {String} Short status for the start-up log
+   */
+  async checkConnection() {
+    if (this.engine === 'whisper.cpp') {
+      if (!this.model || !fs.existsSync(this.model)) {
+        throw new Error('LOCAL_WHISPER_MODEL must point to a ggml model file for whisper.cpp');
+      }
+      await this.run('ffmpeg', ['-version']);
+    }
+
+    await this.run(this.binaryPath, ['--help']);
+    return `${this.engine} (${this.binaryPath}${this.model ? `, ${this.model}` : ''})`;
+  }
+
+  /**
+   * Transcribe a local audio file
+   */
+  async transcribeFile(filePath, options = {}) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-whisper-'));
+
+    try {
+      return this.engine === 'whisper.cpp'
+        ? await this.transcribeWithWhisperCpp(filePath, workDir, options)
+        : await this.transcribeWithFasterWhisper(filePath, workDir, options);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * whisper.cpp needs 16kHz mono WAV input and writes <prefix>.json
+   */
+  async transcribeWithWhisperCpp(filePath, workDir, options) {
+    if (!this.model) {
+      throw new Error('LOCAL_WHISPER_MODEL must point to a ggml model file for whisper.cpp');
+    }
+
+    const wavPath = path.join(workDir, 'audio.wav');
+    await this.run('ffmpeg', ['-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', '-y', wavPath]);
+
+    const outputPrefix = path.join(workDir, 'transcript');
+    await this.run(this.binaryPath, [
+      '-m', this.model,
+      '-f', wavPath,
+      '-l', options.language || 'auto',
+      '-t', String(this.threads),
+      ...(options.prompt ? ['--prompt', options.prompt] : []),
+      '-oj',
+      '-of', outputPrefix
+    ]);
+
+    const output = JSON.parse(fs.readFileSync(`${outputPrefix}.json`, 'utf8'));
+    const segments = (output.transcription || []).map((segment, index) => ({
+      id: index,
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: (segment.text || '').trim()
+    }));
+
+    return {
+      text: segments.map(segment => segment.text).filter(Boolean).join(' '),
+      language: this.languageName(output.result?.language || options.language),
+      duration: segments.length > 0 ? segments[segments.length - 1].end : null,
+      segments,
+      model: `whisper.cpp:${path.basename(this.model)}`
+    };
+  }
+
+  /**
+   * faster-whisper through the whisper-ctranslate2 CLI, which writes <name>.json in the output dir
+   */
+  async transcribeWithFasterWhisper(filePath, workDir, options) {
+    const model = this.model || 'small';
+
+    await this.run(this.binaryPath, [
+      filePath,
+      '--model', model,
+      '--output_format', 'json',
+      '--output_dir', workDir,
+      '--threads', String(this.threads),
+      ...(options.language ? ['--language', options.language] : []),
+      ...(options.prompt ? ['--initial_prompt', options.prompt] : [])
+    ]);
+
+    const outputFile = fs.readdirSync(workDir).find(file => file.endsWith('.json'));
+    if (!outputFile) {
+      throw new Error('faster-whisper produced no JSON output');
+    }
+
+    const output = JSON.parse(fs.readFileSync(path.join(workDir, outputFile), 'utf8'));
+    const segments = (output.segments || []).map((segment, index) => ({
+      id: index,
+      start: segment.start,
+      end: segment.end,
+      text: (segment.text || '').trim()
+    }));
+
+    return {
+      text: (output.text || segments.map(segment => segment.text).join(' ')).trim(),
+      language: this.languageName(output.language || options.language),
+      duration: segments.length > 0 ? segments[segments.length - 1].end : null,
+      segments,
+      model: `faster-whisper:${model}`
+    };
+  }
+
+  /**
+   * Convert an ISO language code to the name Whisper API returns
+   */
+  languageName(code) {
+    return LANGUAGE_NAMES[code] || code;
+  }
+
+  /**
+   * Run a command, rejecting on non-zero exit or timeout
+   */
+  run(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args);
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${command} timed out after ${Math.round(this.timeoutMs / 1000)}s`));
+      }, this.timeoutMs);
+
+      child.stderr.on('data', (data) => {
+        stderr = (stderr + data).slice(-2000); // Keep the tail for error messages
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to run ${command}: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = LocalWhisperProvider;
@@ -0,0 +1,75 @@
+const OpenAI = require('openai');
+const fs = require('fs');
+const transcriptionConfig = require('../../config/transcription');
+
+/**
+ * Transcription through the OpenAI Whisper API
+ * Files over chunkThresholdMB are split by OpenAIService before reaching this provider
+ */
+class OpenAITranscriptionProvider {
+  constructor() {
+    this.name = 'openai';
+    this.model = transcriptionConfig.openai.model;
+    this.supportsChunking = true;
+    this.chunkThresholdMB = transcriptionConfig.openai.chunkThresholdMB;
+    this.maxFileSizeMB = transcriptionConfig.openai.maxFileSizeMB;
+
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OpenAI transcription requires OPENAI_API_KEY');
+    }
+    this.openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: transcriptionConfig.openai.baseURL
+    });
+  }
+
+  /**
+   * Check the API is reachable and accepts the key (worker start-up)
+   * @returns {String} Short status for the start-up log
+   */
+  async checkConnection() {
+    const response = await this.openai.models.list();
+    return `${this.model}, ${response.data.length} models available`;
+  }
+
+  /**
+   * Transcribe a local audio file
+   */
+  async transcribeFile(filePath, options = {}) {
+    // Only include safe OpenAI API options
+    const transcriptionOptions = {
+      file: fs.createReadStream(filePath),
+      model: this.model,
+      response_format: 'verbose_json' // Get timestamps and other metadata
+    };
+
+    if (options.language) {
+      transcriptionOptions.language = options.language;
+    }
+
+    if (options.prompt) {
+      transcriptionOptions.prompt = options.prompt;
+    }
+
+    if (options.temperature !== undefined) {
+      transcriptionOptions.temperature = options.temperature;
+    }
+
+    const response = await this.openai.audio.transcriptions.create(transcriptionOptions);
+
+    return {
+      text: response.text,
+      language: response.language,
+      duration: response.duration,
+      segments: (response.segments || []).map(segment => ({
+        id: segment.id,
+        start: segment.start,
+        end: segment.end,
+        text: (segment.text || '').trim()
+      })),
+      model: this.model
+    };
+  }
+}
+
+module.exports = OpenAITranscriptionProvider;
@@ -0,0 +1,163 @@
+const { supabaseAdmin } = require('../config/database');
+const pricingConfig = require('../config/pricing');
+const BudgetService = require('./budgetService');
+
+const GROUP_BY_OPTIONS = ['month', 'adviser', 'client', 'model'];
+
+class UsageService {
+  /**
+   * Compute the cost of a call from the pricing table
+   * @returns {Object} { cost_usd, priced } - priced is false when the model has no price entry
+   */
+  static computeCost({ provider, model, promptTokens = 0, completionTokens = 0, audioSeconds = 0 }) {
+    if (pricingConfig.freeProviders.includes(provider)) {
+      return { cost_usd: 0, priced: true };
+    }
+
+    if (audioSeconds > 0) {
+      const price = pricingConfig.findPrice(pricingConfig.transcription, model);
+      return price
+        ? { cost_usd: (audioSeconds / 60) * price.perMinute, priced: true }
+        : { cost_usd: 0, priced: false };
+    }
+
+    const price = pricingConfig.findPrice(pricingConfig.chat, model);
+    return price
+      ? { cost_usd: (promptTokens * price.input + completionTokens * price.output) / 1000000, priced: true }
+      : { cost_usd: 0, priced: false };
+  }
+
+  /**
+   * Record one AI call in the usage ledger
+   * Never throws - accounting must not fail the job that made the call
+   * @param {Object} entry - { sessionId, adviserId, clientId, jobId, operation, provider, model, usage, audioSeconds, metadata }
+   */
+  static async recordUsage(entry) {
+    try {
+      const usage = entry.usage || {};
+      const promptTokens = usage.prompt_tokens || 0;
+      const completionTokens = usage.completion_tokens || 0;
+      const audioSeconds = entry.audioSeconds || 0;
+
+      const { cost_usd, priced } = this.computeCost({
+        provider: entry.provider,
+        model: entry.model,
+        promptTokens,
+        completionTokens,
+        audioSeconds
+      });
+
+      if (!priced) {
+        console.warn(`⚠️ No price configured for model ${entry.model} - usage recorded without cost`);
+      }
+
+      const { error } = await supabaseAdmin
+        .from('ai_usage_ledger')
+        .insert([{
+          session_id: entry.sessionId || null,
+          adviser_id: entry.adviserId || null,
+          client_id: entry.clientId || null,
+          job_id: entry.jobId || null,
+          operation: entry.operation,
+          provider: entry.provider,
+          model: entry.model,
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: usage.total_tokens || promptTokens + completionTokens,
+          audio_seconds: Math.round(audioSeconds * 100) / 100,
+          cost_usd: Math.round(cost_usd * 1000000) / 1000000,
+          priced,
+          metadata: entry.metadata || {}
+        }]);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      // Job usage is checked once when the job finishes (AIWorker.checkBudgetAlerts), not after every call
+      if (!entry.jobId) {
+        await BudgetService.checkAlerts(entry.adviserId);
+      }
+
+    } catch (error) {
+      console.error(`❌ Failed to record AI usage (${entry.operation}, ${entry.model}):`, error.message);
+    }
+  }
+
+  /**
+   * Monthly usage summary, optionally grouped by adviser, client or model
+   * from/to default to the current calendar month
+   */
+  static async getUsageSummary({ groupBy = 'month', from, to } = {}) {
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      throw new Error(`Invalid group_by. Must be one of: ${GROUP_BY_OPTIONS.join(', ')}`);
+    }
+
+    const now = new Date();
+    const fromDate = from ? new Date(from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const toDate = to ? new Date(to) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      throw new Error('Invalid from/to date');
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('get_ai_usage_summary', {
+      p_group_by: groupBy,
+      p_from: fromDate.toISOString(),
+      p_to: toDate.toISOString()
+    });
+
+    if (error) {
+      throw new Error(`Failed to get usage summary: ${error.message}`);
+    }
+
+    const rows = (data || []).map(row => ({
+      ...row,
+      audio_minutes: Math.round((Number(row.audio_seconds) / 60) * 10) / 10,
+      cost_usd: Number(row.cost_usd)
+    }));
+
+    return {
+      group_by: groupBy,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      totals: {
+        calls: rows.reduce((sum, row) => sum + Number(row.calls), 0),
+        total_tokens: rows.reduce((sum, row) => sum + Number(row.total_tokens), 0),
+        audio_minutes: Math.round(rows.reduce((sum, row) => sum + row.audio_minutes, 0) * 10) / 10,
+        cost_usd: Math.round(rows.reduce((sum, row) => sum + row.cost_usd, 0) * 100) / 100
+      },
+      rows
+    };
+  }
+
+  /**
+   * All ledger entries for a session with totals
+   */
+  static async getSessionUsage(sessionId) {
+    const { data, error } = await supabaseAdmin
+      .from('ai_usage_ledger')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to get session usage: ${error.message}`);
+    }
+
+    const entries = data || [];
+
+    return {
+      session_id: sessionId,
+      totals: {
+        calls: entries.length,
+        total_tokens: entries.reduce((sum, entry) => sum + entry.total_tokens, 0),
+        audio_seconds: entries.reduce((sum, entry) => sum + Number(entry.audio_seconds), 0),
+        cost_usd: Math.round(entries.reduce((sum, entry) => sum + Number(entry.cost_usd), 0) * 1000000) / 1000000
+      },
+      entries
+    };
+  }
+}
+
+module.exports = UsageService;
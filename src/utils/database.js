@@ -1,4 +1,4 @@
-const { supabase } = require('../config/database');
+const { supabase, pool } = require('../config/database');
 
 /**
  * Database utility functions for common operations
@@ -6,23 +6,31 @@ const { supabase } = require('../config/database');
 class DatabaseUtils {
   
   /**
-   * Execute raw SQL with parameters
+   * Execute raw SQL with parameters (direct Postgres connection)
+   * @param {Object} db - Pool or transaction client (defaults to the shared pool)
+   * @returns {Array} Result rows
    */
-  static async executeSQL(sql, params = []) {
+  static async executeSQL(sql, params = [], db = null) {
     try {
-      const { data, error } = await supabase.rpc('exec_sql', { 
-        sql, 
-        params: params 
-      });
-      
-      if (error) throw error;
-      return data;
+      const { rows } = await (db || this.getPool()).query(sql, params);
+      return rows;
     } catch (error) {
-      console.error('SQL execution error:', error);
+      console.error('SQL execution error:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Shared Postgres pool - throws when DATABASE_URL is not configured
+   * (with Supabase only the transactional features need it, so this is where a missing connection surfaces)
+   */
+  static getPool() {
+    if (!pool) {
+      throw new Error('Direct database connection not configured. Please set DATABASE_URL (or SUPABASE_PASSWORD with Supabase)');
+    }
+    return pool;
+  }
+
   /**
    * Get current report version for a session and type
    */
@@ -186,16 +194,35 @@ class DatabaseUtils {
   }
 
   /**
-   * Transaction wrapper
+   * ilike pattern for .or() filters matching text that contains the given search term
+   * Quoted, so commas, dots and parentheses typed by the user stay part of the value
+   */
+  static containsPattern(searchTerm) {
+    return `"%${String(searchTerm).replace(/["\\]/g, '\\$&')}%"`;
+  }
+
+  /**
+   * Run callback(client) inside a Postgres transaction
+   * Commits when the callback resolves, rolls back when it throws
    */
   static async transaction(callback) {
-    // Note: Supabase doesn't support transactions in the same way as traditional SQL
-    // This is a placeholder for future implementation or custom transaction logic
+    const client = await this.getPool().connect();
+
     try {
-      return await callback();
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
     } catch (error) {
-      console.error('Transaction failed:', error);
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        console.error('Transaction rollback failed:', rollbackError.message);
+      }
+      console.error('Transaction failed:', error.message);
       throw error;
+    } finally {
+      client.release();
     }
   }
 
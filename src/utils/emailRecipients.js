@@ -0,0 +1,107 @@
+/**
+ * Recipient lists for client report emails
+ * Clients can keep default CC/BCC recipients in metadata.report_recipients ({ cc: [], bcc: [] });
+ * a send can override any of the lists
+ */
+
+const { isValidEmail } = require('../middleware/validation');
+
+const RECIPIENT_TYPES = ['to', 'cc', 'bcc'];
+const MAX_RECIPIENTS_PER_LIST = 10;
+
+/**
+ * Normalize one list: accepts an array or a comma/semicolon separated string
+ * Lowercases, drops duplicates and throws on invalid addresses
+ */
+function normalizeRecipientList(value, type = 'to') {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  const emails = [];
+
+  for (const item of items) {
+    if (typeof item !== 'string') {
+      throw new Error(`Invalid ${type} recipient: ${JSON.stringify(item)}`);
+    }
+
+    const email = item.trim().toLowerCase();
+    if (!email) {
+      continue;
+    }
+    if (!isValidEmail(email)) {
+      throw new Error(`Invalid ${type} recipient: ${email}`);
+    }
+    if (!emails.includes(email)) {
+      emails.push(email);
+    }
+  }
+
+  if (emails.length > MAX_RECIPIENTS_PER_LIST) {
+    throw new Error(`Invalid ${type} recipients: at most ${MAX_RECIPIENTS_PER_LIST} addresses allowed`);
+  }
+
+  return emails;
+}
+
+/**
+ * Validate and normalize the default recipients stored on a client
+ * @returns {Object} { cc, bcc }
+ */
+function normalizeDefaultRecipients(value) {
+  if (value === undefined || value === null) {
+    return { cc: [], bcc: [] };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Invalid report recipients: expected an object with cc and bcc lists');
+  }
+
+  return {
+    cc: normalizeRecipientList(value.cc, 'cc'),
+    bcc: normalizeRecipientList(value.bcc, 'bcc')
+  };
+}
+
+/**
+ * Recipients for sending a report to a client
+ * A list given in overrides replaces the default; an address appears only once (to before cc before bcc)
+ * @param {Object} client - Client row (email, metadata.report_recipients)
+ * @param {Object} overrides - { to, cc, bcc } from the request
+ * @returns {Object} { to, cc, bcc }
+ */
+function resolveReportRecipients(client, overrides = {}) {
+  const defaults = normalizeDefaultRecipients(client?.metadata?.report_recipients);
+
+  const lists = {
+    to: overrides.to !== undefined ? normalizeRecipientList(overrides.to, 'to') : normalizeRecipientList(client?.email, 'to'),
+    cc: overrides.cc !== undefined ? normalizeRecipientList(overrides.cc, 'cc') : defaults.cc,
+    bcc: overrides.bcc !== undefined ? normalizeRecipientList(overrides.bcc, 'bcc') : defaults.bcc
+  };
+
+  if (lists.to.length === 0) {
+    throw new Error('Invalid recipients: the report needs at least one "to" address (client has no email)');
+  }
+
+  const seen = new Set();
+  for (const type of RECIPIENT_TYPES) {
+    lists[type] = lists[type].filter(email => !seen.has(email) && seen.add(email));
+  }
+
+  return lists;
+}
+
+/**
+ * Flatten { to, cc, bcc } into [{ email, type }]
+ */
+function listRecipients(recipients) {
+  return RECIPIENT_TYPES.flatMap(type => (recipients[type] || []).map(email => ({ email, type })));
+}
+
+module.exports = {
+  RECIPIENT_TYPES,
+  normalizeRecipientList,
+  normalizeDefaultRecipients,
+  resolveReportRecipients,
+  listRecipients
+};
@@ -0,0 +1,174 @@
+/**
+ * Localized email templates (Hebrew and English)
+ * Every render function returns { subject, html, text }
+ */
+
+const STRINGS = {
+  he: {
+    lang: 'he',
+    dir: 'rtl',
+    greeting: name => (name ? `שלום ${name},` : 'שלום,'),
+    signature: 'בברכה,<br>צוות מתי ירושלים',
+    signatureText: 'בברכה,\nצוות מתי ירושלים',
+    footer: 'הודעה זו נשלחה באופן אוטומטי ממערכת מתי ירושלים.',
+    passwordReset: {
+      subject: 'איפוס סיסמה - מתי ירושלים',
+      intro: 'התקבלה בקשה לאיפוס הסיסמה לחשבון שלך.',
+      action: 'לאיפוס הסיסמה',
+      expires: minutes => `הקישור בתוקף ל-${minutes} דקות.`,
+      ignore: 'אם לא ביקשת לאפס את הסיסמה, אפשר להתעלם מהודעה זו.'
+    },
+    clientReport: {
+      subject: title => `סיכום הפגישה שלך - ${title}`,
+      intro: (adviser, date) => `מצורף סיכום הפגישה שלך${adviser ? ` עם ${adviser}` : ''} מתאריך ${date}.`,
+      attachment: 'הדוח המלא מצורף להודעה זו.',
+      pdf: 'להורדת הדוח כ-PDF',
+      questions: 'לכל שאלה ניתן להשיב להודעה זו.'
+    }
+  },
+  en: {
+    lang: 'en',
+    dir: 'ltr',
+    greeting: name => (name ? `Hello ${name},` : 'Hello,'),
+    signature: 'Best regards,<br>The MATI Jerusalem team',
+    signatureText: 'Best regards,\nThe MATI Jerusalem team',
+    footer: 'This message was sent automatically by the MATI Jerusalem system.',
+    passwordReset: {
+      subject: 'Reset your password - MATI Jerusalem',
+      intro: 'We received a request to reset the password for your account.',
+      action: 'Reset password',
+      expires: minutes => `This link is valid for ${minutes} minutes.`,
+      ignore: 'If you did not ask to reset your password, you can ignore this message.'
+    },
+    clientReport: {
+      subject: title => `Your consultation summary - ${title}`,
+      intro: (adviser, date) => `Here is the summary of your consultation${adviser ? ` with ${adviser}` : ''} on ${date}.`,
+      attachment: 'The full report is attached to this message.',
+      pdf: 'Download the report as PDF',
+      questions: 'If you have any questions, just reply to this message.'
+    }
+  }
+};
+
+const SUPPORTED_LOCALES = Object.keys(STRINGS);
+
+/**
+ * Map a language name or code ('hebrew', 'he', 'english', 'en-US') to a template locale
+ */
+function resolveLocale(language, fallback = 'he') {
+  const value = String(language || '').toLowerCase();
+
+  if (['he', 'hebrew', 'iw'].includes(value) || value.startsWith('he-')) {
+    return 'he';
+  }
+  if (value === 'english' || value === 'en' || value.startsWith('en-')) {
+    return 'en';
+  }
+
+  return SUPPORTED_LOCALES.includes(fallback) ? fallback : 'he';
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Shared layout - paragraphs are already escaped HTML
+ */
+function renderLayout(strings, paragraphs) {
+  const align = strings.dir === 'rtl' ? 'right' : 'left';
+
+  return `<!DOCTYPE html>
+<html lang="${strings.lang}" dir="${strings.dir}">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+<body style="margin:0;padding:24px;background:#f5f6f8;font-family:Arial,Helvetica,sans-serif;color:#222;">
+  <div style="max-width:600px;margin:0 auto;background:#fff;border-radius:8px;padding:32px;text-align:${align};direction:${strings.dir};">
+    ${paragraphs.map(paragraph => `<p style="margin:0 0 16px;line-height:1.6;">${paragraph}</p>`).join('\n    ')}
+    <p style="margin:24px 0 0;line-height:1.6;">${strings.signature}</p>
+  </div>
+  <p style="max-width:600px;margin:16px auto 0;font-size:12px;color:#888;text-align:center;">${strings.footer}</p>
+</body>
+</html>`;
+}
+
+/**
+ * Button-style link
+ */
+function renderButton(url, label) {
+  return `<a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 24px;background:#1a5fb4;color:#fff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a>`;
+}
+
+/**
+ * Password reset email
+ * @param {Object} data - { name, resetUrl, expiresInMinutes }
+ */
+function renderPasswordResetEmail({ name, resetUrl, expiresInMinutes = 60 }, locale = 'he') {
+  const strings = STRINGS[locale] || STRINGS.he;
+  const t = strings.passwordReset;
+
+  const html = renderLayout(strings, [
+    escapeHtml(strings.greeting(name)),
+    escapeHtml(t.intro),
+    renderButton(resetUrl, t.action),
+    escapeHtml(t.expires(expiresInMinutes)),
+    escapeHtml(t.ignore)
+  ]);
+
+  const text = [
+    strings.greeting(name),
+    t.intro,
+    `${t.action}: ${resetUrl}`,
+    t.expires(expiresInMinutes),
+    t.ignore,
+    strings.signatureText
+  ].join('\n\n');
+
+  return { subject: t.subject, html, text };
+}
+
+/**
+ * Cover email for a client report (the report itself is attached)
+ * @param {Object} data - { clientName, adviserName, sessionTitle, sessionDate, pdfUrl }
+ */
+function renderClientReportEmail({ clientName, adviserName, sessionTitle, sessionDate, pdfUrl = null }, locale = 'he') {
+  const strings = STRINGS[locale] || STRINGS.he;
+  const t = strings.clientReport;
+  const date = new Date(sessionDate || Date.now()).toLocaleDateString(locale === 'he' ? 'he-IL' : 'en-GB');
+
+  const paragraphs = [
+    escapeHtml(strings.greeting(clientName)),
+    escapeHtml(t.intro(adviserName, date)),
+    escapeHtml(t.attachment)
+  ];
+  if (pdfUrl) {
+    paragraphs.push(renderButton(pdfUrl, t.pdf));
+  }
+  paragraphs.push(escapeHtml(t.questions));
+
+  const text = [
+    strings.greeting(clientName),
+    t.intro(adviserName, date),
+    t.attachment,
+    ...(pdfUrl ? [`${t.pdf}: ${pdfUrl}`] : []),
+    t.questions,
+    strings.signatureText
+  ].join('\n\n');
+
+  return { subject: t.subject(sessionTitle || ''), html: renderLayout(strings, paragraphs), text };
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  escapeHtml,
+  renderPasswordResetEmail,
+  renderClientReportEmail
+};
@@ -0,0 +1,244 @@
+/**
+ * Format-neutral outline of a report, shared by the Markdown and DOCX exports
+ * Text is already localized; renderers only decide how headings, paragraphs, lists and tables look
+ *
+ * Document: { language, isHebrew, dir, title, subtitle, meta: [{ label, value }], sections: [{ heading, blocks }] }
+ * Blocks: { type: 'paragraph', text, bold } | { type: 'subheading', text } | { type: 'list', items }
+ *       | { type: 'table', headers, rows } | { type: 'quote', text }
+ */
+
+const {
+  detectLanguage,
+  getLocalizedTitles,
+  translateCategory,
+  translateOwner,
+  translateStatus,
+  TIME_BREAKDOWN,
+  SCORED_CRITERIA
+} = require('./reportHtmlGenerator');
+
+function parseContent(report) {
+  const content = typeof report.content === 'string' ? JSON.parse(report.content) : report.content;
+  if (!content) {
+    throw new Error('Report content is empty or invalid');
+  }
+  return content;
+}
+
+function nonEmpty(text) {
+  return typeof text === 'string' && text.trim().length > 0;
+}
+
+/**
+ * Client report sections (key insights grouped by category, action items with owner/deadline/status)
+ */
+function buildClientSections(content, titles, isHebrew) {
+  const sections = [];
+
+  if (nonEmpty(content.general_summary)) {
+    sections.push({ heading: titles.generalSummary, blocks: [{ type: 'paragraph', text: content.general_summary }] });
+  }
+
+  if (Array.isArray(content.key_insights) && content.key_insights.length > 0) {
+    const byCategory = {};
+    content.key_insights.forEach(insight => {
+      const category = insight.category || 'Other';
+      (byCategory[category] = byCategory[category] || []).push(insight.content);
+    });
+
+    const blocks = [];
+    Object.keys(byCategory).forEach(category => {
+      blocks.push({ type: 'subheading', text: translateCategory(category, isHebrew) });
+      blocks.push({ type: 'list', items: byCategory[category] });
+    });
+    sections.push({ heading: titles.keyInsights, blocks });
+  }
+
+  if (Array.isArray(content.action_items) && content.action_items.length > 0) {
+    sections.push({
+      heading: titles.actionItems,
+      blocks: [{
+        type: 'table',
+        headers: [titles.task, titles.owner, titles.deadline, titles.status],
+        rows: content.action_items.map(item => [
+          item.task || '',
+          translateOwner(item.owner, isHebrew),
+          item.deadline || '',
+          translateStatus(item.status, isHebrew)
+        ])
+      }]
+    });
+  }
+
+  if (nonEmpty(content.target_summary)) {
+    sections.push({ heading: titles.targetSummary, blocks: [{ type: 'paragraph', text: content.target_summary }] });
+  }
+
+  return sections;
+}
+
+/**
+ * Older client reports (executive summary, needs, solutions, agreed actions)
+ */
+function buildLegacyClientSections(content, titles) {
+  const sections = [];
+  const asList = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+  if (nonEmpty(content.executive_summary)) {
+    sections.push({ heading: titles.executiveSummary, blocks: [{ type: 'paragraph', text: content.executive_summary }] });
+  }
+
+  const explained = (items, nameKey, textKey) => asList(items).flatMap(item => [
+    ...(item[nameKey] ? [{ type: 'paragraph', text: item[nameKey], bold: true }] : []),
+    ...(item[textKey] ? [{ type: 'paragraph', text: item[textKey] }] : []),
+    ...(item.supporting_quotes || []).filter(nonEmpty).map(quote => ({ type: 'quote', text: quote }))
+  ]);
+
+  const needs = explained(content.entrepreneur_needs, 'need_conceptualization', 'need_explanation');
+  if (needs.length > 0) {
+    sections.push({ heading: titles.entrepreneurNeeds, blocks: needs });
+  }
+
+  const solutions = explained(content.advisor_solutions, 'solution_conceptualization', 'solution_explanation');
+  if (solutions.length > 0) {
+    sections.push({ heading: titles.advisorSolutions, blocks: solutions });
+  }
+
+  const actions = content.agreed_actions || {};
+  const blocks = [];
+  if (Array.isArray(actions.immediate_actions) && actions.immediate_actions.length > 0) {
+    blocks.push({ type: 'list', items: actions.immediate_actions });
+  }
+  if (nonEmpty(actions.concrete_recommendation)) {
+    blocks.push({ type: 'paragraph', text: actions.concrete_recommendation });
+  }
+  if (blocks.length > 0) {
+    sections.push({ heading: titles.agreedActions, blocks });
+  }
+
+  return sections;
+}
+
+/**
+ * Advisor report sections (topics, time breakdown, quality metrics, feedback)
+ */
+function buildAdvisorSections(content, titles) {
+  const sections = [];
+
+  if (Array.isArray(content.topics) && content.topics.length > 0) {
+    sections.push({
+      heading: titles.topics,
+      blocks: [{
+        type: 'table',
+        headers: [titles.topic, titles.subTopics, titles.timeShare],
+        rows: content.topics.map(topic => [
+          topic.topic || '',
+          (topic.sub_topics || []).join(', '),
+          formatNumber(topic.time_percentage)
+        ])
+      }]
+    });
+  }
+
+  if (content.topics_covered) {
+    sections.push({
+      heading: titles.topicsCovered,
+      blocks: [{
+        type: 'table',
+        headers: [titles.stage, titles.timeShare],
+        rows: TIME_BREAKDOWN.map(([key, label]) => [titles[label], formatNumber(content.topics_covered[key])])
+      }]
+    });
+  }
+
+  const criteria = SCORED_CRITERIA.filter(key => content[key]);
+  if (criteria.length > 0 || content.client_readiness_score !== undefined) {
+    const blocks = [{
+      type: 'table',
+      headers: [titles.criterion, titles.score],
+      rows: [
+        ...criteria.map(key => [titles[key], `${formatNumber(content[key].score)} / 5`]),
+        ...(content.client_readiness_score !== undefined
+          ? [[titles.clientReadiness, `${formatNumber(content.client_readiness_score)} / 100`]]
+          : [])
+      ]
+    }];
+
+    criteria.forEach(key => {
+      blocks.push({ type: 'subheading', text: titles[key] });
+      if (nonEmpty(content[key].description)) {
+        blocks.push({ type: 'paragraph', text: content[key].description });
+      }
+      if (nonEmpty(content[key].supporting_quote)) {
+        blocks.push({ type: 'quote', text: content[key].supporting_quote });
+      }
+    });
+
+    sections.push({ heading: titles.qualityMetrics, blocks });
+  }
+
+  [['things_to_preserve', 'thingsToPreserve'], ['needs_improvement', 'needsImprovement']].forEach(([key, label]) => {
+    if (Array.isArray(content[key]) && content[key].length > 0) {
+      sections.push({
+        heading: titles[label],
+        blocks: content[key].flatMap(item => [
+          { type: 'paragraph', text: item.title, bold: true },
+          ...(nonEmpty(item.description) ? [{ type: 'paragraph', text: item.description }] : [])
+        ])
+      });
+    }
+  });
+
+  return sections;
+}
+
+function formatNumber(value) {
+  return typeof value === 'number' ? String(Math.round(value * 10) / 10) : '';
+}
+
+/**
+ * Build the outline of an advisor or client report
+ * @param {Object} report - Report row (type, content)
+ * @param {Object} session - Session with adviser (and transcription_metadata for the language)
+ * @param {Object} client - Client row
+ */
+function buildReportDocument(report, session, client) {
+  const content = parseContent(report);
+  const isHebrew = detectLanguage(session) === 'hebrew';
+  const titles = getLocalizedTitles(isHebrew);
+  const isAdvisor = report.type === 'adviser';
+
+  let sections;
+  if (isAdvisor) {
+    sections = buildAdvisorSections(content, titles);
+  } else if (content.key_insights && content.action_items) {
+    sections = buildClientSections(content, titles, isHebrew);
+  } else {
+    sections = buildLegacyClientSections(content, titles);
+  }
+
+  const sessionDate = session?.created_at
+    ? new Date(session.created_at).toLocaleDateString(isHebrew ? 'he-IL' : 'en-GB')
+    : '';
+
+  const meta = [
+    { label: titles.date, value: sessionDate },
+    { label: titles.adviser, value: session?.adviser?.name || '' },
+    { label: titles.email, value: session?.adviser?.email || '' },
+    { label: titles.phone, value: session?.adviser?.phone || '' }
+  ].filter(item => item.value);
+
+  return {
+    language: isHebrew ? 'he' : 'en',
+    isHebrew,
+    dir: isHebrew ? 'rtl' : 'ltr',
+    title: isAdvisor ? titles.advisorReport : titles.clientReport,
+    subtitle: client?.name || '',
+    meta,
+    sections
+  };
+}
+
+module.exports = {
+  buildReportDocument
+};
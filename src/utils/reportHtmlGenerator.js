@@ -1,16 +1,44 @@
 /**
  * Utility for generating HTML from report content
- * This creates a complete HTML document with inline CSS for client reports
+ * This creates a complete HTML document with inline CSS for client and advisor reports
  */
 
+const { escapeHtml } = require('./emailTemplates');
+
+const DEFAULT_LOGO_URL = 'https://res.cloudinary.com/demo/image/upload/mati/logo-full.png';
+
+// Topic pie slice colours, in topic order
+const CHART_COLORS = ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#64748b'];
+
+// Advisor report topics_covered keys (with their title keys) in display order
+const TIME_BREAKDOWN = [
+  ['introducing_advisor_percentage', 'introducingAdvisor'],
+  ['introducing_mati_percentage', 'introducingMati'],
+  ['opening_percentage', 'opening'],
+  ['collecting_info_percentage', 'collectingInfo'],
+  ['actual_content_percentage', 'actualContent']
+];
+
+// Advisor report criteria scored 0-5
+const SCORED_CRITERIA = ['listening', 'clarity', 'continuation'];
+
+// Content-Security-Policy for rendered reports: inline styles, https/data images and the embedded fonts only -
+// no scripts, frames, forms or local files, whatever ends up in the report text
+const REPORT_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:; font-src data:; base-uri 'none'; form-action 'none'; frame-ancestors 'none'";
+
 /**
- * Generate HTML for a client report
+ * Generate HTML for a report (advisor reports use generateAdvisorReportHtml)
  * @param {Object} report - The report object from the database
  * @param {Object} session - The session object with client and adviser info
  * @param {Object} client - The client object
+ * @param {Object} theme - Report theme row (branding); null renders the built-in look
  * @returns {String} Complete HTML document as a string
  */
-function generateReportHtml(report, session, client) {
+function generateReportHtml(report, session, client, theme = null) {
+  if (report?.type === 'adviser') {
+    return generateAdvisorReportHtml(report, session, client, theme);
+  }
+
   try {
     // Parse report content if it's a string
     const content = typeof report.content === 'string' 
@@ -41,7 +69,7 @@ function generateReportHtml(report, session, client) {
       <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${client?.name || 'Client'} Report - ${sessionDate}</title>
+        <title>${escapeHtml(client?.name || 'Client')} Report - ${sessionDate}</title>
         <style>
           body {
             font-family: ${isHebrew ? '"Segoe UI", Tahoma, Arial, sans-serif' : 'Arial, sans-serif'};
@@ -180,13 +208,15 @@ function generateReportHtml(report, session, client) {
             }
           }
         </style>
+        ${generateThemeStyles(theme, isHebrew)}
       </head>
       <body>
+        ${generateThemeHeader(theme)}
         <!-- Professional Header -->
         <div class="document-header">
           <div class="header-left">
-            <h1 class="report-title">${titles.clientReport}</h1>
-            ${client?.name ? `<h2 class="client-name">${client.name}</h2>` : ''}
+            <h1 class="report-title">${escapeHtml(titles.clientReport)}</h1>
+            ${client?.name ? `<h2 class="client-name">${escapeHtml(client.name)}</h2>` : ''}
             <div class="report-meta">
               <div class="meta-item">
                 <span class="meta-label">Date:</span>
@@ -194,31 +224,32 @@ function generateReportHtml(report, session, client) {
               </div>
               <div class="meta-item">
                 <span class="meta-label">Adviser:</span>
-                <span class="meta-value">${session?.adviser?.name || 'N/A'}</span>
+                <span class="meta-value">${escapeHtml(session?.adviser?.name || 'N/A')}</span>
               </div>
               ${session?.adviser?.email ? `
               <div class="meta-item">
                 <span class="meta-label">Email:</span>
-                <span class="meta-value">${session.adviser.email}</span>
+                <span class="meta-value">${escapeHtml(session.adviser.email)}</span>
               </div>
               ` : ''}
               ${session?.adviser?.phone ? `
               <div class="meta-item">
                 <span class="meta-label">Phone:</span>
-                <span class="meta-value">${session.adviser.phone}</span>
+                <span class="meta-value">${escapeHtml(session.adviser.phone)}</span>
               </div>
               ` : ''}
             </div>
           </div>
           <div class="header-right">
             <!-- Logo would be embedded as base64 in production -->
-            <img src="https://res.cloudinary.com/demo/image/upload/mati/logo-full.png" alt="MATI" class="mati-logo" />
+            <img src="${escapeHtml(theme?.logo_url || DEFAULT_LOGO_URL)}" alt="${escapeHtml(theme?.name || 'MATI')}" class="mati-logo" />
           </div>
         </div>
         
         <div class="document-content">
           ${isNewStructure ? generateNewStructureContent(content, titles, isHebrew) : generateLegacyStructureContent(content, titles)}
         </div>
+        ${generateThemeFooter(theme)}
       </body>
       </html>
     `;
@@ -242,7 +273,7 @@ function generateNewStructureContent(content, titles, isHebrew = false) {
       <div class="content-section">
         <h5>${titles.generalSummary}</h5>
         <div class="content-preview">
-          <p>${content.general_summary}</p>
+          <p>${escapeHtml(content.general_summary)}</p>
         </div>
       </div>
     `;
@@ -273,7 +304,7 @@ function generateNewStructureContent(content, titles, isHebrew = false) {
       html += `
         <div class="category-group">
           <div class="category-header">
-            <h6><strong>${translateCategory(category, isHebrew)}</strong></h6>
+            <h6><strong>${escapeHtml(translateCategory(category, isHebrew))}</strong></h6>
           </div>
           <div class="category-insights">
       `;
@@ -282,7 +313,7 @@ function generateNewStructureContent(content, titles, isHebrew = false) {
         html += `
           <div class="insight-item">
             <div class="insight-content">
-              <p>• ${insight.content}</p>
+              <p>• ${escapeHtml(insight.content)}</p>
             </div>
         `;
         
@@ -330,7 +361,7 @@ function generateNewStructureContent(content, titles, isHebrew = false) {
       html += `
         <div class="action-item">
           <div class="action-task">
-            <strong>${item.task}</strong>
+            <strong>${escapeHtml(item.task)}</strong>
           </div>
         </div>
       `;
@@ -348,7 +379,7 @@ function generateNewStructureContent(content, titles, isHebrew = false) {
       <div class="content-section">
         <h5>${titles.targetSummary}</h5>
         <div class="content-preview">
-          <p>${content.target_summary}</p>
+          <p>${escapeHtml(content.target_summary)}</p>
         </div>
       </div>
     `;
@@ -369,7 +400,7 @@ function generateLegacyStructureContent(content, titles) {
       <div class="content-section">
         <h5>${titles.executiveSummary}</h5>
         <div class="content-preview">
-          <p>${content.executive_summary}</p>
+          <p>${escapeHtml(content.executive_summary)}</p>
         </div>
       </div>
     `;
@@ -387,8 +418,8 @@ function generateLegacyStructureContent(content, titles) {
       content.entrepreneur_needs.forEach(need => {
         html += `
           <div class="need-item">
-            <strong>${need.need_conceptualization}</strong>
-            <p>${need.need_explanation}</p>
+            <strong>${escapeHtml(need.need_conceptualization)}</strong>
+            <p>${escapeHtml(need.need_explanation)}</p>
         `;
         
         if (need.supporting_quotes && need.supporting_quotes.length > 0) {
@@ -399,7 +430,7 @@ function generateLegacyStructureContent(content, titles) {
           `;
           
           need.supporting_quotes.forEach(quote => {
-            html += `<li>"${quote}"</li>`;
+            html += `<li>"${escapeHtml(quote)}"</li>`;
           });
           
           html += `
@@ -414,8 +445,8 @@ function generateLegacyStructureContent(content, titles) {
       if (content.entrepreneur_needs.need_conceptualization) {
         html += `
           <div class="need-item">
-            <strong>${content.entrepreneur_needs.need_conceptualization}</strong>
-            <p>${content.entrepreneur_needs.need_explanation || ''}</p>
+            <strong>${escapeHtml(content.entrepreneur_needs.need_conceptualization)}</strong>
+            <p>${escapeHtml(content.entrepreneur_needs.need_explanation)}</p>
           </div>
         `;
       }
@@ -428,7 +459,7 @@ function generateLegacyStructureContent(content, titles) {
         `;
         
         content.entrepreneur_needs.supporting_quotes.forEach(quote => {
-          html += `<li>"${quote}"</li>`;
+          html += `<li>"${escapeHtml(quote)}"</li>`;
         });
         
         html += `
@@ -456,8 +487,8 @@ function generateLegacyStructureContent(content, titles) {
       content.advisor_solutions.forEach(solution => {
         html += `
           <div class="solution-item">
-            <strong>${solution.solution_conceptualization}</strong>
-            <p>${solution.solution_explanation}</p>
+            <strong>${escapeHtml(solution.solution_conceptualization)}</strong>
+            <p>${escapeHtml(solution.solution_explanation)}</p>
         `;
         
         if (solution.supporting_quotes && solution.supporting_quotes.length > 0) {
@@ -468,7 +499,7 @@ function generateLegacyStructureContent(content, titles) {
           `;
           
           solution.supporting_quotes.forEach(quote => {
-            html += `<li>"${quote}"</li>`;
+            html += `<li>"${escapeHtml(quote)}"</li>`;
           });
           
           html += `
@@ -483,8 +514,8 @@ function generateLegacyStructureContent(content, titles) {
       if (content.advisor_solutions.solution_conceptualization) {
         html += `
           <div class="solution-item">
-            <strong>${content.advisor_solutions.solution_conceptualization}</strong>
-            <p>${content.advisor_solutions.solution_explanation || ''}</p>
+            <strong>${escapeHtml(content.advisor_solutions.solution_conceptualization)}</strong>
+            <p>${escapeHtml(content.advisor_solutions.solution_explanation)}</p>
           </div>
         `;
       }
@@ -497,7 +528,7 @@ function generateLegacyStructureContent(content, titles) {
         `;
         
         content.advisor_solutions.supporting_quotes.forEach(quote => {
-          html += `<li>"${quote}"</li>`;
+          html += `<li>"${escapeHtml(quote)}"</li>`;
         });
         
         html += `
@@ -533,7 +564,7 @@ function generateLegacyStructureContent(content, titles) {
         `;
         
         content.agreed_actions.immediate_actions.forEach(action => {
-          html += `<li>${action}</li>`;
+          html += `<li>${escapeHtml(action)}</li>`;
         });
         
         html += `
@@ -546,7 +577,7 @@ function generateLegacyStructureContent(content, titles) {
         html += `
           <div class="actions-item">
             <strong>Concrete Recommendation</strong>
-            <p>${content.agreed_actions.concrete_recommendation}</p>
+            <p>${escapeHtml(content.agreed_actions.concrete_recommendation)}</p>
           </div>
         `;
       }
@@ -561,6 +592,271 @@ function generateLegacyStructureContent(content, titles) {
   return html;
 }
 
+/**
+ * Generate HTML for an advisor report (coaching view: topic time pie, score bars, feedback)
+ * Charts are inline SVG so the document prints and converts to PDF without scripts or images
+ * @param {Object} report - The advisor report object from the database
+ * @param {Object} session - The session object with client and adviser info
+ * @param {Object} client - The client object
+ * @param {Object} theme - Report theme row (branding); null renders the built-in look
+ * @returns {String} Complete HTML document as a string
+ */
+function generateAdvisorReportHtml(report, session, client, theme = null) {
+  try {
+    const content = typeof report.content === 'string'
+      ? JSON.parse(report.content)
+      : report.content;
+
+    if (!content) {
+      throw new Error('Report content is empty or invalid');
+    }
+
+    const isHebrew = detectLanguage(session) === 'hebrew';
+    const titles = getLocalizedTitles(isHebrew);
+    const start = isHebrew ? 'right' : 'left';
+    const end = isHebrew ? 'left' : 'right';
+    const sessionDate = new Date(session?.created_at).toLocaleDateString(isHebrew ? 'he-IL' : 'en-GB');
+
+    const meta = [
+      [titles.date, sessionDate],
+      [titles.adviser, session?.adviser?.name],
+      [titles.email, session?.adviser?.email]
+    ].filter(([, value]) => value);
+
+    const criteria = SCORED_CRITERIA.filter(key => content[key]);
+
+    return `
+      <!DOCTYPE html>
+      <html lang="${isHebrew ? 'he' : 'en'}" dir="${isHebrew ? 'rtl' : 'ltr'}">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(titles.advisorReport)} - ${escapeHtml(client?.name || '')} - ${sessionDate}</title>
+        <style>
+          body {
+            font-family: ${isHebrew ? '"Segoe UI", Tahoma, Arial, sans-serif' : 'Arial, sans-serif'};
+            line-height: 1.6;
+            color: #333;
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 20px;
+            text-align: ${start};
+            direction: ${isHebrew ? 'rtl' : 'ltr'};
+          }
+          .document-header {
+            margin-bottom: 1.5rem;
+            padding-bottom: 1rem;
+            border-bottom: 2px solid #000000;
+          }
+          .report-title { font-size: 1.8rem; font-weight: 700; color: #000000; margin: 0 0 0.5rem; }
+          .client-name { font-size: 1.3rem; font-weight: 600; color: #000000; margin: 0 0 1rem; }
+          .meta-label { font-weight: 600; color: #000000; }
+          .content-section { margin-bottom: 2rem; page-break-inside: avoid; }
+          h5 {
+            font-size: 1.5rem;
+            font-weight: 600;
+            color: #000000;
+            margin: 0 0 1rem;
+            padding-bottom: 0.5rem;
+            border-bottom: 1px solid #000000;
+            page-break-after: avoid;
+          }
+          h6 { font-size: 1.1rem; font-weight: 600; margin: 1rem 0 0.25rem; }
+          .chart-row { display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.5rem; }
+          .chart-label { width: 30%; }
+          .chart-bar { flex: 1; }
+          .chart-value { width: 4.5rem; text-align: ${end}; font-weight: 600; white-space: nowrap; }
+          .pie-layout { display: flex; align-items: center; gap: 2rem; }
+          .legend { list-style: none; margin: 0; padding: 0; }
+          .legend li { margin-bottom: 0.35rem; }
+          .swatch { display: inline-block; width: 0.8rem; height: 0.8rem; border-radius: 2px; margin-${end}: 0.5rem; vertical-align: middle; }
+          .sub-topics { color: #666; font-size: 0.9rem; }
+          .supporting-quote { color: #555; font-style: italic; margin: 0.25rem 1rem 0.75rem; }
+          .feedback-item { margin-bottom: 0.75rem; }
+          .mati-logo { height: 60px; width: auto; float: ${end}; }
+          @media print {
+            body { font-size: 12pt; }
+            svg { print-color-adjust: exact; -webkit-print-color-adjust: exact; }
+          }
+        </style>
+        ${generateThemeStyles(theme, isHebrew)}
+      </head>
+      <body>
+        ${generateThemeHeader(theme)}
+        <div class="document-header">
+          ${theme?.logo_url ? `<img src="${escapeHtml(theme.logo_url)}" alt="${escapeHtml(theme.name)}" class="mati-logo" />` : ''}
+          <h1 class="report-title">${escapeHtml(titles.advisorReport)}</h1>
+          ${client?.name ? `<h2 class="client-name">${escapeHtml(client.name)}</h2>` : ''}
+          ${meta.map(([label, value]) => `<div><span class="meta-label">${escapeHtml(label)}:</span> ${escapeHtml(value)}</div>`).join('\n          ')}
+        </div>
+
+        <div class="document-content">
+          ${criteria.length > 0 || typeof content.client_readiness_score === 'number' ? `
+          <div class="content-section">
+            <h5>${escapeHtml(titles.qualityMetrics)}</h5>
+            ${criteria.map(key => renderBarRow(titles[key], content[key].score, 5, isHebrew)).join('')}
+            ${typeof content.client_readiness_score === 'number'
+              ? renderBarRow(titles.clientReadiness, content.client_readiness_score, 100, isHebrew)
+              : ''}
+            ${criteria.map(key => `
+            <h6>${escapeHtml(titles[key])}</h6>
+            ${content[key].description ? `<p>${escapeHtml(content[key].description)}</p>` : ''}
+            ${content[key].supporting_quote?.trim() ? `<div class="supporting-quote">"${escapeHtml(content[key].supporting_quote)}"</div>` : ''}
+            `).join('')}
+          </div>` : ''}
+
+          ${Array.isArray(content.topics) && content.topics.length > 0 ? `
+          <div class="content-section">
+            <h5>${escapeHtml(titles.topics)}</h5>
+            ${renderTopicsPie(content.topics)}
+          </div>` : ''}
+
+          ${content.topics_covered ? `
+          <div class="content-section">
+            <h5>${escapeHtml(titles.topicsCovered)}</h5>
+            ${TIME_BREAKDOWN.map(([key, label]) => renderBarRow(titles[label], content.topics_covered[key], 100, isHebrew, '%')).join('')}
+          </div>` : ''}
+
+          ${['thingsToPreserve', 'needsImprovement'].map(titleKey => {
+            const items = content[titleKey === 'thingsToPreserve' ? 'things_to_preserve' : 'needs_improvement'];
+            if (!Array.isArray(items) || items.length === 0) return '';
+            return `
+          <div class="content-section">
+            <h5>${escapeHtml(titles[titleKey])}</h5>
+            ${items.map(item => `
+            <div class="feedback-item">
+              <strong>${escapeHtml(item.title)}</strong>
+              ${item.description ? `<div>${escapeHtml(item.description)}</div>` : ''}
+            </div>`).join('')}
+          </div>`;
+          }).join('')}
+        </div>
+        ${generateThemeFooter(theme)}
+      </body>
+      </html>
+    `;
+  } catch (error) {
+    console.error('Error generating advisor report HTML:', error);
+    return generateErrorHtml(report, session, client, error);
+  }
+}
+
+/**
+ * One labelled horizontal bar (value out of max); RTL bars grow from the right
+ */
+function renderBarRow(label, value, max, isHebrew, unit = null) {
+  const number = typeof value === 'number' ? Math.min(Math.max(value, 0), max) : 0;
+  const width = 300;
+  const filled = Math.round((number / max) * width);
+  const color = getScoreColor(number / max);
+  const shown = Math.round(number * 10) / 10;
+
+  return `
+            <div class="chart-row">
+              <div class="chart-label">${escapeHtml(label)}</div>
+              <svg class="chart-bar" viewBox="0 0 ${width} 16" preserveAspectRatio="none" height="16" role="img" aria-label="${escapeHtml(label)}: ${shown}">
+                <rect x="0" y="0" width="${width}" height="16" rx="3" fill="#e5e7eb"/>
+                <rect x="${isHebrew ? width - filled : 0}" y="0" width="${filled}" height="16" rx="3" fill="${color}"/>
+              </svg>
+              <div class="chart-value" dir="ltr">${unit ? `${shown}${unit}` : `${shown} / ${max}`}</div>
+            </div>`;
+}
+
+/**
+ * Pie of the share of meeting time per topic, with an HTML legend (keeps Hebrew labels out of the SVG)
+ */
+function renderTopicsPie(topics) {
+  const slices = topics
+    .map((topic, index) => ({
+      topic,
+      value: typeof topic.time_percentage === 'number' && topic.time_percentage > 0 ? topic.time_percentage : 0,
+      color: CHART_COLORS[index % CHART_COLORS.length]
+    }))
+    .filter(slice => slice.value > 0);
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+
+  const radius = 80;
+  const center = 90;
+  let paths = '';
+
+  if (slices.length === 1) {
+    paths = `<circle cx="${center}" cy="${center}" r="${radius}" fill="${slices[0].color}"/>`;
+  } else {
+    let angle = -Math.PI / 2; // Start at 12 o'clock
+    slices.forEach(slice => {
+      const sweep = (slice.value / total) * Math.PI * 2;
+      const x1 = center + radius * Math.cos(angle);
+      const y1 = center + radius * Math.sin(angle);
+      angle += sweep;
+      const x2 = center + radius * Math.cos(angle);
+      const y2 = center + radius * Math.sin(angle);
+      paths += `<path d="M${center},${center} L${x1.toFixed(2)},${y1.toFixed(2)} A${radius},${radius} 0 ${sweep > Math.PI ? 1 : 0},1 ${x2.toFixed(2)},${y2.toFixed(2)} Z" fill="${slice.color}" stroke="#ffffff" stroke-width="1"/>`;
+    });
+  }
+
+  const legend = topics.map((topic, index) => `
+                <li>
+                  <span class="swatch" style="background:${CHART_COLORS[index % CHART_COLORS.length]}"></span>
+                  <strong>${escapeHtml(topic.topic)}</strong> <span dir="ltr">${Math.round((topic.time_percentage || 0) * 10) / 10}%</span>
+                  ${Array.isArray(topic.sub_topics) && topic.sub_topics.length > 0
+                    ? `<div class="sub-topics">${topic.sub_topics.map(escapeHtml).join(', ')}</div>`
+                    : ''}
+                </li>`).join('');
+
+  return `
+            <div class="pie-layout">
+              ${total > 0 ? `<svg width="180" height="180" viewBox="0 0 180 180" role="img">${paths}</svg>` : ''}
+              <ul class="legend">${legend}
+              </ul>
+            </div>`;
+}
+
+/**
+ * Red / amber / green by share of the maximum
+ */
+function getScoreColor(ratio) {
+  if (ratio >= 0.7) return '#10b981';
+  if (ratio >= 0.4) return '#f59e0b';
+  return '#ef4444';
+}
+
+/**
+ * Theme overrides for the built-in styles (colours, font, header/footer blocks)
+ * Colours and the font stack are validated when the theme is saved (ReportThemeService)
+ */
+function generateThemeStyles(theme, isHebrew = false) {
+  if (!theme) {
+    return '';
+  }
+
+  return `
+        <style>
+          body { color: ${theme.text_color}; ${theme.font_family ? `font-family: ${theme.font_family}, ${isHebrew ? 'Tahoma, ' : ''}Arial, sans-serif;` : ''} }
+          .report-title, .client-name, .meta-label, h5, h6 { color: ${theme.primary_color}; }
+          .document-header { border-bottom-color: ${theme.primary_color}; }
+          h5 { border-bottom-color: ${theme.accent_color}; }
+          .theme-header { color: ${theme.primary_color}; font-weight: 600; margin-bottom: 1rem; }
+          .theme-footer { margin-top: 2rem; padding-top: 1rem; border-top: 1px solid ${theme.accent_color}; font-size: 0.85rem; color: #555; }
+          .theme-disclaimer { margin-top: 0.5rem; font-size: 0.75rem; color: #777; }
+        </style>`;
+}
+
+function generateThemeHeader(theme) {
+  return theme?.header_text ? `<div class="theme-header">${escapeHtml(theme.header_text)}</div>` : '';
+}
+
+function generateThemeFooter(theme) {
+  if (!theme?.footer_text && !theme?.disclaimer) {
+    return '';
+  }
+
+  return `
+        <div class="theme-footer">
+          ${theme.footer_text ? `<div>${escapeHtml(theme.footer_text)}</div>` : ''}
+          ${theme.disclaimer ? `<div class="theme-disclaimer">${escapeHtml(theme.disclaimer)}</div>` : ''}
+        </div>`;
+}
+
 /**
  * Generate error HTML when report generation fails
  */
@@ -601,13 +897,13 @@ function generateErrorHtml(report, session, client, error) {
       <h1>Error Generating Report</h1>
       <div class="error-container">
         <div class="error-title">An error occurred while generating the report:</div>
-        <div class="error-message">${error.message}</div>
+        <div class="error-message">${escapeHtml(error.message)}</div>
       </div>
       <p>Please contact support with the following information:</p>
       <ul>
-        <li>Report ID: ${report?.id || 'Unknown'}</li>
-        <li>Session ID: ${session?.id || 'Unknown'}</li>
-        <li>Client: ${client?.name || 'Unknown'}</li>
+        <li>Report ID: ${escapeHtml(report?.id || 'Unknown')}</li>
+        <li>Session ID: ${escapeHtml(session?.id || 'Unknown')}</li>
+        <li>Client: ${escapeHtml(client?.name || 'Unknown')}</li>
         <li>Time: ${new Date().toISOString()}</li>
       </ul>
     </body>
@@ -722,12 +1018,37 @@ function getLocalizedTitles(isHebrew) {
       owner: 'אחראי',
       deadline: 'מועד יעד',
       status: 'סטטוס',
+      task: 'משימה',
       
       // Meta labels
       date: 'תאריך',
       adviser: 'יועץ',
       email: 'אימייל',
-      phone: 'טלפון'
+      phone: 'טלפון',
+
+      // Advisor report
+      advisorReport: 'דוח יועץ',
+      topics: 'נושאים שנדונו',
+      topic: 'נושא',
+      subTopics: 'תתי נושאים',
+      timeShare: 'זמן (%)',
+      topicsCovered: 'חלוקת זמן הפגישה',
+      stage: 'שלב',
+      introducingAdvisor: 'הצגת היועץ',
+      introducingMati: 'הצגת מעתי',
+      opening: 'פתיחה',
+      collectingInfo: 'איסוף מידע',
+      actualContent: 'תוכן מהותי',
+      qualityMetrics: 'מדדי איכות',
+      criterion: 'מדד',
+      score: 'ציון',
+      listening: 'הקשבה',
+      clarity: 'בהירות',
+      continuation: 'המשכיות',
+      clientReadiness: 'מוכנות הלקוח',
+      thingsToPreserve: 'דברים לשמר',
+      needsImprovement: 'נקודות לשיפור',
+      supportingQuote: 'ציטוט תומך'
     };
   } else {
     return {
@@ -749,12 +1070,37 @@ function getLocalizedTitles(isHebrew) {
       owner: 'Owner',
       deadline: 'Deadline',
       status: 'Status',
+      task: 'Task',
       
       // Meta labels
       date: 'Date',
       adviser: 'Adviser',
       email: 'Email',
-      phone: 'Phone'
+      phone: 'Phone',
+
+      // Advisor report
+      advisorReport: 'Advisor Report',
+      topics: 'Topics Discussed',
+      topic: 'Topic',
+      subTopics: 'Sub-topics',
+      timeShare: 'Time (%)',
+      topicsCovered: 'Meeting Time Breakdown',
+      stage: 'Stage',
+      introducingAdvisor: 'Introducing the advisor',
+      introducingMati: 'Introducing MATI',
+      opening: 'Opening',
+      collectingInfo: 'Collecting information',
+      actualContent: 'Actual content',
+      qualityMetrics: 'Quality Metrics',
+      criterion: 'Criterion',
+      score: 'Score',
+      listening: 'Listening',
+      clarity: 'Clarity',
+      continuation: 'Continuation',
+      clientReadiness: 'Client readiness',
+      thingsToPreserve: 'Things to Preserve',
+      needsImprovement: 'Needs Improvement',
+      supportingQuote: 'Supporting quote'
     };
   }
 }
@@ -792,7 +1138,7 @@ function generateActionItemsHtml(report, session, client) {
       content.action_items.forEach((item, index) => {
         html += `
   <div class="action-item">
-    <div class="task">${index + 1}. ${item.task}</div>`;
+    <div class="task">${index + 1}. ${escapeHtml(item.task)}</div>`;
         
         // Add owner, deadline, status if available
         if (item.owner || item.deadline || item.status) {
@@ -801,17 +1147,17 @@ function generateActionItemsHtml(report, session, client) {
           
           if (item.owner) {
             html += `
-      <div class="owner">${isHebrew ? 'אחראי' : 'Owner'}: ${translateOwner(item.owner, isHebrew)}</div>`;
+      <div class="owner">${isHebrew ? 'אחראי' : 'Owner'}: ${escapeHtml(translateOwner(item.owner, isHebrew))}</div>`;
           }
           
           if (item.deadline) {
             html += `
-      <div class="deadline">${isHebrew ? 'מועד יעד' : 'Deadline'}: ${item.deadline}</div>`;
+      <div class="deadline">${isHebrew ? 'מועד יעד' : 'Deadline'}: ${escapeHtml(item.deadline)}</div>`;
           }
           
           if (item.status) {
             html += `
-      <div class="status">${isHebrew ? 'סטטוס' : 'Status'}: ${translateStatus(item.status, isHebrew)}</div>`;
+      <div class="status">${isHebrew ? 'סטטוס' : 'Status'}: ${escapeHtml(translateStatus(item.status, isHebrew))}</div>`;
           }
           
           html += `
@@ -845,7 +1191,7 @@ function generateActionItemsHtml(report, session, client) {
           
           content.agreed_actions.immediate_actions.forEach(action => {
             html += `
-      <li class="action">${action}</li>`;
+      <li class="action">${escapeHtml(action)}</li>`;
           });
           
           html += `
@@ -857,7 +1203,7 @@ function generateActionItemsHtml(report, session, client) {
           html += `
   <div class="recommendation">
     <h4 class="subtitle">Recommendation</h4>
-    <p class="content">${content.agreed_actions.concrete_recommendation}</p>
+    <p class="content">${escapeHtml(content.agreed_actions.concrete_recommendation)}</p>
   </div>`;
         }
         
@@ -907,5 +1253,14 @@ function translateStatus(status, isHebrew) {
 
 module.exports = {
   generateReportHtml,
-  generateActionItemsHtml
+  generateAdvisorReportHtml,
+  generateActionItemsHtml,
+  detectLanguage,
+  getLocalizedTitles,
+  translateCategory,
+  translateOwner,
+  translateStatus,
+  TIME_BREAKDOWN,
+  SCORED_CRITERIA,
+  REPORT_CONTENT_SECURITY_POLICY
 };
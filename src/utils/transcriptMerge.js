@@ -0,0 +1,111 @@
+/**
+ * Utilities for stitching overlapping audio chunk transcripts back together
+ * Chunks are cut with a few seconds of overlap, so the same words can appear
+ * at the end of one chunk and the start of the next
+ */
+
+/**
+ * Pick cut points for chunking, preferring silences near the nominal boundaries
+ * @param {Number} duration - Total audio duration in seconds
+ * @param {Number} chunkDuration - Target chunk length in seconds
+ * @param {Array} silences - Detected silences [{ start, end }]
+ * @param {Number} searchWindow - How far (seconds) from the nominal boundary to look for a silence
+ * @returns {Array} Cut points in seconds (excluding 0 and duration)
+ */
+function chooseCutPoints(duration, chunkDuration, silences = [], searchWindow = 20) {
+  const cuts = [];
+  let previousCut = 0;
+
+  while (duration - previousCut > chunkDuration) {
+    const nominal = previousCut + chunkDuration;
+
+    // Closest silence midpoint to the nominal boundary, within the search window
+    let best = null;
+    for (const silence of silences) {
+      const midpoint = (silence.start + silence.end) / 2;
+      const distance = Math.abs(midpoint - nominal);
+
+      if (distance <= searchWindow && midpoint > previousCut + chunkDuration / 2 && (!best || distance < best.distance)) {
+        best = { midpoint, distance };
+      }
+    }
+
+    const cut = best ? best.midpoint : nominal;
+    if (duration - cut < 1) break; // Don't create a near-empty final chunk
+
+    cuts.push(Math.round(cut * 100) / 100);
+    previousCut = cut;
+  }
+
+  return cuts;
+}
+
+/**
+ * Keep only the segments whose midpoint falls inside the range a chunk owns
+ * Segments must already be offset to the full recording timeline
+ * @param {Array} segments - [{ start, end, text }]
+ * @param {Number} from - Start of owned range (inclusive)
+ * @param {Number} to - End of owned range (exclusive)
+ * @returns {Array} Segments within range
+ */
+function trimSegmentsToRange(segments = [], from, to) {
+  return segments.filter(segment => {
+    const midpoint = (segment.start + segment.end) / 2;
+    return midpoint >= from && midpoint < to;
+  });
+}
+
+/**
+ * Normalize a word for overlap comparison
+ * Strips punctuation and Hebrew niqqud/cantillation so Whisper's small variations still match
+ */
+function normalizeWord(word) {
+  return (word || '')
+    .toLowerCase()
+    .replace(/[֑-ׇ]/g, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Remove the words at the start of nextText that repeat the end of previousText
+ * @param {String} previousText - Text of the preceding chunk
+ * @param {String} nextText - Text of the following chunk
+ * @param {Object} options - { maxWords, minWords, minMatchRatio }
+ * @returns {String} nextText without the duplicated overlap
+ */
+function removeOverlapDuplication(previousText, nextText, options = {}) {
+  const { maxWords = 60, minWords = 3, minMatchRatio = 0.8 } = options;
+
+  if (!previousText || !nextText) {
+    return nextText || '';
+  }
+
+  const previousWords = previousText.trim().split(/\s+/).slice(-maxWords);
+  const nextWords = nextText.trim().split(/\s+/);
+  const previousNormalized = previousWords.map(normalizeWord);
+  const nextNormalized = nextWords.slice(0, maxWords).map(normalizeWord);
+
+  // Longest suffix/prefix match wins; allow a few mismatched words for transcription variance
+  for (let length = Math.min(previousNormalized.length, nextNormalized.length); length >= minWords; length--) {
+    const tail = previousNormalized.slice(-length);
+    let matches = 0;
+
+    for (let i = 0; i < length; i++) {
+      if (tail[i] && tail[i] === nextNormalized[i]) {
+        matches++;
+      }
+    }
+
+    if (matches / length >= minMatchRatio) {
+      return nextWords.slice(length).join(' ');
+    }
+  }
+
+  return nextText.trim();
+}
+
+module.exports = {
+  chooseCutPoints,
+  trimSegmentsToRange,
+  removeOverlapDuplication
+};
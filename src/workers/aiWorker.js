@@ -1,13 +1,16 @@
 const JobService = require('../services/jobService');
 const SessionService = require('../services/sessionService');
 const openaiService = require('../services/openaiService');
+const DiarizationService = require('../services/diarizationService');
 const ReportService = require('../services/reportService');
+const ExperimentService = require('../services/experimentService');
 const socketService = require('../services/socketService');
+const BudgetService = require('../services/budgetService');
 
 class AIWorker {
   constructor() {
     this.isRunning = false;
-    this.pollInterval = 5000; // Check for jobs every 5 seconds
+    this.pollInterval = parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 5000; // Check for jobs every 5 seconds by default
     this.currentJob = null;
   }
 
@@ -24,20 +27,14 @@ class AIWorker {
     console.log('🧹 Performing startup cleanup...');
     await this.startupCleanup();
     
-    // Check if OpenAI is configured
-    if (!openaiService.isConfigured()) {
-      console.error('❌ OpenAI API key not configured. Set OPENAI_API_KEY environment variable.');
-      return;
-    }
-
-    // Test OpenAI connection
+    // Check the configured LLM and transcription providers
     const connectionTest = await openaiService.testConnection();
     if (!connectionTest.success) {
-      console.error('❌ OpenAI connection failed:', connectionTest.error);
+      console.error('❌ AI provider check failed:', connectionTest.error);
       return;
     }
 
-    console.log(`✅ OpenAI connection successful (${connectionTest.models} models available)`);
+    console.log(`✅ AI providers ready (LLM: ${connectionTest.llm}; transcription: ${connectionTest.transcription})`);
 
     this.isRunning = true;
     this.processJobs();
@@ -110,7 +107,7 @@ class AIWorker {
       // Process based on job type
       switch (job_type) {
         case 'transcribe':
-          await this.processTranscriptionJob(job_id, session_id, payload);
+          await this.processTranscriptionJob(job_id, session_id, payload, job.result);
           break;
         
         case 'generate_reports':
@@ -121,6 +118,14 @@ class AIWorker {
           await this.processReportRegenerationJob(job_id, session_id, payload);
           break;
         
+        case 'send_email':
+          await this.processSendEmailJob(job_id, session_id, payload, job);
+          break;
+        
+        case 'update_crm':
+          await this.processCrmUpdateJob(job_id, payload);
+          break;
+        
         default:
           throw new Error(`Unknown job type: ${job_type}`);
       }
@@ -139,13 +144,32 @@ class AIWorker {
       // Mark job as failed (with retry logic)
       await JobService.markJobFailed(job_id, error.message);
     }
+
+    await this.checkBudgetAlerts(job_type, session_id);
+  }
+
+  /**
+   * Announce budget thresholds crossed by an AI job's usage (once per job, whether it succeeded or not)
+   */
+  async checkBudgetAlerts(jobType, sessionId) {
+    if (BudgetService.getJobMetrics(jobType).length === 0) {
+      return;
+    }
+
+    try {
+      const session = sessionId ? await SessionService.getSessionById(sessionId, null, 'admin') : null;
+      await BudgetService.checkAlerts(session?.adviser_id || null);
+    } catch (error) {
+      console.error(`❌ Budget alert check after ${jobType} job failed:`, error.message);
+    }
   }
 
   /**
    * Process transcription job
+   * previousResult holds chunk progress from an earlier attempt, so a retry only redoes failed chunks
    */
-  async processTranscriptionJob(jobId, sessionId, payload) {
-    const { file_url, file_name, file_type } = payload;
+  async processTranscriptionJob(jobId, sessionId, payload, previousResult = null) {
+    const { file_url, file_name, file_type, transcription_provider } = payload;
 
     try {
       // Get session info to find the user
@@ -163,11 +187,35 @@ class AIWorker {
       // Note: Removed transcription_started socket emission - using static processing display
 
       // Determine language (you can make this configurable)
-      const transcriptionOptions = {};
+      // Provider: job payload override, then the client's requirement (e.g. on-premise only), then the deployment default
+      const transcriptionOptions = {
+        provider: transcription_provider || session.client?.metadata?.transcription_provider,
+        usageContext: this.getUsageContext(session, jobId)
+      };
       
       // If Hebrew content is expected, specify language
       // transcriptionOptions.language = 'he';
 
+      // Persist chunk results against the job as they complete
+      const progress = {
+        chunk_plan: previousResult?.transcription_progress?.chunk_plan || null,
+        chunks: previousResult?.transcription_progress?.chunks || []
+      };
+      const saveProgress = () => JobService.updateJob(jobId, {
+        result: { transcription_progress: progress }
+      });
+
+      transcriptionOptions.resume = progress.chunk_plan ? progress : null;
+      transcriptionOptions.onChunkPlan = async (plan) => {
+        progress.chunk_plan = plan;
+        progress.chunks = [];
+        await saveProgress();
+      };
+      transcriptionOptions.onChunkComplete = async (chunkResult) => {
+        progress.chunks.push(chunkResult);
+        await saveProgress();
+      };
+
       // Call OpenAI Whisper (removed socket support for chunked progress)
       const transcriptionResult = await openaiService.transcribeAudio(
         file_url, 
@@ -177,6 +225,9 @@ class AIWorker {
 
       console.log(`✅ Transcription completed for session ${sessionId}`);
 
+      // Tag transcript segments as adviser or client (non-fatal - reports fall back to the plain transcript)
+      const diarization = await this.diarizeTranscript(session, transcriptionResult, this.getUsageContext(session, jobId));
+
       // Update session with transcript and status
       await SessionService.updateSession(sessionId, {
         status: 'transcribed',
@@ -185,9 +236,12 @@ class AIWorker {
           language: transcriptionResult.language,
           duration: transcriptionResult.duration,
           model: transcriptionResult.metadata.model,
+          provider: transcriptionResult.metadata.provider,
           processing_time_ms: transcriptionResult.metadata.processing_time_ms,
           transcribed_at: transcriptionResult.metadata.transcribed_at,
-          mock_mode: transcriptionResult.metadata.mock_mode || false
+          mock_mode: transcriptionResult.metadata.mock_mode || false,
+          segments: transcriptionResult.segments || [],
+          ...diarization
         },
         processing_metadata: {
           transcription_completed_at: new Date().toISOString(),
@@ -236,22 +290,120 @@ class AIWorker {
     }
   }
 
+  /**
+   * Run speaker diarization on the transcription segments
+   * Returns the transcription_metadata fields to store (empty when diarization is unavailable)
+   */
+  async diarizeTranscript(session, transcriptionResult, usageContext = {}) {
+    if (!transcriptionResult.segments || transcriptionResult.segments.length === 0) {
+      console.log(`⚠️ No transcript segments for session ${session.id}, skipping diarization`);
+      return {};
+    }
+
+    try {
+      const result = await DiarizationService.diarizeSegments(transcriptionResult.segments, {
+        sessionContext: {
+          clientName: session.client?.name,
+          adviserName: session.adviser?.name,
+          businessDomain: session.client?.metadata?.business_domain
+        },
+        language: transcriptionResult.language,
+        usageContext
+      });
+
+      return {
+        speaker_segments: result.turns,
+        speaker_stats: result.stats,
+        diarization: result.metadata
+      };
+
+    } catch (error) {
+      console.error(`❌ Diarization failed for session ${session.id}:`, error.message);
+      return {
+        diarization: {
+          error: error.message,
+          failed_at: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  /**
+   * Get the transcript and speaker options to feed into report generation
+   * Uses the speaker-labelled transcript when diarization succeeded
+   */
+  getReportTranscript(session, transcript) {
+    const turns = session.transcription_metadata?.speaker_segments;
+
+    if (!Array.isArray(turns) || turns.length === 0) {
+      return { transcript, speakerOptions: {} };
+    }
+
+    return {
+      transcript: DiarizationService.formatLabelledTranscript(turns, {
+        adviserName: session.adviser?.name,
+        clientName: session.client?.name
+      }),
+      speakerOptions: {
+        speakerLabelled: true,
+        speakerStats: session.transcription_metadata.speaker_stats
+      }
+    };
+  }
+
   /**
    * Create report generation job after successful transcription
    */
   async createReportGenerationJob(sessionId, transcript) {
     try {
+      // The session was accepted when its transcription was queued: an exhausted budget defers its reports, never drops them
       const reportJob = await JobService.createJob({
         session_id: sessionId,
         type: 'generate_reports',
         payload: {
           transcript: transcript
         },
-        priority: 8 // Lower priority than transcription
+        priority: 8, // Lower priority than transcription
+        defer_on_exhausted: true
       });
 
+      if (reportJob.payload?.budget_deferred) {
+        const session = await SessionService.getSessionById(sessionId, null, 'admin');
+        socketService.sendToUser(session.adviser_id, 'processing_deferred', {
+          sessionId,
+          message: 'Monthly AI budget exhausted - reports will be generated when the next budget period starts',
+          scheduledAt: reportJob.scheduled_at
+        });
+      }
+
     } catch (error) {
       console.error(`❌ Failed to create report generation job for session ${sessionId}:`, error);
+
+      // Without a report job the session would stay 'transcribed' forever
+      try {
+        const session = await SessionService.getSessionById(sessionId, null, 'admin');
+
+        await SessionService.updateSession(sessionId, {
+          status: 'failed',
+          processing_metadata: {
+            report_generation_error: error.message,
+            report_generation_failed_at: new Date().toISOString()
+          }
+        }, session.adviser_id, 'advisor');
+
+        const notification = {
+          sessionId,
+          message: 'Report generation could not be queued',
+          error: error.message
+        };
+        socketService.sendToUser(session.adviser_id, 'processing_error', notification);
+        if (socketService.io) {
+          socketService.sendToRole('admin', 'processing_error', notification); // Standalone workers have no socket server
+        }
+
+      } catch (updateError) {
+        console.error('Failed to update session after report job creation error:', updateError);
+      }
     }
   }
 
@@ -293,14 +445,23 @@ class AIWorker {
         fileSize: session.file_size
       };
 
-      const advisorReport = await openaiService.generateReport(transcript, 'advisor', {
+      const reportInput = this.getReportTranscript(session, transcript);
+      const experiment = await this.getExperimentAssignment(sessionId, true);
+
+      const advisorReport = await openaiService.generateReport(reportInput.transcript, 'advisor', {
         sessionContext,
-        language: session.transcription_metadata?.language
+        language: session.transcription_metadata?.language,
+        ...reportInput.speakerOptions,
+        ...ExperimentService.getGenerationOptions(experiment?.variant),
+        usageContext: this.getUsageContext(session, jobId)
       });
 
-      const clientReport = await openaiService.generateReport(transcript, 'client', {
+      const clientReport = await openaiService.generateReport(reportInput.transcript, 'client', {
         sessionContext,
-        language: session.transcription_metadata?.language
+        language: session.transcription_metadata?.language,
+        ...reportInput.speakerOptions,
+        ...ExperimentService.getGenerationOptions(experiment?.variant),
+        usageContext: this.getUsageContext(session, jobId)
       });
 
       console.log(`✅ Both advisor and client reports generated for session ${sessionId}`);
@@ -317,10 +478,14 @@ class AIWorker {
         content: advisorContentString,
         generation_metadata: {
           model: advisorReport.metadata.model,
+          provider: advisorReport.metadata.provider,
+          schema_version: advisorReport.metadata.schema_version,
+          prompt_versions: advisorReport.metadata.prompt_versions,
           tokens_used: advisorReport.metadata.tokens_used,
           processing_time_ms: advisorReport.metadata.processing_time_ms,
           generated_at: advisorReport.metadata.generated_at,
-          mock_mode: advisorReport.metadata.mock_mode || false
+          mock_mode: advisorReport.metadata.mock_mode || false,
+          experiment: this.getExperimentMetadata(experiment)
         },
         status: 'draft'
       });
@@ -337,14 +502,20 @@ class AIWorker {
         content: clientContentString,
         generation_metadata: {
           model: clientReport.metadata.model,
+          provider: clientReport.metadata.provider,
+          schema_version: clientReport.metadata.schema_version,
+          prompt_versions: clientReport.metadata.prompt_versions,
           tokens_used: clientReport.metadata.tokens_used,
           processing_time_ms: clientReport.metadata.processing_time_ms,
           generated_at: clientReport.metadata.generated_at,
-          mock_mode: clientReport.metadata.mock_mode || false
+          mock_mode: clientReport.metadata.mock_mode || false,
+          experiment: this.getExperimentMetadata(experiment)
         },
         status: 'draft'
       });
 
+      await this.recordExperimentDrafts(experiment, [savedAdvisorReport, savedClientReport], 'ai_generated');
+
       // Update session status and metadata
       await SessionService.updateSession(sessionId, {
         status: 'reports_generated',
@@ -402,6 +573,67 @@ class AIWorker {
     }
   }
 
+  /**
+   * Process send_email job: deliver a queued outbox message (client report email)
+   * Failures are retried by the queue; the adviser is notified when the last attempt fails
+   */
+  async processSendEmailJob(jobId, sessionId, payload, job) {
+    const finalAttempt = (job.attempts || 0) + 1 >= Math.min(job.max_attempts || 1, 10);
+
+    try {
+      const delivery = await ReportService.deliverClientReport(payload.outbox_id, { finalAttempt });
+
+      await JobService.updateJob(jobId, {
+        result: {
+          outbox_id: payload.outbox_id,
+          already_sent: delivery.already_sent,
+          resend: delivery.resend,
+          salesforce_updated: delivery.salesforce_updated,
+          crm_job_id: delivery.crm_job?.id || null
+        }
+      });
+
+      if (delivery.session) {
+        socketService.sendToUser(delivery.session.adviser_id, 'client_report_sent', {
+          sessionId,
+          reportId: delivery.outbox.report_id,
+          resend: delivery.resend,
+          message: 'Client report sent successfully'
+        });
+      }
+
+    } catch (error) {
+      if (finalAttempt && sessionId) {
+        try {
+          const session = await SessionService.getSessionById(sessionId, null, 'admin');
+          socketService.sendToUser(session.adviser_id, 'processing_error', {
+            sessionId,
+            message: 'Sending the client report failed',
+            error: error.message
+          });
+        } catch (notifyError) {
+          console.error('Failed to notify adviser about email delivery failure:', notifyError);
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Process update_crm job: record a delivered client report in Salesforce
+   */
+  async processCrmUpdateJob(jobId, payload) {
+    const result = await ReportService.updateCrmForReport(payload.report_id, payload.outbox_id);
+
+    await JobService.updateJob(jobId, {
+      result: {
+        salesforce_id: result.salesforce_id,
+        response: result.data
+      }
+    });
+  }
+
   /**
    * Process report regeneration job
    */
@@ -419,10 +651,18 @@ class AIWorker {
       // Note: Removed report_regeneration_started socket emission - using static processing display
 
       // Generate new report with notes and session context
-      const regeneratedReport = await openaiService.generateReport(transcript, report_type, {
+      const reportInput = this.getReportTranscript(session, transcript);
+
+      // Regenerations keep the variant the session was assigned to (no new assignments)
+      const experiment = await this.getExperimentAssignment(sessionId, false);
+
+      const regeneratedReport = await openaiService.generateReport(reportInput.transcript, report_type, {
         sessionContext: session_context,
         notes: notes,
-        language: session.transcription_metadata?.language
+        language: session.transcription_metadata?.language,
+        ...reportInput.speakerOptions,
+        ...ExperimentService.getGenerationOptions(experiment?.variant),
+        usageContext: this.getUsageContext(session, jobId)
       });
 
       console.log(`✅ Report regenerated for session ${sessionId}, report ${report_id}`);
@@ -432,19 +672,22 @@ class AIWorker {
         JSON.stringify(regeneratedReport.content) : 
         regeneratedReport.content;
 
-      await ReportService.updateReport(report_id, {
+      const updatedReport = await ReportService.updateReport(report_id, {
         content: contentString,
         status: 'draft',
         generation_metadata: {
           ...regeneratedReport.metadata,
           regeneration_notes: notes,
           regenerated_at: new Date().toISOString(),
-          original_report_id: original_report_id
+          original_report_id: original_report_id,
+          experiment: this.getExperimentMetadata(experiment)
         },
         word_count: ReportService.countWords(contentString),
         character_count: contentString.length
       });
 
+      await this.recordExperimentDrafts(experiment, [updatedReport], 'ai_regenerated');
+
       // Store result in job
       await JobService.updateJob(jobId, {
         result: {
@@ -475,6 +718,57 @@ class AIWorker {
     }
   }
 
+  /**
+   * Who an AI call is billed to in the usage ledger
+   */
+  getUsageContext(session, jobId) {
+    return {
+      sessionId: session.id,
+      adviserId: session.adviser_id,
+      clientId: session.client_id,
+      jobId
+    };
+  }
+
+  /**
+   * Get the session's experiment variant, assigning one from the running experiment when assign is true
+   * Experiments never block report generation - failures fall back to the default prompts and models
+   */
+  async getExperimentAssignment(sessionId, assign) {
+    try {
+      return assign
+        ? await ExperimentService.assignSession(sessionId)
+        : await ExperimentService.getSessionAssignment(sessionId);
+    } catch (error) {
+      console.warn(`⚠️ Experiment assignment skipped for session ${sessionId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Experiment details stored in generation_metadata
+   */
+  getExperimentMetadata(experiment) {
+    return experiment
+      ? { experiment_id: experiment.experiment.id, variant: experiment.assignment.variant_key }
+      : undefined;
+  }
+
+  /**
+   * Keep the unedited AI drafts of experiment reports for edit-distance stats
+   */
+  async recordExperimentDrafts(experiment, reports, generationMethod) {
+    if (!experiment) return;
+
+    for (const report of reports) {
+      try {
+        await ExperimentService.recordDraft(experiment.assignment.id, report, generationMethod);
+      } catch (error) {
+        console.warn(`⚠️ Could not record experiment draft for report ${report.id}: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Create report with idempotency protection
    * If report already exists for this session and type, return the existing one
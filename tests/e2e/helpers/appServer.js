@@ -0,0 +1,96 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_ENTRY = path.join(__dirname, '../../../src/server.js');
+
+/**
+ * Find a free local port
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start src/server.js (with its embedded AI worker) in a child process
+ * Runs from an empty temp directory so a developer's .env is not picked up
+ * and the worker's temp/ files stay out of the repo
+ * @param {Object} env - Environment for the server, on top of PATH/HOME/NODE_OPTIONS
+ * @returns {Promise<Object>} { url, output(), stop() }
+ */
+async function startAppServer(env, { startupTimeoutMs = 30000 } = {}) {
+  const port = await getFreePort();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mati-e2e-'));
+  const url = `http://127.0.0.1:${port}`;
+  let output = '';
+
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    cwd: workDir,
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      ...(process.env.NODE_OPTIONS && { NODE_OPTIONS: process.env.NODE_OPTIONS }),
+      ...env,
+      PORT: String(port)
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const collect = chunk => {
+    output += chunk;
+    if (process.env.E2E_VERBOSE === 'true') {
+      process.stdout.write(chunk);
+    }
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGTERM');
+      const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+      await exited;
+      clearTimeout(timer);
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  };
+
+  // Wait for /health (or for the process to die)
+  const deadline = Date.now() + startupTimeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`Server exited with code ${child.exitCode} during startup:\n${output}`);
+    }
+
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) {
+        return { url, output: () => output, stop };
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  await stop();
+  throw new Error(`Server did not become healthy within ${startupTimeoutMs}ms:\n${output}`);
+}
+
+module.exports = {
+  startAppServer
+};
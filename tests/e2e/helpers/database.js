@@ -0,0 +1,93 @@
+const { Pool } = require('pg');
+const bcrypt = require('bcryptjs');
+
+// Direct Postgres access for the end-to-end tests: reset, seed and row assertions
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const REQUIRED_TABLES = [
+  'users', 'clients', 'sessions', 'reports', 'jobs', 'password_reset_tokens',
+  'experiments', 'ai_usage_ledger', 'ai_budgets', 'ai_budget_alerts', 'outbox',
+  'deliveries', 'report_themes', 'report_share_links', 'report_share_views'
+];
+
+/**
+ * Create a pool for TEST_DATABASE_URL
+ * Refuses non-local databases because resetDatabase() wipes the pipeline tables
+ */
+function createPool(connectionString = process.env.TEST_DATABASE_URL) {
+  const host = new URL(connectionString).hostname;
+  if (!LOCAL_HOSTS.includes(host) && process.env.TEST_DATABASE_ALLOW_RESET !== 'true') {
+    throw new Error(`Refusing to run end-to-end tests against ${host}. Use a local database or set TEST_DATABASE_ALLOW_RESET=true`);
+  }
+
+  return new Pool({ connectionString, max: 2 });
+}
+
+/**
+ * Fail early with a clear message when the migrations have not been applied
+ */
+async function assertSchema(pool) {
+  const { rows } = await pool.query(
+    'SELECT table_name FROM information_schema.tables WHERE table_schema = $1 AND table_name = ANY($2)',
+    ['public', REQUIRED_TABLES]
+  );
+
+  const missing = REQUIRED_TABLES.filter(table => !rows.some(row => row.table_name === table));
+  if (missing.length > 0) {
+    throw new Error(`Test database is missing tables (${missing.join(', ')}). Run DATABASE_URL=$TEST_DATABASE_URL npm run db:migrate first`);
+  }
+}
+
+/**
+ * Remove everything the pipeline writes, so each run starts from a known state
+ */
+async function resetDatabase(pool) {
+  await pool.query(`
+    TRUNCATE report_share_views, report_share_links, deliveries, outbox, report_themes, ai_budget_alerts, ai_budgets, ai_usage_ledger, jobs, reports, sessions, clients CASCADE;
+    DELETE FROM password_reset_tokens;
+    UPDATE experiments SET status = 'stopped', stopped_at = NOW() WHERE status = 'running';
+    DELETE FROM users;
+  `);
+}
+
+/**
+ * Create a user that can log in through /api/auth/login
+ */
+async function createUser(pool, { email, password, name = 'E2E Adviser', role = 'adviser' }) {
+  const passwordHash = await bcrypt.hash(password, 4);
+  const { rows } = await pool.query(
+    `INSERT INTO users (email, name, password_hash, role, status)
+     VALUES ($1, $2, $3, $4, 'active')
+     RETURNING id, email, name, role`,
+    [email, name, passwordHash, role]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Poll a query until check(rows) is truthy
+ * @returns {Promise<Array>} The rows that passed the check
+ */
+async function waitForRows(pool, sql, params, check, { timeoutMs = 60000, intervalMs = 250, description = sql } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let rows = [];
+
+  while (Date.now() < deadline) {
+    ({ rows } = await pool.query(sql, params));
+    if (check(rows)) {
+      return rows;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  throw new Error(`Timed out after ${timeoutMs}ms waiting for: ${description}\nLast rows: ${JSON.stringify(rows, null, 2)}`);
+}
+
+module.exports = {
+  createPool,
+  assertSchema,
+  resetDatabase,
+  createUser,
+  waitForRows
+};
@@ -0,0 +1,31 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+// The service module creates the database client on load; the provider checks do not use it
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://127.0.0.1:1/unit-tests';
+delete process.env.OPENAI_API_KEY;
+delete process.env.OPENAI_MOCK_MODE;
+process.env.LLM_PROVIDER = 'fixture';
+process.env.TRANSCRIPTION_PROVIDER = 'fixture';
+process.env.LLM_FIXTURES_DIR = path.join(os.tmpdir(), 'no-llm-fixtures');
+
+const openaiService = require('../../src/services/openaiService');
+const { getChatProvider } = require('../../src/services/llmProviders');
+const { getTranscriptionProvider } = require('../../src/services/transcriptionProviders');
+
+describe('AI provider start-up check', () => {
+  test('non-OpenAI providers start without OPENAI_API_KEY', async () => {
+    const result = await openaiService.testConnection();
+
+    assert.equal(result.success, true, result.error);
+    assert.match(result.llm, /^fixture - 0 recorded responses/);
+    assert.match(result.transcription, /^fixture - /);
+  });
+
+  test('OpenAI providers require the key', () => {
+    assert.throws(() => getChatProvider('openai'), /OpenAI requires OPENAI_API_KEY/);
+    assert.throws(() => getTranscriptionProvider('openai'), /OpenAI transcription requires OPENAI_API_KEY/);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service module creates the database and OpenAI clients on load; the helpers tested here use neither
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://127.0.0.1:1/unit-tests';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'unit-tests';
+
+const DiarizationService = require('../../src/services/diarizationService');
+
+const segments = [
+  { speaker: 'adviser', start: 0, end: 2, text: 'Hi' },
+  { speaker: 'adviser', start: 2, end: 4, text: 'there' },
+  { speaker: 'client', start: 4, end: 6, text: 'Hello' },
+  { speaker: 'client', start: 6, end: 7, text: '' },
+  { speaker: 'adviser', start: 7, end: 9, text: 'So' },
+  { speaker: 'unknown', start: 9, end: 10, text: '(noise)' }
+];
+
+describe('DiarizationService.buildTurns', () => {
+  test('merges consecutive segments of the same speaker and skips empty ones', () => {
+    assert.deepEqual(DiarizationService.buildTurns(segments), [
+      { speaker: 'adviser', start: 0, end: 4, text: 'Hi there' },
+      { speaker: 'client', start: 4, end: 6, text: 'Hello' },
+      { speaker: 'adviser', start: 7, end: 9, text: 'So' },
+      { speaker: 'unknown', start: 9, end: 10, text: '(noise)' }
+    ]);
+  });
+
+  test('does not modify the segments', () => {
+    const input = [{ speaker: 'client', start: 0, end: 1, text: 'a' }, { speaker: 'client', start: 1, end: 2, text: 'b' }];
+    DiarizationService.buildTurns(input);
+    assert.equal(input[0].text, 'a');
+  });
+
+  test('empty input', () => {
+    assert.deepEqual(DiarizationService.buildTurns([]), []);
+  });
+});
+
+describe('DiarizationService.computeSpeakerStats', () => {
+  test('talk time, share and turns per speaker', () => {
+    assert.deepEqual(DiarizationService.computeSpeakerStats(segments), {
+      adviser_seconds: 6,
+      client_seconds: 3,
+      unknown_seconds: 1,
+      adviser_talk_percentage: 60,
+      client_talk_percentage: 30,
+      adviser_turns: 2,
+      client_turns: 1
+    });
+  });
+
+  test('no speech', () => {
+    const stats = DiarizationService.computeSpeakerStats([{ speaker: 'adviser', start: 5, end: 3 }]);
+    assert.equal(stats.adviser_seconds, 0);
+    assert.equal(stats.adviser_talk_percentage, 0);
+    assert.equal(stats.client_talk_percentage, 0);
+  });
+});
+
+describe('DiarizationService.formatLabelledTranscript', () => {
+  test('labels turns with timestamps and names', () => {
+    const turns = DiarizationService.buildTurns(segments);
+    assert.equal(
+      DiarizationService.formatLabelledTranscript(turns, { adviserName: 'Dana' }),
+      '[00:00] ADVISER (Dana): Hi there\n[00:04] CLIENT: Hello\n[00:07] ADVISER (Dana): So\n[00:09] UNKNOWN SPEAKER: (noise)'
+    );
+  });
+
+  test('hours in long recordings', () => {
+    assert.equal(DiarizationService.formatTimestamp(3725.9), '1:02:05');
+    assert.equal(DiarizationService.formatTimestamp(-3), '00:00');
+  });
+});
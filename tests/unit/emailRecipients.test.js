@@ -0,0 +1,94 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeRecipientList,
+  normalizeDefaultRecipients,
+  resolveReportRecipients,
+  listRecipients
+} = require('../../src/utils/emailRecipients');
+
+describe('normalizeRecipientList', () => {
+  test('accepts arrays and comma/semicolon separated strings', () => {
+    assert.deepEqual(normalizeRecipientList(['A@Example.com', ' b@example.com ']), ['a@example.com', 'b@example.com']);
+    assert.deepEqual(normalizeRecipientList('a@example.com; b@example.com,,A@example.com'), ['a@example.com', 'b@example.com']);
+  });
+
+  test('empty values are an empty list', () => {
+    assert.deepEqual(normalizeRecipientList(undefined), []);
+    assert.deepEqual(normalizeRecipientList(null), []);
+    assert.deepEqual(normalizeRecipientList(''), []);
+  });
+
+  test('rejects invalid addresses and non-strings, naming the list', () => {
+    assert.throws(() => normalizeRecipientList('not-an-email', 'cc'), /Invalid cc recipient: not-an-email/);
+    assert.throws(() => normalizeRecipientList([42], 'bcc'), /Invalid bcc recipient: 42/);
+  });
+
+  test('caps the list length', () => {
+    const emails = Array.from({ length: 11 }, (value, index) => `person${index}@example.com`);
+    assert.throws(() => normalizeRecipientList(emails), /at most 10 addresses/);
+    assert.equal(normalizeRecipientList(emails.slice(0, 10)).length, 10);
+  });
+});
+
+describe('normalizeDefaultRecipients', () => {
+  test('normalizes cc and bcc', () => {
+    assert.deepEqual(normalizeDefaultRecipients({ cc: 'A@example.com', extra: 1 }), { cc: ['a@example.com'], bcc: [] });
+    assert.deepEqual(normalizeDefaultRecipients(null), { cc: [], bcc: [] });
+  });
+
+  test('rejects anything but an object', () => {
+    assert.throws(() => normalizeDefaultRecipients(['a@example.com']), /expected an object/);
+    assert.throws(() => normalizeDefaultRecipients('a@example.com'), /expected an object/);
+  });
+});
+
+describe('resolveReportRecipients', () => {
+  const client = {
+    email: 'Owner@Example.com',
+    metadata: { report_recipients: { cc: ['partner@example.com'], bcc: ['archive@example.com'] } }
+  };
+
+  test('defaults to the client email and stored cc/bcc', () => {
+    assert.deepEqual(resolveReportRecipients(client), {
+      to: ['owner@example.com'],
+      cc: ['partner@example.com'],
+      bcc: ['archive@example.com']
+    });
+  });
+
+  test('a list given in overrides replaces the default, including with an empty list', () => {
+    assert.deepEqual(resolveReportRecipients(client, { to: 'cfo@example.com', cc: [] }), {
+      to: ['cfo@example.com'],
+      cc: [],
+      bcc: ['archive@example.com']
+    });
+  });
+
+  test('an address appears once, in the first list that has it', () => {
+    assert.deepEqual(resolveReportRecipients(client, { cc: ['owner@example.com', 'archive@example.com'] }), {
+      to: ['owner@example.com'],
+      cc: ['archive@example.com'],
+      bcc: []
+    });
+  });
+
+  test('needs a to address', () => {
+    assert.throws(() => resolveReportRecipients({ email: null }), /at least one "to" address/);
+    assert.throws(() => resolveReportRecipients(client, { to: [] }), /at least one "to" address/);
+  });
+
+  test('invalid stored defaults are reported', () => {
+    assert.throws(() => resolveReportRecipients({ email: 'a@example.com', metadata: { report_recipients: { cc: 'x' } } }), /Invalid cc recipient/);
+  });
+});
+
+describe('listRecipients', () => {
+  test('flattens to, cc and bcc in order', () => {
+    assert.deepEqual(listRecipients({ to: ['a@example.com'], bcc: ['c@example.com'], cc: ['b@example.com'] }), [
+      { email: 'a@example.com', type: 'to' },
+      { email: 'b@example.com', type: 'cc' },
+      { email: 'c@example.com', type: 'bcc' }
+    ]);
+  });
+});
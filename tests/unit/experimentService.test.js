@@ -0,0 +1,66 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service module creates the database client on load; the helpers tested here do not use it
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://127.0.0.1:1/unit-tests';
+
+const ExperimentService = require('../../src/services/experimentService');
+
+describe('ExperimentService.pickVariant', () => {
+  const experiment = { id: 'experiment-1', variants: [{ key: 'control', weight: 1 }, { key: 'concise', weight: 3 }] };
+
+  test('is stable for the same experiment and session', () => {
+    const first = ExperimentService.pickVariant(experiment, 'session-1');
+    for (let i = 0; i < 5; i++) {
+      assert.equal(ExperimentService.pickVariant(experiment, 'session-1'), first);
+    }
+  });
+
+  test('follows the variant weights', () => {
+    const counts = { control: 0, concise: 0 };
+    for (let i = 0; i < 2000; i++) {
+      counts[ExperimentService.pickVariant(experiment, `session-${i}`).key]++;
+    }
+
+    assert.ok(counts.control > 400 && counts.control < 600, JSON.stringify(counts));
+  });
+
+  test('weight defaults to 1 and a single variant always wins', () => {
+    const only = { key: 'only' };
+    assert.equal(ExperimentService.pickVariant({ id: 'e', variants: [only] }, 'any'), only);
+
+    const counts = { a: 0, b: 0 };
+    for (let i = 0; i < 1000; i++) {
+      counts[ExperimentService.pickVariant({ id: 'e', variants: [{ key: 'a' }, { key: 'b' }] }, `s${i}`).key]++;
+    }
+    assert.ok(counts.a > 400 && counts.b > 400, JSON.stringify(counts));
+  });
+});
+
+describe('ExperimentService.wordEditDistance', () => {
+  const words = text => text.split(' ').filter(Boolean);
+
+  test('counts word insertions, deletions and substitutions', () => {
+    assert.equal(ExperimentService.wordEditDistance(words('a b c'), words('a b c')), 0);
+    assert.equal(ExperimentService.wordEditDistance(words('a b c'), words('a x c')), 1);
+    assert.equal(ExperimentService.wordEditDistance(words('a b c'), words('a c')), 1);
+    assert.equal(ExperimentService.wordEditDistance(words('a c'), words('a b c d')), 2);
+    assert.equal(ExperimentService.wordEditDistance(words('the client will send invoices'), words('client sends the invoices weekly')), 4);
+  });
+
+  test('against an empty text it is the other text length', () => {
+    assert.equal(ExperimentService.wordEditDistance([], words('a b c')), 3);
+    assert.equal(ExperimentService.wordEditDistance(words('a b'), []), 2);
+  });
+});
+
+describe('ExperimentService.extractWords', () => {
+  test('collects the words of every string in JSON report content', () => {
+    const content = JSON.stringify({ summary: 'Two  words', items: [{ task: 'send invoice', done: true }] });
+    assert.deepEqual(ExperimentService.extractWords(content), ['Two', 'words', 'send', 'invoice']);
+  });
+
+  test('plain text reports', () => {
+    assert.deepEqual(ExperimentService.extractWords('Plain text\nreport'), ['Plain', 'text', 'report']);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service module creates the database and OpenAI clients on load; prompts fall back to the shipped files
+// when the database is unreachable, and the chat provider is replaced below
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://127.0.0.1:1/unit-tests';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'unit-tests';
+process.env.LLM_PROVIDER = 'openai';
+process.env.LLM_MODEL = 'default-test-model';
+process.env.LLM_MODEL_ADVISOR = 'advisor-test-model';
+
+const openaiService = require('../../src/services/openaiService');
+const UsageService = require('../../src/services/usageService');
+const { getChatProvider } = require('../../src/services/llmProviders');
+
+const criterion = { score: 4, description: 'Asked follow-up questions', supporting_quote: 'Tell me more' };
+const advisorReport = {
+  topics: [{ topic: 'Cash flow', sub_topics: [], time_percentage: 100 }],
+  topics_covered: {
+    introducing_advisor_percentage: 5,
+    introducing_mati_percentage: 5,
+    opening_percentage: 10,
+    collecting_info_percentage: 20,
+    actual_content_percentage: 60
+  },
+  client_readiness_score: 70,
+  listening: criterion,
+  clarity: criterion,
+  continuation: criterion,
+  things_to_preserve: [],
+  needs_improvement: []
+};
+
+describe('openaiService report models', () => {
+  const calls = [];
+  const usage = [];
+
+  before(() => {
+    getChatProvider('openai').createChatCompletion = async (params) => {
+      calls.push(params);
+      return {
+        content: JSON.stringify(advisorReport),
+        model: params.model,
+        finish_reason: 'stop',
+        usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 }
+      };
+    };
+    UsageService.recordUsage = async (entry) => {
+      usage.push(entry);
+    };
+  });
+
+  test('a regenerated advisor report (db type "adviser") uses the advisor model and usage operation', async () => {
+    const report = await openaiService.generateReport('Adviser: Hello. Client: Hi.', 'adviser', {
+      usageContext: { sessionId: 'session-1', jobId: 'job-1' }
+    });
+
+    assert.equal(calls.at(-1).model, 'advisor-test-model');
+    assert.equal(report.metadata.model, 'advisor-test-model');
+    assert.equal(usage.at(-1).operation, 'advisor');
+    assert.equal(usage.at(-1).jobId, 'job-1');
+  });
+
+  test('generation with the advisor type is unchanged', async () => {
+    await openaiService.generateReport('Adviser: Hello. Client: Hi.', 'advisor');
+
+    assert.equal(calls.at(-1).model, 'advisor-test-model');
+    assert.equal(usage.at(-1).operation, 'advisor');
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const PostgresClient = require('../../src/DB/postgresClient');
+
+const COLUMNS = {
+  clients: { id: 'uuid', name: 'text', email: 'text', phone: 'text', metadata: 'jsonb', adviser_id: 'uuid' },
+  sessions: { id: 'uuid', title: 'text', status: 'text', client_id: 'uuid', adviser_id: 'uuid', created_at: 'timestamp with time zone' },
+  'odd"table': { id: 'uuid' }
+};
+const FOREIGN_KEYS = [
+  { name: 'sessions_client_id_fkey', table_name: 'sessions', column_name: 'client_id', foreign_table: 'clients', foreign_column: 'id' }
+];
+
+/**
+ * pg stand-in: answers the schema queries and records every other statement
+ */
+function fakeDb() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      if (sql.includes('information_schema.columns')) {
+        return {
+          rows: Object.entries(COLUMNS).flatMap(([table, columns]) => Object.entries(columns)
+            .map(([column, type]) => ({ table_name: table, column_name: column, data_type: type })))
+        };
+      }
+      if (sql.includes('indisprimary')) {
+        return { rows: Object.keys(COLUMNS).map(table => ({ table_name: table, column_name: 'id' })) };
+      }
+      if (sql.includes("contype = 'f'")) {
+        return { rows: FOREIGN_KEYS };
+      }
+      queries.push({ sql, params });
+      return { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+async function run(build) {
+  const db = fakeDb();
+  const result = await build(new PostgresClient(db));
+  return { result, queries: db.queries };
+}
+
+describe('PostgresClient select', () => {
+  test('columns, filters, order and range become parameterized SQL', async () => {
+    const { result, queries } = await run(client => client
+      .from('sessions')
+      .select('id, title')
+      .eq('status', 'draft')
+      .in('adviser_id', ['a', 'b'])
+      .is('client_id', null)
+      .order('created_at', { ascending: false })
+      .range(10, 19));
+
+    assert.equal(result.error, null);
+    assert.deepEqual(result.data, []);
+    assert.equal(queries[0].sql,
+      'SELECT row_to_json(_r) AS row FROM (SELECT t0."id" AS "id", t0."title" AS "title" FROM "sessions" t0'
+      + ' WHERE t0."status" = $1 AND t0."adviser_id" = ANY($2) AND t0."client_id" IS NULL'
+      + ' ORDER BY t0."created_at" DESC LIMIT 10 OFFSET 10) _r');
+    assert.deepEqual(queries[0].params, ['draft', ['a', 'b']]);
+  });
+
+  test('embeds a foreign key as a json subquery and json paths as quoted literals', async () => {
+    const { queries } = await run(client => client
+      .from('sessions')
+      .select('id, client:clients!inner(name, metadata->>business_domain)'));
+
+    assert.match(queries[0].sql, /\(SELECT row_to_json\(_e\) FROM \(SELECT t1\."name" AS "name", t1\."metadata"->>'business_domain' AS "business_domain" FROM "clients" t1 WHERE t1\."id" = t0\."client_id" LIMIT 1\) _e\) AS "client"/);
+    assert.match(queries[0].sql, /WHERE EXISTS \(SELECT 1 FROM "clients" t1 WHERE t1\."id" = t0\."client_id"\)/);
+  });
+
+  test('quotes identifiers and json keys', async () => {
+    const { queries } = await run(client => client
+      .from('odd"table')
+      .select('*')
+      .eq('id', "x'); DROP TABLE clients; --"));
+    const { queries: jsonQueries } = await run(client => client
+      .from('clients')
+      .select('id')
+      .eq("metadata->>it's", 'v'));
+
+    assert.equal(queries[0].sql, 'SELECT row_to_json(_r) AS row FROM (SELECT t0.* FROM "odd""table" t0 WHERE t0."id" = $1) _r');
+    assert.deepEqual(queries[0].params, ["x'); DROP TABLE clients; --"]);
+    assert.match(jsonQueries[0].sql, /WHERE t0\."metadata"->>'it''s' = \$1/);
+  });
+
+  test('unknown columns and tables are errors, not SQL', async () => {
+    const { result, queries } = await run(client => client.from('clients').select('id').eq('secret', 1));
+    const { result: missing } = await run(client => client.from('nope').select('*'));
+
+    assert.equal(result.error.code, '42703');
+    assert.equal(queries.length, 0);
+    assert.equal(missing.error.code, '42P01');
+  });
+
+  test('single() reports PGRST116 when no row matches', async () => {
+    const { result } = await run(client => client.from('clients').select('*').eq('id', 'x').single());
+    assert.equal(result.error.code, 'PGRST116');
+    assert.equal(result.data, null);
+  });
+});
+
+describe('PostgresClient or()', () => {
+  test('nested and/not groups', async () => {
+    const { queries } = await run(client => client
+      .from('sessions')
+      .select('id')
+      .or('title.ilike.*plan*,and(status.eq.draft,client_id.not.is.null)'));
+
+    assert.match(queries[0].sql, /WHERE \(t0\."title" ILIKE \$1 OR \(t0\."status" = \$2 AND NOT \(t0\."client_id" IS NULL\)\)\)/);
+    assert.deepEqual(queries[0].params, ['%plan%', 'draft']);
+  });
+
+  test('in lists', async () => {
+    const { queries } = await run(client => client
+      .from('sessions')
+      .select('id')
+      .or('client_id.in.(a,b),adviser_id.in.(c)'));
+
+    assert.match(queries[0].sql, /WHERE \(t0\."client_id" = ANY\(\$1\) OR t0\."adviser_id" = ANY\(\$2\)\)/);
+    assert.deepEqual(queries[0].params, [['a', 'b'], ['c']]);
+  });
+
+  test('quoted values keep commas, dots, parentheses and escaped quotes', async () => {
+    for (const term of ['Cohen, Levi (Ltd.) "A\\B"', 'x%,adviser_id.neq.0', 'a)', '"']) {
+      const pattern = `"%${term.replace(/["\\]/g, '\\$&')}%"`;
+      const { result, queries } = await run(client => client
+        .from('clients')
+        .select('id')
+        .or(`name.ilike.${pattern},metadata->>business_domain.ilike.${pattern}`));
+
+      assert.equal(result.error, null, term);
+      assert.match(queries[0].sql, /WHERE \(t0\."name" ILIKE \$1 OR t0\."metadata"->>'business_domain' ILIKE \$2\)/, term);
+      assert.deepEqual(queries[0].params, [`%${term}%`, `%${term}%`], term);
+    }
+  });
+
+  test('unquoted input that breaks the filter syntax is a parse error, not a different filter', async () => {
+    for (const term of ['a)', 'a(', '(a))']) {
+      const { result, queries } = await run(client => client
+        .from('clients')
+        .select('id')
+        .or(`name.ilike.%${term}%,phone.ilike.%${term}%`));
+
+      assert.equal(queries.length, 0, term);
+      assert.equal(result.error.code, 'PGRST100', term);
+    }
+  });
+});
+
+describe('PostgresClient mutations', () => {
+  test('insert serializes json columns and returns the selected row', async () => {
+    const { queries } = await run(client => client
+      .from('clients')
+      .insert({ name: 'Acme', metadata: { tags: ['a'] } })
+      .select('id')
+      .single());
+
+    assert.equal(queries[0].sql,
+      'WITH _w AS (INSERT INTO "clients" AS t0 ("name", "metadata") VALUES ($1, $2) RETURNING t0.*)'
+      + ' SELECT row_to_json(_r) AS row FROM (SELECT t0."id" AS "id" FROM _w t0) _r');
+    assert.deepEqual(queries[0].params, ['Acme', '{"tags":["a"]}']);
+  });
+
+  test('upsert updates the non-conflict columns', async () => {
+    const { queries } = await run(client => client
+      .from('clients')
+      .upsert({ id: 'c1', name: 'Acme' }));
+
+    assert.equal(queries[0].sql,
+      'INSERT INTO "clients" AS t0 ("id", "name") VALUES ($1, $2) ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name"');
+  });
+
+  test('update and delete apply the filters', async () => {
+    const { queries } = await run(async client => {
+      await client.from('sessions').update({ status: 'failed', title: undefined }).eq('id', 's1');
+      await client.from('sessions').delete().lt('created_at', new Date('2026-01-01T00:00:00Z'));
+    });
+
+    assert.equal(queries[0].sql, 'UPDATE "sessions" AS t0 SET "status" = $1 WHERE t0."id" = $2');
+    assert.deepEqual(queries[0].params, ['failed', 's1']);
+    assert.equal(queries[1].sql, 'DELETE FROM "sessions" AS t0 WHERE t0."created_at" < $1');
+    assert.deepEqual(queries[1].params, ['2026-01-01T00:00:00.000Z']);
+  });
+
+  test('unknown columns are rejected before writing', async () => {
+    const { result, queries } = await run(client => client.from('clients').insert({ name: 'x', role: 'admin' }));
+    assert.equal(result.error.code, 'PGRST204');
+    assert.equal(queries.length, 0);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The usage service creates the database client on load; computeCost does not use it
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://127.0.0.1:1/unit-tests';
+delete process.env.AI_PRICING_JSON;
+
+const pricingConfig = require('../../src/config/pricing');
+const UsageService = require('../../src/services/usageService');
+
+describe('pricing.findPrice', () => {
+  test('exact model names', () => {
+    assert.deepEqual(pricingConfig.findPrice(pricingConfig.chat, 'gpt-4o'), { input: 2.50, output: 10.00 });
+    assert.deepEqual(pricingConfig.findPrice(pricingConfig.transcription, 'whisper-1'), { perMinute: 0.006 });
+  });
+
+  test('dated snapshots use the longest matching base model', () => {
+    assert.equal(pricingConfig.findPrice(pricingConfig.chat, 'gpt-4o-2024-08-06'), pricingConfig.chat['gpt-4o']);
+    assert.equal(pricingConfig.findPrice(pricingConfig.chat, 'gpt-4o-mini-2024-07-18'), pricingConfig.chat['gpt-4o-mini']);
+    assert.equal(pricingConfig.findPrice(pricingConfig.chat, 'gpt-4.1-mini-2025-04-14'), pricingConfig.chat['gpt-4.1-mini']);
+  });
+
+  test('unknown models have no price', () => {
+    assert.equal(pricingConfig.findPrice(pricingConfig.chat, 'gpt-4ox'), null);
+    assert.equal(pricingConfig.findPrice(pricingConfig.chat, 'claude-x'), null);
+    assert.equal(pricingConfig.findPrice(pricingConfig.chat, null), null);
+  });
+});
+
+describe('UsageService.computeCost', () => {
+  test('chat calls are priced per million tokens', () => {
+    const { cost_usd, priced } = UsageService.computeCost({
+      provider: 'openai', model: 'gpt-4o-mini', promptTokens: 10000, completionTokens: 2000
+    });
+
+    assert.equal(priced, true);
+    assert.ok(Math.abs(cost_usd - 0.0027) < 1e-12, String(cost_usd));
+  });
+
+  test('transcription is priced per audio minute', () => {
+    const { cost_usd, priced } = UsageService.computeCost({ provider: 'openai', model: 'gpt-4o-mini-transcribe', audioSeconds: 90 });
+
+    assert.equal(priced, true);
+    assert.ok(Math.abs(cost_usd - 0.0045) < 1e-12, String(cost_usd));
+  });
+
+  test('local providers are free', () => {
+    assert.deepEqual(
+      UsageService.computeCost({ provider: 'local', model: 'whisper-large-v3', audioSeconds: 600 }),
+      { cost_usd: 0, priced: true }
+    );
+  });
+
+  test('unknown models are recorded as unpriced', () => {
+    assert.deepEqual(UsageService.computeCost({ provider: 'openai', model: 'new-model', promptTokens: 100 }), { cost_usd: 0, priced: false });
+    assert.deepEqual(UsageService.computeCost({ provider: 'openai', model: 'new-transcriber', audioSeconds: 60 }), { cost_usd: 0, priced: false });
+  });
+});
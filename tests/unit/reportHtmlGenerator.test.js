@@ -0,0 +1,42 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateReportHtml } = require('../../src/utils/reportHtmlGenerator');
+
+const session = { id: 'session-1', created_at: '2026-01-15T10:00:00Z', adviser: { name: 'Dana <b>' } };
+const client = { name: 'Acme <script>alert(1)</script>' };
+const PAYLOAD = '<iframe src="file:///proc/self/environ"></iframe>';
+
+describe('generateReportHtml escapes report text', () => {
+  test('client report (key insights / action items)', () => {
+    const html = generateReportHtml({
+      type: 'client',
+      content: {
+        general_summary: PAYLOAD,
+        key_insights: [{ category: 'decisions made', content: PAYLOAD }],
+        action_items: [{ task: PAYLOAD, owner: 'client', status: 'open' }],
+        target_summary: PAYLOAD
+      }
+    }, session, client);
+
+    assert.ok(!html.includes('<iframe'));
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('&lt;iframe src=&quot;file:///proc/self/environ&quot;&gt;'));
+    assert.ok(html.includes('Dana &lt;b&gt;'));
+  });
+
+  test('legacy client report', () => {
+    const html = generateReportHtml({
+      type: 'client',
+      content: JSON.stringify({
+        executive_summary: PAYLOAD,
+        entrepreneur_needs: [{ need_conceptualization: PAYLOAD, need_explanation: PAYLOAD, supporting_quotes: [PAYLOAD] }],
+        advisor_solutions: { solution_conceptualization: PAYLOAD, supporting_quotes: [PAYLOAD] },
+        agreed_actions: { immediate_actions: [PAYLOAD], concrete_recommendation: PAYLOAD }
+      })
+    }, session, client);
+
+    assert.ok(!html.includes('<iframe'));
+    assert.ok(!html.includes('undefined'));
+    assert.equal(html.split('&lt;iframe').length - 1, 8);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateReportContent, toStructuredOutputSchema, getStructuredOutputFormat } = require('../../src/schemas');
+
+const criterion = { score: 4, description: 'Asked follow-up questions', supporting_quote: 'Tell me more' };
+const feedback = [{ title: 'Summaries', description: 'Summarized the agreed steps' }];
+
+const advisorReport = {
+  topics: [{ topic: 'Cash flow', sub_topics: ['Invoices'], time_percentage: 60 }],
+  topics_covered: {
+    introducing_advisor_percentage: 5,
+    introducing_mati_percentage: 5,
+    opening_percentage: 10,
+    collecting_info_percentage: 20,
+    actual_content_percentage: 60
+  },
+  client_readiness_score: 70,
+  listening: criterion,
+  clarity: criterion,
+  continuation: criterion,
+  things_to_preserve: feedback,
+  needs_improvement: feedback
+};
+
+const clientReport = {
+  general_summary: 'We reviewed the cash flow plan',
+  target_summary: 'Stabilize cash flow',
+  key_insights: [{ category: 'decisions made', content: 'Invoice weekly', supporting_quotes: [] }],
+  action_items: [{ task: 'Send invoices', owner: 'client', deadline: null, status: 'open' }]
+};
+
+/**
+ * Every object schema in a tree (properties, items, anyOf...)
+ */
+function objectSchemas(schema, found = []) {
+  if (Array.isArray(schema)) {
+    schema.forEach(item => objectSchemas(item, found));
+  } else if (schema && typeof schema === 'object') {
+    if (schema.type === 'object') found.push(schema);
+    Object.values(schema).forEach(value => objectSchemas(value, found));
+  }
+  return found;
+}
+
+describe('validateReportContent', () => {
+  test('accepts valid reports (adviser and advisor name the same schema)', () => {
+    assert.deepEqual(validateReportContent('adviser', advisorReport), { valid: true, errors: [] });
+    assert.deepEqual(validateReportContent('advisor', advisorReport), { valid: true, errors: [] });
+    assert.deepEqual(validateReportContent('client', clientReport), { valid: true, errors: [] });
+  });
+
+  test('lists every error with its path', () => {
+    const { general_summary, ...withoutSummary } = clientReport;
+    const result = validateReportContent('client', {
+      ...withoutSummary,
+      action_items: [{ ...clientReport.action_items[0], status: 'someday' }]
+    });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, [
+      "(root) must have required property 'general_summary'",
+      '/action_items/0/status must be equal to one of the allowed values'
+    ]);
+  });
+
+  test('checks ranges inside $defs', () => {
+    const result = validateReportContent('adviser', { ...advisorReport, clarity: { ...criterion, score: 7 } });
+    assert.deepEqual(result.errors, ['/clarity/score must be <= 5']);
+  });
+
+  test('unknown report type', () => {
+    assert.throws(() => validateReportContent('summary', {}), /No report schema for report type: summary/);
+  });
+});
+
+describe('toStructuredOutputSchema', () => {
+  test('inlines $defs, requires every property and drops unsupported keywords', () => {
+    const schema = {
+      $id: 'x',
+      title: 'X',
+      type: 'object',
+      required: ['a'],
+      properties: {
+        a: { type: 'string', minLength: 1 },
+        b: { $ref: '#/$defs/score' },
+        c: { type: 'array', items: { $ref: '#/$defs/score' } }
+      },
+      $defs: {
+        score: { type: 'object', properties: { value: { type: 'number', minimum: 0, maximum: 5 } } }
+      }
+    };
+    const score = { type: 'object', properties: { value: { type: 'number' } }, required: ['value'], additionalProperties: false };
+
+    assert.deepEqual(toStructuredOutputSchema(schema), {
+      type: 'object',
+      required: ['a', 'b', 'c'],
+      properties: {
+        a: { type: 'string' },
+        b: score,
+        c: { type: 'array', items: score }
+      },
+      additionalProperties: false
+    });
+  });
+
+  test('keeps enums and nullable types', () => {
+    const { properties } = getStructuredOutputFormat('client').json_schema.schema;
+    assert.deepEqual(properties.action_items.items.properties.deadline, { type: ['string', 'null'] });
+    assert.deepEqual(properties.action_items.items.properties.status.enum, ['open', 'in progress', 'completed']);
+  });
+
+  test('report formats are strict throughout', () => {
+    for (const type of ['adviser', 'client']) {
+      const format = getStructuredOutputFormat(type);
+      const serialized = JSON.stringify(format);
+
+      assert.equal(format.type, 'json_schema');
+      assert.equal(format.json_schema.strict, true);
+      assert.ok(!/"\$ref"|"\$defs"|"minimum"|"maximum"|"minLength"/.test(serialized), type);
+
+      for (const objectSchema of objectSchemas(format.json_schema.schema)) {
+        assert.equal(objectSchema.additionalProperties, false);
+        assert.deepEqual(objectSchema.required, Object.keys(objectSchema.properties));
+      }
+    }
+
+    assert.equal(getStructuredOutputFormat('adviser').json_schema.name, 'advisor_report');
+  });
+});
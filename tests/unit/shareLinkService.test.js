@@ -0,0 +1,79 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service module creates the database client on load; signing and verifying do not use it
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://127.0.0.1:1/unit-tests';
+process.env.JWT_SECRET = 'unit-test-jwt-secret';
+process.env.SHARE_LINK_SECRET = 'unit-test-share-link-secret';
+
+const shareLinkConfig = require('../../src/config/shareLinks');
+const ShareLinkService = require('../../src/services/shareLinkService');
+
+const LINK_ID = '5b0c8f5e-3a55-4d8e-9c55-2a1f0e6f7a10';
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+describe('ShareLinkService tokens', () => {
+  const secret = shareLinkConfig.secret;
+  afterEach(() => {
+    shareLinkConfig.secret = secret;
+  });
+
+  test('token is <link id>.<expiry seconds>.<signature> and deterministic', () => {
+    const expiresAt = new Date('2030-01-01T00:00:00.900Z');
+    const token = ShareLinkService.signToken(LINK_ID, expiresAt);
+
+    assert.match(token, new RegExp(`^${LINK_ID}\\.1893456000\\.[A-Za-z0-9_-]{43}$`));
+    assert.equal(ShareLinkService.signToken(LINK_ID, expiresAt.toISOString()), token);
+  });
+
+  test('verifies its own tokens', () => {
+    const expiresAt = inOneDay();
+    const { linkId, expiresAt: verifiedExpiry } = ShareLinkService.verifyToken(ShareLinkService.signToken(LINK_ID, expiresAt));
+
+    assert.equal(linkId, LINK_ID);
+    assert.equal(verifiedExpiry.getTime(), Math.floor(expiresAt.getTime() / 1000) * 1000);
+  });
+
+  test('rejects tampered tokens', () => {
+    const [linkId, expires, signature] = ShareLinkService.signToken(LINK_ID, inOneDay()).split('.');
+    const otherId = '00000000-0000-0000-0000-000000000000';
+
+    for (const token of [
+      `${otherId}.${expires}.${signature}`,
+      `${linkId}.${Number(expires) + 86400}.${signature}`,
+      `${linkId}.${expires}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`,
+      `${linkId}.${expires}.${signature}x`
+    ]) {
+      assert.throws(() => ShareLinkService.verifyToken(token), /^Error: Invalid share link$/, token);
+    }
+  });
+
+  test('rejects malformed tokens', () => {
+    for (const token of [null, '', 'abc', `${LINK_ID}.123`, `${LINK_ID}..sig`]) {
+      assert.throws(() => ShareLinkService.verifyToken(token), /Invalid share link/, String(token));
+    }
+
+    const payload = `${LINK_ID}.never`;
+    assert.throws(() => ShareLinkService.verifyToken(`${payload}.${ShareLinkService.sign(payload)}`), /Invalid share link/);
+  });
+
+  test('rejects expired tokens', () => {
+    const token = ShareLinkService.signToken(LINK_ID, new Date(Date.now() - 1000));
+    assert.throws(() => ShareLinkService.verifyToken(token), /Share link has expired/);
+  });
+
+  test('tokens signed with another secret are invalid', () => {
+    const token = ShareLinkService.signToken(LINK_ID, inOneDay());
+    shareLinkConfig.secret = 'rotated-secret';
+    assert.throws(() => ShareLinkService.verifyToken(token), /Invalid share link/);
+  });
+
+  test('nothing is signed or verified without a secret', () => {
+    const token = ShareLinkService.signToken(LINK_ID, inOneDay());
+    shareLinkConfig.secret = null;
+
+    assert.equal(ShareLinkService.isEnabled(), false);
+    assert.throws(() => ShareLinkService.signToken(LINK_ID, inOneDay()), /Share links are not configured/);
+    assert.throws(() => ShareLinkService.verifyToken(token), /Share links are not configured/);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { chooseCutPoints, trimSegmentsToRange, removeOverlapDuplication } = require('../../src/utils/transcriptMerge');
+
+describe('chooseCutPoints', () => {
+  test('cuts at the nominal boundaries without silences', () => {
+    assert.deepEqual(chooseCutPoints(1000, 300), [300, 600, 900]);
+  });
+
+  test('no cuts when the recording fits in one chunk', () => {
+    assert.deepEqual(chooseCutPoints(300, 300), []);
+    assert.deepEqual(chooseCutPoints(120, 300, [{ start: 50, end: 52 }]), []);
+  });
+
+  test('moves each cut to the closest silence within the search window', () => {
+    const silences = [
+      { start: 280, end: 284 }, // midpoint 282
+      { start: 290, end: 296 }, // midpoint 293 - closest to 300
+      { start: 640, end: 660 } // midpoint 650 - 57s from the next nominal boundary (593), outside the window
+    ];
+
+    assert.deepEqual(chooseCutPoints(1000, 300, silences), [293, 593, 893]);
+  });
+
+  test('ignores silences in the first half of the chunk', () => {
+    // Midpoint 13 is within 20s of the boundary at 30, but would leave a chunk shorter than half the target
+    assert.deepEqual(chooseCutPoints(100, 30, [{ start: 12, end: 14 }], 20), [30, 60, 90]);
+  });
+
+  test('does not leave a near-empty final chunk', () => {
+    assert.deepEqual(chooseCutPoints(600.5, 300), [300]);
+  });
+
+  test('rounds cut points to hundredths', () => {
+    assert.deepEqual(chooseCutPoints(700, 300, [{ start: 299.111, end: 300.222 }]), [299.67, 599.67]);
+  });
+});
+
+describe('trimSegmentsToRange', () => {
+  test('keeps segments whose midpoint is in [from, to)', () => {
+    const segments = [
+      { start: 0, end: 4, text: 'a' },
+      { start: 8, end: 12, text: 'b' }, // midpoint 10 - owned by the next chunk
+      { start: 12, end: 14, text: 'c' }
+    ];
+
+    assert.deepEqual(trimSegmentsToRange(segments, 0, 10).map(segment => segment.text), ['a']);
+    assert.deepEqual(trimSegmentsToRange(segments, 10, 20).map(segment => segment.text), ['b', 'c']);
+  });
+});
+
+describe('removeOverlapDuplication', () => {
+  test('drops the words repeated from the end of the previous chunk', () => {
+    assert.equal(
+      removeOverlapDuplication('we talked about the budget for next quarter', 'the budget for next quarter and the hiring plan'),
+      'and the hiring plan'
+    );
+  });
+
+  test('ignores case and punctuation', () => {
+    assert.equal(
+      removeOverlapDuplication('so the budget for next quarter.', 'Budget, for next Quarter and more'),
+      'and more'
+    );
+  });
+
+  test('ignores Hebrew niqqud', () => {
+    assert.equal(removeOverlapDuplication('אמרנו שָׁלוֹם לְכֻלָּם חברים', 'שלום לכלם חברים ועוד דבר'), 'ועוד דבר');
+  });
+
+  test('tolerates one mismatched word in five', () => {
+    assert.equal(
+      removeOverlapDuplication('one two three four five', 'one two tree four five six'),
+      'six'
+    );
+  });
+
+  test('keeps the text when the overlap is shorter than minWords or too different', () => {
+    assert.equal(removeOverlapDuplication('a b c hello world', 'hello world again'), 'hello world again');
+    assert.equal(removeOverlapDuplication('one two three four', 'one five six four seven'), 'one five six four seven');
+  });
+
+  test('handles empty input', () => {
+    assert.equal(removeOverlapDuplication('', '  next text '), '  next text ');
+    assert.equal(removeOverlapDuplication('previous', null), '');
+    assert.equal(removeOverlapDuplication('previous words here', ' unrelated text '), 'unrelated text');
+  });
+});